@@ -634,6 +634,8 @@ LBFoils.Foil.prototype = {
         
         var angleDeg = chord.angleToSigned(qInfLocal) * LBMath.RAD_TO_DEG;
         this.clCdCurve.calcCoefsDeg(angleDeg, coefs);
+        this._adjustCoefs(coefs, angleDeg);
+        
         var qInfSpeed = qInfLocal.length();
         var chordLength = chord.length();
         
@@ -644,6 +646,18 @@ LBFoils.Foil.prototype = {
         return LBFoils.ClCd.calcLiftDragMoment(coefs, rho, this.area, qInfSpeed, qInfLocal, chordLength, this.aspectRatio, store);
     },
     
+    /**
+     * Called by {@link module:LBFoils.Foil#calcLocalLiftDragMoment} after the coefficients
+     * have been obtained from the ClCd curve, derived classes can override this to adjust
+     * the coefficients. The default does nothing.
+     * @protected
+     * @param {module:LBFoils.ClCd} coefs   The coefficients to adjust.
+     * @param {Number} angleDeg The angle of attack in degrees.
+     * @returns {undefined}
+     */
+    _adjustCoefs: function(coefs, angleDeg) {
+    },
+    
     /**
      * Calculates the forces and moment in the local x-y plane coordinates.
      * The moment is about the leading edge, or this.chordLine.start.
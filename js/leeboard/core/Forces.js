@@ -415,6 +415,13 @@ LBForces.MultiGenerator.prototype.update = function(dt) {
  *      gravity: 9.81   // The acceleration of gravity.
  *      applyGravity:   false   // If true gravity due to the rigid body is also applied.
  *      fluidZ: Number.MAX_VALUE    // The z world coordinate of the fluid's surface.
+ *      fluidSurface: undefined     // Optional object describing a fluid surface that's not flat, see below.
+ * </code></pre>
+ * If fluidSurface is defined, fluidZ is ignored and each rigid body is sliced against a plane
+ * fitted to the fluid surface within the body's massRadius. The fluid surface object must have the methods:
+ * <pre><code>
+ *      getSurfacePlane: function(x, y, halfLength, halfWidth, headingRad, plane)  // Returns plane.
+ *      getSurfaceVelocityZ: function(x, y)     // Returns the vertical velocity of the surface.
  * </code></pre>
  * @returns {LBForces.Buoyancy}
  */
@@ -428,6 +435,8 @@ LBForces.Buoyancy = function(options) {
     
     this.fluidZ = !LBUtil.isVar(options.fluidZ) ? Number.MAX_VALUE : options.fluidZ;
     
+    this.fluidSurface = options.fluidSurface;
+    
     this.plane = LBGeometry.XY_PLANE.clone();
     
 };
@@ -450,10 +459,19 @@ LBForces.Buoyancy.prototype.generateForcesForBody = function(body, dt) {
 
     var totalVolume;
     var centerOfVolume = _workingResultant.applPoint;
-    if (this.fluidZ !== Number.MAX_VALUE) {
+    var surfaceVelocityZ = 0;
+    if (this.fluidSurface || (this.fluidZ !== Number.MAX_VALUE)) {
         // Gotta do this the hard way...
-        this.plane.normal.copy(LBGeometry.Z_AXIS);
-        this.plane.constant = this.fluidZ;
+        if (this.fluidSurface) {
+            var position = body.obj3D.position;
+            var radius = body.massRadius || 1;
+            this.fluidSurface.getSurfacePlane(position.x, position.y, radius, radius, 0, this.plane);
+            surfaceVelocityZ = this.fluidSurface.getSurfaceVelocityZ(position.x, position.y);
+        }
+        else {
+            this.plane.normal.copy(LBGeometry.Z_AXIS);
+            this.plane.constant = this.fluidZ;
+        }
         if (body.coordSystem.localXfrm) {
             this.plane.applyMatrix4(body.coordSystem.localXfrm);
         }
@@ -467,8 +485,9 @@ LBForces.Buoyancy.prototype.generateForcesForBody = function(body, dt) {
     }
 
     var force = totalVolume * this.density * this.gravity;
-    if (body.buoyancyDamping) {
+    if (body.buoyancyDamping && (dt > 0)) {
         // We have a separate buoyancy damping because it simply works better with one...
+        // (The first physics link update is done with a dt of 0...)
         
         // Based on the linear damping used in cannon/bullet, which is:
         //      vNew = v * (1 - damping)^(dt)
@@ -479,7 +498,7 @@ LBForces.Buoyancy.prototype.generateForcesForBody = function(body, dt) {
         //      deltaV = vNew - v
         // We get:
         //      deltaV = v * (1 - damping)^(dt) - v
-        var deltaV = body.worldLinearVelocity.z * (Math.pow(1 - body.buoyancyDamping, dt) - 1);
+        var deltaV = (body.worldLinearVelocity.z - surfaceVelocityZ) * (Math.pow(1 - body.buoyancyDamping, dt) - 1);
         var accel = -deltaV / dt;
         force -= accel * body.getTotalMass();
     }
@@ -531,6 +550,9 @@ LBForces.Buoyancy.loadRigidBodySettings = function(rigidBody, data) {
  *      defaultDamping: undefined   // If defined, the damping coefficient to use when an
  *          object does not define one. If both this and the object do not define a damping
  *          coefficient then no damping is performed.
+ *      flow: undefined     // If defined, an object with a getFlowVelocity(x, y, z, vel) method,
+ *          such as a water current manager, the velocity is then damped relative to the flow
+ *          at the object's center of mass so the object drifts with the flow.
  * </code></pre>
  * @returns {Forces_L18.LBForces.Damping}
  */
@@ -539,6 +561,7 @@ LBForces.Damping = function(options) {
     LBForces.MultiGenerator.call(this, options);
     
     this.defaultDamping = options.defaultDamping;
+    this.flow = options.flow;
     
     // To add: different damping zones.
 };
@@ -546,6 +569,8 @@ LBForces.Damping = function(options) {
 LBForces.Damping.prototype = Object.create(LBForces.MultiGenerator.prototype);
 LBForces.Damping.prototype.constructor = LBForces.Damping;
 
+var _workingFlowVel = new LBGeometry.Vector3();
+
 
 /**
  * The main damping calculation routine for individual rigid bodies.
@@ -569,15 +594,21 @@ LBForces.Damping.prototype.generateForcesForBody = function(body, dt) {
     //      deltaV = vNew - v
     // We get:
     //      deltaV = v * (1 - damping)^(dt) - v
-    var v = body.worldLinearVelocity.length();
+    var relVel = _workingPos.copy(body.worldLinearVelocity);
+    var centerOfMass = body.getTotalCenterOfMass();
+    if (this.flow) {
+        var flowVel = this.flow.getFlowVelocity(centerOfMass.x, centerOfMass.y, centerOfMass.z, _workingFlowVel);
+        relVel.sub(flowVel);
+    }
+    
+    var v = relVel.length();
     if ((v > 0) && !LBMath.isLikeZero(v)) {
         var deltaV = v * (Math.pow(1 - damping, dt) - 1);
         var accel = deltaV / dt;
         var force = accel * body.getTotalMass();
-        _workingPos.copy(body.worldLinearVelocity);
-        _workingPos.multiplyScalar(force / v);
+        relVel.multiplyScalar(force / v);
         
-        _workingResultant.addForce(_workingPos, body.getTotalCenterOfMass());
+        _workingResultant.addForce(relVel, centerOfMass);
         body.addWorldResultant(_workingResultant);
     }
 };
@@ -1753,6 +1753,47 @@ LBPhysics.Trajectory.prototype = {
         return store;
     },
     
+    /**
+     * Retrieves a state linearly interpolated between the two most recently recorded states.
+     * This is normally used to render between fixed simulation steps, where only the last
+     * two states are of interest. Note that the callbacks are not called.
+     * @param {Number} fraction The interpolation fraction, 0 is the next to last state,
+     * 1 is the last state.
+     * @param {Object} [store]  If defined the object to receive the state information, see
+     * {@link module:LBPhysics.Trajectory#getPastState}.
+     * @returns {Object}    The object containing the state information, undefined if no
+     * states have been recorded.
+     */
+    getRecentState: function(fraction, store) {
+        var buffer = this.stateBuffer;
+        var size = buffer.getCurrentSize();
+        if (!size) {
+            return undefined;
+        }
+
+        store = store || this._createState();
+
+        var newestState = buffer.getNewest();
+        if ((size < 2) || (fraction >= 1)) {
+            store.position.copy(newestState.position);
+            store.travelDir.copy(newestState.travelDir);
+            store.quaternion.copy(newestState.quaternion);
+            store.speed = newestState.speed;
+            store.time = newestState.time;
+            return store;
+        }
+
+        var prevState = buffer.get(size - 2);
+        store.position.lerpVectors(prevState.position, newestState.position, fraction);
+        store.travelDir.lerpVectors(prevState.travelDir, newestState.travelDir, fraction)
+                .normalize();
+        store.quaternion.copy(prevState.quaternion)
+                .slerp(newestState.quaternion, fraction);
+        store.speed = prevState.speed + (newestState.speed - prevState.speed) * fraction;
+        store.time = prevState.time + (newestState.time - prevState.time) * fraction;
+        return store;
+    },
+
     _interpolateState: function(splineCalculator, states, state) {
         var x = splineCalculator.calc(states[0].position.x, states[1].position.x, states[2].position.x, states[3].position.x);
         var y = splineCalculator.calc(states[0].position.y, states[1].position.y, states[2].position.y, states[3].position.y);
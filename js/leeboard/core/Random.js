@@ -25,6 +25,82 @@ function(LBMath, LBUtil) {
 var LBRandom = {};
 
 
+/**
+ * Converts a seed into an unsigned 32 bit integer suitable for {@link module:LBRandom.PRNG}.
+ * @param {Number|String} seed  The seed, strings are hashed.
+ * @returns {Number}    The 32 bit seed.
+ */
+LBRandom.hashSeed = function(seed) {
+    if (typeof seed === 'string') {
+        // FNV-1a...
+        var hash = 2166136261;
+        for (var i = 0; i < seed.length; ++i) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+    return Math.floor(seed) >>> 0;
+};
+
+/**
+ * A seedable pseudo-random number generator (the Mulberry32 algorithm). Two generators with the
+ * same seed produce the same sequence of values, which {@link Math.random} can't do.
+ * @constructor
+ * @param {Number|String} [seed]    The seed, if not defined a seed is obtained from {@link Math.random}.
+ * @returns {module:LBRandom.PRNG}
+ */
+LBRandom.PRNG = function(seed) {
+    var me = this;
+    
+    /**
+     * A function that returns the next value from {@link module:LBRandom.PRNG#nextValue}, this can be
+     * passed as the rngFunction to {@link module:LBRandom.UniformGenerator} and {@link module:LBRandom.NormalGenerator}.
+     * @member {Function}
+     */
+    this.random = function() {
+        return me.nextValue();
+    };
+    
+    this.setSeed(seed);
+};
+
+LBRandom.PRNG.prototype = {
+    /**
+     * Sets the seed, restarting the sequence of values.
+     * @param {Number|String} [seed]    The seed, if not defined a seed is obtained from {@link Math.random}.
+     * @returns {module:LBRandom.PRNG}  this.
+     */
+    setSeed: function(seed) {
+        if (!LBUtil.isVar(seed)) {
+            seed = Math.random() * 4294967296;
+        }
+        
+        /**
+         * The seed that was passed to {@link module:LBRandom.PRNG#setSeed}, or the one generated.
+         * @readonly
+         * @member {Number|String}
+         */
+        this.seed = seed;
+        this._state = LBRandom.hashSeed(seed);
+        return this;
+    },
+    
+    /**
+     * Returns the next generated number.
+     * @returns {Number}    A number between 0 (inclusive) and 1 (exclusive).
+     */
+    nextValue: function() {
+        var t = this._state = (this._state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+    
+    constructor: LBRandom.PRNG
+};
+
+
 /**
  * Generator of uniformly distributed random numbers within a range.
  * @constructor
@@ -38,7 +114,7 @@ var LBRandom = {};
  */
 LBRandom.UniformGenerator = function(lower, upper, rngFunction) {
     this.lower = lower || 0;
-    this.upper = (upper === undefined) && (upper === null) ? 1 : upper;
+    this.upper = (upper === undefined) || (upper === null) ? 1 : upper;
     this.rngFunction = rngFunction || Math.random;
 };
 
@@ -94,6 +170,16 @@ LBRandom.NormalGenerator.prototype = {
 
         return value * this.stdev + this.mean;
     },
+    
+    /**
+     * Discards the value held over from the last Box-Muller transform, call after the state
+     * of the random number generator function has been reset, such as with {@link module:LBRandom.PRNG#setSeed}.
+     * @returns {module:LBRandom.NormalGenerator}   this.
+     */
+    reset: function() {
+        this._nextValue = undefined;
+        return this;
+    },
 
     constructor: LBRandom.NormalGenerator
 };
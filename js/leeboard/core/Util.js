@@ -583,6 +583,7 @@ LBUtil.Pool.prototype = {
         
         obj._lbPool = this;
         obj._lbPoolNext = null;
+        obj._lbPoolIsFree = false;
         return obj;
     },
     
@@ -592,7 +593,10 @@ LBUtil.Pool.prototype = {
      * @returns {undefined}
      */
     release: function(obj) {
-        if ((obj._lbPool === this) && !obj._lbPoolNext) {
+        // The last object in the free list also has a null _lbPoolNext, so we need
+        // a separate flag to keep an object from being released twice.
+        if ((obj._lbPool === this) && !obj._lbPoolIsFree) {
+            obj._lbPoolIsFree = true;
             obj._lbPoolNext = this._first;
             this._first = obj;
             ++this._returnedCount;
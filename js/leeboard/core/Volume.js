@@ -1053,7 +1053,7 @@ LBVolume.Tetra.sliceWithPlane = function(tetra, plane, positiveDir, negativeDir)
             LBVolume.TriPrism.toTetras(indices, myVertices, aboveTetras);
         }
         if (negativeDir) {
-            var myVertices = [belowA, ptAA, ptAB, belowB, ptBA, ptBB];
+            var myVertices = [belowA, ptAA, ptBA, belowB, ptAB, ptBB];
             LBVolume.TriPrism.toTetras(indices, myVertices, belowTetras);
         }
     }
@@ -0,0 +1,467 @@
+/*
+ * Copyright 2017 Albert Santos.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+define(['lbsailsim', 'lbcannonphysicslink', 'lbutil', 'lbmath'],
+function(LBSailSim, LBCannonPhysicsLink, LBUtil, LBMath) {
+
+    'use strict';
+
+
+/**
+ * An implementation of {@link LBSailSim.Env} that does no rendering, for running the
+ * simulation outside of a browser, such as under Node. This pretty much just ties together
+ * the physics link and the sailing environment.
+ * @constructor
+ * @extends {LBSailSim.Env}
+ * @param {LBSailSim.SailEnvHeadless.CANNON_PHYSICS} [physicsType]  The physics engine to use.
+ * @param {module:LBAssets.Loader} [assetLoader]   The optional asset loader, under Node this
+ * should be a loader that loads from the file system.
+ * @returns {LBSailSim.SailEnvHeadless}
+ */
+LBSailSim.SailEnvHeadless = function(physicsType, assetLoader) {
+    LBSailSim.Env.call(this, assetLoader);
+
+    this.physicsType = physicsType;
+
+    switch (physicsType) {
+        case LBSailSim.SailEnvHeadless.CANNON_PHYSICS :
+        case undefined :
+            this.physicsLink = new LBCannonPhysicsLink.Link();
+            break;
+    }
+
+    this.physicsLink.addForceGenerator(this.buoyancyGenerator);
+    this.physicsLink.addForceGenerator(this.dampingGenerator);
+};
+
+
+/**
+ * Value to pass to {@link LBSailSim.SailEnvHeadless}'s contructor to use the Cannon JS physics engine.
+ * @constant
+ * @type {Number}
+ */
+LBSailSim.SailEnvHeadless.CANNON_PHYSICS = 0;
+
+LBSailSim.SailEnvHeadless.prototype = Object.create(LBSailSim.Env.prototype);
+LBSailSim.SailEnvHeadless.prototype.constructor = LBSailSim.SailEnvHeadless;
+
+
+LBSailSim.SailEnvHeadless.prototype._boatCheckedOut = function(boat, data) {
+    this.physicsLink.addRigidBody(boat, data);
+    LBSailSim.Env.prototype._boatCheckedOut.call(this, boat, data);
+};
+
+LBSailSim.SailEnvHeadless.prototype._boatReturned = function(boat) {
+    LBSailSim.Env.prototype._boatReturned.call(this, boat);
+    this.physicsLink.removeRigidBody(boat);
+};
+
+/**
+ * The main simulation update method. Unlike {@link LBSailSim.SailEnvTHREE#update} the time
+ * step is used as is, it is not averaged.
+ * @param {Number} [dt]   The time step, if not specified the physics link's time step is used.
+ * @returns {LBSailSim.SailEnvHeadless} this.
+ */
+LBSailSim.SailEnvHeadless.prototype.update = function(dt) {
+    dt = dt || this.physicsLink.timeStep();
+
+    LBSailSim.Env.prototype.update.call(this, dt);
+    this.physicsLink.update(dt);
+    return this;
+};
+
+
+/**
+ * The columns written to the telemetry by {@link LBSailSim.HeadlessRunner}, each column is
+ * a property of the objects returned by {@link LBSailSim.HeadlessRunner#getTelemetry}.
+ * @type {String[]}
+ */
+LBSailSim.TELEMETRY_CSV_COLUMNS = [ 'time', 'boat', 'x', 'y', 'z', 'headingDeg', 'rollDeg', 'pitchDeg',
+    'knots', 'leewayDeg', 'rudderDeg', 'mainsheet', 'jibsheet', 'throttle',
+    'apparentWindKnots', 'apparentWindBearingDeg', 'drivingForce', 'heelingForce' ];
+
+
+/**
+ * Steps a {@link LBSailSim.Env} at a fixed time step, applying scripted controller inputs
+ * to the boats and passing per-step telemetry to a writer function. This is normally
+ * set up with {@link LBSailSim.HeadlessRunner#loadFromData}.
+ * <p>
+ * A control event is an object with the following properties:
+ * <pre><code>
+ *  time:       0,          // The simulation time at which the event is applied.
+ *  boat:       "TubbyA",   // Optional name of the boat, if not given the event applies to all the boats.
+ *  rudderDeg:  0,          // Optional rudder angle in degrees.
+ *  mainsheet:  0,          // Optional mainsheet position.
+ *  jibsheet:   0,          // Optional jibsheet position.
+ *  throttle:   0,          // Optional throttle position.
+ *  controllers: {          // Optional values for controllers by name, see LBSailSim.Vessel#moveNamedController.
+ *      "SpinnakerHoist":   1
+ *  }
+ * </code></pre>
+ * @constructor
+ * @param {LBSailSim.Env} sailEnv   The sailing environment, normally a {@link LBSailSim.SailEnvHeadless}.
+ * @param {Object} [options]    Optional options.
+ * @param {Number} [options.dt=1/60]  The fixed time step.
+ * @param {Number} [options.duration=60]  The simulation time to run for.
+ * @param {Number} [options.telemetryInterval=1]  The number of steps between telemetry writes.
+ * @param {Function} [options.telemetryWriter]  Function called with each line of CSV text of the
+ * telemetry, the first line is the header.
+ * @returns {LBSailSim.HeadlessRunner}
+ */
+LBSailSim.HeadlessRunner = function(sailEnv, options) {
+    options = options || {};
+
+    /**
+     * The sailing environment being simulated.
+     * @member {LBSailSim.Env}
+     */
+    this.sailEnv = sailEnv;
+
+    /**
+     * The fixed time step.
+     * @member {Number}
+     */
+    this.dt = options.dt || 1/60;
+
+    /**
+     * The simulation time to run for.
+     * @member {Number}
+     */
+    this.duration = LBUtil.isVar(options.duration) ? options.duration : 60;
+
+    /**
+     * The number of steps between telemetry writes.
+     * @member {Number}
+     */
+    this.telemetryInterval = options.telemetryInterval || 1;
+
+    /**
+     * Function called with each line of telemetry CSV text, may be undefined.
+     * @member {Function}
+     */
+    this.telemetryWriter = options.telemetryWriter;
+
+    /**
+     * The boats being simulated.
+     * @member {LBSailSim.Vessel[]}
+     */
+    this.boats = [];
+
+    /**
+     * The control events, sorted by time.
+     * @member {Object[]}
+     */
+    this.controlEvents = [];
+
+    /**
+     * The number of steps that have been run.
+     * @member {Number}
+     */
+    this.stepCount = 0;
+
+    this._nextControlEventIndex = 0;
+    this._isHeaderWritten = false;
+};
+
+LBSailSim.HeadlessRunner.prototype = {
+    constructor: LBSailSim.HeadlessRunner
+};
+
+
+/**
+ * Sets up the runner from a data object, checking out the boats and loading the
+ * wind settings and the control events. The sailing environment should already be loaded.
+ * The data object has the following optional properties:
+ * <pre><code>
+ *  dt:         0.016667,
+ *  duration:   60,
+ *  telemetryInterval: 1,
+ *  randomSeed: 1234,       // Seed for the random number generators, for repeatable wind puffs.
+ *  wind: {
+ *      force:      2,      // Beaufort force, or...
+ *      mps:        5,      // The average speed in m/s.
+ *      fromDeg:    0,      // The direction the wind is from in compass degrees.
+ *      gustFactor: 0,
+ *      shifts:     {},     // See LBSailSim.WindShifts#load()
+ *      patterns:   [],     // See LBSailSim.Wind#loadPatterns()
+ *      shadows:    {}      // See LBSailSim.Wind#loadShadowSettings()
+ *  },
+ *  water: {
+ *      currents:   [],     // See LBSailSim.Water#loadCurrents()
+ *      waves:      {}      // See LBSailSim.Waves#load()
+ *  },
+ *  bathymetry: {},         // See LBSailSim.Bathymetry#load()
+ *  boats: [
+ *      { type: "Tubby", name: "TubbyA", x: 0, y: 0, headingDeg: 0 }
+ *  ],
+ *  controls: [ controlEvent, ... ]
+ * </code></pre>
+ * @param {Object} data The data object.
+ * @returns {LBSailSim.HeadlessRunner}  this.
+ */
+LBSailSim.HeadlessRunner.prototype.loadFromData = function(data) {
+    this.dt = data.dt || this.dt;
+    this.duration = LBUtil.isVar(data.duration) ? data.duration : this.duration;
+    this.telemetryInterval = data.telemetryInterval || this.telemetryInterval;
+
+    if (LBUtil.isVar(data.randomSeed)) {
+        this.sailEnv.setRandomSeed(data.randomSeed);
+    }
+    
+    if (data.wind) {
+        var wind = this.sailEnv.wind;
+        if (LBUtil.isVar(data.wind.force)) {
+            wind.setAverageForce(data.wind.force);
+        }
+        if (LBUtil.isVar(data.wind.mps)) {
+            wind.setAverageMPS(data.wind.mps);
+        }
+        if (LBUtil.isVar(data.wind.fromDeg)) {
+            wind.setAverageFromDeg(data.wind.fromDeg);
+        }
+        if (LBUtil.isVar(data.wind.gustFactor)) {
+            wind.setGustFactor(data.wind.gustFactor);
+        }
+        if (data.wind.shifts) {
+            wind.shifts.load(data.wind.shifts);
+        }
+        if (data.wind.patterns) {
+            wind.loadPatterns(data.wind.patterns);
+        }
+        if (data.wind.shadows) {
+            wind.loadShadowSettings(data.wind.shadows);
+        }
+    }
+    
+    if (data.water) {
+        if (data.water.currents) {
+            this.sailEnv.water.loadCurrents(data.water.currents);
+        }
+        if (data.water.waves) {
+            this.sailEnv.water.waves.load(data.water.waves);
+        }
+    }
+    
+    if (data.bathymetry) {
+        this.sailEnv.bathymetry.load(data.bathymetry);
+    }
+
+    if (data.boats) {
+        data.boats.forEach(function(boatData) {
+            var typeName = boatData.type || Object.keys(this.sailEnv.boatsByType)[0];
+            var boatName = boatData.name || Object.keys(this.sailEnv.boatsByType[typeName] || {})[0];
+
+            // This is the inverse of LBSailSim.Vessel.getHeadingDeg().
+            var rotDeg = LBUtil.isVar(boatData.headingDeg) ? LBMath.wrapDegrees(-90 - boatData.headingDeg) : 0;
+            var boat = this.sailEnv.checkoutBoat(typeName, boatName, boatData.x, boatData.y, rotDeg);
+            if (!boat) {
+                console.error("The boat '" + boatName + "' of type '" + typeName + "' could not be checked out.");
+                return;
+            }
+            this.addBoat(boat);
+        }, this);
+    }
+
+    if (data.controls) {
+        data.controls.forEach(this.addControlEvent, this);
+    }
+
+    return this;
+};
+
+/**
+ * Adds a boat to be simulated and written to the telemetry.
+ * @param {LBSailSim.Vessel} boat   The boat, it should already be checked out from the
+ * sailing environment.
+ * @returns {LBSailSim.HeadlessRunner}  this.
+ */
+LBSailSim.HeadlessRunner.prototype.addBoat = function(boat) {
+    // Make sure the controllers are cached so the getXXXDeg/Pos() methods work.
+    boat.getRudderController();
+    boat.getMainsheetController();
+    boat.getJibsheetController();
+    boat.getThrottleController();
+
+    this.boats.push(boat);
+    if (!this.sailEnv.getFocusVessel()) {
+        this.sailEnv.setFocusVessel(boat);
+    }
+    return this;
+};
+
+/**
+ * Adds a control event.
+ * @param {Object} controlEvent The control event, see {@link LBSailSim.HeadlessRunner}.
+ * @returns {LBSailSim.HeadlessRunner}  this.
+ */
+LBSailSim.HeadlessRunner.prototype.addControlEvent = function(controlEvent) {
+    var time = controlEvent.time || 0;
+    var index = this.controlEvents.length;
+    while ((index > this._nextControlEventIndex) && ((this.controlEvents[index - 1].time || 0) > time)) {
+        --index;
+    }
+    this.controlEvents.splice(index, 0, controlEvent);
+    return this;
+};
+
+/**
+ * Applies a control event to the boats it applies to.
+ * @protected
+ * @param {Object} controlEvent The control event.
+ * @returns {undefined}
+ */
+LBSailSim.HeadlessRunner.prototype._applyControlEvent = function(controlEvent) {
+    this.boats.forEach(function(boat) {
+        if (controlEvent.boat && (controlEvent.boat !== boat.name)) {
+            return;
+        }
+        if (LBUtil.isVar(controlEvent.rudderDeg)) {
+            boat.moveRudder(controlEvent.rudderDeg);
+        }
+        if (LBUtil.isVar(controlEvent.mainsheet)) {
+            boat.moveMainsheet(controlEvent.mainsheet);
+        }
+        if (LBUtil.isVar(controlEvent.jibsheet)) {
+            boat.moveJibsheet(controlEvent.jibsheet);
+        }
+        if (LBUtil.isVar(controlEvent.throttle)) {
+            boat.moveThrottle(controlEvent.throttle);
+        }
+        if (controlEvent.controllers) {
+            Object.keys(controlEvent.controllers).forEach(function(name) {
+                boat.moveNamedController(name, controlEvent.controllers[name]);
+            });
+        }
+    });
+};
+
+/**
+ * Retrieves the telemetry for a boat at the current simulation time.
+ * @param {LBSailSim.Vessel} boat   The boat.
+ * @returns {Object}    An object whose properties are the columns in {@link LBSailSim.TELEMETRY_CSV_COLUMNS}.
+ */
+LBSailSim.HeadlessRunner.prototype.getTelemetry = function(boat) {
+    var position = boat.getPosition();
+    var rotation = boat.obj3D.rotation;
+    return {
+        time: this.sailEnv.currentTime,
+        boat: boat.name,
+        x: position.x,
+        y: position.y,
+        z: position.z,
+        headingDeg: boat.getHeadingDeg(),
+        rollDeg: rotation.x * LBMath.RAD_TO_DEG,
+        pitchDeg: rotation.y * LBMath.RAD_TO_DEG,
+        knots: boat.getKnots(),
+        leewayDeg: boat.getLeewayDeg(),
+        rudderDeg: boat.getRudderDeg(),
+        mainsheet: boat.getMainsheetPos(),
+        jibsheet: boat.getJibsheetPos(),
+        throttle: boat.getThrottlePos(),
+        apparentWindKnots: boat.getApparentWindKnots(),
+        apparentWindBearingDeg: boat.getApparentWindBearingDeg(),
+        drivingForce: boat.getDrivingForceMag(),
+        heelingForce: boat.getHeelingForceMag()
+    };
+};
+
+/**
+ * Writes the telemetry of all the boats to the telemetry writer.
+ * @protected
+ * @returns {undefined}
+ */
+LBSailSim.HeadlessRunner.prototype._writeTelemetry = function() {
+    if (!this.telemetryWriter) {
+        return;
+    }
+
+    if (!this._isHeaderWritten) {
+        this.telemetryWriter(LBSailSim.TELEMETRY_CSV_COLUMNS.join(','));
+        this._isHeaderWritten = true;
+    }
+
+    this.boats.forEach(function(boat) {
+        var telemetry = this.getTelemetry(boat);
+        this.telemetryWriter(LBSailSim.TELEMETRY_CSV_COLUMNS.map(function(column) {
+            var value = telemetry[column];
+            return (typeof value === 'number') ? value.toPrecision(6) : value;
+        }).join(','));
+    }, this);
+};
+
+/**
+ * Performs a single simulation step, applying any control events that are due first.
+ * @returns {LBSailSim.HeadlessRunner}  this.
+ */
+LBSailSim.HeadlessRunner.prototype.step = function() {
+    var currentTime = this.sailEnv.currentTime;
+    while (this._nextControlEventIndex < this.controlEvents.length) {
+        var controlEvent = this.controlEvents[this._nextControlEventIndex];
+        if ((controlEvent.time || 0) > currentTime) {
+            break;
+        }
+        this._applyControlEvent(controlEvent);
+        ++this._nextControlEventIndex;
+    }
+
+    this.sailEnv.update(this.dt);
+    ++this.stepCount;
+
+    if (!(this.stepCount % this.telemetryInterval)) {
+        this._writeTelemetry();
+    }
+    return this;
+};
+
+/**
+ * Runs the simulation.
+ * @param {Number} [duration]   The simulation time to run for, if not specified
+ * {@link LBSailSim.HeadlessRunner#duration} is used.
+ * @returns {LBSailSim.HeadlessRunner}  this.
+ */
+LBSailSim.HeadlessRunner.prototype.run = function(duration) {
+    duration = LBUtil.isVar(duration) ? duration : this.duration;
+    var stepCount = Math.round(duration / this.dt);
+
+    if (!this.stepCount) {
+        // Record the starting state.
+        this._writeTelemetry();
+    }
+
+    for (var i = 0; i < stepCount; ++i) {
+        this.step();
+    }
+    return this;
+};
+
+/**
+ * Returns all the boats that were checked out and releases the runner's references.
+ * @returns {undefined}
+ */
+LBSailSim.HeadlessRunner.prototype.destroy = function() {
+    if (this.boats) {
+        this.boats.forEach(function(boat) {
+            this.sailEnv.returnBoat(boat);
+        }, this);
+        this.boats = null;
+        this.controlEvents = null;
+        this.telemetryWriter = null;
+        this.sailEnv = null;
+    }
+};
+
+return LBSailSim;
+});
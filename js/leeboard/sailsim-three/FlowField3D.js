@@ -0,0 +1,207 @@
+/* 
+ * Copyright 2017 Albert Santos.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+define(['lbsailsim', 'lbgeometry', 'lbmath', 'lbutil', 'three'],
+function(LBSailSim, LBGeometry, LBMath, LBUtil, THREE) {
+    
+    'use strict';
+
+
+/**
+ * Base class for displaying a flow field, such as the wind or the water current, as a grid
+ * of arrows surrounding a center point, normally the focus vessel. The length of the arrows
+ * is proportional to the flow speed, and the faster the flow relative to the reference
+ * speed the darker the arrows.
+ * <p>
+ * Derived classes implement {@link LBSailSim.FlowField3D#getFlowVelocity} and
+ * {@link LBSailSim.FlowField3D#getReferenceSpeed}.
+ * @constructor
+ * @param {module:LBUI3d.Scene3D} scene3D  The scene to add the arrows to.
+ * @param {Object} [options]    Optional options.
+ * @param {Number} [options.gridSpacing=40] The distance between the arrows.
+ * @param {Number} [options.gridCount=11]   The number of arrows along each side of the grid.
+ * @param {Number} [options.arrowScale=3]   The arrow length per m/s of flow speed.
+ * @param {Number} [options.height=0.5] The height of the arrows above the water.
+ * @param {Number} [options.hue=0.6]    The hue of the arrows, 0 to 1.
+ * @returns {LBSailSim.FlowField3D}
+ */
+LBSailSim.FlowField3D = function(scene3D, options) {
+    options = options || {};
+    
+    this.scene3D = scene3D;
+    this.coordMapping = scene3D.coordMapping;
+    
+    this.gridSpacing = options.gridSpacing || 40;
+    this.gridCount = options.gridCount || 11;
+    this.arrowScale = options.arrowScale || 3;
+    this.hue = LBUtil.isVar(options.hue) ? options.hue : 0.6;
+    
+    /**
+     * The height of the arrows above the water.
+     * @member {Number}
+     */
+    this.height = LBUtil.isVar(options.height) ? options.height : 0.5;
+    
+    /**
+     * The time between updates of the arrows, in seconds.
+     * @member {Number}
+     */
+    this.updateInterval = 0.25;
+    this._timeToUpdate = 0;
+    
+    // Each arrow is a shaft and two barbs.
+    var vertexCount = this.gridCount * this.gridCount * 6;
+    this.bufferGeometry = new THREE.BufferGeometry();
+    this.bufferGeometry.addAttribute('position', new THREE.Float32BufferAttribute(vertexCount * 3, 3).setDynamic(true));
+    this.bufferGeometry.addAttribute('color', new THREE.Float32BufferAttribute(vertexCount * 3, 3).setDynamic(true));
+    
+    var material = new THREE.LineBasicMaterial({
+        vertexColors: THREE.VertexColors,
+        transparent: true,
+        opacity: 0.7
+    });
+    
+    this.lines = new THREE.LineSegments(this.bufferGeometry, material);
+    this.lines.frustumCulled = false;
+    this.lines.visible = false;
+    this.scene3D.add(this.lines);
+};
+
+var _fieldVel = new LBGeometry.Vector3();
+var _fieldColor = new THREE.Color();
+var _fieldXYZ = [];
+
+LBSailSim.FlowField3D.prototype = {
+    constructor: LBSailSim.FlowField3D,
+    
+    /**
+     * Retrieves the flow velocity at a point on the water.
+     * @abstract
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @param {module:LBGeometry.Vector3} vel   The object to receive the velocity.
+     * @returns {module:LBGeometry.Vector3} vel.
+     */
+    getFlowVelocity: function(x, y, vel) {
+        throw 'getFlowVelocity() not implemented';
+    },
+    
+    /**
+     * @abstract
+     * @returns {Number}    The flow speed the arrow colors are relative to.
+     */
+    getReferenceSpeed: function() {
+        throw 'getReferenceSpeed() not implemented';
+    },
+    
+    /**
+     * Shows or hides the arrows.
+     * @param {Boolean} isVisible   If true the arrows are displayed.
+     * @returns {LBSailSim.FlowField3D} this.
+     */
+    setVisible: function(isVisible) {
+        this.lines.visible = isVisible;
+        this._timeToUpdate = 0;
+        return this;
+    },
+    
+    /**
+     * @returns {Boolean}   true if the arrows are displayed.
+     */
+    isVisible: function() {
+        return this.lines.visible;
+    },
+    
+    /**
+     * Updates the arrows if they are visible.
+     * @param {Number} dt   The time since the last update, in seconds.
+     * @param {Number} centerX  The x coordinate the grid is centered on.
+     * @param {Number} centerY  The y coordinate the grid is centered on.
+     * @returns {LBSailSim.FlowField3D} this.
+     */
+    update: function(dt, centerX, centerY) {
+        if (!this.lines.visible) {
+            return this;
+        }
+        
+        this._timeToUpdate -= dt;
+        if (this._timeToUpdate > 0) {
+            return this;
+        }
+        this._timeToUpdate = this.updateInterval;
+        
+        var referenceSpeed = this.getReferenceSpeed() || 1;
+        
+        // Snap the grid to the spacing so the arrows don't slide along with the center.
+        var spacing = this.gridSpacing;
+        var halfCount = (this.gridCount - 1) / 2;
+        var startX = (Math.round(centerX / spacing) - halfCount) * spacing;
+        var startY = (Math.round(centerY / spacing) - halfCount) * spacing;
+        
+        var positionAttribute = this.bufferGeometry.getAttribute('position');
+        var colorAttribute = this.bufferGeometry.getAttribute('color');
+        var positions = positionAttribute.array;
+        var colors = colorAttribute.array;
+        var index = 0;
+        
+        for (var i = 0; i < this.gridCount; ++i) {
+            var x = startX + i * spacing;
+            for (var j = 0; j < this.gridCount; ++j) {
+                var y = startY + j * spacing;
+                var vel = this.getFlowVelocity(x, y, _fieldVel);
+                var dx = vel.x * this.arrowScale;
+                var dy = vel.y * this.arrowScale;
+                var headX = x + 0.5 * dx;
+                var headY = y + 0.5 * dy;
+                
+                // The barbs are at +/-30 degrees from the shaft, 1/4 of its length.
+                var barbX = -0.25 * dx;
+                var barbY = -0.25 * dy;
+                var barbCos = 0.866;
+                var barbSin = 0.5;
+                
+                index = this._setVertex(positions, index, x - 0.5 * dx, y - 0.5 * dy);
+                index = this._setVertex(positions, index, headX, headY);
+                index = this._setVertex(positions, index, headX, headY);
+                index = this._setVertex(positions, index, headX + barbCos * barbX - barbSin * barbY, headY + barbSin * barbX + barbCos * barbY);
+                index = this._setVertex(positions, index, headX, headY);
+                index = this._setVertex(positions, index, headX + barbCos * barbX + barbSin * barbY, headY - barbSin * barbX + barbCos * barbY);
+                
+                var speedRatio = vel.length() / referenceSpeed;
+                _fieldColor.setHSL(this.hue, 0.8, LBMath.clamp(0.9 - 0.5 * speedRatio, 0.1, 0.8));
+                for (var v = 0; v < 6; ++v) {
+                    _fieldColor.toArray(colors, index - (6 - v) * 3);
+                }
+            }
+        }
+        
+        positionAttribute.needsUpdate = true;
+        colorAttribute.needsUpdate = true;
+        return this;
+    },
+    
+    _setVertex: function(positions, index, x, y) {
+        _fieldXYZ[0] = x;
+        _fieldXYZ[1] = y;
+        _fieldXYZ[2] = this.height;
+        this.coordMapping.xyzToThreeJS(_fieldXYZ, 0, positions, index);
+        return index + 3;
+    }
+};
+
+return LBSailSim;
+});
@@ -15,8 +15,8 @@
  */
 
 
-define(['lbsailsim', 'lbcannonphysicslink', 'lbrandom', 'lbui3d', 'lbgeometry', 'lbwater3d', 'lbsky3d', 'lbwakes3d', 'lbwind3d', 'tween', 'three'], 
-function(LBSailSim, LBCannonPhysicsLink, LBRandom, LBUI3d, LBGeometry, LBWater3D, LBSky3D, LBWakes3D, LBWind3D, TWEEN, THREE) {
+define(['lbsailsim', 'lbcannonphysicslink', 'lbphysics', 'lbui3d', 'lbgeometry', 'lbwater3d', 'lbsky3d', 'lbwakes3d', 'lbwind3d', 'tween', 'three'], 
+function(LBSailSim, LBCannonPhysicsLink, LBPhysics, LBUI3d, LBGeometry, LBWater3D, LBSky3D, LBWakes3D, LBWind3D, TWEEN, THREE) {
     
     'use strict';
 
@@ -53,15 +53,8 @@ LBSailSim.SailEnvTHREE = function(app3D, mainView, physicsType, assetLoader) {
     this.sky3D = new LBSailSim.Sky3D(app3D.mainScene, this);
     this.water3D = new LBSailSim.Water3D(app3D.mainScene, this);
     this.wakes3D = new LBSailSim.Wakes3D(app3D.mainScene, this);
-    
-    this.runningAvgCount = 60;
-    this.dtRunningAvg = new LBRandom.RunningAverage(this.runningAvgCount);
-    
-    // Prep the running average to try to smooth over startup...
-    var dt = 1/60;
-    for (var i = 0; i < this.runningAvgCount; ++i) {
-        this.dtRunningAvg.addValue(dt);
-    }
+    this.windField3D = new LBSailSim.WindField3D(app3D.mainScene, this);
+    this.currentField3D = new LBSailSim.CurrentField3D(app3D.mainScene, this);
     
     // For testing...
     //this.water3D.waterMesh.visible = false;
@@ -98,6 +91,10 @@ LBSailSim.SailEnvTHREE.prototype.floatingObjectLoaded = function(data, rigidBody
     var me = this;
     if (objectDef && objectDef.threeModel) {
         this.app3D.mainScene.loadJSONModel(objectDef.threeModel, function(model) {
+            if (me.floatingObjects.indexOf(rigidBody) < 0) {
+                // Removed before the model finished loading...
+                return;
+            }
             rigidBody._lbThreeModel = model;
             me.envGroup.add(model);            
             LBSailSim.SailEnvTHREE.updateThreeModelFromRigidBody(rigidBody);
@@ -105,6 +102,15 @@ LBSailSim.SailEnvTHREE.prototype.floatingObjectLoaded = function(data, rigidBody
     }
 };
 
+LBSailSim.SailEnvTHREE.prototype.floatingObjectRemoved = function(rigidBody) {
+    LBSailSim.Env.prototype.floatingObjectRemoved.call(this, rigidBody);
+    
+    if (rigidBody._lbThreeModel) {
+        this.envGroup.remove(rigidBody._lbThreeModel);
+        rigidBody._lbThreeModel = undefined;
+    }
+};
+
 
 LBSailSim.SailEnvTHREE.prototype._boatCheckedOut = function(boat, data) {
     this.physicsLink.addRigidBody(boat, data);
@@ -117,6 +123,7 @@ LBSailSim.SailEnvTHREE.prototype._boatCheckedOut = function(boat, data) {
             me.envGroup.add(model);
             
             loadVesselPartModel(me, boat.spars, model, me.app3D.mainScene, boat);
+            loadVesselPartModel(me, boat.ballasts, model, me.app3D.mainScene, boat);
             loadVesselPartModel(me, boat.lines, model, me.app3D.mainScene, boat);
             loadVesselPartModel(me, boat.windIndicators, model, me.app3D.mainScene, boat);
             loadVesselPartModel(me, boat.hydrofoils, model, me.app3D.mainScene, boat);
@@ -216,6 +223,12 @@ LBSailSim.SailEnvTHREE.prototype._boatReturned = function(boat) {
     this.wakes3D.removeVessel(boat);
     LBSailSim.Env.prototype._boatReturned.call(this, boat);
     this.physicsLink.removeRigidBody(boat);
+    
+    if (boat._lbTrajectory) {
+        boat._lbTrajectory.destroy();
+        boat._lbTrajectory = undefined;
+        boat._lbDisplayObj3D = undefined;
+    }
 };
 
 
@@ -391,24 +404,16 @@ LBSailSim.SailEnvTHREE.prototype.updateMarkDisplay = function(mark) {
 
 
 /**
- * The main simulation update method, call from the {@link module:LBUI3d.App3D}'s update() method.
- * @param {Number} dt   The time step.
+ * The main simulation update method, call from the {@link module:LBUI3d.App3D}'s fixedUpdate() method.
+ * This only advances the simulation, {@link LBSailSim.SailEnvTHREE#preRender} takes care of the
+ * display.
+ * @param {Number} dt   The fixed simulation time step.
  * @returns {undefined}
  */
 LBSailSim.SailEnvTHREE.prototype.update = function(dt) {
     dt = dt || this.physicsLink.timeStep();
-    if (dt > 0.0625) {
-        dt = 0.0625;
-    }
-    
-    dt = this.dtRunningAvg.addValue(dt);
-    //dt = this.physicsLink.timeStep();
     
     var me = this;
-    this.app3D.debugTimeRecorder.record('TWEEN.update', function() {
-        TWEEN.update(me.app3D.runMillisecs);
-    });
-    
     this.app3D.debugTimeRecorder.record('Env.update', function() {
         LBSailSim.Env.prototype.update.call(me, dt);
     });
@@ -417,34 +422,111 @@ LBSailSim.SailEnvTHREE.prototype.update = function(dt) {
         me.physicsLink.update(dt);
     });
     
+    this.physicsLink.rigidBodies.forEach(function(rigidBody) {
+        _initDisplayState(rigidBody);
+        rigidBody._lbTrajectory.updateRigidBodyTrajectory(dt, rigidBody);
+    });
+};
+
+/**
+ * Updates the display objects, call from the {@link module:LBUI3d.App3D}'s update() method after
+ * the fixed simulation steps have been performed. The rigid bodies are displayed at the state
+ * interpolated between their last two simulation states.
+ * @param {Number} dt   The time since the last call, in seconds.
+ * @param {Number} [alpha=1]    The interpolation fraction between the last two simulation
+ * states, normally {@link module:LBUI3d.App3D#interpolationAlpha}.
+ * @returns {undefined}
+ */
+LBSailSim.SailEnvTHREE.prototype.preRender = function(dt, alpha) {
+    LBSailSim.Env.prototype.preRender.call(this);
+    
+    alpha = (alpha === undefined) ? 1 : alpha;
+    
+    var me = this;
+    this.app3D.debugTimeRecorder.record('TWEEN.update', function() {
+        TWEEN.update(me.app3D.runMillisecs);
+    });
+    
     // Don't have to call updateDisplayObjects()...
     //this.physicsLink.updateDisplayObjects();
     this.app3D.debugTimeRecorder.record('updateThreeModelFromRigidBody', function() {
-        me.physicsLink.rigidBodies.forEach(LBSailSim.SailEnvTHREE.updateThreeModelFromRigidBody);
+        me.physicsLink.rigidBodies.forEach(function(rigidBody) {
+            var state = rigidBody._lbTrajectory && rigidBody._lbTrajectory.getRecentState(alpha, _workingState);
+            if (state) {
+                rigidBody._lbDisplayObj3D.position.copy(state.position);
+                rigidBody._lbDisplayObj3D.quaternion.copy(state.quaternion);
+            }
+            LBSailSim.SailEnvTHREE.updateThreeModelFromRigidBody(rigidBody);
+        });
     });
     
     this.app3D.debugTimeRecorder.start('sky-water-wakes.update');
     this.sky3D.update(dt);
     this.water3D.update(dt);
     this.wakes3D.update(dt);
+    
+    var center = (this.focusVessel) ? this.getDisplayObject3D(this.focusVessel).position : LBGeometry.ORIGIN;
+    this.windField3D.update(dt, center.x, center.y);
+    this.currentField3D.update(dt, center.x, center.y);
     this.app3D.debugTimeRecorder.end('sky-water-wakes.update');
 };
 
+var _workingState = {
+    position: new LBGeometry.Vector3(),
+    travelDir: new LBGeometry.Vector3(),
+    quaternion: new LBGeometry.Quaternion()
+};
+
+/**
+ * Retrieves the object whose position and orientation are those of a rigid body as it is
+ * displayed, which differ from those of the rigid body's obj3D by the interpolation
+ * between simulation states. This is what cameras following the rigid body should track.
+ * @param {module:LBPhysics.RigidBody} rigidBody    The rigid body, normally a boat.
+ * @returns {module:LBGeometry.Object3D}    The display object.
+ */
+LBSailSim.SailEnvTHREE.prototype.getDisplayObject3D = function(rigidBody) {
+    _initDisplayState(rigidBody);
+    return rigidBody._lbDisplayObj3D;
+};
+
+function _initDisplayState(rigidBody) {
+    if (!rigidBody._lbDisplayObj3D) {
+        rigidBody._lbTrajectory = new LBPhysics.Trajectory(2);
+        rigidBody._lbDisplayObj3D = new LBGeometry.Object3D();
+        rigidBody._lbDisplayObj3D.position.copy(rigidBody.obj3D.position);
+        rigidBody._lbDisplayObj3D.quaternion.copy(rigidBody.obj3D.quaternion);
+    }
+}
+
+var _workingSailPoint = new LBGeometry.Vector3();
+
 LBSailSim.SailEnvTHREE.updateThreeModelFromRigidBody = function(rigidBody) {
     var model = rigidBody._lbThreeModel;
     if (model) {
-        if (rigidBody.sailSurface) {
+        // Spinnakers are hidden while doused, while they're going up or down the sail shape
+        // is squashed down the luff, which is the sail's z axis, towards the tack.
+        var hoistFraction = rigidBody.hoistFraction;
+        if (hoistFraction !== undefined) {
+            model.visible = (hoistFraction > 0);
+        }
+        
+        if (rigidBody.sailSurface && model.visible) {
             rigidBody.sailSurface.slices.forEach(function(slice) {
                 var count = slice.indexMapping.length;
                 for (var i = 0; i < count; ++i) {
                     var index = slice.indexMapping[i];
-                    LBSailSim.SailEnvTHREE.copyVectorToTHREE(slice.points[i], model.geometry.vertices[index]);
+                    var point = slice.points[i];
+                    if (hoistFraction < 1) {
+                        point = _workingSailPoint.copy(point);
+                        point.z *= hoistFraction;
+                    }
+                    LBSailSim.SailEnvTHREE.copyVectorToTHREE(point, model.geometry.vertices[index]);
                 }
             });
             model.geometry.verticesNeedUpdate = true;
         }
         
-        var obj3D = rigidBody.obj3D;
+        var obj3D = rigidBody._lbDisplayObj3D || rigidBody.obj3D;
         LBSailSim.SailEnvTHREE.copyVectorToTHREE(obj3D.position, model.position);
         if (!model.noLBOrientationCopy) {
             LBSailSim.SailEnvTHREE.copyQuaternionToTHREE(obj3D.quaternion, model.quaternion);
@@ -194,7 +194,7 @@ LBSailSim.ParticleWakes.prototype = {
         // mid-point as the wake progresses.
         
         for (var i = this.particlesToGenerate; i > 0; --i) {
-            var spanValue = Math.random();
+            var spanValue = this.sailEnv.effectsPRNG.nextValue();
 
             var pos = this.particleOptions.position;
             pos.lerpVectors(wakeEndStbd, wakeEndPort, spanValue);
@@ -15,8 +15,8 @@
  */
 
 
-define(['lbsailsim', 'lbmath', 'lbutil', 'three'],
-function(LBSailSim, LBMath, LBUtil, THREE) {
+define(['lbsailsim', 'lbmath', 'lbutil', 'lbflowfield3d', 'three'],
+function(LBSailSim, LBMath, LBUtil, LBFlowField3D, THREE) {
     
     
 /**
@@ -30,6 +30,10 @@ function(LBSailSim, LBMath, LBUtil, THREE) {
  * It does this again using shaders.
  * <p>
  * All the shader based stuff is handled by {@link LBSailSim.WaterShader}. See it for more details.
+ * <p>
+ * If the water has waves {@link LBSailSim.Waves}, a finer mesh centered under the camera
+ * is rendered in place of the middle of the water surface, the shader displaces it by the same
+ * wave trains used for the buoyancy.
  * @param {module:LBUI3d.Scene3D} scene3D  The 3D scene.
  * @param {LBSailSim.SailEnv} sailEnv   The sailing environment.
  * @returns {LBSailSim.Water3D}
@@ -46,6 +50,23 @@ LBSailSim.Water3D = function(scene3D, sailEnv) {
         // 4000 seems to be small enough to get decent resolution at close zoom.
 LBSailSim.Water3D.MESH_SIZE = 4000;
 
+/**
+ * The size of the mesh the waves are rendered on.
+ * @constant
+ * @type {Number}
+ */
+LBSailSim.Water3D.WAVES_MESH_SIZE = 512;
+
+/**
+ * The number of segments along each side of the waves mesh.
+ * @constant
+ * @type {Number}
+ */
+LBSailSim.Water3D.WAVES_MESH_SEGMENTS = 256;
+
+var _workingWaveVector = new THREE.Vector3();
+var _workingWaveVectorThree = new THREE.Vector3();
+
 LBSailSim.Water3D.prototype = {
     _loadWaterShader: function() {
         //return false;
@@ -103,6 +124,70 @@ LBSailSim.Water3D.prototype = {
         return undefined;
     },
     
+    _createWavesMesh: function() {
+        var meshSize = LBSailSim.Water3D.WAVES_MESH_SIZE;
+        var segments = LBSailSim.Water3D.WAVES_MESH_SEGMENTS;
+        var geometry = new THREE.PlaneBufferGeometry(meshSize, meshSize, segments, segments);
+        this.waterShader.setupGeometryForShader(geometry);
+        
+        var mesh = new THREE.Mesh(geometry, this.waterShader.puffsMaterial);
+        mesh.rotation.x = -Math.PI * 0.5;
+        this.scene3D.add(mesh);
+        return mesh;
+    },
+    
+    /**
+     * Updates the wave uniforms of the shader and the position of the waves mesh.
+     * @protected
+     */
+    _updateWaves: function() {
+        var waterShader = this.waterShader;
+        var waves = this.sailEnv.water.waves;
+        var uniforms = waterShader.puffsMaterial.uniforms;
+        var holeUniforms = waterShader.material.uniforms;
+        
+        var waveCount = Math.min(waves.components.length, LBSailSim.WaterShader.MAX_WAVES);
+        uniforms.waveCount.value = waveCount;
+        if (!waveCount) {
+            if (this.wavesMesh) {
+                this.wavesMesh.visible = false;
+            }
+            holeUniforms.holeHalfSize.value = 0;
+            return;
+        }
+        
+        if (!this.wavesMesh) {
+            this.wavesMesh = this._createWavesMesh();
+        }
+        this.wavesMesh.visible = true;
+        
+        // Snap the mesh to its grid so the vertices don't swim as the camera moves.
+        var meshSize = LBSailSim.Water3D.WAVES_MESH_SIZE;
+        var cellSize = meshSize / LBSailSim.Water3D.WAVES_MESH_SEGMENTS;
+        var centerX = Math.round(waterShader.eye.x / cellSize) * cellSize;
+        var centerZ = Math.round(waterShader.eye.z / cellSize) * cellSize;
+        this.wavesMesh.position.set(centerX, 0, centerZ);
+        
+        uniforms.waveFadeCenter.value.set(centerX, centerZ);
+        uniforms.waveFadeRadii.value.set(0.3 * meshSize, 0.45 * meshSize);
+        
+        // Overlap the surface mesh a little so there are no cracks along the edges.
+        holeUniforms.holeCenter.value.set(centerX, centerZ);
+        holeUniforms.holeHalfSize.value = 0.5 * meshSize - 1;
+        
+        var coordMapping = this.scene3D.coordMapping;
+        var time = waves.elapsedTime;
+        for (var i = 0; i < waveCount; ++i) {
+            var component = waves.components[i];
+            uniforms.waveAmplitudes.value[i] = component.amplitude;
+            uniforms.wavePhases.value[i] = component.phaseRad - component.angularFrequency * time;
+            
+            _workingWaveVector.set(component.direction.x, component.direction.y, 0).multiplyScalar(component.waveNumber);
+            coordMapping.vector3ToThreeJS(_workingWaveVector, _workingWaveVectorThree);
+            uniforms.waveVectors.value[i].set(_workingWaveVectorThree.x, _workingWaveVectorThree.z);
+        }
+    },
+    
     
     /**
      * The main update function.
@@ -111,6 +196,7 @@ LBSailSim.Water3D.prototype = {
     update: function(dt) {
         if (this.waterShader) {
             this.waterShader.update();
+            this._updateWaves();
         }
     },
     
@@ -122,6 +208,40 @@ LBSailSim.Water3D.prototype = {
 };
 
 
+/**
+ * Displays the water currents from {@link LBSailSim.Water#getFlowVelocity} as a grid of
+ * arrows on the water surface surrounding a center point, normally the focus vessel.
+ * @constructor
+ * @extends LBSailSim.FlowField3D
+ * @param {module:LBUI3d.Scene3D} scene3D  The scene to add the arrows to.
+ * @param {LBSailSim.SailEnv} sailEnv   The sailing environment.
+ * @param {Object} [options]    Optional options, see {@link LBSailSim.FlowField3D}.
+ * @returns {LBSailSim.CurrentField3D}
+ */
+LBSailSim.CurrentField3D = function(scene3D, sailEnv, options) {
+    options = Object.assign({ arrowScale: 20, height: 0.1, hue: 0.1 }, options);
+    LBSailSim.FlowField3D.call(this, scene3D, options);
+    this.sailEnv = sailEnv;
+    
+    /**
+     * The current speed in m/s the arrow colors are relative to.
+     * @member {Number}
+     */
+    this.referenceSpeed = options.referenceSpeed || 1;
+};
+
+LBSailSim.CurrentField3D.prototype = Object.create(LBSailSim.FlowField3D.prototype);
+LBSailSim.CurrentField3D.prototype.constructor = LBSailSim.CurrentField3D;
+
+LBSailSim.CurrentField3D.prototype.getFlowVelocity = function(x, y, vel) {
+    return this.sailEnv.water.getFlowVelocity(x, y, 0, vel);
+};
+
+LBSailSim.CurrentField3D.prototype.getReferenceSpeed = function() {
+    return this.referenceSpeed;
+};
+
+
 /**
  * This was originally based on ThreeJS' examples/js/WaterShader.js.
  * <p>
@@ -195,7 +315,10 @@ LBSailSim.WaterShader = function(water3D, options) {
     var surfaceUniforms = THREE.UniformsUtils.clone( surfaceShader.uniforms );
 
     this.material = this.createShaderMaterial(surfaceShader, surfaceUniforms);
-    this.puffsMaterial = this.material;
+    
+    // The puffs and the waves mesh have their own material so they're not affected by
+    // the hole cut into the surface under the waves mesh.
+    this.puffsMaterial = this.createShaderMaterial(surfaceShader);
     
     this.wakesMaterial = this.createShaderMaterial(surfaceShader);
     // Can't use true normals unless we have more than 2 segments across the wake mesh.
@@ -222,12 +345,26 @@ LBSailSim.WaterShader = function(water3D, options) {
     this.puffsMaterial.uniforms.eye.value = this.eye;
     this.wakesMaterial.uniforms.eye.value = this.eye;
     
+    // The wakes ride the same waves as the puffs and the waves mesh.
+    var wavesUniforms = this.puffsMaterial.uniforms;
+    var wakesUniforms = this.wakesMaterial.uniforms;
+    [ 'waveCount', 'waveAmplitudes', 'waveVectors', 'wavePhases', 'waveFadeCenter', 'waveFadeRadii' ].forEach(function(name) {
+        wakesUniforms[name] = wavesUniforms[name];
+    });
+    
     this.update();
 };
 
 LBSailSim.WaterShader.prototype = Object.create(THREE.Object3D.prototype);
 LBSailSim.WaterShader.prototype.constructor = LBSailSim.WaterShader;
 
+/**
+ * The maximum number of wave trains the shader renders.
+ * @constant
+ * @type {Number}
+ */
+LBSailSim.WaterShader.MAX_WAVES = 16;
+
 
 LBSailSim.WaterShader.prototype.createShaderMaterial = function(surfaceShader, surfaceUniforms) {
     surfaceUniforms = surfaceUniforms || THREE.UniformsUtils.clone( surfaceShader.uniforms );
@@ -279,6 +416,14 @@ LBSailSim.WaterShader.prototype.getSurfaceShader = function() {
         };
 };
 
+function _createArray(length, createItem) {
+    var array = [];
+    for (var i = 0; i < length; ++i) {
+        array.push(createItem());
+    }
+    return array;
+}
+
 LBSailSim.WaterShader.prototype.getSurfaceUniforms = function() {
     return THREE.UniformsUtils.merge( [
             THREE.UniformsLib[ 'fog' ],
@@ -293,7 +438,17 @@ LBSailSim.WaterShader.prototype.getSurfaceUniforms = function() {
                 sunColor: { value: new THREE.Color( 0x7F7F7F ) },
                 sunDirection: { value: new THREE.Vector3( 0.70707, 0.70707, 0 ) },
                 eye: { value: new THREE.Vector3() },
-                waterColor: { value: new THREE.Color( 0x555555 ) }
+                waterColor: { value: new THREE.Color( 0x555555 ) },
+                
+                waveCount: { value: 0 },
+                waveAmplitudes: { value: _createArray(LBSailSim.WaterShader.MAX_WAVES, function() { return 0; }) },
+                waveVectors: { value: _createArray(LBSailSim.WaterShader.MAX_WAVES, function() { return new THREE.Vector2(); }) },
+                wavePhases: { value: _createArray(LBSailSim.WaterShader.MAX_WAVES, function() { return 0; }) },
+                waveFadeCenter: { value: new THREE.Vector2() },
+                waveFadeRadii: { value: new THREE.Vector2() },
+                
+                holeCenter: { value: new THREE.Vector2() },
+                holeHalfSize: { value: 0 }
             }
         ] );
 };
@@ -312,6 +467,15 @@ LBSailSim.WaterShader.prototype.getSurfaceVertexShader = function() {
 
             'varying vec3 worldPosition;',
 
+            '#define MAX_WAVES ' + LBSailSim.WaterShader.MAX_WAVES,
+            'uniform int waveCount;',
+            'uniform float waveAmplitudes[MAX_WAVES];',
+            'uniform vec2 waveVectors[MAX_WAVES];',
+            'uniform float wavePhases[MAX_WAVES];',
+            'uniform vec2 waveFadeCenter;',
+            'uniform vec2 waveFadeRadii;',
+            'varying vec2 vWaveSlope;',
+
             THREE.ShaderChunk[ 'fog_pars_vertex' ],
 
             'void main() {',
@@ -322,7 +486,25 @@ LBSailSim.WaterShader.prototype.getSurfaceVertexShader = function() {
 
             '   worldPosition = (modelMatrix * vec4( position, 1.0 )).xyz;',
 
-            '   vec4 mvPosition =  modelViewMatrix * vec4( position, 1.0 );',
+            // The waves are faded out towards the edges of the waves mesh so it blends into the surface.
+            '   vWaveSlope = vec2(0.0);',
+            '   if (waveCount > 0) {',
+            '       vec2 fadeDelta = abs(worldPosition.xz - waveFadeCenter);',
+            '       float fade = 1.0 - smoothstep(waveFadeRadii.x, waveFadeRadii.y, max(fadeDelta.x, fadeDelta.y));',
+            '       float height = 0.0;',
+            '       for (int i = 0; i < MAX_WAVES; ++i) {',
+            '           if (i >= waveCount) {',
+            '               break;',
+            '           }',
+            '           float phase = dot(waveVectors[i], worldPosition.xz) + wavePhases[i];',
+            '           height += waveAmplitudes[i] * cos(phase);',
+            '           vWaveSlope -= waveAmplitudes[i] * sin(phase) * waveVectors[i];',
+            '       }',
+            '       worldPosition.y += height * fade;',
+            '       vWaveSlope *= fade;',
+            '   }',
+
+            '   vec4 mvPosition =  viewMatrix * vec4( worldPosition, 1.0 );',
             '   gl_Position = projectionMatrix * mvPosition;',
 
             '   vViewNormal = normalize(normalMatrix * normal);',
@@ -356,6 +538,10 @@ LBSailSim.WaterShader.prototype.getSurfaceFragmentShader = function() {
             'uniform vec3 waterColor;',
 
             'varying vec3 worldPosition;',
+            'varying vec2 vWaveSlope;',
+
+            'uniform vec2 holeCenter;',
+            'uniform float holeHalfSize;',
 
             'vec4 getNormal( vec2 uv) {',
             '   vec4 normal = texture2D( normalSampler, uv);',
@@ -393,11 +579,20 @@ LBSailSim.WaterShader.prototype.getSurfaceFragmentShader = function() {
             THREE.ShaderChunk[ 'fog_pars_fragment' ],
 
             'void main() {',
+            // The hole is where the waves mesh is rendered instead.
+            '   if (holeHalfSize > 0.0) {',
+            '       vec2 holeDelta = abs(worldPosition.xz - holeCenter);',
+            '       if (max(holeDelta.x, holeDelta.y) < holeHalfSize) {',
+            '           discard;',
+            '       }',
+            '   }',
+
             // noise/surfaceNormal adds shimmer to the water The noise is really the surface normal
             // to be used, in view space. The multiplication by vec3(1.5, 1.0, 1.5) appears to be
             // a scaling operation.
             '   vec4 noise = getNoise( worldPosition.xz );',
             '   vec3 surfaceNormal = normalize( noise.xzy * vec3( 1.5, 1.0, 1.5 ) );',
+            '   surfaceNormal = normalize( surfaceNormal - vec3( vWaveSlope.x, 0.0, vWaveSlope.y ) );',
 
             '   vec3 diffuseLight = vec3(0.0);',
             '   vec3 specularLight = vec3(0.0);',
@@ -14,8 +14,8 @@
  * limitations under the License.
  */
 
-define(['lbsailsim', 'lbgeometry', 'lbmath', 'three'],
-function(LBSailSim, LBGeometry, LBMath, THREE) {
+define(['lbsailsim', 'lbgeometry', 'lbmath', 'lbflowfield3d', 'three'],
+function(LBSailSim, LBGeometry, LBMath, LBFlowField3D, THREE) {
     
     'use strict';
     
@@ -140,7 +140,7 @@ LBSailSim.Telltale3D.prototype._updateShape = function(windVel, dt) {
     var index = 3;
     this.coordMapping.xyzFromThreeJS(positions, 0, _workingCurrentPos, 0);
     for (var i = 0; i < this.segCount; ++i) {
-        var angle = theta + (Math.random() - 0.5) * fluctuation;
+        var angle = theta + (this.sailEnv.effectsPRNG.nextValue() - 0.5) * fluctuation;
         _workingCurrentPos[0] += this.segLength * Math.sin(angle);
         _workingCurrentPos[2] += -this.segLength * Math.cos(angle);
         this.coordMapping.xyzToThreeJS(_workingCurrentPos, 0, positions, index);
@@ -166,5 +166,33 @@ LBSailSim.Telltale3D.createFromData = function(sailEnv, data, defColor) {
     return LBGeometry.loadObject3DBasic(obj3DData, telltale);
 };
 
+
+/**
+ * Displays the large scale wind, the shifts and geographic patterns from {@link LBSailSim.Wind#getBaseFlowVelocity},
+ * as a grid of arrows just above the water surrounding a center point, normally the focus vessel.
+ * The more pressure there is relative to the average wind the darker the arrows.
+ * @constructor
+ * @extends LBSailSim.FlowField3D
+ * @param {module:LBUI3d.Scene3D} scene3D  The scene to add the arrows to.
+ * @param {LBSailSim.SailEnv} sailEnv   The sailing environment.
+ * @param {Object} [options]    Optional options, see {@link LBSailSim.FlowField3D}.
+ * @returns {LBSailSim.WindField3D}
+ */
+LBSailSim.WindField3D = function(scene3D, sailEnv, options) {
+    LBSailSim.FlowField3D.call(this, scene3D, options);
+    this.sailEnv = sailEnv;
+};
+
+LBSailSim.WindField3D.prototype = Object.create(LBSailSim.FlowField3D.prototype);
+LBSailSim.WindField3D.prototype.constructor = LBSailSim.WindField3D;
+
+LBSailSim.WindField3D.prototype.getFlowVelocity = function(x, y, vel) {
+    return this.sailEnv.wind.getBaseFlowVelocity(x, y, vel);
+};
+
+LBSailSim.WindField3D.prototype.getReferenceSpeed = function() {
+    return this.sailEnv.wind.baseMPS;
+};
+
 return LBSailSim;
 });
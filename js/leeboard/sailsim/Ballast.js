@@ -0,0 +1,380 @@
+/*
+ * Copyright 2017 Albert Santos.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+define(['lbsailsimbase', 'lbcontrols', 'lbphysics', 'lbutil', 'lbmath', 'lbgeometry'],
+function(LBSailSim, LBControls, LBPhysics, LBUtil, LBMath, LBGeometry) {
+
+    'use strict';
+
+
+/**
+ * A ballast that can be moved around the vessel, normally the crew. The ballast moves
+ * along two tracks in the vessel's coordinates, a fore/aft track along the x-axis and an
+ * in/out track across the vessel. The in/out position is the distance outboard to the
+ * windward side of the vessel, so the crew automatically crosses over after a tack or
+ * gybe; negative values put the ballast to leeward. The ballast moves towards its
+ * target positions at a limited speed, which is done by {@link LBSailSim.MovableBallast#updatePosition}.
+ * <p>
+ * The tracks are loaded from the data object:
+ * <pre><code>
+ *  foreAftTrack:   { min: 3.6, max: 4.9 },     // The range of x coordinates.
+ *  inOutTrack:     { min: -0.5, max: 1.1 },    // The range of distances outboard to windward.
+ *  speed:          0.8                         // The speed at which the ballast moves, in m/s.
+ * </code></pre>
+ * A track that isn't specified is fixed at the ballast's loaded position.
+ * @constructor
+ * @extends module:LBPhysics.RigidBody
+ * @returns {LBSailSim.MovableBallast}
+ */
+LBSailSim.MovableBallast = function() {
+    LBPhysics.RigidBody.call(this);
+    
+    /**
+     * The most forward x coordinate of the ballast.
+     * @member {Number}
+     */
+    this.foreAftMin = 0;
+    
+    /**
+     * The most aft x coordinate of the ballast.
+     * @member {Number}
+     */
+    this.foreAftMax = 0;
+    
+    /**
+     * The minimum distance outboard to windward of the ballast, negative values are to leeward.
+     * @member {Number}
+     */
+    this.inOutMin = 0;
+    
+    /**
+     * The maximum distance outboard to windward of the ballast.
+     * @member {Number}
+     */
+    this.inOutMax = 0;
+    
+    /**
+     * The speed at which the ballast moves to its target position, in m/s.
+     * @member {Number}
+     */
+    this.speed = 0.8;
+    
+    /**
+     * The x coordinate the ballast is moving towards.
+     * @readonly
+     * @member {Number}
+     */
+    this.foreAftTarget = 0;
+    
+    /**
+     * The distance outboard to windward the ballast is moving towards.
+     * @readonly
+     * @member {Number}
+     */
+    this.inOutTarget = 0;
+    
+    /**
+     * The side of the vessel the wind is coming from, 1 for starboard (the +y side), -1 for port.
+     * @readonly
+     * @member {Number}
+     */
+    this.windwardSign = 1;
+    
+    /**
+     * The apparent wind has to be at least this many degrees off the bow on the other
+     * side of the vessel before the windward side is switched, this keeps the ballast
+     * from shuffling back and forth while head to wind.
+     * @member {Number}
+     */
+    this.windwardSwitchDeg = 10;
+};
+
+var _workingVector3 = new LBGeometry.Vector3();
+
+LBSailSim.MovableBallast.prototype = Object.create(LBPhysics.RigidBody.prototype);
+LBSailSim.MovableBallast.prototype.constructor = LBSailSim.MovableBallast;
+
+/**
+ * Loads the ballast from the properties of a data object.
+ * @param {object} data The data to load from.
+ * @returns {LBSailSim.MovableBallast}  this.
+ */
+LBSailSim.MovableBallast.prototype.load = function(data) {
+    LBPhysics.RigidBody.prototype.load.call(this, data);
+    
+    var position = this.obj3D.position;
+    this.windwardSign = (position.y < 0) ? -1 : 1;
+    
+    var foreAftTrack = data.foreAftTrack || {};
+    var foreAftA = LBUtil.isVar(foreAftTrack.min) ? foreAftTrack.min : position.x;
+    var foreAftB = LBUtil.isVar(foreAftTrack.max) ? foreAftTrack.max : position.x;
+    this.foreAftMin = Math.min(foreAftA, foreAftB);
+    this.foreAftMax = Math.max(foreAftA, foreAftB);
+    
+    var inOut = Math.abs(position.y);
+    var inOutTrack = data.inOutTrack || {};
+    var inOutA = LBUtil.isVar(inOutTrack.min) ? inOutTrack.min : inOut;
+    var inOutB = LBUtil.isVar(inOutTrack.max) ? inOutTrack.max : inOut;
+    this.inOutMin = Math.min(inOutA, inOutB);
+    this.inOutMax = Math.max(inOutA, inOutB);
+    
+    this.speed = LBUtil.isVar(data.speed) ? data.speed : this.speed;
+    this.windwardSwitchDeg = LBUtil.isVar(data.windwardSwitchDeg) ? data.windwardSwitchDeg : this.windwardSwitchDeg;
+    
+    this.setForeAftTarget(position.x, true);
+    this.setInOutTarget(inOut, true);
+    
+    return this;
+};
+
+/**
+ * Sets the x coordinate the ballast is to move to.
+ * @param {Number} x    The x coordinate, this is clamped to the fore/aft track.
+ * @param {Boolean} [isImmediate=false] If true the ballast is moved there right away.
+ * @returns {LBSailSim.MovableBallast}  this.
+ */
+LBSailSim.MovableBallast.prototype.setForeAftTarget = function(x, isImmediate) {
+    this.foreAftTarget = LBMath.clamp(x, this.foreAftMin, this.foreAftMax);
+    if (isImmediate) {
+        this.obj3D.position.x = this.foreAftTarget;
+    }
+    return this;
+};
+
+/**
+ * Sets the distance outboard to windward the ballast is to move to.
+ * @param {Number} distance The distance, negative values are to leeward. This is clamped
+ * to the in/out track.
+ * @param {Boolean} [isImmediate=false] If true the ballast is moved there right away.
+ * @returns {LBSailSim.MovableBallast}  this.
+ */
+LBSailSim.MovableBallast.prototype.setInOutTarget = function(distance, isImmediate) {
+    this.inOutTarget = LBMath.clamp(distance, this.inOutMin, this.inOutMax);
+    if (isImmediate) {
+        this.obj3D.position.y = this.windwardSign * this.inOutTarget;
+    }
+    return this;
+};
+
+/**
+ * @returns {Number}    The current distance outboard to windward of the ballast.
+ */
+LBSailSim.MovableBallast.prototype.getInOut = function() {
+    return this.windwardSign * this.obj3D.position.y;
+};
+
+/**
+ * Called by {@link LBSailSim.MovableBallast#updatePosition} to update the windward side
+ * from the vessel's apparent wind.
+ * @protected
+ * @param {LBSailSim.Vessel} vessel The vessel to which this belongs.
+ * @returns {undefined}
+ */
+LBSailSim.MovableBallast.prototype._updateWindwardSide = function(vessel) {
+    var wind = _workingVector3.copy(vessel.apparentWind);
+    wind.applyMatrix4Rotation(vessel.coordSystem.localXfrm);
+    
+    var minY = Math.sqrt(wind.x * wind.x + wind.y * wind.y) * Math.sin(this.windwardSwitchDeg * LBMath.DEG_TO_RAD);
+    
+    // The apparent wind is the direction the air is moving, so it comes from the other side.
+    if (wind.y > minY) {
+        this.windwardSign = -1;
+    }
+    else if (wind.y < -minY) {
+        this.windwardSign = 1;
+    }
+};
+
+/**
+ * Moves the ballast towards its target position, called each simulation time step
+ * by the vessel.
+ * @param {Number} dt   The simulation time step.
+ * @param {LBSailSim.Vessel} vessel The vessel to which this belongs.
+ * @returns {LBSailSim.MovableBallast}  this.
+ */
+LBSailSim.MovableBallast.prototype.updatePosition = function(dt, vessel) {
+    this._updateWindwardSide(vessel);
+    
+    var position = this.obj3D.position;
+    var dx = this.foreAftTarget - position.x;
+    var dy = this.windwardSign * this.inOutTarget - position.y;
+    var distance = Math.sqrt(dx * dx + dy * dy);
+    if (LBMath.isLikeZero(distance)) {
+        return this;
+    }
+    
+    var scale = Math.min(this.speed * dt / distance, 1);
+    position.x += dx * scale;
+    position.y += dy * scale;
+    return this;
+};
+
+
+/**
+ * Base class for the controllers of {@link LBSailSim.MovableBallast}s. The controller's
+ * range is mapped onto the ballast's track.
+ * @constructor
+ * @extends module:LBControls.SmoothController
+ * @param {LBSailSim.Vessel} [vessel] The vessel to which this belongs.
+ * @returns {LBSailSim.BallastController}
+ */
+LBSailSim.BallastController = function(vessel) {
+    LBControls.SmoothController.call(this);
+    
+    /**
+     * The vessel to which this belongs.
+     * @member {LBSailSim.Vessel}
+     */
+    this.vessel = vessel;
+    
+    /**
+     * The name of the ballasts which are controlled by this.
+     * @member {String}
+     */
+    this.ballastName = 'crew';
+    
+    /**
+     * The array of ballasts controlled by this.
+     * @member {LBSailSim.MovableBallast[]}
+     */
+    this.ballasts = [];
+    
+    this._isImmediate = false;
+};
+
+LBSailSim.BallastController.prototype = Object.create(LBControls.SmoothController.prototype);
+LBSailSim.BallastController.prototype.constructor = LBSailSim.BallastController;
+
+/**
+ * Loads the controller from the properties in a data object.
+ * @param {object} data The data object.
+ * @param {LBSailSim.Vessel} vessel The vessel to which this belongs.
+ * @returns {LBSailSim.BallastController}  this.
+ */
+LBSailSim.BallastController.prototype.load = function(data, vessel) {
+    this.controllee = function(value) {
+        this._applyValue(value);
+    };
+    
+    this.vessel = vessel;
+    LBControls.SmoothController.prototype.load.call(this, data, vessel);
+    this.ballastName = data.ballastName || this.ballastName;
+    this._loadBallasts();
+    
+    // The ballasts start out where the controller says they are.
+    this._isImmediate = true;
+    this._applyValue(this.currentValue);
+    this._isImmediate = false;
+    return this;
+};
+
+/**
+ * Gathers up the ballasts controlled by this controller.
+ * @protected
+ * @returns {undefined}
+ */
+LBSailSim.BallastController.prototype._loadBallasts = function() {
+    if (!this.vessel) {
+        return;
+    }
+    
+    LBPhysics.RigidBody.getRigidBodiesWithName(this.vessel.ballasts, this.ballastName, this.ballasts);
+};
+
+/**
+ * Applies the controller's value to all the ballasts.
+ * @protected
+ * @param {Number} value    The controller value.
+ * @returns {undefined}
+ */
+LBSailSim.BallastController.prototype._applyValue = function(value) {
+    for (var i = 0; i < this.ballasts.length; ++i) {
+        this._applyValueToBallast(this.ballasts[i], value);
+    }
+};
+
+/**
+ * Called by {@link LBSailSim.BallastController#_applyValue} for each ballast.
+ * @protected
+ * @param {LBSailSim.MovableBallast} ballast The ballast.
+ * @param {Number} value    The controller value.
+ * @returns {undefined}
+ */
+LBSailSim.BallastController.prototype._applyValueToBallast = function(ballast, value) {
+    throw "_applyValueToBallast not implemented by this!";
+};
+
+/**
+ * Call when done with the object to have it release any internal references
+ * to other objects to help with garbage collection.
+ * @returns {undefined}
+ */
+LBSailSim.BallastController.prototype.destroy = function() {
+    if (this.ballasts) {
+        this.ballasts.length = 0;
+        this.ballasts = null;
+        this.controllee = null;
+        this.ballastName = null;
+        this.vessel = null;
+    
+        LBControls.SmoothController.prototype.destroy.call(this);
+    }
+};
+
+
+/**
+ * Controller for hiking, the minimum value moves the ballast to the inboard end of
+ * its in/out track, the maximum value to the outboard end.
+ * @constructor
+ * @extends LBSailSim.BallastController
+ * @param {LBSailSim.Vessel} vessel The vessel which this helps control.
+ * @returns {LBSailSim.HikingController}
+ */
+LBSailSim.HikingController = function(vessel) {
+    LBSailSim.BallastController.call(this, vessel);
+};
+
+LBSailSim.HikingController.prototype = Object.create(LBSailSim.BallastController.prototype);
+LBSailSim.HikingController.prototype.constructor = LBSailSim.HikingController;
+
+LBSailSim.HikingController.prototype._applyValueToBallast = function(ballast, value) {
+    var distance = LBMath.mapInRange(value, this.minValue, this.maxValue, ballast.inOutMin, ballast.inOutMax);
+    ballast.setInOutTarget(distance, this._isImmediate);
+};
+
+
+/**
+ * Controller for the fore/aft position of a ballast, the minimum value moves the ballast
+ * to the forward end of its fore/aft track, the maximum value to the aft end.
+ * @constructor
+ * @extends LBSailSim.BallastController
+ * @param {LBSailSim.Vessel} vessel The vessel which this helps control.
+ * @returns {LBSailSim.ForeAftBallastController}
+ */
+LBSailSim.ForeAftBallastController = function(vessel) {
+    LBSailSim.BallastController.call(this, vessel);
+};
+
+LBSailSim.ForeAftBallastController.prototype = Object.create(LBSailSim.BallastController.prototype);
+LBSailSim.ForeAftBallastController.prototype.constructor = LBSailSim.ForeAftBallastController;
+
+LBSailSim.ForeAftBallastController.prototype._applyValueToBallast = function(ballast, value) {
+    var x = LBMath.mapInRange(value, this.minValue, this.maxValue, ballast.foreAftMin, ballast.foreAftMax);
+    ballast.setForeAftTarget(x, this._isImmediate);
+};
+
+return LBSailSim;
+});
@@ -0,0 +1,387 @@
+/*
+ * Copyright 2017 Albert Santos.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+define(['lbsailsimbase', 'lbutil', 'lbmath', 'lbgeometry'],
+function(LBSailSim, LBUtil, LBMath, LBGeometry) {
+
+'use strict';
+
+/**
+ * The bathymetry manager, this determines the depth of the water, which is the distance from
+ * the water surface at z = 0 down to the bottom. The depths are defined by an optional depth
+ * grid, on top of which depth areas such as shoals and channels are applied in order.
+ * @constructor
+ * @param {LBSailSim.SailEnv} sailEnv The sailing environment this belongs to.
+ * @returns {LBSailSim.Bathymetry}
+ */
+LBSailSim.Bathymetry = function(sailEnv) {
+    this.sailEnv = sailEnv;
+
+    /**
+     * The depth where there is no depth grid.
+     * @member {Number}
+     */
+    this.defaultDepth = 100;
+
+    /**
+     * The depth grid, undefined if none.
+     * @member {LBSailSim.DepthGrid}
+     */
+    this.grid = undefined;
+
+    /**
+     * The depth areas, applied in order on top of the depth grid.
+     * @member {LBSailSim.DepthArea[]}
+     */
+    this.areas = [];
+
+    /**
+     * The distance either side of a point used to calculate the depth gradient in
+     * {@link LBSailSim.Bathymetry#getBottomNormal}.
+     * @member {Number}
+     */
+    this.normalStep = 0.5;
+
+    this._hasDepths = false;
+};
+
+LBSailSim.Bathymetry.prototype = {
+    constructor: LBSailSim.Bathymetry,
+
+    /**
+     * Loads the bathymetry from a data object, normally the bathymetry property of the
+     * environment data, depths are positive down from the water surface:
+     * <pre><code>
+     *  defaultDepth:   100,        // The depth where there is no grid.
+     *  grid: {                     // Optional, see LBSailSim.DepthGrid.
+     *      x: -500, y: -500,       // The grid point at the south west corner.
+     *      spacing:    100,
+     *      columns:    11,
+     *      rows:       11,
+     *      depths:     [ 20, 18, ... ]     // Row by row, starting at the south edge.
+     *  },
+     *  areas: [                    // Optional, see LBSailSim.DepthArea.
+     *      {
+     *          depth:      0.5,    // The depth within the area.
+     *          falloff:    20,     // The distance outside the area over which the depth blends back.
+     *          vertices:   [ x0, y0, x1, y1, ... ]     // The polygon outlining the area.
+     *      }
+     *  ]
+     * </code></pre>
+     * @param {Object} [data]   The data object, if undefined the water is the default
+     * depth everywhere.
+     * @returns {LBSailSim.Bathymetry}  this.
+     */
+    load: function(data) {
+        this._hasDepths = LBUtil.isVar(data);
+        data = data || {};
+
+        this.defaultDepth = data.defaultDepth || 100;
+        this.grid = (data.grid) ? new LBSailSim.DepthGrid().load(data.grid) : undefined;
+
+        this.areas.length = 0;
+        if (data.areas) {
+            data.areas.forEach(function(areaData) {
+                this.areas.push(new LBSailSim.DepthArea().load(areaData));
+            }, this);
+        }
+
+        return this;
+    },
+
+    /**
+     * @returns {Boolean}   true if depths have been loaded, if not the depth is
+     * {@link LBSailSim.Bathymetry#defaultDepth} everywhere.
+     */
+    hasDepths: function() {
+        return this._hasDepths;
+    },
+
+    /**
+     * Retrieves the depth of the water at a point.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @returns {Number}    The depth, the distance from the water surface down to the bottom.
+     */
+    getDepth: function(x, y) {
+        var depth = (this.grid) ? this.grid.getDepth(x, y) : this.defaultDepth;
+        for (var i = 0; i < this.areas.length; ++i) {
+            depth = this.areas[i].applyDepth(x, y, depth);
+        }
+        return depth;
+    },
+
+    /**
+     * Retrieves the z coordinate of the bottom at a point.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @returns {Number}    The z coordinate of the bottom.
+     */
+    getBottomZ: function(x, y) {
+        return -this.getDepth(x, y);
+    },
+
+    /**
+     * Retrieves the normal of the bottom at a point, the normal points up out of the bottom.
+     * The normal is calculated from the depth gradient using central differences.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @param {module:LBGeometry.Vector3} [normal]  If defined the object to store the normal into.
+     * @returns {module:LBGeometry.Vector3}    The unit normal.
+     */
+    getBottomNormal: function(x, y, normal) {
+        normal = normal || new LBGeometry.Vector3();
+        var step = this.normalStep;
+        var dzdx = (this.getBottomZ(x + step, y) - this.getBottomZ(x - step, y)) / (2 * step);
+        var dzdy = (this.getBottomZ(x, y + step) - this.getBottomZ(x, y - step)) / (2 * step);
+        return normal.set(-dzdx, -dzdy, 1).normalize();
+    }
+};
+
+
+/**
+ * A grid of depths, the depth is bilinearly interpolated between the grid points. Outside
+ * the grid the depth of the nearest edge is used.
+ * @constructor
+ * @returns {LBSailSim.DepthGrid}
+ */
+LBSailSim.DepthGrid = function() {
+    /**
+     * The grid point at the minimum x and y corner.
+     * @member {module:LBGeometry.Vector2}
+     */
+    this.origin = new LBGeometry.Vector2();
+
+    /**
+     * The distance between the grid points.
+     * @member {Number}
+     */
+    this.spacing = 100;
+
+    /**
+     * The number of grid points along the x axis.
+     * @member {Number}
+     */
+    this.columns = 0;
+
+    /**
+     * The number of grid points along the y axis.
+     * @member {Number}
+     */
+    this.rows = 0;
+
+    /**
+     * The depths at the grid points, row by row.
+     * @member {Number[]}
+     */
+    this.depths = [];
+};
+
+LBSailSim.DepthGrid.prototype = {
+    constructor: LBSailSim.DepthGrid,
+
+    /**
+     * Loads the grid from a data object, see {@link LBSailSim.Bathymetry#load}.
+     * @param {Object} data The data object.
+     * @returns {LBSailSim.DepthGrid}   this.
+     */
+    load: function(data) {
+        this.origin.set(data.x || 0, data.y || 0);
+        this.spacing = data.spacing || this.spacing;
+
+        var depths = data.depths || [];
+        this.columns = data.columns || depths.length;
+        this.rows = data.rows || Math.ceil(depths.length / this.columns);
+        this.depths = depths.slice(0, this.columns * this.rows);
+        return this;
+    },
+
+    /**
+     * Retrieves the depth at a point.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @returns {Number}    The depth.
+     */
+    getDepth: function(x, y) {
+        if (!this.depths.length) {
+            return 0;
+        }
+
+        var column = LBMath.clamp((x - this.origin.x) / this.spacing, 0, this.columns - 1);
+        var row = LBMath.clamp((y - this.origin.y) / this.spacing, 0, this.rows - 1);
+        var column0 = Math.max(Math.min(Math.floor(column), this.columns - 2), 0);
+        var row0 = Math.max(Math.min(Math.floor(row), this.rows - 2), 0);
+        var column1 = Math.min(column0 + 1, this.columns - 1);
+        var row1 = Math.min(row0 + 1, this.rows - 1);
+        var s = column - column0;
+        var t = row - row0;
+
+        var depths = this.depths;
+        var depth0 = depths[row0 * this.columns + column0]
+                + (depths[row0 * this.columns + column1] - depths[row0 * this.columns + column0]) * s;
+        var depth1 = depths[row1 * this.columns + column0]
+                + (depths[row1 * this.columns + column1] - depths[row1 * this.columns + column0]) * s;
+        return depth0 + (depth1 - depth0) * t;
+    }
+};
+
+
+/**
+ * A polygonal area with its own depth, such as a shoal or a dredged channel. Inside
+ * the polygon the depth is the area's depth, outside the polygon the depth blends back
+ * to the underlying depth over the falloff distance from the polygon's edges.
+ * @constructor
+ * @returns {LBSailSim.DepthArea}
+ */
+LBSailSim.DepthArea = function() {
+    /**
+     * The depth within the area.
+     * @member {Number}
+     */
+    this.depth = 0;
+
+    /**
+     * The distance outside the polygon over which the depth blends back to the
+     * underlying depth.
+     * @member {Number}
+     */
+    this.falloff = 0;
+
+    /**
+     * The vertices of the polygon.
+     * @member {module:LBGeometry.Vector2[]}
+     */
+    this.vertices = [];
+
+    /**
+     * The bounds of the polygon including the falloff.
+     * @member {module:LBGeometry.Rect}
+     */
+    this.bounds = new LBGeometry.Rect();
+};
+
+var _workingPoint = new LBGeometry.Vector2();
+
+LBSailSim.DepthArea.prototype = {
+    constructor: LBSailSim.DepthArea,
+
+    /**
+     * Loads the area from a data object, see {@link LBSailSim.Bathymetry#load}.
+     * @param {Object} data The data object.
+     * @returns {LBSailSim.DepthArea}   this.
+     */
+    load: function(data) {
+        this.depth = data.depth || 0;
+        this.falloff = data.falloff || 0;
+
+        this.vertices.length = 0;
+        this.bounds.makeEmpty();
+        var coords = data.vertices || [];
+        for (var i = 0; i + 1 < coords.length; i += 2) {
+            var vertex = new LBGeometry.Vector2(coords[i], coords[i + 1]);
+            this.vertices.push(vertex);
+            this.bounds.extendToPoint(vertex);
+        }
+
+        if (!this.bounds.isEmpty()) {
+            this.bounds.set(this.bounds.minX - this.falloff, this.bounds.minY - this.falloff,
+                this.bounds.maxX + this.falloff, this.bounds.maxY + this.falloff);
+        }
+        return this;
+    },
+
+    /**
+     * Applies the area's depth to a depth.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @param {Number} depth    The underlying depth.
+     * @returns {Number}    The depth with the area applied.
+     */
+    applyDepth: function(x, y, depth) {
+        if (this.vertices.length < 3) {
+            return depth;
+        }
+
+        _workingPoint.set(x, y);
+        if (!this.bounds.containsPoint(_workingPoint)) {
+            return depth;
+        }
+
+        if (this.isPointInside(x, y)) {
+            return this.depth;
+        }
+
+        if (this.falloff <= 0) {
+            return depth;
+        }
+
+        var distance = Math.sqrt(this.distanceToEdgeSq(x, y));
+        if (distance >= this.falloff) {
+            return depth;
+        }
+
+        var weight = 1 - LBMath.smoothstep(0, this.falloff, distance);
+        return depth + (this.depth - depth) * weight;
+    },
+
+    /**
+     * Determines if a point is inside the polygon.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @returns {Boolean}   true if the point is inside.
+     */
+    isPointInside: function(x, y) {
+        var isInside = false;
+        var vertices = this.vertices;
+        for (var i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+            var vi = vertices[i];
+            var vj = vertices[j];
+            if (((vi.y > y) !== (vj.y > y))
+                    && (x < (vj.x - vi.x) * (y - vi.y) / (vj.y - vi.y) + vi.x)) {
+                isInside = !isInside;
+            }
+        }
+        return isInside;
+    },
+
+    /**
+     * Calculates the square of the distance from a point to the nearest edge of the polygon.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @returns {Number}    The distance squared.
+     */
+    distanceToEdgeSq: function(x, y) {
+        var minDistanceSq = Number.MAX_VALUE;
+        var vertices = this.vertices;
+        for (var i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+            var vi = vertices[i];
+            var vj = vertices[j];
+            var dx = vi.x - vj.x;
+            var dy = vi.y - vj.y;
+            var lengthSq = dx * dx + dy * dy;
+            var t = (lengthSq > 0) ? ((x - vj.x) * dx + (y - vj.y) * dy) / lengthSq : 0;
+            t = LBMath.clamp(t, 0, 1);
+            var ex = vj.x + t * dx - x;
+            var ey = vj.y + t * dy - y;
+            minDistanceSq = Math.min(minDistanceSq, ex * ex + ey * ey);
+        }
+        return minDistanceSq;
+    }
+};
+
+return LBSailSim;
+});
@@ -0,0 +1,399 @@
+/*
+ * Copyright 2017 Albert Santos.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+define(['lbracing', 'lbutil', 'lbgeometry', 'lbmath'], function(LBRacing, LBUtil, LBGeometry, LBMath) {
+    'use strict';
+
+
+/**
+ * The types of courses {@link module:LBRacing.CourseGenerator} can generate.
+ * @readonly
+ * @enum {String}
+ */
+LBRacing.CourseTypes = {
+    /**
+     * Start, windward mark, leeward mark, finish.
+     */
+    WINDWARD_LEEWARD :  'windwardLeeward',
+
+    /**
+     * Start, windward mark, wing mark, leeward mark, finish.
+     */
+    TRIANGLE :          'triangle',
+
+    /**
+     * Start, windward mark, reach mark, leeward mark, finish, the outer loop of a trapezoid.
+     */
+    TRAPEZOID :         'trapezoid'
+};
+
+
+/**
+ * Generates race courses laid out relative to the current average wind direction. The
+ * starting line is laid perpendicular to the wind, the windward mark is placed directly upwind
+ * of the center of the starting line, and all marks are rounded to port. The finish line
+ * is the starting line.
+ * <p>
+ * The buoys are spawned as floating objects in the sailing environment. The floating object
+ * data is taken from the environment's courseGenerator data, which has the form:
+ * <pre><code>
+ *  courseGenerator: {
+ *      portPin: {},        // The floating object data for the port end of the starting line.
+ *      stbdPin: {},        // The floating object data for the starboard end of the starting line.
+ *      marks: [ {}, ]      // The floating object data for the marks, used in order, the last one
+ *                          // is reused if there are more marks than data objects.
+ *  }
+ * </code></pre>
+ * The floating object data is the same as for the objects of the environment's floating property,
+ * except the name and pos properties are set by the generator.
+ * @constructor
+ * @param {module:LBSailSim.Env} sailEnv    The sailing environment.
+ * @param {Object} [options]    The default options for {@link module:LBRacing.CourseGenerator#generateCourse},
+ * normally {@link module:LBSailSim.Env#courseGeneratorData}.
+ * @returns {module:LBRacing.CourseGenerator}
+ */
+LBRacing.CourseGenerator = function(sailEnv, options) {
+    options = options || {};
+    this.sailEnv = sailEnv;
+
+    this.portPinData = options.portPin || {};
+    this.stbdPinData = options.stbdPin || {};
+    this.marksData = options.marks || [];
+
+    /**
+     * The type of course to generate.
+     * @member {module:LBRacing.CourseTypes}
+     */
+    this.courseType = options.courseType || LBRacing.CourseTypes.WINDWARD_LEEWARD;
+
+    /**
+     * The length of the beat from the center of the starting line to the windward mark, in meters.
+     * @member {Number}
+     */
+    this.legLength = options.legLength || 200;
+
+    /**
+     * The length of the starting line, in meters.
+     * @member {Number}
+     */
+    this.startLineLength = options.startLineLength || 30;
+
+    /**
+     * The position of the center of the starting line.
+     * @member {module:LBGeometry.Vector2}
+     */
+    this.startLineCenter = LBGeometry.loadVector2(options.startLineCenter, new LBGeometry.Vector2());
+
+    /**
+     * The number of laps of the course.
+     * @member {Number}
+     */
+    this.laps = options.laps || 1;
+
+    /**
+     * If true an offset mark is placed to port of the windward mark of windward-leeward
+     * and trapezoid courses.
+     * @member {Boolean}
+     */
+    this.hasOffsetMark = options.hasOffsetMark || false;
+
+    /**
+     * The distance of the offset mark from the windward mark, in meters.
+     * @member {Number}
+     */
+    this.offsetMarkDistance = options.offsetMarkDistance || 50;
+
+    /**
+     * If true the leeward mark of windward-leeward and trapezoid courses is a gate.
+     * @member {Boolean}
+     */
+    this.hasLeewardGate = options.hasLeewardGate || false;
+
+    /**
+     * The distance between the marks of a leeward gate, in meters.
+     * @member {Number}
+     */
+    this.gateWidth = options.gateWidth || 20;
+
+    /**
+     * The prefix for the names of the spawned floating objects.
+     * @member {String}
+     */
+    this.namePrefix = options.namePrefix || 'Course ';
+
+    /**
+     * The floating objects spawned for the current course.
+     * @member {module:LBPhysics.RigidBody[]}
+     */
+    this.floatingObjects = [];
+
+    /**
+     * The course generated by the last call to {@link module:LBRacing.CourseGenerator#generateCourse}.
+     * @member {module:LBRacing.Course}
+     */
+    this.course = undefined;
+
+    /**
+     * The average wind direction in degrees the current course was set to.
+     * @member {Number}
+     */
+    this.courseWindFromDeg = undefined;
+};
+
+LBRacing.CourseGenerator.prototype = {};
+LBRacing.CourseGenerator.prototype.constructor = LBRacing.CourseGenerator;
+
+var _workingUpwind = new LBGeometry.Vector2();
+var _workingLeft = new LBGeometry.Vector2();
+
+/**
+ * Calculates the positions of the buoys for a course type.
+ * @param {module:LBRacing.CourseTypes} courseType  The course type.
+ * @returns {Object}    An object with the positions in portPin, stbdPin, and the marks array,
+ * the elements of the marks array are objects with the mark type in type and position in pos,
+ * gates have the position of the starboard object in stbdPos.
+ */
+LBRacing.CourseGenerator.prototype.calcPositions = function(courseType) {
+    var toDir = this.sailEnv.wind.averageToDir;
+    var upwind = _workingUpwind.set(-toDir.x, -toDir.y);
+    // Looking upwind, port is to the left.
+    var left = _workingLeft.set(-upwind.y, upwind.x);
+    var center = this.startLineCenter;
+    var legLength = this.legLength;
+
+    function position(upwindDistance, leftDistance) {
+        return new LBGeometry.Vector2(
+                center.x + upwind.x * upwindDistance + left.x * leftDistance,
+                center.y + upwind.y * upwindDistance + left.y * leftDistance);
+    }
+
+    var halfLineLength = this.startLineLength / 2;
+    var positions = {
+        portPin: position(0, halfLineLength),
+        stbdPin: position(0, -halfLineLength),
+        marks: []
+    };
+    var marks = positions.marks;
+
+    function addMark(type, upwindDistance, leftDistance) {
+        marks.push({ type: type, pos: position(upwindDistance, leftDistance) });
+    }
+
+    var me = this;
+    function addWindwardMarks() {
+        addMark('port', legLength, 0);
+        if (me.hasOffsetMark) {
+            addMark('offset', legLength, me.offsetMarkDistance);
+        }
+    }
+
+    function addLeewardMarks(upwindDistance, leftDistance) {
+        if (me.hasLeewardGate) {
+            // Looking downwind the port object is on the left, which is to the right looking upwind.
+            var halfGateWidth = me.gateWidth / 2;
+            marks.push({
+                type: 'gate',
+                pos: position(upwindDistance, leftDistance - halfGateWidth),
+                stbdPos: position(upwindDistance, leftDistance + halfGateWidth)
+            });
+        }
+        else {
+            addMark('port', upwindDistance, leftDistance);
+        }
+    }
+
+    switch (courseType) {
+        case LBRacing.CourseTypes.TRIANGLE :
+            // Equilateral triangle between the windward and leeward marks, with the wing
+            // mark to port so it can be rounded to port.
+            var sideLength = legLength * 1.15;
+            addMark('port', legLength, 0);
+            addMark('port', legLength - sideLength / 2, sideLength * Math.sqrt(3) / 2);
+            addMark('port', legLength - sideLength, 0);
+            break;
+
+        case LBRacing.CourseTypes.TRAPEZOID :
+            // The reach leg is at 60 degrees to the wind, the run is parallel to the beat.
+            var reachLength = legLength * 0.67;
+            var reachUpwind = -reachLength * 0.5;
+            var reachLeft = reachLength * Math.sqrt(3) / 2;
+            addWindwardMarks();
+            addMark('port', legLength + reachUpwind, reachLeft);
+            addLeewardMarks(reachUpwind, reachLeft);
+            break;
+
+        case LBRacing.CourseTypes.WINDWARD_LEEWARD :
+        default :
+            // The leeward mark is offset to port so the marks aren't in line with the center
+            // of the finish line.
+            addWindwardMarks();
+            addLeewardMarks(-legLength * 0.15, (this.hasLeewardGate) ? 0 : halfLineLength / 2);
+            break;
+    }
+
+    return positions;
+};
+
+LBRacing.CourseGenerator.prototype._spawnFloatingObject = function(data, name, pos) {
+    var posData = { x: pos.x, y: pos.y, z: (data.pos && data.pos.z) || 0 };
+    data = Object.assign({}, data, {
+        name: name,
+        pos: posData
+    });
+    // loadFloatingObject() uses the position named by posNameToLoad if present.
+    if (this.sailEnv.posNameToLoad) {
+        data[this.sailEnv.posNameToLoad] = posData;
+    }
+
+    this.sailEnv.loadFloatingObject(data);
+    var floatingObject = this.sailEnv.getFloatingObject(name);
+    if (floatingObject) {
+        this.floatingObjects.push(floatingObject);
+    }
+    return floatingObject;
+};
+
+/**
+ * Removes the floating objects spawned for the current course.
+ * @returns {undefined}
+ */
+LBRacing.CourseGenerator.prototype.removeCourse = function() {
+    if (this.course) {
+        this.course = undefined;
+    }
+
+    this.floatingObjects.forEach(function(floatingObject) {
+        this.sailEnv.removeFloatingObject(floatingObject);
+    }, this);
+    this.floatingObjects.length = 0;
+};
+
+/**
+ * Generates a new course for the current average wind, removing any course previously generated.
+ * The course should not be in use by a race.
+ * @param {Object} [options]    Optional options, these may contain courseType, legLength,
+ * startLineLength, startLineCenter, laps, hasOffsetMark, and hasLeewardGate properties, which
+ * are also stored as the new defaults.
+ * @returns {module:LBRacing.Course}    The generated course.
+ */
+LBRacing.CourseGenerator.prototype.generateCourse = function(options) {
+    options = options || {};
+    this.courseType = options.courseType || this.courseType;
+    this.legLength = options.legLength || this.legLength;
+    this.startLineLength = options.startLineLength || this.startLineLength;
+    this.laps = options.laps || this.laps;
+    if (LBUtil.isVar(options.hasOffsetMark)) {
+        this.hasOffsetMark = options.hasOffsetMark;
+    }
+    if (LBUtil.isVar(options.hasLeewardGate)) {
+        this.hasLeewardGate = options.hasLeewardGate;
+    }
+    if (options.startLineCenter) {
+        LBGeometry.loadVector2(options.startLineCenter, this.startLineCenter);
+    }
+
+    this.removeCourse();
+
+    var positions = this.calcPositions(this.courseType);
+
+    var portPinName = this.namePrefix + 'Port Pin';
+    var stbdPinName = this.namePrefix + 'Starboard Pin';
+    this._spawnFloatingObject(this.portPinData, portPinName, positions.portPin);
+    this._spawnFloatingObject(this.stbdPinData, stbdPinName, positions.stbdPin);
+
+    var courseData = {
+        name: this.namePrefix + this.courseType,
+        type: this.courseType,
+        laps: this.laps,
+        start: {
+            name: 'Starting Line',
+            type: 'start',
+            port: portPinName,
+            stbd: stbdPinName
+        },
+        marks: [],
+        finish: {
+            name: 'Finish Line',
+            type: 'finish',
+            port: portPinName,
+            stbd: stbdPinName
+        }
+    };
+
+    positions.marks.forEach(function(markPos, index) {
+        var markData = this.marksData[Math.min(index, this.marksData.length - 1)] || {};
+        var markName = 'Mark ' + (index + 1);
+        var markObjectName = this.namePrefix + markName;
+        if (markPos.type === 'gate') {
+            this._spawnFloatingObject(markData, markObjectName + ' Port', markPos.pos);
+            this._spawnFloatingObject(markData, markObjectName + ' Starboard', markPos.stbdPos);
+            courseData.marks.push({
+                name: markName,
+                type: 'gate',
+                port: markObjectName + ' Port',
+                stbd: markObjectName + ' Starboard'
+            });
+        }
+        else {
+            this._spawnFloatingObject(markData, markObjectName, markPos.pos);
+            courseData.marks.push({
+                name: markName,
+                type: markPos.type,
+                mark: markObjectName
+            });
+        }
+    }, this);
+
+    this.course = LBRacing.Course.createFromData(this.sailEnv, courseData);
+    this.courseWindFromDeg = this.sailEnv.wind.averageFromDeg;
+    return this.course;
+};
+
+/**
+ * Re-sets the current course to the current average wind, the course type and dimensions
+ * are kept. The course should not be in use by a race.
+ * @returns {module:LBRacing.Course}    The new course.
+ */
+LBRacing.CourseGenerator.prototype.resetCourse = function() {
+    return this.generateCourse();
+};
+
+/**
+ * @returns {Number}    The change in the average wind direction since the current course
+ * was set, in degrees, positive is a veer (clockwise shift).
+ */
+LBRacing.CourseGenerator.prototype.getWindShiftDeg = function() {
+    if (!LBUtil.isVar(this.courseWindFromDeg)) {
+        return 0;
+    }
+    return LBMath.subDegrees(this.sailEnv.wind.averageFromDeg, this.courseWindFromDeg);
+};
+
+/**
+ * Removes the generator from use, along with any floating objects it spawned.
+ * @returns {undefined}
+ */
+LBRacing.CourseGenerator.prototype.destroy = function() {
+    if (this.sailEnv) {
+        this.removeCourse();
+        this.floatingObjects = null;
+        this.sailEnv = null;
+    }
+};
+
+return LBRacing;
+});
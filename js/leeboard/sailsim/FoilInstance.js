@@ -95,15 +95,7 @@ LBSailSim.FoilInstance.prototype.destroy = function() {
  * @returns {LBSailSim.FoilInstance}    this.
  */
 LBSailSim.FoilInstance.prototype.updateFoilForce = function(dt, flow) {
-    var dbgField = undefined;
-    if (this.dumpFoilDetails) {
-        dbgField = LBDebug.DataLog.getField(this.name);
-        if (dbgField) {
-            if (!this.foilDetails.localResultant) {
-                this.foilDetails.localResultant = new LBPhysics.Resultant3D();
-            }
-        }
-    }
+    var dbgField = this._getFoilDetailsDebugField();
     
     var pos = LBSailSim.FoilInstance._workingPos;
     pos.set(0, 0, this.foil.sliceZ);
@@ -116,7 +108,7 @@ LBSailSim.FoilInstance.prototype.updateFoilForce = function(dt, flow) {
         return this;
     }
     
-    var qInf = LBSailSim.FoilInstance._workingQInf = LBSailSim.getFlowVelocity(flow, pos, LBSailSim.FoilInstance._workingQInf);
+    var qInf = LBSailSim.FoilInstance._workingQInf = this._getFlowVelocity(flow, pos, LBSailSim.FoilInstance._workingQInf);
     var resultant = LBSailSim.FoilInstance._workingResultant = this.foil.calcWorldForce(flow.density, qInf,
             this.coordSystem, this.foilDetails, LBSailSim.FoilInstance._workingResultant);
             
@@ -127,24 +119,70 @@ LBSailSim.FoilInstance.prototype.updateFoilForce = function(dt, flow) {
     this.addWorldResultant(resultant);
     
     if (dbgField) {
-        this.obj3D.getWorldPosition(pos);
-        dbgField.setSubFieldValue('wPos', pos);
+        this._dumpFoilDetails(dbgField, qInf, resultant);
+    }
+    return this;
+};
+
+/**
+ * Retrieves the free stream velocity the foil sees at a point, this is where derived classes can
+ * add the effects of other foils on the flow.
+ * @protected
+ * @param {LBSailSim.Wind|LBSailSim.Water} flow What this is flowing through.
+ * @param {module:LBGeometry.Vector3} pos   The point in world coordinates.
+ * @param {module:LBGeometry.Vector3} [store]   If defined the object to store the velocity into.
+ * @returns {module:LBGeometry.Vector3} The velocity.
+ */
+LBSailSim.FoilInstance.prototype._getFlowVelocity = function(flow, pos, store) {
+    return LBSailSim.getFlowVelocity(flow, pos, store);
+};
+
+/**
+ * Retrieves the {@link module:LBDebug.DataLog} field the foil details are written to
+ * if {@link LBSailSim.FoilInstance#dumpFoilDetails} is set.
+ * @protected
+ * @returns {Object}    The data log field, undefined if the foil details are not being dumped.
+ */
+LBSailSim.FoilInstance.prototype._getFoilDetailsDebugField = function() {
+    if (!this.dumpFoilDetails) {
+        return undefined;
+    }
+    
+    var dbgField = LBDebug.DataLog.getField(this.name);
+    if (dbgField) {
+        if (!this.foilDetails.localResultant) {
+            this.foilDetails.localResultant = new LBPhysics.Resultant3D();
+        }
+    }
+    return dbgField;
+};
 
-        var rot = LBSailSim.FoilInstance._workingEuler = this.obj3D.getWorldRotation(LBSailSim.FoilInstance._workingEuler);
-        dbgField.setSubFieldValue('wRot', rot);
+/**
+ * Writes the foil details to the data log field from {@link LBSailSim.FoilInstance#_getFoilDetailsDebugField}.
+ * @protected
+ * @param {Object} dbgField The data log field.
+ * @param {module:LBGeometry.Vector3} qInf  The free stream velocity.
+ * @param {module:LBPhysics.Resultant3D} resultant  The world resultant of the foil.
+ * @returns {undefined}
+ */
+LBSailSim.FoilInstance.prototype._dumpFoilDetails = function(dbgField, qInf, resultant) {
+    var pos = LBSailSim.FoilInstance._workingPos;
+    this.obj3D.getWorldPosition(pos);
+    dbgField.setSubFieldValue('wPos', pos);
 
-        var details = this.foilDetails;
-        dbgField.setSubFieldValue('wQInf', qInf);
-        dbgField.setSubFieldValue('wVel', details.worldVel);
+    var rot = LBSailSim.FoilInstance._workingEuler = this.obj3D.getWorldRotation(LBSailSim.FoilInstance._workingEuler);
+    dbgField.setSubFieldValue('wRot', rot);
 
-        dbgField.setSubFieldValue('chord', details.chord);
-        dbgField.setSubFieldValue('angleDeg', details.angleDeg);
-        dbgField.setSubFieldValue('lQInf', details.qInfLocal);
+    var details = this.foilDetails;
+    dbgField.setSubFieldValue('wQInf', qInf);
+    dbgField.setSubFieldValue('wVel', details.worldVel);
 
-        dbgField.setSubFieldValue('lResultant', details.localResultant);
-        dbgField.setSubFieldValue('wResultant', resultant);
-    }
-    return this;
+    dbgField.setSubFieldValue('chord', details.chord);
+    dbgField.setSubFieldValue('angleDeg', details.angleDeg);
+    dbgField.setSubFieldValue('lQInf', details.qInfLocal);
+
+    dbgField.setSubFieldValue('lResultant', details.localResultant);
+    dbgField.setSubFieldValue('wResultant', resultant);
 };
 
 /**
@@ -189,6 +227,24 @@ LBSailSim.FoilInstance.prototype.load = function(data, sailEnv) {
     return this;
 };
 
+/**
+ * Retrieves the volumes whose vertices below the waterline the vessel uses as grounding points.
+ * @returns {module:LBVolume.Volume[]}  The array of volumes.
+ */
+LBSailSim.FoilInstance.prototype.getGroundingVolumes = function() {
+    return this.volumes;
+};
+
+/**
+ * Called by the vessel when loading its grounding points to give the foil a chance to take
+ * over one of the points from the vessel's grounding data, so the point moves with the foil.
+ * @param {module:LBGeometry.Vector3} point The grounding point in the vessel's local coordinates.
+ * @returns {Boolean}   true if the foil has taken over the point, the default returns false.
+ */
+LBSailSim.FoilInstance.prototype.claimGroundingPoint = function(point) {
+    return false;
+};
+
 /**
  * Called by the vessel after loading and prior to use.
  * @param {LBSailSim.Vessel} vessel The vessel calling this.
@@ -159,6 +159,69 @@ LBSailSim.Hull = function(vessel) {
      */
     this.halfRhoVSq = 0;
     
+    /**
+     * The coefficient of the increase in residuary resistance as the depth of the water
+     * approaches the vessel's draft.
+     * @member {Number}
+     */
+    this.shallowWaterDraftCoef = 1;
+    
+    /**
+     * The coefficient of the increase in residuary resistance when the boat speed is near
+     * the speed of waves in shallow water.
+     * @member {Number}
+     */
+    this.shallowWaterFroudeCoef = 1;
+    
+    /**
+     * The current factor the residuary resistance is multiplied by due to shallow water.
+     * @readonly
+     * @member {Number}
+     */
+    this.shallowWaterFactor = 1;
+    
+    /**
+     * The form factor k, the viscous resistance is (1 + k) times the frictional drag.
+     * If not given in the hull data it's estimated from the hull's block coefficient,
+     * see {@link LBSailSim.Hull.estimateFormFactor}.
+     * @member {Number}
+     */
+    this.formFactor = 0;
+    
+    /**
+     * The fraction the residuary resistance increases by at 20 degrees of heel. The increase
+     * for other heel angles is scaled by the heel angle to the 1.7 power, as in the Delft series.
+     * @member {Number}
+     */
+    this.heelDragCoef = 0.1;
+    
+    /**
+     * The cross flow drag coefficient of the canoe body's lateral area when making leeway.
+     * @member {Number}
+     */
+    this.leewayDragCoef = 1;
+    
+    /**
+     * The peak added resistance in waves coefficient, the added resistance in head seas is
+     * this times rho * g * (wave amplitude)^2 * BWL^2 / LWL for waves about as long as the hull.
+     * @member {Number}
+     */
+    this.waveDragCoef = 2;
+    
+    /**
+     * The heel induced resistance.
+     * @readonly
+     * @member {Number}
+     */
+    this.heelDrag = 0;
+    
+    /**
+     * The leeway induced resistance.
+     * @readonly
+     * @member {Number}
+     */
+    this.leewayDrag = 0;
+    
     /**
      * The resistance force in world coordinates.
      * @member {module:LBGeometry.Vector3}
@@ -169,6 +232,9 @@ LBSailSim.Hull = function(vessel) {
 
 //var _workingPos = new LBGeometry.Vector3();
 var _workingPlane = LBGeometry.XY_PLANE.clone();
+var _workingCenter = new LBGeometry.Vector3();
+var _workingAxis = new LBGeometry.Vector3();
+var _workingHeadingAxis = new LBGeometry.Vector3();
 var _workingVelResults = { 'worldPos' : new LBGeometry.Vector3() };
 var _workingVelPerpendicular = new LBGeometry.Vector3();
 
@@ -203,7 +269,18 @@ LBSailSim.Hull.prototype = {
     },
     
     _updateBuoyancy: function() {
-        var xyPlane = _workingPlane.copy(LBGeometry.XY_PLANE);
+        var xyPlane = _workingPlane;
+        var water = this.vessel.sailEnv.water;
+        if (water.waves.hasWaves()) {
+            // Slice the hull against the water surface fitted over the waterline.
+            var obj3D = this.vessel.obj3D;
+            var center = obj3D.localToWorld(_workingCenter.set(this.centerOfBuoyancy.x, 0, 0));
+            var axis = _workingAxis.set(1, 0, 0).transformDirection(obj3D.matrixWorld);
+            water.getSurfacePlane(center.x, center.y, 0.5 * this.lwl, 0.5 * this.bwl, Math.atan2(axis.y, axis.x), xyPlane);
+        }
+        else {
+            xyPlane.copy(LBGeometry.XY_PLANE);
+        }
         xyPlane.applyMatrix4(this.vessel.coordSystem.localXfrm);
         
         this.wakeEdgeCalculator.startUpdateBuoyancy();
@@ -242,16 +319,105 @@ LBSailSim.Hull.prototype = {
     },
     
     calcResiduaryResistance: function() {
-        this.residuaryResistance = LBSailSim.Delft.calcResiduaryResistance(this);
+        this.shallowWaterFactor = this.calcShallowWaterFactor();
+        this.residuaryResistance = LBSailSim.Delft.calcResiduaryResistance(this) * this.shallowWaterFactor;
         return this.residuaryResistance;
     },
     
+    /**
+     * Calculates the factor the residuary resistance is multiplied by in shallow water.
+     * The resistance goes up as the depth of the water approaches the vessel's draft, and
+     * has a hump around a depth Froude number of 1, where the boat speed matches the
+     * speed of waves in water of that depth.
+     * @return {Number} The shallow water factor, 1 in deep water.
+     */
+    calcShallowWaterFactor: function() {
+        var vessel = this.vessel;
+        var depth = vessel.waterDepth;
+        if (!vessel.sailEnv.bathymetry.hasDepths() || !(depth > 0)) {
+            return 1;
+        }
+        
+        var draftRatio = LBMath.clamp(vessel.draft / depth, 0, 1);
+        var depthFroude = this.waterSpeed / Math.sqrt(vessel.sailEnv.gravity * depth);
+        var froudeTerm = (depthFroude - 1) / 0.3;
+        return 1 + this.shallowWaterDraftCoef * draftRatio * draftRatio 
+                + this.shallowWaterFroudeCoef * Math.exp(-froudeTerm * froudeTerm);
+    },
+    
+    /**
+     * Calculates the form drag, the viscous resistance in excess of the frictional drag of
+     * a flat plate due to the hull's shape.
+     * @return {Number} The form drag.
+     */
     calcFormDrag: function() {
-        return 0;
+        return this.formFactor * this.frictionalDrag;
+    },
+    
+    /**
+     * Calculates the increase in resistance due to heel, this is scaled from the residuary
+     * resistance, which should therefore be calculated first.
+     * @return {Number} The heel induced resistance.
+     */
+    calcHeelDrag: function() {
+        var heelRad = Math.min(Math.abs(this.heelAngleDeg), 45) * LBMath.DEG_TO_RAD;
+        // 6 * heelRad^1.7 is 1 at 20 degrees.
+        return this.heelDragCoef * 6 * Math.pow(heelRad, 1.7) * this.residuaryResistance;
     },
     
+    /**
+     * Calculates the resistance due to the canoe body moving sideways through the water when
+     * making leeway, modeled as cross flow drag on the lateral area of the canoe body.
+     * @return {Number} The leeway induced resistance.
+     */
+    calcLeewayDrag: function() {
+        if (LBMath.isLikeZero(this.waterSpeed)) {
+            return 0;
+        }
+        
+        var axis = _getHeadingAxis(this.vessel, _workingHeadingAxis);
+        var current = this.vessel.apparentCurrent;
+        var speedSq = current.x * current.x + current.y * current.y;
+        if (LBMath.isLikeZero(speedSq)) {
+            return 0;
+        }
+        var cosLeeway = (current.x * axis.x + current.y * axis.y) / Math.sqrt(speedSq);
+        var sinLeewaySq = Math.max(1 - cosLeeway * cosLeeway, 0);
+        
+        var lateralArea = this.lwl * this.tc * this.cm;
+        return 0.5 * this.vessel.sailEnv.water.density * speedSq * this.leewayDragCoef * lateralArea * sinLeewaySq;
+    },
+    
+    /**
+     * Calculates the added resistance in waves. Each wave train adds resistance proportional to
+     * the square of its amplitude, peaking for waves somewhat longer than the hull meeting it head on,
+     * and falling off through beam seas to nothing in following seas.
+     * @return {Number} The added resistance in waves.
+     */
     calcWaveDrag: function() {
-        return 0;
+        var env = this.vessel.sailEnv;
+        var waves = env.water.waves;
+        if (!waves.hasWaves() || LBMath.isLikeZero(this.waterSpeed)) {
+            return 0;
+        }
+        
+        var axis = _getHeadingAxis(this.vessel, _workingHeadingAxis);
+        var sum = 0;
+        for (var i = 0; i < waves.components.length; ++i) {
+            var component = waves.components[i];
+            var lengthTerm = Math.log(component.wavelength / (1.2 * this.lwl)) / 0.5;
+            var lengthFactor = Math.exp(-lengthTerm * lengthTerm);
+            
+            // The waves are traveling towards the bow in head seas.
+            var headingFactor = 0.5 * (1 - (component.direction.x * axis.x + component.direction.y * axis.y));
+            sum += component.amplitude * component.amplitude * lengthFactor * headingFactor * headingFactor;
+        }
+        
+        // The added resistance comes from the hull driving into the waves, so it fades in
+        // up to a Froude number of 0.2 and doesn't hold back a boat getting under way.
+        var drag = this.waveDragCoef * env.water.density * env.gravity * this.bwl * this.bwl / this.lwl * sum;
+        var fadeSpeed = 0.2 * Math.sqrt(env.gravity * this.lwl);
+        return drag * LBMath.smoothstep(0, fadeSpeed, this.waterSpeed);
     },
     
     /**
@@ -271,9 +437,12 @@ LBSailSim.Hull.prototype = {
         this.frictionalDrag = this.calcFrictionalDrag();
         this.residuaryResistance = this.calcResiduaryResistance();
         this.formDrag = this.calcFormDrag();
+        this.heelDrag = this.calcHeelDrag();
+        this.leewayDrag = this.calcLeewayDrag();
         this.waveDrag = this.calcWaveDrag();
         
-        var drag = this.frictionalDrag + this.residuaryResistance + this.formDrag + this.waveDrag;       
+        var drag = this.frictionalDrag + this.residuaryResistance + this.formDrag 
+                + this.heelDrag + this.leewayDrag + this.waveDrag;
         var force = this.resistanceForce;
         force.copy(this.vessel.apparentCurrent);
         
@@ -303,7 +472,10 @@ LBSailSim.Hull.prototype = {
             //      deltaV = vNew - v
             // We get:
             //      deltaV = v * (1 - damping)^(dt) - v
-            var deltaV = this.vessel.worldLinearVelocity.z * (Math.pow(1 - this.buoyancyDamping, dt) - 1);
+            // The vertical velocity is relative to the water surface so we ride the waves.
+            var velocityZ = this.vessel.worldLinearVelocity.z 
+                    - this.vessel.sailEnv.water.getSurfaceVelocityZ(this.worldCenterOfBuoyancy.x, this.worldCenterOfBuoyancy.y);
+            var deltaV = velocityZ * (Math.pow(1 - this.buoyancyDamping, dt) - 1);
             var accel = -deltaV / dt;
             this.forceBuoyancy -= accel * this.vessel.getTotalMass();
         }
@@ -361,6 +533,14 @@ LBSailSim.Hull.prototype = {
         
         this.buoyancyDamping = data.buoyancyDamping || 0;
         
+        this.shallowWaterDraftCoef = LBUtil.isVar(data.shallowWaterDraftCoef) ? data.shallowWaterDraftCoef : this.shallowWaterDraftCoef;
+        this.shallowWaterFroudeCoef = LBUtil.isVar(data.shallowWaterFroudeCoef) ? data.shallowWaterFroudeCoef : this.shallowWaterFroudeCoef;
+        
+        this.formFactor = LBUtil.isVar(data.formFactor) ? data.formFactor : LBSailSim.Hull.estimateFormFactor(this);
+        this.heelDragCoef = LBUtil.isVar(data.heelDragCoef) ? data.heelDragCoef : this.heelDragCoef;
+        this.leewayDragCoef = LBUtil.isVar(data.leewayDragCoef) ? data.leewayDragCoef : this.leewayDragCoef;
+        this.waveDragCoef = LBUtil.isVar(data.waveDragCoef) ? data.waveDragCoef : this.waveDragCoef;
+        
         this.debugForces = data.debugForces;
         
         LBGeometry.loadVector3(data.centerOfBuoyancy, this.centerOfBuoyancy);
@@ -461,6 +641,25 @@ LBSailSim.Hull.calcCB = function(delC, lwl, bwl, tc) {
     return delC / (lwl * bwl * tc);
 };
 
+/**
+ * Estimates the form factor k from the block coefficient using Watanabe's formula.
+ * @param {LBSailSim.Hull} hull The hull parameters.
+ * @return {Number} The estimated form factor.
+ */
+LBSailSim.Hull.estimateFormFactor = function(hull) {
+    var cb = LBSailSim.Hull.calcCB(hull.delC, hull.lwl, hull.bwl, hull.tc);
+    var lwl_bwl = hull.lwl / hull.bwl;
+    var k = -0.095 + 25.6 * cb / (lwl_bwl * lwl_bwl * Math.sqrt(hull.bwl / hull.tc));
+    return LBMath.clamp(k, 0, 0.5);
+};
+
+function _getHeadingAxis(vessel, store) {
+    // The bow is towards the vessel's local -x axis.
+    store.set(-1, 0, 0).transformDirection(vessel.obj3D.matrixWorld);
+    store.z = 0;
+    return store.normalize();
+}
+
 /**
  * Handles recording debug field data if necessary.
  * @protected
@@ -476,6 +675,8 @@ LBSailSim.Hull.prototype.handleDebugFields = function(resultant) {
             dbgField.setSubFieldValue('formDrag', this.formDrag);
             dbgField.setSubFieldValue('frictionalDrag', this.frictionalDrag);
             dbgField.setSubFieldValue('residuaryResistance', this.residuaryResistance);
+            dbgField.setSubFieldValue('heelDrag', this.heelDrag);
+            dbgField.setSubFieldValue('leewayDrag', this.leewayDrag);
             dbgField.setSubFieldValue('waveDrag', this.waveDrag);
             dbgField.setSubFieldValue('gravity', this.forceGravity);
             dbgField.setSubFieldValue('buoyancy', this.forceBuoyancy);
@@ -503,6 +704,8 @@ LBSailSim.Hull.addDebugFields = function(name) {
     LBDebug.DataLog.addField([name, 'frictionalDrag']);
     LBDebug.DataLog.addField([name, 'residuaryResistance']);
     LBDebug.DataLog.addField([name, 'formDrag']);
+    LBDebug.DataLog.addField([name, 'heelDrag']);
+    LBDebug.DataLog.addField([name, 'leewayDrag']);
     LBDebug.DataLog.addField([name, 'waveDrag']);
     LBDebug.DataLog.addField([name, 'gravity']);
     LBDebug.DataLog.addField([name, 'buoyancy']);
@@ -0,0 +1,270 @@
+/*
+ * Copyright 2017 Albert Santos.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+define(['lbsailsimbase', 'lbmath', 'lbutil'],
+function(LBSailSim, LBMath, LBUtil) {
+    'use strict';
+
+
+/**
+ * A polar table of target boat speeds, normally loaded from the JSON written by
+ * {@link LBSailSim.VPP#generatePolar}. Target speeds are linearly interpolated between
+ * the true wind speeds and the solved true wind angles of the table, points the VPP
+ * could not solve are left out. Below the lowest true wind speed the target speeds are
+ * scaled down to zero at no wind, above the highest true wind speed and above the highest
+ * solved true wind angle the table is clamped. There is no target speed below the lowest
+ * solved true wind angle.
+ * @constructor
+ * @param {Object} data The polar data, the properties used are:
+ * <pre><code>
+ *  trueWindKnots:      [ 4, 6, 8 ],    // In increasing order.
+ *  trueWindAnglesDeg:  [ 30, 40, ... ],    // In increasing order.
+ *  points: [           // One array for each true wind speed.
+ *      [ { knots: 0, isSolved: false }, { knots: 2.5, isSolved: true }, ... ],
+ *      ...
+ *  ]
+ * </code></pre>
+ * @returns {LBSailSim.Polar}
+ */
+LBSailSim.Polar = function(data) {
+    /**
+     * The boat type name, if any.
+     * @member {String}
+     */
+    this.boatType = data.boatType;
+
+    /**
+     * The true wind speeds of the table, in knots.
+     * @member {Number[]}
+     */
+    this.trueWindKnots = data.trueWindKnots;
+
+    /**
+     * The true wind angles of the table, in degrees.
+     * @member {Number[]}
+     */
+    this.trueWindAnglesDeg = data.trueWindAnglesDeg;
+
+    /**
+     * The true wind angles in degrees of the solved points for each true wind speed,
+     * solvedAnglesDeg[twsIndex][solvedIndex].
+     * @member {Number[][]}
+     */
+    this.solvedAnglesDeg = [];
+
+    /**
+     * The boat speeds in knots of the solved points for each true wind speed,
+     * solvedKnots[twsIndex][solvedIndex].
+     * @member {Number[][]}
+     */
+    this.solvedKnots = [];
+
+    data.points.forEach(function(pointsForTWS) {
+        var anglesDeg = [];
+        var knots = [];
+        pointsForTWS.forEach(function(point, twaIndex) {
+            if ((point.isSolved !== false) && point.knots) {
+                anglesDeg.push(this.trueWindAnglesDeg[twaIndex]);
+                knots.push(point.knots);
+            }
+        }, this);
+        this.solvedAnglesDeg.push(anglesDeg);
+        this.solvedKnots.push(knots);
+    }, this);
+
+    /**
+     * The best upwind and downwind VMG points for each true wind speed, each element
+     * has the properties upwind and downwind, which are null if there was no solution,
+     * otherwise objects with the properties twaDeg, knots, and vmgKnots.
+     * @member {Object[]}
+     */
+    this.bestVMG = this.solvedKnots.map(function(knotsForTWS, twsIndex) {
+        return _findBestVMG(this.solvedAnglesDeg[twsIndex], knotsForTWS);
+    }, this);
+};
+
+function _findBestVMG(anglesDeg, knotsForTWS) {
+    var best = {
+        upwind: null,
+        downwind: null
+    };
+    anglesDeg.forEach(function(twaDeg, solvedIndex) {
+        var knots = knotsForTWS[solvedIndex];
+        var vmgKnots = knots * Math.cos(twaDeg * LBMath.DEG_TO_RAD);
+        var point = { twaDeg: twaDeg, knots: knots, vmgKnots: vmgKnots };
+        if (twaDeg < 90) {
+            if (!best.upwind || (vmgKnots > best.upwind.vmgKnots)) {
+                best.upwind = point;
+            }
+        }
+        else if (twaDeg > 90) {
+            if (!best.downwind || (vmgKnots < best.downwind.vmgKnots)) {
+                best.downwind = point;
+            }
+        }
+    });
+    return best;
+}
+
+function _getIndexAndFraction(values, value, store) {
+    var index = LBUtil.bsearch(values, value);
+    var lastIndex = values.length - 1;
+    if (index < 0) {
+        store.index = 0;
+        store.fraction = 0;
+    }
+    else if (index >= lastIndex) {
+        store.index = lastIndex;
+        store.fraction = 0;
+    }
+    else {
+        store.index = index;
+        store.fraction = (value - values[index]) / (values[index + 1] - values[index]);
+    }
+    return store;
+}
+
+function _lerpVMGPoint(pointA, pointB, fraction, store) {
+    if (!pointA || !pointB) {
+        pointA = pointA || pointB;
+        if (!pointA) {
+            return null;
+        }
+        pointB = pointA;
+    }
+
+    store = store || {};
+    store.twaDeg = pointA.twaDeg + (pointB.twaDeg - pointA.twaDeg) * fraction;
+    store.knots = pointA.knots + (pointB.knots - pointA.knots) * fraction;
+    store.vmgKnots = pointA.vmgKnots + (pointB.vmgKnots - pointA.vmgKnots) * fraction;
+    return store;
+}
+
+var _workingTWS = { index: 0, fraction: 0 };
+var _workingTWA = { index: 0, fraction: 0 };
+
+LBSailSim.Polar.prototype = {
+    constructor: LBSailSim.Polar,
+
+    /**
+     * Determines the scale applied to the speeds of the lowest true wind speed in the
+     * table when the true wind speed is below it.
+     * @param {Number} twsKnots The true wind speed in knots.
+     * @returns {Number}    The scale, 1 if twsKnots is within the table.
+     */
+    _getLowWindScale: function(twsKnots) {
+        var minKnots = this.trueWindKnots[0];
+        if (twsKnots >= minKnots) {
+            return 1;
+        }
+        return Math.max(twsKnots, 0) / minKnots;
+    },
+
+    /**
+     * Retrieves the target boat speed for a given true wind speed and angle.
+     * @param {Number} twsKnots The true wind speed in knots.
+     * @param {Number} twaDeg   The true wind angle in degrees, the sign is ignored.
+     * @returns {Number|undefined}    The target boat speed in knots, undefined if the
+     * true wind angle is below the lowest solved true wind angle.
+     */
+    getTargetKnots: function(twsKnots, twaDeg) {
+        twaDeg = Math.abs(LBMath.wrapDegrees(twaDeg));
+
+        var tws = _getIndexAndFraction(this.trueWindKnots, twsKnots, _workingTWS);
+
+        var knots = this._getKnotsAtTWSIndex(tws.index, twaDeg);
+        if ((knots !== undefined) && tws.fraction) {
+            var knotsB = this._getKnotsAtTWSIndex(tws.index + 1, twaDeg);
+            if (knotsB === undefined) {
+                return undefined;
+            }
+            knots += (knotsB - knots) * tws.fraction;
+        }
+        if (knots === undefined) {
+            return undefined;
+        }
+
+        return knots * this._getLowWindScale(twsKnots);
+    },
+
+    _getKnotsAtTWSIndex: function(twsIndex, twaDeg) {
+        var anglesDeg = this.solvedAnglesDeg[twsIndex];
+        if (!anglesDeg.length || (twaDeg < anglesDeg[0])) {
+            return undefined;
+        }
+
+        var twa = _getIndexAndFraction(anglesDeg, twaDeg, _workingTWA);
+        var knotsForTWS = this.solvedKnots[twsIndex];
+        var knots = knotsForTWS[twa.index];
+        if (twa.fraction) {
+            knots += (knotsForTWS[twa.index + 1] - knots) * twa.fraction;
+        }
+        return knots;
+    },
+
+    /**
+     * Retrieves the boat speed as a percentage of the target boat speed.
+     * @param {Number} twsKnots The true wind speed in knots.
+     * @param {Number} twaDeg   The true wind angle in degrees, the sign is ignored.
+     * @param {Number} knots    The boat speed in knots.
+     * @returns {Number|undefined}    The percentage of the target speed, undefined if
+     * there is no target speed.
+     */
+    getPolarPercent: function(twsKnots, twaDeg, knots) {
+        var targetKnots = this.getTargetKnots(twsKnots, twaDeg);
+        if ((targetKnots === undefined) || LBMath.isLikeZero(targetKnots)) {
+            return undefined;
+        }
+        return 100 * knots / targetKnots;
+    },
+
+    /**
+     * Retrieves the best upwind and downwind VMG targets for a given true wind speed.
+     * @param {Number} twsKnots The true wind speed in knots.
+     * @param {Object} [store]  If defined the object to store the targets into.
+     * @returns {Object}    An object with the properties upwind and downwind, each is
+     * either null if there is no target or an object with the properties twaDeg, knots,
+     * and vmgKnots. The downwind vmgKnots is negative.
+     */
+    getBestVMG: function(twsKnots, store) {
+        store = store || {};
+
+        var tws = _getIndexAndFraction(this.trueWindKnots, twsKnots, _workingTWS);
+        var bestA = this.bestVMG[tws.index];
+        var bestB = (tws.fraction) ? this.bestVMG[tws.index + 1] : bestA;
+
+        store.upwind = _lerpVMGPoint(bestA.upwind, bestB.upwind, tws.fraction, store.upwind || undefined);
+        store.downwind = _lerpVMGPoint(bestA.downwind, bestB.downwind, tws.fraction, store.downwind || undefined);
+
+        var scale = this._getLowWindScale(twsKnots);
+        if (scale !== 1) {
+            if (store.upwind) {
+                store.upwind.knots *= scale;
+                store.upwind.vmgKnots *= scale;
+            }
+            if (store.downwind) {
+                store.downwind.knots *= scale;
+                store.downwind.vmgKnots *= scale;
+            }
+        }
+
+        return store;
+    }
+};
+
+return LBSailSim;
+});
@@ -67,6 +67,18 @@ LBRacing.Course = function(options) {
     this.finish = options.finish;
     this.finish.isFinish = true;
     
+    /**
+     * The number of laps, {@link module:LBRacing.Course#marks} contains the marks of all the laps.
+     * @member {Number}
+     */
+    this.laps = options.laps || 1;
+    
+    /**
+     * The number of marks in each lap.
+     * @member {Number}
+     */
+    this.lapMarkCount = this.marks.length / this.laps;
+    
     
     var length = this.marks.length;
     if (length > 0) {
@@ -114,18 +126,39 @@ LBRacing.Course.createFromData = function(sailEnv, data) {
     options.finish = LBRacing.Mark.createFromData(sailEnv, data.finish);
     
     if (data.marks) {
+        // Each lap gets its own marks since the marks are linked to their previous and next marks.
+        options.laps = data.laps || 1;
         options.marks = [];
-        data.marks.forEach(function(markData) {
-            var mark = LBRacing.Mark.createFromData(sailEnv, markData);
-            if (mark) {
-                options.marks.push(mark);
-            }
-        });
+        for (var lap = 0; lap < options.laps; ++lap) {
+            data.marks.forEach(function(markData) {
+                var mark = LBRacing.Mark.createFromData(sailEnv, markData);
+                if (mark) {
+                    options.marks.push(mark);
+                }
+            });
+        }
     }
     
     return new LBRacing.Course(options);
 };
 
+/**
+ * Determines the lap a mark of the course is in.
+ * @param {module:LBRacing.Mark} mark   The mark.
+ * @returns {Number}    The lap number, starting at 1, the starting line is in the first lap
+ * and the finish line is in the last lap.
+ */
+LBRacing.Course.prototype.getLapOfMark = function(mark) {
+    if (mark === this.finish) {
+        return this.laps;
+    }
+    var index = this.marks.indexOf(mark);
+    if ((index < 0) || !this.lapMarkCount) {
+        return 1;
+    }
+    return Math.floor(index / this.lapMarkCount) + 1;
+};
+
 /**
  * Loads an array of courses from an array of data objects compatible with
  * {@link module:LBRacing.Course.createFromData}.
@@ -145,6 +178,26 @@ LBRacing.Course.loadCoursesFromData = function(sailEnv, data) {
     return courses;
 };
 
+/**
+ * Calculates the length of the course, this is the sum of the straight line distances
+ * between the centers of successive marks, from the starting line to the finish line.
+ * @returns {Number}    The length of the course.
+ */
+LBRacing.Course.prototype.getCourseLength = function() {
+    var length = 0;
+    var prevX = this.start.getMarkCenterPosition().x;
+    var prevY = this.start.getMarkCenterPosition().y;
+    for (var mark = this.start.nextMark; mark; mark = mark.nextMark) {
+        var pos = mark.getMarkCenterPosition();
+        var dx = pos.x - prevX;
+        var dy = pos.y - prevY;
+        length += Math.sqrt(dx * dx + dy * dy);
+        prevX = pos.x;
+        prevY = pos.y;
+    }
+    return length;
+};
+
 /**
  * Removes the course from use.
  * @returns {undefined}
@@ -273,11 +326,14 @@ LBRacing.Mark.createFromData = function(sailEnv, data) {
     switch (data.type) {
         case 'start' :
         case 'finish' :
-        case 'gate' :
             return new LBRacing.LineMark(sailEnv, data);
             
+        case 'gate' :
+            return new LBRacing.GateMark(sailEnv, data);
+            
         case 'port' :
         case 'stbd' :
+        case 'offset' :
             return new LBRacing.RoundingMark(sailEnv, data);
     }
 };
@@ -406,7 +462,7 @@ LBRacing.MarkTracker.prototype.update = function(dt) {
     
     if ((this.markPassedCount === 1) && !this.isMarkPassed) {
         if (this.mark.nextMark) {
-            var distanceFromMark = this.competitor.boat.obj3D.position.distanceTo(this.mark.getMarkCenterPosition());
+            var distanceFromMark = this.competitor.boat.obj3D.position.distanceTo(this.getRoundedMarkCenterPosition());
             var distanceToNextMark = this.competitor.boat.obj3D.position.distanceTo(this.mark.nextMark.getMarkCenterPosition());
             if (distanceToNextMark < distanceFromMark) {
                 this.isMarkPassed = true;
@@ -420,6 +476,15 @@ LBRacing.MarkTracker.prototype.update = function(dt) {
     this.competitorLastPosition.copy(competitorCurrentPosition);
 };
 
+/**
+ * Retrieves the center of the mark the competitor is rounding, once the competitor is
+ * closer to the next mark than to this the mark is considered passed.
+ * @returns {module:LBGeometry.Vector2} The center position.
+ */
+LBRacing.MarkTracker.prototype.getRoundedMarkCenterPosition = function() {
+    return this.mark.getMarkCenterPosition();
+};
+
 /**
  * Removes the mark tracker from use.
  * @returns {undefined}
@@ -554,7 +619,16 @@ LBRacing.RoundingMark = function(sailEnv, options) {
         console.log("Mark floating object named '" + options.mark + "' was not found in the sailing environment.");
     }
     
-    if (options.type === 'port') {
+    /**
+     * true if this is an offset (spreader) mark, normally a mark near the windward mark
+     * that is rounded right after the windward mark. Offset marks are rounded to the side
+     * in the side property of the options, port if not specified.
+     * @member {Boolean}
+     */
+    this.isOffset = (options.type === 'offset');
+    
+    var side = (this.isOffset) ? (options.side || 'port') : options.type;
+    if (side === 'port') {
         this.sideToLeave = 1;
         this.linePassedSide = LBGeometry.LINE_SIDE_LEFT;
     }
@@ -615,6 +689,9 @@ LBRacing.RoundingMark.prototype.getMarkEndPosition = function() {
         var nextMarkPos = this.nextMark.getMarkCenterPosition();
 
         var crossingRad;
+        var prevDelta = _roundingMarkPrevDelta.copy(prevMarkPos)
+                .sub(thisMarkPos)
+                .normalize();
         
         var result = LBGeometry.whichSideOfLine(thisMarkPos, prevMarkPos, nextMarkPos);
         if (result === LBGeometry.LINE_SIDE_ON_LINE) {
@@ -622,22 +699,26 @@ LBRacing.RoundingMark.prototype.getMarkEndPosition = function() {
             crossingRad = Math.atan2(prevDelta.y, prevDelta.x) + LBMath.PI_2 * this.sideToLeave;
         }
         else {
-            // The mid-point angle is simply obtained from the angle the opposite corner
-            // of the rhombus formed by the segments to the previous and next marks with the
-            // mark.
-            var prevDelta = _roundingMarkPrevDelta.copy(prevMarkPos)
-                    .sub(thisMarkPos)
-                    .normalize();
+            // The competitor arrives on the same side of the mark as in the on-line case,
+            // then turns towards the side the mark is left to until heading for the next mark,
+            // unless the course bends away from that side by less than 90 degrees, in which case
+            // the competitor simply passes the mark on that side. The line to cross is half way
+            // through the turn.
             var nextDelta = _roundingMarkNextDelta.copy(nextMarkPos)
                     .sub(thisMarkPos)
                     .normalize();
             
-            var cornerX = nextDelta.x + prevDelta.x;
-            var cornerY = nextDelta.y + prevDelta.y;
-            crossingRad = Math.atan2(cornerY, cornerX);
-            if (this.sideToLeave * result < 0) {
-                crossingRad += Math.PI;
+            var arrivingRad = Math.atan2(-prevDelta.y, -prevDelta.x);
+            var leavingRad = Math.atan2(nextDelta.y, nextDelta.x);
+            var turnRad = (leavingRad - arrivingRad) * this.sideToLeave;
+            if (turnRad < -LBMath.PI_2) {
+                turnRad += LBMath.TWO_PI;
             }
+            else if (turnRad > 3 * LBMath.PI_2) {
+                turnRad -= LBMath.TWO_PI;
+            }
+            
+            crossingRad = Math.atan2(prevDelta.y, prevDelta.x) + (LBMath.PI_2 + turnRad / 2) * this.sideToLeave;
         }
         
         var length = 1000;
@@ -694,233 +775,926 @@ LBRacing.RoundingMark.prototype.update = function(dt) {
 };
 
 
-
 /**
- * Manages a race, with a course and competitors.
+ * A gate, two marks where the competitor passes between the marks and then rounds either one.
+ * The port object is rounded to port, the stbd object is rounded to starboard, so for a leeward
+ * gate the port object is the one on the left looking downwind.
  * @constructor
+ * @implements {module:LBRacing.Mark}
  * @param {module:LBSailSim.SailEnv} sailEnv    The sailing environment.
- * @param {module:LBRacing.Course} course  The course for the race.
  * @param {Object} options
- * @returns {module:LBRacing.Race}
+ * @returns {module:LBRacing.GateMark}
  */
-LBRacing.Race = function(sailEnv, course, options) {
+LBRacing.GateMark = function(sailEnv, options) {
     options = options || {};
-    
-    this.sailEnv = sailEnv;
-    this.course = course;
-    
-    this.competitors = [];
-    
-    this.activeCompetitors = [];
-    this.finishedCompetitors = [];
-    this.dnfCompetitors = [];
-    
-    this.allMarks = [];
-    
-    /**
-     * The current race state.
-     * @member {Number}
-     */
-    this.state = LBRacing.RaceState.NOT_STARTED;
-    
-    this.preStartDuration = LBUtil.isVar(options.preStartDuration) ? options.preStartDuration : 10;
-    this.secondsToStart = -1;
-    this.startTime = 0;
-    
-    this.markTouchPenaltyTime = LBUtil.isVar(options.markTouchPenaltyTime) ? options.markTouchPenaltyTime : 30;
-    
-    this.stateChangeCallbacks = [];
-};
-
-/**
- * States for {@link module:LBRacing.Race#state}.
- * @readonly
- * @enum {Number}
- */
-LBRacing.RaceState = {
-    /** The race has not started */
-    NOT_STARTED:        0,
-    
-    /** 
-     * The race is in the pre-start phase, new competitors added via {@link module:LBRacing.Race#addCompetitor}
-     * are not included in the race.
-     */
-    PRE_START:          1,
-    
-    /**
-     * The race has started
-     */
-    STARTED:            2,
+    LBRacing.Mark.call(this, sailEnv, options);
     
     /**
-     * At least one competitor has crossed the finish line, but there are still boats racing.
+     * The mark for rounding the port object to port.
+     * @member {module:LBRacing.RoundingMark}
      */
-    FINISHING:          3,
+    this.portRoundingMark = new LBRacing.RoundingMark(sailEnv, {
+        name: this.name + ' (port)',
+        type: 'port',
+        mark: options.port
+    });
     
     /**
-     * The race is done, all competitors have either finished, retired, or been disqualified.
+     * The mark for rounding the starboard object to starboard.
+     * @member {module:LBRacing.RoundingMark}
      */
-    ALL_DONE:           4,
+    this.stbdRoundingMark = new LBRacing.RoundingMark(sailEnv, {
+        name: this.name + ' (stbd)',
+        type: 'stbd',
+        mark: options.stbd
+    });
     
-    /**
-     * The race was abandoned.
-     */
-    ABANDONED:          5
+    this.centerPosition = new LBGeometry.Vector3();
 };
 
+LBRacing.GateMark.prototype = Object.create(LBRacing.Mark.prototype);
+LBRacing.GateMark.prototype.constructor = LBRacing.GateMark;
 
-LBRacing.Race.prototype = {};
-LBRacing.Race.prototype.constructor = LBRacing.Race;
+LBRacing.GateMark.prototype._updateRoundingMarks = function() {
+    // The rounding marks use the gate's previous and next marks to determine their crossing lines.
+    this.portRoundingMark.prevMark = this.stbdRoundingMark.prevMark = this.prevMark;
+    this.portRoundingMark.nextMark = this.stbdRoundingMark.nextMark = this.nextMark;
+};
 
 /**
- * Adds a competitor to the race. Newly added competitors will not participate in the
- * active race if there is one. If the boat is a competitor in another race, it will
- * be removed from that race.
- * @param {module:LBSailSim.Vessel} boat    The boat.
- * @returns {module:LBRacing.Competitor} The competitor object for the boat.
+ * @override
+ * @inheritdoc
+ * @param {type} competitor
+ * @returns {module:LBRacing.GateMarkTracker}
  */
-LBRacing.Race.prototype.addCompetitor = function(boat) {
-    if (boat._lbCompetitor) {
-        boat._lbCompetitor.race.removeCompetitor(boat);
-    }
-
-    var competitor = new LBRacing.Competitor(this, boat);
-    this.competitors.push(competitor);
-    boat._lbCompetitor = competitor;
-    
-    return competitor;
+LBRacing.GateMark.prototype.createMarkTracker = function(competitor) {
+    this._updateRoundingMarks();
+    return new LBRacing.GateMarkTracker(competitor, this);
 };
 
 /**
- * Removes a competitor from the race.
- * @param {module:LBSailSim.Vessel} boat    The boat to remove.
- * @returns {module:LBRacing.Race} this.
+ * Retrieves the gate's rounding mark closest to a position.
+ * @param {module:LBGeometry.Vector3} pos   The position.
+ * @returns {module:LBRacing.RoundingMark}  The closest rounding mark.
  */
-LBRacing.Race.prototype.removeCompetitor = function(boat) {
-    var competitor = boat._lbCompetitor;
-    if (competitor && (competitor.race === this)) {
-        var index = this.competitors.indexOf(competitor);
-        if (index >= 0) {
-            this.competitors.splice(index, 1);
-        }
-        competitor.destroy();
-        boat._lbCompetitor = undefined;
-    }
-    
-    return this;
+LBRacing.GateMark.prototype.getClosestRoundingMark = function(pos) {
+    var portDistance = pos.distanceTo(this.portRoundingMark.getMarkCenterPosition());
+    var stbdDistance = pos.distanceTo(this.stbdRoundingMark.getMarkCenterPosition());
+    return (portDistance <= stbdDistance) ? this.portRoundingMark : this.stbdRoundingMark;
 };
 
+/**
+ * @override
+ * @inheritdoc
+ * @returns {module:LBGeometry.Vector3}
+ */
+LBRacing.GateMark.prototype.getMarkCenterPosition = function() {
+    return this.centerPosition.copy(this.portRoundingMark.getMarkCenterPosition())
+            .add(this.stbdRoundingMark.getMarkCenterPosition())
+            .multiplyScalar(0.5);
+};
 
 /**
- * Retrieves the {@link module:LBRacing.Competitor} associated with a boat, if any.
- * @param {module:LBSailSim.Vessel} boat    The boat of interest..
- * @returns {module:LBRacing.Comptetitor|undefined} The competitor object if the boat
- * is a competitor in this race, undefined if not.
+ * @override
+ * @inheritdoc
+ * @returns {module:LBGeometry.Vector2} The base position of the mark.
  */
-LBRacing.Race.prototype.getCompetitor = function(boat) {
-    return boat._lbCompetitor;
+LBRacing.GateMark.prototype.getMarkBasePosition = function() {
+    return this.portRoundingMark.getMarkCenterPosition();
 };
 
+/**
+ * @override
+ * @inheritdoc
+ * @returns {module:LBGeometry.Vector2} The end position of the mark.
+ */
+LBRacing.GateMark.prototype.getMarkEndPosition = function() {
+    return this.stbdRoundingMark.getMarkCenterPosition();
+};
 
 /**
- * Adds a function that gets called whenever the racing state changes.
- * @param {Function} callback   The callback function, it is passed one argument, this.
- * @returns {module:LBRacing.Race}  this.
+ * @override
+ * @inheritdoc
+ * @returns {Boolean}   true, the competitor has to pass between the gate marks.
  */
-LBRacing.Race.prototype.addStateChangeCallback = function(callback) {
-    this.stateChangeCallbacks.push(callback);
-    return this;
+LBRacing.GateMark.prototype.isCrossingLineSegment = function() {
+    return true;
 };
 
 /**
- * Removes a state change callback function.
- * @param {Function} callback   The function to remove.
- * @returns {Boolean}   true if the function was found and removed.
+ * @override
+ * @inheritdoc
+ * @returns {module:LBGeometry.LINE_SIDE_LEFT|module:LBGeometry.LINE_SIDE_RIGHT}
  */
-LBRacing.Race.prototype.removeStateChangeCallback = function(callback) {
-    var index = this.stateChangeCallbacks.indexOf(callback);
-    if (index >= 0) {
-        this.stateChangeCallbacks.splice(index, 1);
-        return true;
+LBRacing.GateMark.prototype.getCrossingLinePassedSide = function() {
+    // The gate is passed by crossing the line from the previous mark's side.
+    if (this.prevMark) {
+        var prevSide = LBGeometry.whichSideOfLine(this.getMarkBasePosition(), this.getMarkEndPosition(), 
+            this.prevMark.getMarkCenterPosition());
+        if (prevSide === LBGeometry.LINE_SIDE_RIGHT) {
+            return LBGeometry.LINE_SIDE_LEFT;
+        }
+        else if (prevSide === LBGeometry.LINE_SIDE_LEFT) {
+            return LBGeometry.LINE_SIDE_RIGHT;
+        }
     }
-    return false;
+    return LBGeometry.LINE_SIDE_LEFT;
 };
 
 /**
- * Starts the race, or rather the pre-race portion of the race.
- * @returns {module:LBRacing.Race} this.
+ * @override
+ * @inheritdoc
+ * @param {type} competitor
+ * @returns {Boolean}
  */
-LBRacing.Race.prototype.startPreRace = function() {
-    if (this.state !== LBRacing.RaceState.NOT_STARTED) {
-        this.abandonRace();
-    }
-    
-    this.allMarks.length = 0;
-    this.allMarks.push(this.course.start);
-    this.course.marks.forEach(function(mark) {
-        this.allMarks.push(mark);
-    }, this);
-    this.allMarks.push(this.course.finish);
-    
-    this.activeCompetitors = this.competitors.slice();
-    this.finishedCompetitors.length = 0;
-    this.dnfCompetitors.length = 0;
-    
-    this.startTime = this.sailEnv.currentTime + this.preStartDuration;
-    this.elapsedTime = -this.preStartDuration;
-    
-    this._setState(LBRacing.RaceState.PRE_START);
-    
-    this.competitors.forEach(function(competitor) {
-        competitor.racePreStart();
-    });
-    
-    return this;
+LBRacing.GateMark.prototype.isContactWithMark = function(competitor) {
+    return this.portRoundingMark.isContactWithMark(competitor)
+        || this.stbdRoundingMark.isContactWithMark(competitor);
 };
 
-LBRacing.Race.prototype._setState = function(state) {
-    if (this.state !== state) {
-        this.state = state;
-        
-        this.stateChangeCallbacks.forEach(function(callback) {
-            callback(this);
-        }, this);
+/**
+ * @override
+ * @inheritdoc
+ */
+LBRacing.GateMark.prototype.destroy = function() {
+    if (this.portRoundingMark) {
+        this.portRoundingMark.destroy();
+        this.portRoundingMark = null;
+        this.stbdRoundingMark.destroy();
+        this.stbdRoundingMark = null;
     }
-    return this;
+    LBRacing.Mark.prototype.destroy.call(this);
 };
 
 /**
- * Abandons the race if a race has been started.
- * @returns {module:LBRacing.Race} this.
+ * @override
+ * @inheritdoc
+ * @param {type} dt
+ * @returns {undefined}
  */
-LBRacing.Race.prototype.abandonRace = function() {
-    if ((this.state !== LBRacing.RaceState.NOT_STARTED) && (this.state !== LBRacing.RaceState.ABANDONED)) {
-        this.competitors.forEach(function(competitor) {
-            competitor.raceAbandoned();
-        });
-        
-        this._setState(LBRacing.RaceState.ABANDONED);
-    }
+LBRacing.GateMark.prototype.update = function(dt) {
+    this._updateRoundingMarks();
+    this.portRoundingMark.update(dt);
+    this.stbdRoundingMark.update(dt);
+};
+
+
+/**
+ * The mark tracker for {@link module:LBRacing.GateMark}. The competitor first has to cross the line
+ * between the gate's marks coming from the previous mark. The only way back to the previous mark's
+ * side of the line without crossing the line again is around the outside of one of the marks, which
+ * rounds that mark, so once the competitor has crossed the line the tracker follows the gate mark
+ * the competitor is rounding.
+ * @constructor
+ * @extends {module:LBRacing.MarkTracker}
+ * @param {module:LBRacing.Competitor} competitor   The competitor being tracked.
+ * @param {module:LBRacing.GateMark} mark   The gate.
+ * @returns {module:LBRacing.GateMarkTracker}
+ */
+LBRacing.GateMarkTracker = function(competitor, mark) {
+    LBRacing.MarkTracker.call(this, competitor, mark);
     
-    return this;
+    /**
+     * The gate mark the competitor is rounding, undefined until the competitor has crossed
+     * the line between the gate marks. This is the gate mark closest to the competitor
+     * right after crossing the line, and doesn't change unless the competitor crosses
+     * back over the line.
+     * @member {module:LBRacing.RoundingMark}
+     */
+    this.chosenMark = undefined;
 };
 
+LBRacing.GateMarkTracker.prototype = Object.create(LBRacing.MarkTracker.prototype);
+LBRacing.GateMarkTracker.prototype.constructor = LBRacing.GateMarkTracker;
+
 /**
- * Main update method for managing the race.
+ * @override
+ * @inheritdoc
  * @param {Number} dt   The time step.
+ * @returns {undefined}
  */
-LBRacing.Race.prototype.update = function(dt) {
-    this.course.update(dt);
+LBRacing.GateMarkTracker.prototype.update = function(dt) {
+    if (this.isMarkPassed) {
+        return;
+    }
     
-    switch (this.state) {
-        case LBRacing.RaceState.PRE_START :
-            this.elapsedTime += dt;
-            if (this.elapsedTime >= 0) {
-                this.activeCompetitors.forEach(function(competitor) {
-                    competitor.raceStarted();
-                });
-                this._setState(LBRacing.RaceState.STARTED);
+    if (this.markPassedCount !== 1) {
+        this.chosenMark = undefined;
+    }
+    
+    LBRacing.MarkTracker.prototype.update.call(this, dt);
+};
+
+/**
+ * @override
+ * @inheritdoc
+ * @returns {module:LBGeometry.Vector2} The center position of the chosen gate mark.
+ */
+LBRacing.GateMarkTracker.prototype.getRoundedMarkCenterPosition = function() {
+    if (!this.chosenMark) {
+        this.chosenMark = this.mark.getClosestRoundingMark(this.competitor.boat.obj3D.position);
+    }
+    return this.chosenMark.getMarkCenterPosition();
+};
+
+/**
+ * @override
+ * @inheritdoc
+ */
+LBRacing.GateMarkTracker.prototype.destroy = function() {
+    this.chosenMark = null;
+    LBRacing.MarkTracker.prototype.destroy.call(this);
+};
+
+
+
+/**
+ * The handicap systems supported by {@link module:LBRacing.Race} for computing corrected times.
+ * @readonly
+ * @enum {String}
+ */
+LBRacing.HandicapSystems = {
+    /**
+     * No handicap, competitors are scored on elapsed time.
+     */
+    NONE :              'none',
+    
+    /**
+     * PHRF time-on-time, the corrected time is elapsed time * A / (B + rating), where
+     * A and B are {@link module:LBRacing.Race#timeOnTimeA} and {@link module:LBRacing.Race#timeOnTimeB}.
+     * Uses the 'phrf' handicap rating.
+     */
+    TIME_ON_TIME :      'timeOnTime',
+    
+    /**
+     * PHRF time-on-distance, the corrected time is elapsed time - rating * course distance,
+     * with the rating in seconds per nautical mile. Uses the 'phrf' handicap rating.
+     */
+    TIME_ON_DISTANCE :  'timeOnDistance',
+    
+    /**
+     * Portsmouth Yardstick, the corrected time is elapsed time * base / Portsmouth Number,
+     * where base is {@link module:LBRacing.Race#portsmouthBase}. Uses the 'portsmouth'
+     * handicap rating.
+     */
+    PORTSMOUTH :        'portsmouth'
+};
+
+/**
+ * The number of meters in a nautical mile.
+ * @type {Number}
+ */
+LBRacing.METERS_PER_NM = 1852;
+
+/**
+ * Retrieves the name of the handicap rating used by a handicap system, this is the
+ * name of the property in {@link module:LBSailSim.Vessel#handicap} holding the rating.
+ * @param {module:LBRacing.HandicapSystems} system  The handicap system.
+ * @returns {String|undefined}  The rating name, undefined if the system doesn't use a rating.
+ */
+LBRacing.getHandicapRatingName = function(system) {
+    switch (system) {
+        case LBRacing.HandicapSystems.TIME_ON_TIME :
+        case LBRacing.HandicapSystems.TIME_ON_DISTANCE :
+            return 'phrf';
+            
+        case LBRacing.HandicapSystems.PORTSMOUTH :
+            return 'portsmouth';
+    }
+    return undefined;
+};
+
+/**
+ * Calculates the handicap corrected time for an elapsed time.
+ * @param {module:LBRacing.HandicapSystems} system  The handicap system.
+ * @param {Number} elapsedTime  The elapsed time in seconds.
+ * @param {Number} rating   The competitor's rating for the handicap system, if undefined
+ * the elapsed time is returned.
+ * @param {Object} options  Object containing the parameters for the handicap systems,
+ * normally a {@link module:LBRacing.Race}. The properties used are timeOnTimeA, timeOnTimeB,
+ * portsmouthBase, and courseDistanceNM.
+ * @returns {Number}    The corrected time in seconds.
+ */
+LBRacing.calcCorrectedTime = function(system, elapsedTime, rating, options) {
+    if (!LBUtil.isVar(rating)) {
+        return elapsedTime;
+    }
+    
+    switch (system) {
+        case LBRacing.HandicapSystems.TIME_ON_TIME :
+            return elapsedTime * options.timeOnTimeA / (options.timeOnTimeB + rating);
+            
+        case LBRacing.HandicapSystems.TIME_ON_DISTANCE :
+            return elapsedTime - rating * options.courseDistanceNM;
+            
+        case LBRacing.HandicapSystems.PORTSMOUTH :
+            return (rating > 0) ? elapsedTime * options.portsmouthBase / rating : elapsedTime;
+    }
+    return elapsedTime;
+};
+
+
+/**
+ * Manages a race, with a course and competitors.
+ * @constructor
+ * @param {module:LBSailSim.SailEnv} sailEnv    The sailing environment.
+ * @param {module:LBRacing.Course} course  The course for the race.
+ * @param {Object} options
+ * @returns {module:LBRacing.Race}
+ */
+LBRacing.Race = function(sailEnv, course, options) {
+    options = options || {};
+    
+    this.sailEnv = sailEnv;
+    this.course = course;
+    
+    this.competitors = [];
+    
+    this.activeCompetitors = [];
+    this.finishedCompetitors = [];
+    this.dnfCompetitors = [];
+    
+    this.allMarks = [];
+    
+    /**
+     * The current race state.
+     * @member {Number}
+     */
+    this.state = LBRacing.RaceState.NOT_STARTED;
+    
+    this.preStartDuration = LBUtil.isVar(options.preStartDuration) ? options.preStartDuration : 10;
+    
+    /**
+     * The start sequence signals, ordered from first to last, the last signal is always
+     * the starting signal. See {@link module:LBRacing.createStartSequence}.
+     * @member {Object[]}
+     */
+    this.startSequence = LBRacing.createStartSequence(options.startSequence || [ this.preStartDuration, 0 ]);
+    this.preStartDuration = this.startSequence[0].time;
+    this._nextSignalIndex = 0;
+    
+    /**
+     * The most recent signal made, one of {@link module:LBRacing.StartSignals}.
+     * @member {String}
+     */
+    this.lastSignal = undefined;
+    
+    /**
+     * The current recall state.
+     * @member {module:LBRacing.RecallState}
+     */
+    this.recallState = LBRacing.RecallState.NONE;
+    
+    /**
+     * How long after the starting signal the individual recall flag stays up if not all
+     * the competitors that were on the course side have returned, in seconds.
+     * @member {Number}
+     */
+    this.individualRecallDuration = LBUtil.isVar(options.individualRecallDuration) ? options.individualRecallDuration : 240;
+    
+    /**
+     * If the number of competitors on the course side of the starting line at the
+     * starting signal reaches this a general recall is made automatically, 0 to
+     * only make general recalls via {@link module:LBRacing.Race#generalRecall}.
+     * @member {Number}
+     */
+    this.generalRecallOCSCount = options.generalRecallOCSCount || 0;
+    
+    /**
+     * The time from a general recall to the new warning signal, in seconds.
+     * @member {Number}
+     */
+    this.generalRecallDelay = LBUtil.isVar(options.generalRecallDelay) ? options.generalRecallDelay : 60;
+    
+    this.secondsToStart = -1;
+    this.startTime = 0;
+    
+    this.markTouchPenaltyTime = LBUtil.isVar(options.markTouchPenaltyTime) ? options.markTouchPenaltyTime : 30;
+    
+    /**
+     * How penalties such as mark touches are taken.
+     * @member {module:LBRacing.PenaltyModes}
+     */
+    this.penaltyMode = options.penaltyMode || LBRacing.PenaltyModes.TIME;
+    
+    /**
+     * The number of penalty turns owed for touching a mark when {@link module:LBRacing.Race#penaltyMode}
+     * is {@link module:LBRacing.PenaltyModes.TURNS}, 1 for a 360, 2 for a 720.
+     * @member {Number}
+     */
+    this.markTouchPenaltyTurns = options.markTouchPenaltyTurns || 1;
+    
+    /**
+     * The time in seconds a competitor has to complete each penalty turn, a turn that takes
+     * longer than this is not counted and the competitor has to start the turn over.
+     * @member {Number}
+     */
+    this.penaltyTurnTimeLimit = options.penaltyTurnTimeLimit || 60;
+    
+    /**
+     * The handicap system used to compute corrected times.
+     * @member {module:LBRacing.HandicapSystems}
+     */
+    this.handicapSystem = options.handicapSystem || LBRacing.HandicapSystems.NONE;
+    
+    /**
+     * The numerator used by {@link module:LBRacing.HandicapSystems.TIME_ON_TIME}.
+     * @member {Number}
+     */
+    this.timeOnTimeA = options.timeOnTimeA || 650;
+    
+    /**
+     * The denominator base used by {@link module:LBRacing.HandicapSystems.TIME_ON_TIME}.
+     * @member {Number}
+     */
+    this.timeOnTimeB = options.timeOnTimeB || 550;
+    
+    /**
+     * The base used with the Portsmouth Number by {@link module:LBRacing.HandicapSystems.PORTSMOUTH},
+     * 1000 for RYA style numbers, 100 for US style numbers.
+     * @member {Number}
+     */
+    this.portsmouthBase = options.portsmouthBase || 1000;
+    
+    /**
+     * The course distance in nautical miles used by {@link module:LBRacing.HandicapSystems.TIME_ON_DISTANCE}.
+     * If not specified in the options it is computed from the course when the race starts.
+     * @member {Number}
+     */
+    this.courseDistanceNM = options.courseDistanceNM;
+    this._isCourseDistanceNMFixed = LBUtil.isVar(options.courseDistanceNM);
+    
+    /**
+     * The optional evaluator of the rules between competitors, normally a {@link module:LBRacing.RulesEvaluator}.
+     * The evaluator is destroyed along with the race.
+     * @member {Object}
+     */
+    this.rulesEvaluator = options.rulesEvaluator;
+    
+    /**
+     * If defined the seed passed to {@link LBSailSim.Env#setRandomSeed} when the race is started
+     * via {@link module:LBRacing.Race#startPreRace}, so every running of the race sees the same
+     * wind puffs.
+     * @member {Number|String}
+     */
+    this.randomSeed = options.randomSeed;
+    
+    this.stateChangeCallbacks = [];
+};
+
+/**
+ * States for {@link module:LBRacing.Race#state}.
+ * @readonly
+ * @enum {Number}
+ */
+LBRacing.RaceState = {
+    /** The race has not started */
+    NOT_STARTED:        0,
+    
+    /** 
+     * The race is in the pre-start phase, new competitors added via {@link module:LBRacing.Race#addCompetitor}
+     * are not included in the race.
+     */
+    PRE_START:          1,
+    
+    /**
+     * The race has started
+     */
+    STARTED:            2,
+    
+    /**
+     * At least one competitor has crossed the finish line, but there are still boats racing.
+     */
+    FINISHING:          3,
+    
+    /**
+     * The race is done, all competitors have either finished, retired, or been disqualified.
+     */
+    ALL_DONE:           4,
+    
+    /**
+     * The race was abandoned.
+     */
+    ABANDONED:          5
+};
+
+
+/**
+ * The ways penalties can be taken, used by {@link module:LBRacing.Race#penaltyMode}.
+ * @readonly
+ * @enum {String}
+ */
+LBRacing.PenaltyModes = {
+    /**
+     * Penalties are a fixed time added to the competitor's elapsed time.
+     */
+    TIME :              'time',
+    
+    /**
+     * Penalties are taken by the competitor making one or more 360 degree turns.
+     */
+    TURNS :             'turns'
+};
+
+/**
+ * The signals made during the start sequence, reported via the race's state change callbacks.
+ * @readonly
+ * @enum {String}
+ */
+LBRacing.StartSignals = {
+    /**
+     * The warning signal, the first signal of the sequence.
+     */
+    WARNING :                   'warning',
+    
+    /**
+     * The preparatory signal.
+     */
+    PREPARATORY :               'preparatory',
+    
+    /**
+     * The one-minute signal, the preparatory signal comes down.
+     */
+    ONE_MINUTE :                'oneMinute',
+    
+    /**
+     * The starting signal.
+     */
+    START :                     'start',
+    
+    /**
+     * At least one competitor was on the course side of the starting line at the starting signal.
+     */
+    INDIVIDUAL_RECALL :         'individualRecall',
+    
+    /**
+     * The individual recall flag comes down.
+     */
+    INDIVIDUAL_RECALL_LOWERED : 'individualRecallLowered',
+    
+    /**
+     * The start has been recalled, the start sequence will be restarted.
+     */
+    GENERAL_RECALL :            'generalRecall'
+};
+
+/**
+ * The recall states for {@link module:LBRacing.Race#recallState}.
+ * @readonly
+ * @enum {Number}
+ */
+LBRacing.RecallState = {
+    /**
+     * No recall.
+     */
+    NONE :          0,
+    
+    /**
+     * Individual recall, one or more competitors were on the course side at the 
+     * starting signal and must return.
+     */
+    INDIVIDUAL :    1,
+    
+    /**
+     * General recall, the start sequence is being restarted.
+     */
+    GENERAL :       2
+};
+
+/**
+ * Some commonly used start sequences, in seconds before the start.
+ * @readonly
+ * @enum {Number[]}
+ */
+LBRacing.StartSequences = {
+    /**
+     * The standard 5 minute sequence, warning at 5, preparatory at 4, one-minute at 1, start.
+     */
+    FIVE_FOUR_ONE_GO :      [ 300, 240, 60, 0 ],
+    
+    /**
+     * The 3 minute dinghy sequence, warning at 3, preparatory at 2, one-minute at 1, start.
+     */
+    THREE_TWO_ONE_GO :      [ 180, 120, 60, 0 ]
+};
+
+/**
+ * Creates a start sequence array.
+ * @param {Array} signals   Array whose elements are either the times of signals in
+ * seconds before the start, or objects with the properties 'time' and 'signal',
+ * signal being one of {@link module:LBRacing.StartSignals}. For plain times, the first
+ * is the warning signal, the last the starting signal, the one before the starting signal
+ * the one-minute signal if there are four or more signals, and the rest preparatory signals.
+ * If there isn't a signal at time 0 one is added.
+ * @returns {Object[]}  Array of objects with the properties 'time' and 'signal', ordered
+ * from first signal to starting signal.
+ */
+LBRacing.createStartSequence = function(signals) {
+    var sequence = signals.map(function(signal) {
+        return (typeof signal === 'number') ? { time: signal } : Object.assign({}, signal);
+    });
+    sequence.sort(function(a, b) {
+        return b.time - a.time;
+    });
+    if (!sequence.length || (sequence[sequence.length - 1].time > 0)) {
+        sequence.push({ time: 0 });
+    }
+    
+    var lastIndex = sequence.length - 1;
+    sequence.forEach(function(entry, index) {
+        if (!entry.signal) {
+            if (index === lastIndex) {
+                entry.signal = LBRacing.StartSignals.START;
             }
+            else if (index === 0) {
+                entry.signal = LBRacing.StartSignals.WARNING;
+            }
+            else if ((index === lastIndex - 1) && (sequence.length >= 4)) {
+                entry.signal = LBRacing.StartSignals.ONE_MINUTE;
+            }
+            else {
+                entry.signal = LBRacing.StartSignals.PREPARATORY;
+            }
+        }
+    });
+    return sequence;
+};
+
+
+LBRacing.Race.prototype = {};
+LBRacing.Race.prototype.constructor = LBRacing.Race;
+
+/**
+ * Adds a competitor to the race. Newly added competitors will not participate in the
+ * active race if there is one. If the boat is a competitor in another race, it will
+ * be removed from that race.
+ * @param {module:LBSailSim.Vessel} boat    The boat.
+ * @returns {module:LBRacing.Competitor} The competitor object for the boat.
+ */
+LBRacing.Race.prototype.addCompetitor = function(boat) {
+    if (boat._lbCompetitor) {
+        boat._lbCompetitor.race.removeCompetitor(boat);
+    }
+
+    var competitor = new LBRacing.Competitor(this, boat);
+    this.competitors.push(competitor);
+    boat._lbCompetitor = competitor;
+    
+    return competitor;
+};
+
+/**
+ * Removes a competitor from the race.
+ * @param {module:LBSailSim.Vessel} boat    The boat to remove.
+ * @returns {module:LBRacing.Race} this.
+ */
+LBRacing.Race.prototype.removeCompetitor = function(boat) {
+    var competitor = boat._lbCompetitor;
+    if (competitor && (competitor.race === this)) {
+        var index = this.competitors.indexOf(competitor);
+        if (index >= 0) {
+            this.competitors.splice(index, 1);
+        }
+        competitor.destroy();
+        boat._lbCompetitor = undefined;
+    }
+    
+    return this;
+};
+
+
+/**
+ * Retrieves the {@link module:LBRacing.Competitor} associated with a boat, if any.
+ * @param {module:LBSailSim.Vessel} boat    The boat of interest..
+ * @returns {module:LBRacing.Comptetitor|undefined} The competitor object if the boat
+ * is a competitor in this race, undefined if not.
+ */
+LBRacing.Race.prototype.getCompetitor = function(boat) {
+    return boat._lbCompetitor;
+};
+
+
+/**
+ * Adds a function that gets called whenever the racing state changes. The function
+ * is also called whenever a signal is made, in which case it is passed the signal,
+ * one of {@link module:LBRacing.StartSignals}, as the second argument.
+ * @param {Function} callback   The callback function, it is passed this as the first
+ * argument, and the signal if a signal was made as the second argument.
+ * @returns {module:LBRacing.Race}  this.
+ */
+LBRacing.Race.prototype.addStateChangeCallback = function(callback) {
+    this.stateChangeCallbacks.push(callback);
+    return this;
+};
+
+/**
+ * Removes a state change callback function.
+ * @param {Function} callback   The function to remove.
+ * @returns {Boolean}   true if the function was found and removed.
+ */
+LBRacing.Race.prototype.removeStateChangeCallback = function(callback) {
+    var index = this.stateChangeCallbacks.indexOf(callback);
+    if (index >= 0) {
+        this.stateChangeCallbacks.splice(index, 1);
+        return true;
+    }
+    return false;
+};
+
+/**
+ * Starts the race, or rather the pre-race portion of the race.
+ * @returns {module:LBRacing.Race} this.
+ */
+LBRacing.Race.prototype.startPreRace = function() {
+    if (this.state !== LBRacing.RaceState.NOT_STARTED) {
+        this.abandonRace();
+    }
+    
+    this.allMarks.length = 0;
+    this.allMarks.push(this.course.start);
+    this.course.marks.forEach(function(mark) {
+        this.allMarks.push(mark);
+    }, this);
+    this.allMarks.push(this.course.finish);
+    
+    this.activeCompetitors = this.competitors.slice();
+    this.finishedCompetitors.length = 0;
+    this.dnfCompetitors.length = 0;
+    
+    if (!this._isCourseDistanceNMFixed) {
+        this.courseDistanceNM = this.course.getCourseLength() / LBRacing.METERS_PER_NM;
+    }
+    
+    if (LBUtil.isVar(this.randomSeed)) {
+        this.sailEnv.setRandomSeed(this.randomSeed);
+    }
+    
+    this.recallState = LBRacing.RecallState.NONE;
+    this._beginStartSequence(0);
+    
+    return this;
+};
+
+LBRacing.Race.prototype._beginStartSequence = function(delay) {
+    this.startTime = this.sailEnv.currentTime + delay + this.preStartDuration;
+    this.elapsedTime = -(delay + this.preStartDuration);
+    this._nextSignalIndex = 0;
+    this.lastSignal = undefined;
+    
+    this._setState(LBRacing.RaceState.PRE_START);
+    
+    this.competitors.forEach(function(competitor) {
+        competitor.racePreStart();
+    });
+    
+    this._updateStartSequence();
+};
+
+LBRacing.Race.prototype._makeSignal = function(signal) {
+    this.lastSignal = signal;
+    this.stateChangeCallbacks.forEach(function(callback) {
+        callback(this, signal);
+    }, this);
+};
+
+LBRacing.Race.prototype._updateStartSequence = function() {
+    while (this._nextSignalIndex < this.startSequence.length) {
+        var entry = this.startSequence[this._nextSignalIndex];
+        if (this.elapsedTime < -entry.time) {
+            break;
+        }
+        
+        ++this._nextSignalIndex;
+        if (entry.signal === LBRacing.StartSignals.START) {
+            this._handleStart();
+            return;
+        }
+        
+        if ((entry.signal === LBRacing.StartSignals.WARNING) && (this.recallState === LBRacing.RecallState.GENERAL)) {
+            this.recallState = LBRacing.RecallState.NONE;
+        }
+        this._makeSignal(entry.signal);
+    }
+};
+
+LBRacing.Race.prototype._handleStart = function() {
+    var start = this.course.start;
+    var basePos = start.getMarkBasePosition();
+    var endPos = start.getMarkEndPosition();
+    var courseSide = start.getCrossingLinePassedSide();
+    
+    var ocsCount = 0;
+    this.activeCompetitors.forEach(function(competitor) {
+        var isOCS = LBGeometry.whichSideOfLine(basePos, endPos, competitor.boat.obj3D.position) === courseSide;
+        if (isOCS) {
+            ++ocsCount;
+        }
+        competitor.raceStarted(isOCS);
+    });
+    
+    this._setState(LBRacing.RaceState.STARTED);
+    this._makeSignal(LBRacing.StartSignals.START);
+    
+    if (this.generalRecallOCSCount && (ocsCount >= this.generalRecallOCSCount)) {
+        this.generalRecall();
+    }
+    else if (ocsCount) {
+        this.recallState = LBRacing.RecallState.INDIVIDUAL;
+        this._makeSignal(LBRacing.StartSignals.INDIVIDUAL_RECALL);
+    }
+};
+
+LBRacing.Race.prototype._updateIndividualRecall = function() {
+    if (this.recallState !== LBRacing.RecallState.INDIVIDUAL) {
+        return;
+    }
+    
+    var isAnyOCS = this.activeCompetitors.some(function(competitor) {
+        return competitor.isOCS;
+    });
+    if (!isAnyOCS || (this.elapsedTime >= this.individualRecallDuration)) {
+        this.recallState = LBRacing.RecallState.NONE;
+        this._makeSignal(LBRacing.StartSignals.INDIVIDUAL_RECALL_LOWERED);
+    }
+};
+
+/**
+ * Makes a general recall, the start is cancelled and the start sequence restarts
+ * with a new warning signal {@link module:LBRacing.Race#generalRecallDelay} seconds later.
+ * A general recall may only be made shortly after the starting signal, before any competitor
+ * has passed the first mark after the starting line.
+ * @returns {Boolean}   true if the general recall was made.
+ */
+LBRacing.Race.prototype.generalRecall = function() {
+    if (this.state !== LBRacing.RaceState.STARTED) {
+        return false;
+    }
+    var isPastFirstMark = this.competitors.some(function(competitor) {
+        return competitor.getMarksPassedCount() > 1;
+    });
+    if (isPastFirstMark) {
+        return false;
+    }
+    
+    this.activeCompetitors = this.competitors.slice();
+    this.finishedCompetitors.length = 0;
+    this.dnfCompetitors.length = 0;
+    
+    this.recallState = LBRacing.RecallState.GENERAL;
+    this._makeSignal(LBRacing.StartSignals.GENERAL_RECALL);
+    this._beginStartSequence(this.generalRecallDelay);
+    return true;
+};
+
+/**
+ * @returns {Number}    The number of seconds until the next signal of the start sequence,
+ * -1 if there are no more signals.
+ */
+LBRacing.Race.prototype.getSecondsToNextSignal = function() {
+    if ((this.state !== LBRacing.RaceState.PRE_START) || (this._nextSignalIndex >= this.startSequence.length)) {
+        return -1;
+    }
+    return -this.startSequence[this._nextSignalIndex].time - this.elapsedTime;
+};
+
+LBRacing.Race.prototype._setState = function(state) {
+    if (this.state !== state) {
+        this.state = state;
+        
+        this.stateChangeCallbacks.forEach(function(callback) {
+            callback(this);
+        }, this);
+    }
+    return this;
+};
+
+/**
+ * Abandons the race if a race has been started.
+ * @returns {module:LBRacing.Race} this.
+ */
+LBRacing.Race.prototype.abandonRace = function() {
+    if ((this.state !== LBRacing.RaceState.NOT_STARTED) && (this.state !== LBRacing.RaceState.ABANDONED)) {
+        this.competitors.forEach(function(competitor) {
+            competitor.raceAbandoned();
+        });
+        
+        this._setState(LBRacing.RaceState.ABANDONED);
+    }
+    
+    return this;
+};
+
+/**
+ * Main update method for managing the race.
+ * @param {Number} dt   The time step.
+ */
+LBRacing.Race.prototype.update = function(dt) {
+    this.course.update(dt);
+    
+    switch (this.state) {
+        case LBRacing.RaceState.PRE_START :
+            this.elapsedTime += dt;
+            this._updateStartSequence();
             break;
 
         case LBRacing.RaceState.STARTED :
@@ -929,22 +1703,12 @@ LBRacing.Race.prototype.update = function(dt) {
             var count = this.activeCompetitors.length;
             for (var i = 0; i < count; ) {
                 var competitor = this.activeCompetitors[i];
-                competitor.update(i);
-                if ((competitor.state !== LBRacing.CompetitorStates.STARTING)
-                 && (competitor.state !== LBRacing.CompetitorStates.RACING)) {
-                    if (competitor.state === LBRacing.CompetitorStates.FINISHED) {
-                        this.finishedCompetitors.push(competitor);
-                        competitor.finishPosition = this.finishedCompetitors.length;
-                        competitor.timeOfFinish = this.currentTime;
-                        this._setState(LBRacing.RaceState.FINISHING);
-                    }
-                    else {
-                        this.dnfCompetitors.push(competitor);
-                    }
-                    
+                competitor.update(dt);
+                if (!competitor.isRacing()) {
+                    this._competitorDone(competitor);
                     this.activeCompetitors.splice(i, 1);
                     --count;
-                    
+
                     if (!this.activeCompetitors.length) {
                         this._setState(LBRacing.RaceState.ALL_DONE);
                     }
@@ -953,10 +1717,212 @@ LBRacing.Race.prototype.update = function(dt) {
                     ++i;
                 }
             }
+            
+            if (this.rulesEvaluator) {
+                this.rulesEvaluator.update(this, dt);
+            }
+            
+            this._updateIndividualRecall();
             break;
     }
 };
 
+LBRacing.Race.prototype._competitorDone = function(competitor) {
+    if (competitor.state === LBRacing.CompetitorStates.FINISHED) {
+        this.finishedCompetitors.push(competitor);
+        competitor.finishPosition = this.finishedCompetitors.length;
+        competitor.timeOfFinish = this.sailEnv.currentTime;
+        competitor.elapsedTime = this.elapsedTime;
+        this._setState(LBRacing.RaceState.FINISHING);
+    }
+    else {
+        this.dnfCompetitors.push(competitor);
+    }
+};
+
+/**
+ * Ends the race, any competitors still racing are marked as not having finished (or
+ * not having started if they never crossed the starting line).
+ * @returns {module:LBRacing.Race} this.
+ */
+LBRacing.Race.prototype.endRace = function() {
+    if ((this.state === LBRacing.RaceState.STARTED) || (this.state === LBRacing.RaceState.FINISHING)) {
+        this.activeCompetitors.forEach(function(competitor) {
+            competitor.raceEnded();
+            this._competitorDone(competitor);
+        }, this);
+        this.activeCompetitors.length = 0;
+
+        this._setState(LBRacing.RaceState.ALL_DONE);
+    }
+
+    return this;
+};
+
+
+/**
+ * Compares two competitors for ranking in the standings. Finished competitors are
+ * ranked by corrected time, competitors still racing by the number of marks passed and
+ * then by the distance to the next mark. Competitors that are no longer racing without
+ * having finished are ranked last.
+ * @param {module:LBRacing.Competitor} a    The first competitor.
+ * @param {module:LBRacing.Competitor} b    The second competitor.
+ * @returns {Number}    A negative number if a ranks ahead of b, a positive number if
+ * b ranks ahead of a, 0 if they are tied.
+ */
+LBRacing.compareCompetitorStandings = function(a, b) {
+    var aRank = _standingsGroup(a);
+    var bRank = _standingsGroup(b);
+    if (aRank !== bRank) {
+        return aRank - bRank;
+    }
+
+    if (a.state === LBRacing.CompetitorStates.FINISHED) {
+        var delta = a.getCorrectedTime() - b.getCorrectedTime();
+        return (delta) ? delta : a.finishPosition - b.finishPosition;
+    }
+
+    var marksDelta = b.getMarksPassedCount() - a.getMarksPassedCount();
+    if (marksDelta) {
+        return marksDelta;
+    }
+
+    if (aRank === 1) {
+        return a.getDistanceToNextMark() - b.getDistanceToNextMark();
+    }
+    return 0;
+};
+
+function _standingsGroup(competitor) {
+    switch (competitor.state) {
+        case LBRacing.CompetitorStates.FINISHED :
+            return 0;
+        case LBRacing.CompetitorStates.STARTING :
+        case LBRacing.CompetitorStates.RACING :
+            return 1;
+        case LBRacing.CompetitorStates.PRE_START :
+        case LBRacing.CompetitorStates.NOT_RACING :
+            return 2;
+        default :
+            return 3;
+    }
+}
+
+
+/**
+ * Retrieves the current standings of the race.
+ * @returns {module:LBRacing.Competitor[]}  A new array containing the competitors ordered
+ * by their current standing, the leader is first.
+ */
+LBRacing.Race.prototype.getStandings = function() {
+    var standings = this.competitors.slice();
+    standings.sort(LBRacing.compareCompetitorStandings);
+    return standings;
+};
+
+
+/**
+ * Retrieves the results of the race as an array of plain data objects, ordered by
+ * the current standings. The data objects have the following properties:
+ * <pre><code>
+ *  position:       1,              // The position in the standings, 1 is first.
+ *  name:           "TubbyA",       // The boat's name.
+ *  boatType:       "Tubby",        // The boat's type name.
+ *  resultCode:     "FIN",          // One of the LBRacing.ResultCodes.
+ *  marksPassed:    3,              // The number of marks passed, including the start.
+ *  handicapRating: 270,            // The rating used for the handicap system, if any.
+ *  elapsedTime:    123.4,          // The elapsed time in seconds, undefined if not finished.
+ *  penaltyTime:    30,             // The total penalty time in seconds.
+ *  unservedPenaltyTurns: 0,        // The number of penalty turns owed but not completed.
+ *  correctedTime:  153.4,          // The corrected time in seconds, undefined if not finished.
+ *  penalties:      []              // Copies of the competitor's penalty records.
+ * </code></pre>
+ * @returns {Object[]}  The array of result data objects.
+ */
+LBRacing.Race.prototype.getResults = function() {
+    return this.getStandings().map(function(competitor, index) {
+        return competitor.getResult(index + 1);
+    });
+};
+
+/**
+ * Retrieves a data object suitable for converting to JSON representing the race and
+ * its results.
+ * @returns {Object}    The data object.
+ */
+LBRacing.Race.prototype.getResultsData = function() {
+    return {
+        courseName: (this.course) ? this.course.name : undefined,
+        state: this.state,
+        handicapSystem: this.handicapSystem,
+        randomSeed: this.randomSeed,
+        elapsedTime: this.elapsedTime,
+        results: this.getResults()
+    };
+};
+
+/**
+ * Exports the race results as a JSON string.
+ * @returns {String}    The JSON representation of {@link module:LBRacing.Race#getResultsData}.
+ */
+LBRacing.Race.prototype.resultsToJSON = function() {
+    return JSON.stringify(this.getResultsData(), null, 4);
+};
+
+
+/**
+ * The columns written by {@link module:LBRacing.Race#resultsToCSV}, each column is
+ * the name of a property in the result objects from {@link module:LBRacing.Race#getResults}.
+ * @type {String[]}
+ */
+LBRacing.RESULTS_CSV_COLUMNS = [ 'position', 'name', 'boatType', 'resultCode', 'marksPassed',
+    'handicapRating', 'elapsedTime', 'penaltyTime', 'unservedPenaltyTurns', 'correctedTime' ];
+
+/**
+ * Helper for converting a value to a CSV field.
+ * @param {Object} value    The value.
+ * @returns {String}    The CSV field text.
+ */
+LBRacing.toCSVField = function(value) {
+    if (!LBUtil.isVar(value)) {
+        return "";
+    }
+    if (typeof value === 'number') {
+        return (Number.isInteger(value)) ? value.toString() : value.toFixed(2);
+    }
+    value = value.toString();
+    if (/[",\n]/.test(value)) {
+        value = '"' + value.replace(/"/g, '""') + '"';
+    }
+    return value;
+};
+
+/**
+ * Converts race results to comma separated values, the first line contains the
+ * column names.
+ * @param {Object[]} results    The result data objects, normally from {@link module:LBRacing.Race#getResults}
+ * or the results property of a {@link module:LBRacing.Series#races} element.
+ * @returns {String}    The CSV text.
+ */
+LBRacing.resultsToCSV = function(results) {
+    var lines = [ LBRacing.RESULTS_CSV_COLUMNS.join(',') ];
+    results.forEach(function(result) {
+        lines.push(LBRacing.RESULTS_CSV_COLUMNS.map(function(column) {
+            return LBRacing.toCSVField(result[column]);
+        }).join(','));
+    });
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Exports the race results as comma separated values, the first line contains the
+ * column names.
+ * @returns {String}    The CSV text.
+ */
+LBRacing.Race.prototype.resultsToCSV = function() {
+    return LBRacing.resultsToCSV(this.getResults());
+};
+
 /**
  * Removes the race from use.
  */
@@ -977,6 +1943,11 @@ LBRacing.Race.prototype.destroy = function() {
         this.dnfCompetitors = null;
 
         this.allMarks = null;
+        
+        if (this.rulesEvaluator) {
+            this.rulesEvaluator.destroy();
+            this.rulesEvaluator = null;
+        }
     }
 };
 
@@ -993,18 +1964,55 @@ LBRacing.Competitor = function(race, boat) {
     this.boat = boat;
     
     /**
-     * The finish position of the competitor, Number.MAX_VALUE if the competitor has
-     * not finished.
+     * The finish position of the competitor, Number.MAX_VALUE if the competitor has
+     * not finished.
+     * @member {Number}
+     */
+    this.finishPosition = Number.MAX_VALUE;
+    
+    /**
+     * The time of finish of the competitor, Number.MAX_VALUE if the competitor has
+     * not finished.
+     * @member {Number}
+     */
+    this.timeOfFinish = Number.MAX_VALUE;
+    
+    /**
+     * The elapsed racing time of the competitor, from the start of the race to crossing
+     * the finish line, Number.MAX_VALUE if the competitor has not finished.
+     * @member {Number}
+     */
+    this.elapsedTime = Number.MAX_VALUE;
+    
+    /**
+     * The penalties that have been assessed against the competitor. Each penalty is
+     * an object with the following properties:
+     * <pre><code>
+     *  time:       30,             // The penalty time in seconds.
+     *  reason:     "markTouched",  // What the penalty was for.
+     *  markName:   "Windward Mark",// The name of the mark involved, if any.
+     *  raceTime:   123.4,          // The race elapsed time the penalty was assessed.
+     *  turns:      0,              // The number of penalty turns owed for the penalty.
+     *  turnsServed: 0              // The number of penalty turns completed for the penalty.
+     * </code></pre>
+     * @member {Object[]}
+     */
+    this.penalties = [];
+    
+    /**
+     * The total penalty time in seconds.
      * @member {Number}
      */
-    this.finishPosition = Number.MAX_VALUE;
+    this.penaltyTime = 0;
     
     /**
-     * The time of finish of the competitor, Number.MAX_VALUE if the competitor has
-     * not finished.
+     * The number of penalty turns the competitor currently owes.
      * @member {Number}
      */
-    this.timeOfFinish = Number.MAX_VALUE;
+    this.owedPenaltyTurns = 0;
+    this._penaltyTurnDeg = 0;
+    this._penaltyTurnTime = 0;
+    this._lastHeadingDeg = 0;
     
     /**
      * The competitor's current state.
@@ -1017,6 +2025,13 @@ LBRacing.Competitor = function(race, boat) {
      */
     this.currentMarkIndex = 0;
     
+    /**
+     * Set to true if the competitor was on the course side of the starting line at the
+     * starting signal and has not yet returned to the pre-start side.
+     * @member {Boolean}
+     */
+    this.isOCS = false;
+    
     this.stateChangeCallbacks = [];
     this.markPassedCallbacks = [];
     
@@ -1063,7 +2078,66 @@ LBRacing.CompetitorStates = {
     /**
      * The competitor has retired.
      */
-    RETIRED :           6
+    RETIRED :           6,
+    
+    /**
+     * The race ended before the competitor crossed the finish line.
+     */
+    DID_NOT_FINISH :    7,
+    
+    /**
+     * The race ended before the competitor crossed the starting line.
+     */
+    DID_NOT_START :     8
+};
+
+/**
+ * The result codes returned by {@link module:LBRacing.Competitor#getResultCode}.
+ * @readonly
+ * @enum {String}
+ */
+LBRacing.ResultCodes = {
+    /**
+     * The competitor is still racing or is not in a race.
+     */
+    NONE :              '',
+    
+    /**
+     * The competitor finished.
+     */
+    FINISHED :          'FIN',
+    
+    /**
+     * Did not start.
+     */
+    DNS :               'DNS',
+    
+    /**
+     * Did not finish.
+     */
+    DNF :               'DNF',
+    
+    /**
+     * Retired.
+     */
+    RET :               'RET',
+    
+    /**
+     * Disqualified.
+     */
+    DSQ :               'DSQ',
+    
+    /**
+     * On the course side of the starting line at the starting signal and never returned
+     * to start properly.
+     */
+    OCS :               'OCS',
+    
+    /**
+     * Did not come to the starting area, used by {@link module:LBRacing.Series} for
+     * series competitors that were not in a race.
+     */
+    DNC :               'DNC'
 };
 
 LBRacing.Competitor.prototype = {};
@@ -1096,7 +2170,9 @@ LBRacing.Competitor.prototype.removeStateChangeCallback = function(callback) {
 
 /**
  * Adds a function that gets called back whenever the current mark's passed state
- * changes. This is also called when the mark touched state changes.
+ * changes. This is also called when the mark touched state changes and when the
+ * {@link module:LBRacing.Competitor#isOCS} state changes and when a penalty turn
+ * is completed.
  * @param {Function} callback   The callback function, it takes one argument, this.
  * @returns {module:LBRacing.Competitor}    this.
  */
@@ -1135,9 +2211,23 @@ LBRacing.Competitor.prototype._setState = function(state) {
  */
 LBRacing.Competitor.prototype.reset = function() {
     this.finishPosition = Number.MAX_VALUE;
+    this.timeOfFinish = Number.MAX_VALUE;
+    this.elapsedTime = Number.MAX_VALUE;
+    this.penalties.length = 0;
+    this.penaltyTime = 0;
+    this.owedPenaltyTurns = 0;
     this._setState(LBRacing.CompetitorStates.NOT_RACING);
 };
 
+/**
+ * @returns {Boolean}   true if the competitor is actively racing, that is the race has
+ * started and the competitor has not yet finished, retired, or been disqualified.
+ */
+LBRacing.Competitor.prototype.isRacing = function() {
+    return (this.state === LBRacing.CompetitorStates.STARTING)
+        || (this.state === LBRacing.CompetitorStates.RACING);
+};
+
 /**
  * Called by a race when the pre-start begins.
  * @returns {undefined}
@@ -1146,6 +2236,10 @@ LBRacing.Competitor.prototype.racePreStart = function() {
     this.reset();
 
     this.currentMarkIndex = 0;
+    this.isOCS = false;
+    if (this.currentMarkTracker) {
+        this.currentMarkTracker.destroy();
+    }
     this.currentMarkTracker = null;
 
     this.markPassedCallbacks.forEach(function(callback) {
@@ -1157,11 +2251,20 @@ LBRacing.Competitor.prototype.racePreStart = function() {
 
 /**
  * Called by a race when the race actually starts.
+ * @param {Boolean} [isOCS=false]  true if the competitor was on the course side of the
+ * starting line at the starting signal, in which case the competitor has to return
+ * to the pre-start side of the starting line before starting.
  * @returns {undefined}
  */
-LBRacing.Competitor.prototype.raceStarted = function() {
+LBRacing.Competitor.prototype.raceStarted = function(isOCS) {
     this.currentMarkTracker = this.race.allMarks[0].createMarkTracker(this, this.race.allMarks[1]);
+    this.isOCS = isOCS || false;
     this._setState(LBRacing.CompetitorStates.STARTING);
+    if (this.isOCS) {
+        this.markPassedCallbacks.forEach(function(callback) {
+            callback(this);
+        }, this);
+    }
 };
 
 /**
@@ -1172,6 +2275,19 @@ LBRacing.Competitor.prototype.raceAbandoned = function() {
     this._setState(LBRacing.CompetitorStates.NOT_RACING);
 };
 
+/**
+ * Called by a race when the race is ended while the competitor is still racing.
+ * @returns {undefined}
+ */
+LBRacing.Competitor.prototype.raceEnded = function() {
+    if (this.state === LBRacing.CompetitorStates.STARTING) {
+        this._setState(LBRacing.CompetitorStates.DID_NOT_START);
+    }
+    else if (this.state === LBRacing.CompetitorStates.RACING) {
+        this._setState(LBRacing.CompetitorStates.DID_NOT_FINISH);
+    }
+};
+
 /**
  * Called to disqualify a competitor.
  * @returns {undefined}
@@ -1194,7 +2310,211 @@ LBRacing.Competitor.prototype.retire = function() {
  * @returns {undefined}
  */
 LBRacing.Competitor.prototype.markTouched = function(mark) {
+    if (this.race.penaltyMode === LBRacing.PenaltyModes.TURNS) {
+        this.addPenaltyTurns(this.race.markTouchPenaltyTurns, 'markTouched', mark);
+    }
+    else if (this.race.markTouchPenaltyTime) {
+        this.addPenalty(this.race.markTouchPenaltyTime, 'markTouched', mark);
+    }
+};
+
+/**
+ * Assesses a time penalty against the competitor.
+ * @param {Number} time The penalty time in seconds.
+ * @param {String} reason   What the penalty is for.
+ * @param {module:LBRacing.Mark} [mark] The mark involved, if any.
+ * @returns {Object}    The penalty record that was added to {@link module:LBRacing.Competitor#penalties}.
+ */
+LBRacing.Competitor.prototype.addPenalty = function(time, reason, mark) {
+    var penalty = {
+        time: time,
+        reason: reason,
+        markName: (mark) ? mark.name : undefined,
+        raceTime: this.race.elapsedTime,
+        turns: 0,
+        turnsServed: 0
+    };
+    this.penalties.push(penalty);
+    this.penaltyTime += time;
+    return penalty;
+};
+
+/**
+ * Assesses a turns penalty against the competitor, the competitor has to complete the
+ * turns to exonerate itself. The turns are tracked from the competitor's heading changes,
+ * each turn is complete once the heading has changed by 360 degrees in one direction without
+ * turning back, within {@link module:LBRacing.Race#penaltyTurnTimeLimit}.
+ * @param {Number} turns    The number of turns owed, 1 for a 360, 2 for a 720.
+ * @param {String} reason   What the penalty is for.
+ * @param {module:LBRacing.Mark} [mark] The mark involved, if any.
+ * @returns {Object}    The penalty record that was added to {@link module:LBRacing.Competitor#penalties}.
+ */
+LBRacing.Competitor.prototype.addPenaltyTurns = function(turns, reason, mark) {
+    var penalty = this.addPenalty(0, reason, mark);
+    penalty.turns = turns;
+    
+    this._resetPenaltyTurn();
+    this.owedPenaltyTurns += turns;
+    return penalty;
+};
+
+LBRacing.Competitor.prototype._resetPenaltyTurn = function() {
+    this._penaltyTurnDeg = 0;
+    this._penaltyTurnTime = 0;
+    this._lastHeadingDeg = this.boat.obj3D.rotation.z * LBMath.RAD_TO_DEG;
+};
+
+LBRacing.Competitor.prototype._updatePenaltyTurns = function(dt) {
+    var headingDeg = this.boat.obj3D.rotation.z * LBMath.RAD_TO_DEG;
+    var deltaDeg = LBMath.subDegrees(headingDeg, this._lastHeadingDeg);
+    this._lastHeadingDeg = headingDeg;
+    
+    // Only continuous rotation in one direction counts, turning back or taking too long
+    // starts the turn over.
+    if ((deltaDeg * this._penaltyTurnDeg < 0) || (this._penaltyTurnTime > this.race.penaltyTurnTimeLimit)) {
+        this._penaltyTurnDeg = 0;
+        this._penaltyTurnTime = 0;
+    }
+    if (deltaDeg) {
+        this._penaltyTurnDeg += deltaDeg;
+        this._penaltyTurnTime += dt;
+    }
+    
+    if (Math.abs(this._penaltyTurnDeg) < 360) {
+        return false;
+    }
     
+    this._penaltyTurnDeg = 0;
+    this._penaltyTurnTime = 0;
+    --this.owedPenaltyTurns;
+    
+    for (var i = 0; i < this.penalties.length; ++i) {
+        var penalty = this.penalties[i];
+        if (penalty.turnsServed < penalty.turns) {
+            ++penalty.turnsServed;
+            break;
+        }
+    }
+    return true;
+};
+
+/**
+ * @returns {Number}    The number of penalty turns the competitor owes but has not
+ * completed, if the competitor has finished these are unserved penalties.
+ */
+LBRacing.Competitor.prototype.getUnservedPenaltyTurns = function() {
+    return this.owedPenaltyTurns;
+};
+
+/**
+ * @returns {Number}    The elapsed racing time of the competitor, Number.MAX_VALUE if
+ * the competitor has not finished.
+ */
+LBRacing.Competitor.prototype.getElapsedTime = function() {
+    return this.elapsedTime;
+};
+
+/**
+ * @returns {Number|undefined}  The competitor's rating for the race's handicap system,
+ * undefined if the race is not handicapped or the boat does not have a rating for the system.
+ */
+LBRacing.Competitor.prototype.getHandicapRating = function() {
+    var ratingName = LBRacing.getHandicapRatingName(this.race.handicapSystem);
+    if (!ratingName || !this.boat.handicap) {
+        return undefined;
+    }
+    return this.boat.handicap[ratingName];
+};
+
+/**
+ * @returns {Number}    The corrected time of the competitor, which is the elapsed time
+ * corrected for the race's handicap system plus any penalty time, Number.MAX_VALUE if
+ * the competitor has not finished.
+ */
+LBRacing.Competitor.prototype.getCorrectedTime = function() {
+    if (this.elapsedTime === Number.MAX_VALUE) {
+        return Number.MAX_VALUE;
+    }
+    return LBRacing.calcCorrectedTime(this.race.handicapSystem, this.elapsedTime, this.getHandicapRating(), this.race)
+            + this.penaltyTime;
+};
+
+/**
+ * @returns {Number}    The number of marks the competitor has passed, this includes
+ * the starting line.
+ */
+LBRacing.Competitor.prototype.getMarksPassedCount = function() {
+    return this.currentMarkIndex;
+};
+
+/**
+ * @returns {Number}    The lap the competitor is currently sailing, starting at 1.
+ */
+LBRacing.Competitor.prototype.getCurrentLap = function() {
+    var allMarks = this.race.allMarks;
+    if (!allMarks.length) {
+        return 1;
+    }
+    var mark = allMarks[Math.min(this.currentMarkIndex, allMarks.length - 1)];
+    return this.race.course.getLapOfMark(mark);
+};
+
+/**
+ * @returns {Number}    The distance from the competitor to the next mark to be passed,
+ * 0 if there is no next mark.
+ */
+LBRacing.Competitor.prototype.getDistanceToNextMark = function() {
+    var allMarks = this.race.allMarks;
+    if (this.currentMarkIndex >= allMarks.length) {
+        return 0;
+    }
+    var markPos = allMarks[this.currentMarkIndex].getMarkCenterPosition();
+    var boatPos = this.boat.obj3D.position;
+    return Math.sqrt((markPos.x - boatPos.x) * (markPos.x - boatPos.x) + (markPos.y - boatPos.y) * (markPos.y - boatPos.y));
+};
+
+/**
+ * @returns {module:LBRacing.ResultCodes}   The result code for the competitor's current state.
+ */
+LBRacing.Competitor.prototype.getResultCode = function() {
+    switch (this.state) {
+        case LBRacing.CompetitorStates.FINISHED :
+            return LBRacing.ResultCodes.FINISHED;
+        case LBRacing.CompetitorStates.DID_NOT_START :
+            return (this.isOCS) ? LBRacing.ResultCodes.OCS : LBRacing.ResultCodes.DNS;
+        case LBRacing.CompetitorStates.DID_NOT_FINISH :
+            return LBRacing.ResultCodes.DNF;
+        case LBRacing.CompetitorStates.RETIRED :
+            return LBRacing.ResultCodes.RET;
+        case LBRacing.CompetitorStates.DISQUALIFIED :
+            return LBRacing.ResultCodes.DSQ;
+    }
+    return LBRacing.ResultCodes.NONE;
+};
+
+/**
+ * Retrieves a plain data object describing the competitor's results, see
+ * {@link module:LBRacing.Race#getResults} for the properties.
+ * @param {Number} position The competitor's position in the standings.
+ * @returns {Object}    The result data object.
+ */
+LBRacing.Competitor.prototype.getResult = function(position) {
+    var isFinished = (this.state === LBRacing.CompetitorStates.FINISHED);
+    return {
+        position: position,
+        name: this.boat.name,
+        boatType: this.boat.typeName,
+        resultCode: this.getResultCode(),
+        marksPassed: this.getMarksPassedCount(),
+        handicapRating: this.getHandicapRating(),
+        elapsedTime: (isFinished) ? this.getElapsedTime() : undefined,
+        penaltyTime: this.penaltyTime,
+        unservedPenaltyTurns: this.getUnservedPenaltyTurns(),
+        correctedTime: (isFinished) ? this.getCorrectedTime() : undefined,
+        penalties: this.penalties.map(function(penalty) {
+            return Object.assign({}, penalty);
+        })
+    };
 };
 
 /**
@@ -1213,12 +2533,29 @@ LBRacing.Competitor.prototype.update = function(dt) {
             
             var isProvisionallyPassed = (this.currentMarkTracker.markPassedCount === 1);
             var isMarkTouched = this.currentMarkTracker.isMarkTouched;
-            if ((isProvisionallyPassed !== wasProvisionallyPassed) || (isMarkTouched != wasMarkTouched)) {
+            if (isMarkTouched && !wasMarkTouched) {
+                this.markTouched(this.currentMarkTracker.mark);
+            }
+            
+            var isPenaltyTurnDone = (this.owedPenaltyTurns > 0) && this._updatePenaltyTurns(dt);
+            
+            var wasOCS = this.isOCS;
+            if (wasOCS && this.currentMarkTracker.competitorLastSideOfLine) {
+                // The start mark tracker only starts tracking once the competitor is on the
+                // pre-start side of the line, which means the competitor has returned.
+                this.isOCS = false;
+            }
+            
+            if ((isProvisionallyPassed !== wasProvisionallyPassed) || (isMarkTouched != wasMarkTouched)
+             || (wasOCS !== this.isOCS) || isPenaltyTurnDone) {
                 this.markPassedCallbacks.forEach(function(callback) {
                     callback(this);
                 }, this);
             }
             if (this.currentMarkTracker.isMarkPassed) {
+                // A mark rounding doesn't count towards a penalty turn.
+                this._resetPenaltyTurn();
+                
                 if (this.state === LBRacing.CompetitorStates.STARTING) {
                     this._setState(LBRacing.CompetitorStates.RACING);
                 }
@@ -1259,6 +2596,391 @@ LBRacing.Competitor.prototype.destroy = function() {
     }
 };
 
+
+/**
+ * A series of races scored using the low point system. Races are added to the series
+ * via {@link module:LBRacing.Series#addRace}, which records the race's results, so the
+ * race itself can be destroyed afterwards.
+ * <p>
+ * Finishers score points equal to their finishing place by corrected time, with tied
+ * places sharing the average of the places involved. Competitors that did not start,
+ * did not finish, retired, were disqualified, or did not compete in a race score the
+ * number of competitors in the series plus one, unless overridden by {@link module:LBRacing.Series#penaltyPoints}.
+ * @constructor
+ * @param {Object} [options]
+ * @param {String} [options.name]   The name of the series.
+ * @param {Number[]} [options.discardAfter] The number of races after which each discard
+ * applies, [4, 8] means 1 discard once 4 races have been sailed, 2 discards once 8 races have been sailed.
+ * @param {Object} [options.penaltyPoints]  Optional fixed points for result codes, each
+ * property is one of {@link module:LBRacing.ResultCodes} and the value the points.
+ * @returns {module:LBRacing.Series}
+ */
+LBRacing.Series = function(options) {
+    options = options || {};
+    
+    /**
+     * The name of the series.
+     * @member {String}
+     */
+    this.name = options.name || "";
+    
+    /**
+     * The number of races after which each discard applies.
+     * @member {Number[]}
+     */
+    this.discardAfter = (options.discardAfter || []).slice();
+    
+    /**
+     * Fixed points for individual result codes, result codes not present score
+     * the number of series competitors plus one.
+     * @member {Object}
+     */
+    this.penaltyPoints = Object.assign({}, options.penaltyPoints);
+    
+    /**
+     * The results data objects of the races in the series, in the order sailed. These
+     * are the objects returned by {@link module:LBRacing.Race#getResultsData}.
+     * @member {Object[]}
+     */
+    this.races = [];
+};
+
+LBRacing.Series.prototype = {};
+LBRacing.Series.prototype.constructor = LBRacing.Series;
+
+/**
+ * Adds a race to the series. Call after the race is done, the race is ended via 
+ * {@link module:LBRacing.Race#endRace} so anyone still racing is recorded as not
+ * having finished.
+ * @param {module:LBRacing.Race} race   The race to add.
+ * @returns {module:LBRacing.Series}    this.
+ */
+LBRacing.Series.prototype.addRace = function(race) {
+    race.endRace();
+    return this.addRaceResults(race.getResultsData());
+};
+
+/**
+ * Adds the results of a race to the series.
+ * @param {Object} resultsData  The race results, normally from {@link module:LBRacing.Race#getResultsData}.
+ * @returns {module:LBRacing.Series}    this.
+ */
+LBRacing.Series.prototype.addRaceResults = function(resultsData) {
+    this.races.push(resultsData);
+    return this;
+};
+
+/**
+ * Removes a race from the series.
+ * @param {Number} index    The index of the race in {@link module:LBRacing.Series#races}.
+ * @returns {Object}    The results data object of the race that was removed, undefined
+ * if index was invalid.
+ */
+LBRacing.Series.prototype.removeRace = function(index) {
+    return this.races.splice(index, 1)[0];
+};
+
+/**
+ * @returns {String[]}  The names of all the competitors that have sailed in at least
+ * one race of the series, in the order they first appeared.
+ */
+LBRacing.Series.prototype.getCompetitorNames = function() {
+    var names = [];
+    this.races.forEach(function(race) {
+        race.results.forEach(function(result) {
+            if (names.indexOf(result.name) < 0) {
+                names.push(result.name);
+            }
+        });
+    });
+    return names;
+};
+
+/**
+ * @returns {Number}    The number of races each competitor may discard given the
+ * number of races sailed.
+ */
+LBRacing.Series.prototype.getDiscardCount = function() {
+    var raceCount = this.races.length;
+    var count = 0;
+    this.discardAfter.forEach(function(races) {
+        if (raceCount >= races) {
+            ++count;
+        }
+    });
+    return Math.min(count, Math.max(raceCount - 1, 0));
+};
+
+/**
+ * Retrieves the points scored under a result code other than finishing.
+ * @param {module:LBRacing.ResultCodes} resultCode  The result code.
+ * @param {Number} competitorCount  The number of competitors in the series.
+ * @returns {Number}    The points.
+ */
+LBRacing.Series.prototype.getPenaltyPoints = function(resultCode, competitorCount) {
+    var points = this.penaltyPoints[resultCode];
+    return LBUtil.isVar(points) ? points : competitorCount + 1;
+};
+
+/**
+ * Scores an individual race of the series.
+ * @param {Number} raceIndex    The index of the race in {@link module:LBRacing.Series#races}.
+ * @param {String[]} [competitorNames]  The names of the series competitors, if undefined
+ * {@link module:LBRacing.Series#getCompetitorNames} is called.
+ * @returns {Object}    An object whose properties are the competitor names, each value is
+ * an object with the properties 'points' and 'resultCode'.
+ */
+LBRacing.Series.prototype.scoreRace = function(raceIndex, competitorNames) {
+    competitorNames = competitorNames || this.getCompetitorNames();
+    var competitorCount = competitorNames.length;
+    var race = this.races[raceIndex];
+    
+    var finishers = race.results.filter(function(result) {
+        return result.resultCode === LBRacing.ResultCodes.FINISHED;
+    });
+    finishers.sort(function(a, b) {
+        return a.correctedTime - b.correctedTime;
+    });
+    
+    var scores = {};
+    for (var i = 0; i < finishers.length; ) {
+        // Competitors tied on corrected time share the average of the places involved.
+        var end = i + 1;
+        while ((end < finishers.length) && (finishers[end].correctedTime === finishers[i].correctedTime)) {
+            ++end;
+        }
+        var points = (i + 1 + end) / 2;
+        for (var j = i; j < end; ++j) {
+            scores[finishers[j].name] = {
+                points: points,
+                resultCode: LBRacing.ResultCodes.FINISHED
+            };
+        }
+        i = end;
+    }
+    
+    race.results.forEach(function(result) {
+        if (!scores[result.name]) {
+            var resultCode = result.resultCode || LBRacing.ResultCodes.DNF;
+            scores[result.name] = {
+                points: this.getPenaltyPoints(resultCode, competitorCount),
+                resultCode: resultCode
+            };
+        }
+    }, this);
+    
+    competitorNames.forEach(function(name) {
+        if (!scores[name]) {
+            scores[name] = {
+                points: this.getPenaltyPoints(LBRacing.ResultCodes.DNC, competitorCount),
+                resultCode: LBRacing.ResultCodes.DNC
+            };
+        }
+    }, this);
+    
+    return scores;
+};
+
+/**
+ * Computes the series standings. Each competitor's worst scores are discarded per
+ * {@link module:LBRacing.Series#getDiscardCount}, and the competitors are ranked by
+ * their net points. Ties are broken first by comparing each competitor's race scores
+ * sorted from best to worst, excluding discards, at the first point of difference,
+ * and then by comparing the scores in the last race, then the next to last race, and so on.
+ * @returns {Object[]}  The array of standings objects, ordered best to worst. Each object
+ * has the following properties:
+ * <pre><code>
+ *  position:   1,          // The series position, 1 is first.
+ *  name:       "TubbyA",   // The competitor's name.
+ *  raceScores: [],         // Array of {points, resultCode, isDiscarded}, one per race.
+ *  totalPoints: 12,        // The sum of all the race points.
+ *  netPoints:  9           // The sum of the race points excluding discards.
+ * </code></pre>
+ */
+LBRacing.Series.prototype.getStandings = function() {
+    var competitorNames = this.getCompetitorNames();
+    var raceScores = [];
+    for (var i = 0; i < this.races.length; ++i) {
+        raceScores.push(this.scoreRace(i, competitorNames));
+    }
+    
+    var discardCount = this.getDiscardCount();
+    var standings = competitorNames.map(function(name) {
+        var scores = raceScores.map(function(scoresForRace) {
+            var score = scoresForRace[name];
+            return {
+                points: score.points,
+                resultCode: score.resultCode,
+                isDiscarded: false
+            };
+        });
+        
+        // Discard the worst scores.
+        var byPoints = scores.slice().sort(function(a, b) {
+            return b.points - a.points;
+        });
+        for (var d = 0; d < discardCount; ++d) {
+            byPoints[d].isDiscarded = true;
+        }
+        
+        var totalPoints = 0;
+        var netPoints = 0;
+        scores.forEach(function(score) {
+            totalPoints += score.points;
+            if (!score.isDiscarded) {
+                netPoints += score.points;
+            }
+        });
+        
+        return {
+            position: 0,
+            name: name,
+            raceScores: scores,
+            totalPoints: totalPoints,
+            netPoints: netPoints
+        };
+    });
+    
+    standings.sort(LBRacing.Series.compareStandings);
+    
+    for (var i = 0; i < standings.length; ++i) {
+        if ((i > 0) && !LBRacing.Series.compareStandings(standings[i - 1], standings[i])) {
+            standings[i].position = standings[i - 1].position;
+        }
+        else {
+            standings[i].position = i + 1;
+        }
+    }
+    
+    return standings;
+};
+
+/**
+ * Compares two series standings objects for ranking, including the tie-breaks.
+ * @param {Object} a    The first standings object.
+ * @param {Object} b    The second standings object.
+ * @returns {Number}    A negative number if a ranks ahead of b, a positive number if
+ * b ranks ahead of a, 0 if they remain tied.
+ */
+LBRacing.Series.compareStandings = function(a, b) {
+    var delta = a.netPoints - b.netPoints;
+    if (delta) {
+        return delta;
+    }
+    
+    var aScores = _sortedNonDiscardedPoints(a);
+    var bScores = _sortedNonDiscardedPoints(b);
+    var i;
+    for (i = 0; i < aScores.length; ++i) {
+        delta = aScores[i] - bScores[i];
+        if (delta) {
+            return delta;
+        }
+    }
+    
+    for (i = a.raceScores.length - 1; i >= 0; --i) {
+        delta = a.raceScores[i].points - b.raceScores[i].points;
+        if (delta) {
+            return delta;
+        }
+    }
+    
+    return 0;
+};
+
+function _sortedNonDiscardedPoints(standing) {
+    var points = [];
+    standing.raceScores.forEach(function(score) {
+        if (!score.isDiscarded) {
+            points.push(score.points);
+        }
+    });
+    return points.sort(function(a, b) {
+        return a - b;
+    });
+}
+
+
+/**
+ * Retrieves a data object representing the series state, this can be passed to
+ * {@link module:LBRacing.Series.createFromData} to recreate the series.
+ * @returns {Object}    The data object.
+ */
+LBRacing.Series.prototype.getData = function() {
+    return {
+        name: this.name,
+        discardAfter: this.discardAfter.slice(),
+        penaltyPoints: Object.assign({}, this.penaltyPoints),
+        races: this.races.slice()
+    };
+};
+
+/**
+ * Creates a series from a data object.
+ * @param {Object} data The data object, normally from {@link module:LBRacing.Series#getData}.
+ * @returns {module:LBRacing.Series}    The series.
+ */
+LBRacing.Series.createFromData = function(data) {
+    var series = new LBRacing.Series(data);
+    if (data.races) {
+        data.races.forEach(series.addRaceResults, series);
+    }
+    return series;
+};
+
+/**
+ * Exports the series, including the current standings, as a JSON string.
+ * @returns {String}    The JSON text.
+ */
+LBRacing.Series.prototype.exportToJSON = function() {
+    var data = this.getData();
+    data.discardCount = this.getDiscardCount();
+    data.standings = this.getStandings();
+    return JSON.stringify(data, null, 4);
+};
+
+/**
+ * Saves the series state to the browser's local storage.
+ * @param {String} key  The local storage key.
+ * @returns {Boolean}   true if the series was saved.
+ */
+LBRacing.Series.prototype.saveToLocalStorage = function(key) {
+    if (typeof localStorage === 'undefined') {
+        return false;
+    }
+    try {
+        localStorage.setItem(key, JSON.stringify(this.getData()));
+        return true;
+    }
+    catch (err) {
+        console.log("Unable to save series '" + this.name + "' to local storage: " + err);
+        return false;
+    }
+};
+
+/**
+ * Loads a series from the browser's local storage.
+ * @param {String} key  The local storage key used with {@link module:LBRacing.Series#saveToLocalStorage}.
+ * @returns {module:LBRacing.Series|undefined}  The series, undefined if there was no series
+ * stored under key.
+ */
+LBRacing.Series.loadFromLocalStorage = function(key) {
+    if (typeof localStorage === 'undefined') {
+        return undefined;
+    }
+    var text = localStorage.getItem(key);
+    if (!text) {
+        return undefined;
+    }
+    try {
+        return LBRacing.Series.createFromData(JSON.parse(text));
+    }
+    catch (err) {
+        console.log("Unable to load the series stored under '" + key + "': " + err);
+        return undefined;
+    }
+};
+
 return LBRacing;
     
 });
\ No newline at end of file
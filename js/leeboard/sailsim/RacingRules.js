@@ -0,0 +1,556 @@
+/*
+ * Copyright 2017 Albert Santos.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+define(['lbracing', 'lbutil', 'lbgeometry', 'lbmath'], function(LBRacing, LBUtil, LBGeometry, LBMath) {
+    'use strict';
+
+
+/**
+ * The tacks a competitor can be on.
+ * @readonly
+ * @enum {String}
+ */
+LBRacing.Tacks = {
+    /**
+     * The wind is coming over the port side.
+     */
+    PORT :              'port',
+
+    /**
+     * The wind is coming over the starboard side.
+     */
+    STARBOARD :         'starboard'
+};
+
+/**
+ * The Racing Rules of Sailing right-of-way rules evaluated by {@link module:LBRacing.RulesEvaluator}.
+ * @readonly
+ * @enum {String}
+ */
+LBRacing.Rules = {
+    /**
+     * Rule 10, on opposite tacks the port tack boat keeps clear.
+     */
+    OPPOSITE_TACKS :    '10',
+
+    /**
+     * Rule 11, on the same tack and overlapped the windward boat keeps clear.
+     */
+    SAME_TACK_OVERLAPPED : '11',
+
+    /**
+     * Rule 12, on the same tack and not overlapped the boat clear astern keeps clear.
+     */
+    SAME_TACK_NOT_OVERLAPPED : '12',
+
+    /**
+     * Rule 18, mark-room in the zone around a rounding mark.
+     */
+    MARK_ROOM :         '18'
+};
+
+
+/**
+ * Determines the tack of a competitor from the true wind at the competitor's boat.
+ * The boat's bow points along its local +x axis, so the wind is coming over the port side
+ * if the direction it is coming from is to the left of the bow.
+ * @param {module:LBRacing.Competitor} competitor   The competitor.
+ * @returns {module:LBRacing.Tacks} The competitor's tack.
+ */
+LBRacing.getCompetitorTack = function(competitor) {
+    var bearingDeg = _getWindFromBearingDeg(competitor);
+    return (bearingDeg > 0) ? LBRacing.Tacks.PORT : LBRacing.Tacks.STARBOARD;
+};
+
+/**
+ * Determines if a competitor is sailing upwind, that is with the true wind forward of abeam.
+ * @param {module:LBRacing.Competitor} competitor   The competitor.
+ * @returns {Boolean}   true if the competitor is sailing upwind.
+ */
+LBRacing.isCompetitorSailingUpwind = function(competitor) {
+    return Math.abs(_getWindFromBearingDeg(competitor)) < 90;
+};
+
+var _workingWindFrom = new LBGeometry.Vector2();
+
+function _getWindFromDir(competitor) {
+    var boat = competitor.boat;
+    var trueWind = (boat.getTrueWindVelocityMPS) ? boat.getTrueWindVelocityMPS() : undefined;
+    if (trueWind && !LBMath.isLikeZero(trueWind.x * trueWind.x + trueWind.y * trueWind.y)) {
+        return _workingWindFrom.set(-trueWind.x, -trueWind.y).normalize();
+    }
+
+    var toDir = competitor.race.sailEnv.wind.averageToDir;
+    return _workingWindFrom.set(-toDir.x, -toDir.y);
+}
+
+function _getWindFromBearingDeg(competitor) {
+    var windFrom = _getWindFromDir(competitor);
+    var windFromDeg = Math.atan2(windFrom.y, windFrom.x) * LBMath.RAD_TO_DEG;
+    return LBMath.subDegrees(windFromDeg, competitor.boat.obj3D.rotation.z * LBMath.RAD_TO_DEG);
+}
+
+
+/**
+ * Tracks the relationship between two competitors for {@link module:LBRacing.RulesEvaluator}.
+ * @constructor
+ * @param {module:LBRacing.Competitor} competitorA  The first competitor.
+ * @param {module:LBRacing.Competitor} competitorB  The second competitor.
+ * @returns {module:LBRacing.CompetitorPair}
+ */
+LBRacing.CompetitorPair = function(competitorA, competitorB) {
+    this.competitorA = competitorA;
+    this.competitorB = competitorB;
+
+    /**
+     * true if the competitors are on opposite tacks.
+     * @member {Boolean}
+     */
+    this.isOppositeTacks = false;
+
+    /**
+     * true if the competitors are overlapped, that is neither is clear astern of the other.
+     * @member {Boolean}
+     */
+    this.isOverlapped = false;
+
+    /**
+     * The windward competitor when on the same tack and overlapped.
+     * @member {module:LBRacing.Competitor}
+     */
+    this.windwardCompetitor = undefined;
+
+    /**
+     * The leeward competitor when on the same tack and overlapped.
+     * @member {module:LBRacing.Competitor}
+     */
+    this.leewardCompetitor = undefined;
+
+    /**
+     * The competitor clear ahead when not overlapped.
+     * @member {module:LBRacing.Competitor}
+     */
+    this.clearAheadCompetitor = undefined;
+
+    /**
+     * The competitor clear astern when not overlapped.
+     * @member {module:LBRacing.Competitor}
+     */
+    this.clearAsternCompetitor = undefined;
+
+    /**
+     * The competitor that has to keep clear.
+     * @member {module:LBRacing.Competitor}
+     */
+    this.keepClearCompetitor = undefined;
+
+    /**
+     * The right-of-way rule that applies, one of {@link module:LBRacing.Rules}.
+     * @member {String}
+     */
+    this.rule = undefined;
+
+    /**
+     * The rounding mark both competitors are in the zone of, if any.
+     * @member {module:LBRacing.RoundingMark}
+     */
+    this.zoneMark = undefined;
+
+    /**
+     * The competitor entitled to mark-room at {@link module:LBRacing.CompetitorPair#zoneMark}.
+     * @member {module:LBRacing.Competitor}
+     */
+    this.markRoomCompetitor = undefined;
+
+    /**
+     * true while the competitors are in contact.
+     * @member {Boolean}
+     */
+    this.isInContact = false;
+};
+
+LBRacing.CompetitorPair.prototype = {};
+LBRacing.CompetitorPair.prototype.constructor = LBRacing.CompetitorPair;
+
+/**
+ * @param {module:LBRacing.Competitor} competitor   One of the competitors of the pair.
+ * @returns {module:LBRacing.Competitor}    The other competitor of the pair.
+ */
+LBRacing.CompetitorPair.prototype.getOtherCompetitor = function(competitor) {
+    return (competitor === this.competitorA) ? this.competitorB : this.competitorA;
+};
+
+/**
+ * Removes the pair from use.
+ * @returns {undefined}
+ */
+LBRacing.CompetitorPair.prototype.destroy = function() {
+    this.competitorA = null;
+    this.competitorB = null;
+    this.windwardCompetitor = null;
+    this.leewardCompetitor = null;
+    this.clearAheadCompetitor = null;
+    this.clearAsternCompetitor = null;
+    this.keepClearCompetitor = null;
+    this.zoneMark = null;
+    this.markRoomCompetitor = null;
+};
+
+
+/**
+ * Evaluates the Racing Rules of Sailing right-of-way rules between pairs of competitors
+ * in a race, and penalizes the infringing competitor when two competitors come into contact.
+ * Only the basic rules are covered: rules 10, 11 and 12, along with a simplified rule 18
+ * where mark-room is decided when the first competitor of a pair reaches the zone.
+ * <p>
+ * The evaluator is passed to the race via the rulesEvaluator option of {@link module:LBRacing.Race}.
+ * @constructor
+ * @param {Object} [options]
+ * @returns {module:LBRacing.RulesEvaluator}
+ */
+LBRacing.RulesEvaluator = function(options) {
+    options = options || {};
+
+    /**
+     * The radius of the zone around a rounding mark in hull lengths.
+     * @member {Number}
+     */
+    this.zoneHullLengths = options.zoneHullLengths || 3;
+
+    /**
+     * The hull length to use for boats without a hull.
+     * @member {Number}
+     */
+    this.defaultHullLength = options.defaultHullLength || 4;
+
+    /**
+     * The number of penalty turns for infringing a rule when the race's penalty mode
+     * is {@link module:LBRacing.PenaltyModes.TURNS}, the rules call for a two-turns penalty.
+     * @member {Number}
+     */
+    this.infringementPenaltyTurns = options.infringementPenaltyTurns || 2;
+
+    /**
+     * The penalty time for infringing a rule when the race's penalty mode is
+     * {@link module:LBRacing.PenaltyModes.TIME}.
+     * @member {Number}
+     */
+    this.infringementPenaltyTime = LBUtil.isVar(options.infringementPenaltyTime) ? options.infringementPenaltyTime : 60;
+
+    /**
+     * The pairs of competitors being evaluated.
+     * @member {module:LBRacing.CompetitorPair[]}
+     */
+    this.pairs = [];
+
+    this.infringementCallbacks = [];
+};
+
+LBRacing.RulesEvaluator.prototype = {};
+LBRacing.RulesEvaluator.prototype.constructor = LBRacing.RulesEvaluator;
+
+/**
+ * Adds a callback function that's called whenever a competitor is penalized for
+ * infringing a rule. The callback has the signature:
+ * <pre><code>
+ *  callback = function(competitor, rule, pair) {}
+ * </code></pre>
+ * where competitor is the infringing competitor, rule is one of {@link module:LBRacing.Rules}
+ * and pair is the {@link module:LBRacing.CompetitorPair}.
+ * @param {Function} callback   The callback function.
+ * @returns {undefined}
+ */
+LBRacing.RulesEvaluator.prototype.addInfringementCallback = function(callback) {
+    this.infringementCallbacks.push(callback);
+};
+
+/**
+ * Removes an infringement callback function.
+ * @param {Function} callback   The callback function to remove.
+ * @returns {undefined}
+ */
+LBRacing.RulesEvaluator.prototype.removeInfringementCallback = function(callback) {
+    var index = this.infringementCallbacks.indexOf(callback);
+    if (index >= 0) {
+        this.infringementCallbacks.splice(index, 1);
+    }
+};
+
+/**
+ * Retrieves the pair for two competitors.
+ * @param {module:LBRacing.Competitor} competitorA  One competitor.
+ * @param {module:LBRacing.Competitor} competitorB  The other competitor.
+ * @returns {module:LBRacing.CompetitorPair}    The pair, undefined if the competitors are not
+ * currently being evaluated.
+ */
+LBRacing.RulesEvaluator.prototype.getPair = function(competitorA, competitorB) {
+    for (var i = 0; i < this.pairs.length; ++i) {
+        var pair = this.pairs[i];
+        if (((pair.competitorA === competitorA) && (pair.competitorB === competitorB))
+         || ((pair.competitorA === competitorB) && (pair.competitorB === competitorA))) {
+            return pair;
+        }
+    }
+};
+
+LBRacing.RulesEvaluator.prototype._refreshPairs = function(competitors) {
+    var pairs = [];
+    for (var i = 0; i < competitors.length; ++i) {
+        for (var j = i + 1; j < competitors.length; ++j) {
+            var pair = this.getPair(competitors[i], competitors[j]);
+            pairs.push(pair || new LBRacing.CompetitorPair(competitors[i], competitors[j]));
+        }
+    }
+
+    this.pairs.forEach(function(pair) {
+        if (pairs.indexOf(pair) < 0) {
+            pair.destroy();
+        }
+    });
+    this.pairs = pairs;
+};
+
+/**
+ * Retrieves the hull length used for a competitor.
+ * @param {module:LBRacing.Competitor} competitor   The competitor.
+ * @returns {Number}    The hull length.
+ */
+LBRacing.RulesEvaluator.prototype.getHullLength = function(competitor) {
+    var hull = competitor.boat.hull;
+    return (hull && hull.lwl) ? hull.lwl : this.defaultHullLength;
+};
+
+var _workingDirA = new LBGeometry.Vector2();
+var _workingDirB = new LBGeometry.Vector2();
+var _workingDelta = new LBGeometry.Vector2();
+
+function _getBowDir(competitor, store) {
+    var rad = competitor.boat.obj3D.rotation.z;
+    return store.set(Math.cos(rad), Math.sin(rad));
+}
+
+LBRacing.RulesEvaluator.prototype._isClearAstern = function(competitor, aheadCompetitor, aheadDir) {
+    // Clear astern if the bow is behind a line abeam from the stern of the other competitor.
+    var bowDir = _getBowDir(competitor, _workingDelta);
+    var bowOffset = this.getHullLength(competitor) / 2;
+    var posAhead = aheadCompetitor.boat.obj3D.position;
+    var pos = competitor.boat.obj3D.position;
+    var bowX = pos.x + bowDir.x * bowOffset - posAhead.x;
+    var bowY = pos.y + bowDir.y * bowOffset - posAhead.y;
+    return (bowX * aheadDir.x + bowY * aheadDir.y) < -this.getHullLength(aheadCompetitor) / 2;
+};
+
+LBRacing.RulesEvaluator.prototype._updateRelationship = function(pair) {
+    var competitorA = pair.competitorA;
+    var competitorB = pair.competitorB;
+    var dirA = _getBowDir(competitorA, _workingDirA);
+    var dirB = _getBowDir(competitorB, _workingDirB);
+
+    pair.isOppositeTacks = LBRacing.getCompetitorTack(competitorA) !== LBRacing.getCompetitorTack(competitorB);
+
+    pair.clearAheadCompetitor = undefined;
+    pair.clearAsternCompetitor = undefined;
+    if (this._isClearAstern(competitorA, competitorB, dirB)) {
+        pair.clearAheadCompetitor = competitorB;
+        pair.clearAsternCompetitor = competitorA;
+    }
+    else if (this._isClearAstern(competitorB, competitorA, dirA)) {
+        pair.clearAheadCompetitor = competitorA;
+        pair.clearAsternCompetitor = competitorB;
+    }
+    pair.isOverlapped = !pair.clearAheadCompetitor;
+
+    // The windward competitor is the one farther in the direction the wind is coming from.
+    var windFrom = _getWindFromDir(competitorA);
+    var posA = competitorA.boat.obj3D.position;
+    var posB = competitorB.boat.obj3D.position;
+    var upwindDelta = (posA.x - posB.x) * windFrom.x + (posA.y - posB.y) * windFrom.y;
+    if (upwindDelta >= 0) {
+        pair.windwardCompetitor = competitorA;
+        pair.leewardCompetitor = competitorB;
+    }
+    else {
+        pair.windwardCompetitor = competitorB;
+        pair.leewardCompetitor = competitorA;
+    }
+
+    if (pair.isOppositeTacks) {
+        pair.rule = LBRacing.Rules.OPPOSITE_TACKS;
+        pair.keepClearCompetitor = (LBRacing.getCompetitorTack(competitorA) === LBRacing.Tacks.PORT)
+                ? competitorA : competitorB;
+    }
+    else if (pair.isOverlapped) {
+        pair.rule = LBRacing.Rules.SAME_TACK_OVERLAPPED;
+        pair.keepClearCompetitor = pair.windwardCompetitor;
+    }
+    else {
+        pair.rule = LBRacing.Rules.SAME_TACK_NOT_OVERLAPPED;
+        pair.keepClearCompetitor = pair.clearAsternCompetitor;
+    }
+
+    this._updateMarkRoom(pair);
+};
+
+/**
+ * Retrieves the rounding mark whose zone a competitor is in.
+ * @param {module:LBRacing.Competitor} competitor   The competitor.
+ * @returns {module:LBRacing.RoundingMark}  The mark, undefined if the competitor is not in the
+ * zone of the rounding mark it is heading for.
+ */
+LBRacing.RulesEvaluator.prototype.getZoneMark = function(competitor) {
+    var markTracker = competitor.currentMarkTracker;
+    if (!markTracker) {
+        return undefined;
+    }
+
+    var mark = markTracker.mark;
+    if (mark instanceof LBRacing.GateMark) {
+        mark = mark.getClosestRoundingMark(competitor.boat.obj3D.position);
+    }
+    else if (!(mark instanceof LBRacing.RoundingMark)) {
+        return undefined;
+    }
+
+    var distance = competitor.boat.obj3D.position.distanceTo(mark.getMarkCenterPosition());
+    if (distance <= this.zoneHullLengths * this.getHullLength(competitor)) {
+        return mark;
+    }
+};
+
+LBRacing.RulesEvaluator.prototype._updateMarkRoom = function(pair) {
+    var competitorA = pair.competitorA;
+    var competitorB = pair.competitorB;
+    var zoneMarkA = this.getZoneMark(competitorA);
+    var zoneMarkB = this.getZoneMark(competitorB);
+    var zoneMark = zoneMarkA || zoneMarkB;
+
+    // Mark-room only applies if both competitors are heading for the same mark, at a gate
+    // they have to be in the zone of the same gate mark.
+    if (!zoneMark || (competitorA.currentMarkTracker.mark !== competitorB.currentMarkTracker.mark)
+     || (zoneMarkA && zoneMarkB && (zoneMarkA !== zoneMarkB))) {
+        pair.zoneMark = undefined;
+        pair.markRoomCompetitor = undefined;
+        return;
+    }
+
+    // Rule 18.1(a), no mark-room between competitors on opposite tacks on a beat.
+    if (pair.isOppositeTacks && LBRacing.isCompetitorSailingUpwind(competitorA)
+     && LBRacing.isCompetitorSailingUpwind(competitorB)) {
+        pair.zoneMark = undefined;
+        pair.markRoomCompetitor = undefined;
+        return;
+    }
+
+    if (pair.zoneMark === zoneMark) {
+        return;
+    }
+
+    // The first competitor just reached the zone, the relationship at this moment decides
+    // who is entitled to mark-room.
+    pair.zoneMark = zoneMark;
+    if (pair.isOverlapped) {
+        var markPos = zoneMark.getMarkCenterPosition();
+        var distanceA = competitorA.boat.obj3D.position.distanceTo(markPos);
+        var distanceB = competitorB.boat.obj3D.position.distanceTo(markPos);
+        pair.markRoomCompetitor = (distanceA <= distanceB) ? competitorA : competitorB;
+    }
+    else {
+        pair.markRoomCompetitor = pair.clearAheadCompetitor;
+    }
+};
+
+/**
+ * Determines which competitor of a pair infringed a rule when the competitors
+ * came into contact.
+ * @param {module:LBRacing.CompetitorPair} pair The pair.
+ * @returns {Object}    An object with the infringing competitor in the competitor property
+ * and the rule infringed in the rule property.
+ */
+LBRacing.RulesEvaluator.prototype.getInfringement = function(pair) {
+    if (pair.markRoomCompetitor) {
+        return {
+            competitor: pair.getOtherCompetitor(pair.markRoomCompetitor),
+            rule: LBRacing.Rules.MARK_ROOM
+        };
+    }
+    return {
+        competitor: pair.keepClearCompetitor,
+        rule: pair.rule
+    };
+};
+
+/**
+ * Penalizes a competitor for infringing a rule, based on the race's penalty mode.
+ * @param {module:LBRacing.Competitor} competitor   The infringing competitor.
+ * @param {String} rule The rule infringed, one of {@link module:LBRacing.Rules}.
+ * @param {module:LBRacing.CompetitorPair} pair The pair the infringement occurred in.
+ * @returns {undefined}
+ */
+LBRacing.RulesEvaluator.prototype.penalizeCompetitor = function(competitor, rule, pair) {
+    var reason = 'rule' + rule;
+    if (competitor.race.penaltyMode === LBRacing.PenaltyModes.TURNS) {
+        competitor.addPenaltyTurns(this.infringementPenaltyTurns, reason, pair.zoneMark);
+    }
+    else {
+        competitor.addPenalty(this.infringementPenaltyTime, reason, pair.zoneMark);
+    }
+
+    this.infringementCallbacks.forEach(function(callback) {
+        callback(competitor, rule, pair);
+    });
+};
+
+/**
+ * Main update method, called from {@link module:LBRacing.Race#update}.
+ * @param {module:LBRacing.Race} race   The race.
+ * @param {Number} dt   The time step.
+ * @returns {undefined}
+ */
+LBRacing.RulesEvaluator.prototype.update = function(race, dt) {
+    this._refreshPairs(race.activeCompetitors);
+
+    var physicsLink = race.sailEnv.physicsLink;
+    this.pairs.forEach(function(pair) {
+        this._updateRelationship(pair);
+
+        var wasInContact = pair.isInContact;
+        pair.isInContact = physicsLink.areBodiesInContact(pair.competitorA.boat, pair.competitorB.boat);
+        if (pair.isInContact && !wasInContact) {
+            var infringement = this.getInfringement(pair);
+            if (infringement.competitor) {
+                this.penalizeCompetitor(infringement.competitor, infringement.rule, pair);
+            }
+        }
+    }, this);
+};
+
+/**
+ * Removes the evaluator from use.
+ * @returns {undefined}
+ */
+LBRacing.RulesEvaluator.prototype.destroy = function() {
+    if (this.pairs) {
+        this.pairs.forEach(function(pair) {
+            pair.destroy();
+        });
+        this.pairs = null;
+        this.infringementCallbacks = null;
+    }
+};
+
+return LBRacing;
+});
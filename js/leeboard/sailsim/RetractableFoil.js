@@ -0,0 +1,447 @@
+/*
+ * Copyright 2017 Albert Santos.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+define(['lbsailsimbase', 'lbcontrols', 'lbutil', 'lbmath', 'lbgeometry', 'lbvolume', 'lbfoilinstance'],
+function(LBSailSim, LBControls, LBUtil, LBMath, LBGeometry, LBVolume) {
+
+    'use strict';
+
+
+/**
+ * A hydrofoil that can be raised, either a daggerboard that slides up and down along its
+ * local z-axis, or a centerboard or kick-up rudder that pivots aft about its local y-axis.
+ * The foil's local origin is where it leaves the hull, which is also the pivot point, and
+ * the foil extends {@link LBSailSim.RetractableFoilInstance#span} down its local z-axis.
+ * <p>
+ * As the foil is raised the area and aspect ratio of the foil are reduced by the fraction
+ * of the span still below the hull, and the slice used to compute the forces moves with
+ * the immersed part of the foil, which moves the center of lateral resistance.
+ * <p>
+ * The foil is also raised automatically when its tip touches the bottom, it drops back
+ * down to where it's been set as the water deepens. Once the foil is all the way up its
+ * tip can still touch the bottom, so the tip is the foil's grounding volume, see
+ * {@link LBSailSim.RetractableFoilInstance#getGroundingVolumes}.
+ * <p>
+ * The retraction properties are loaded from the data object:
+ * <pre><code>
+ *  isPivoting:     false,  // true if the foil pivots, false if it slides.
+ *  span:           1.0,    // The length of the foil below the hull.
+ *  maxRetraction:  0.9,    // In meters for sliding foils, degrees for pivoting foils.
+ *  retractSpeed:   0.5,    // In meters/sec for sliding foils, degrees/sec for pivoting foils.
+ *  retraction:     0       // The initial retraction.
+ * </code></pre>
+ * @constructor
+ * @extends LBSailSim.FoilInstance
+ * @param {object} foil The {@link module:LBFoils.Foil} object that generates the forces.
+ * @param {object} obj3D    The 3D object that defines the local coordinate system
+ * of the foil.
+ * @param {Number} mass The mass of the foil.
+ * @param {object} centerOfMass The center of mass of the foil.
+ * @returns {LBSailSim.RetractableFoilInstance}
+ */
+LBSailSim.RetractableFoilInstance = function(foil, obj3D, mass, centerOfMass) {
+    LBSailSim.FoilInstance.call(this, foil, obj3D, mass, centerOfMass);
+    
+    /**
+     * If true the foil pivots about its local y-axis, otherwise it slides along its local z-axis.
+     * @member {Boolean}
+     */
+    this.isPivoting = false;
+    
+    /**
+     * The length of the foil below the hull when it is all the way down.
+     * @member {Number}
+     */
+    this.span = 1;
+    
+    /**
+     * The maximum retraction, in meters for sliding foils and degrees for pivoting foils.
+     * @member {Number}
+     */
+    this.maxRetraction = 0;
+    
+    /**
+     * The speed at which the foil moves to {@link LBSailSim.RetractableFoilInstance#retractionTarget},
+     * in meters/sec for sliding foils and degrees/sec for pivoting foils.
+     * @member {Number}
+     */
+    this.retractSpeed = 0.5;
+    
+    /**
+     * The retraction the foil has been set to.
+     * @readonly
+     * @member {Number}
+     */
+    this.retractionTarget = 0;
+    
+    /**
+     * The current retraction, this may be more than {@link LBSailSim.RetractableFoilInstance#retractionTarget}
+     * if the foil has been pushed up by the bottom.
+     * @readonly
+     * @member {Number}
+     */
+    this.retraction = 0;
+    
+    /**
+     * The vessel to which this belongs, set by {@link LBSailSim.RetractableFoilInstance#vesselLoaded}.
+     * @member {LBSailSim.Vessel}
+     */
+    this.vessel = undefined;
+    
+    this._tipVolume = new LBVolume.Volume('RetractableFoilTip');
+    this._basePosition = new LBGeometry.Vector3();
+    this._baseRotationY = 0;
+    this._baseArea = this.foil.area;
+    this._baseAspectRatio = this.foil.aspectRatio;
+    this._baseSliceZ = this.foil.sliceZ;
+};
+
+var _workingVector3 = new LBGeometry.Vector3();
+var _workingMatrix4 = new LBGeometry.Matrix4();
+
+LBSailSim.RetractableFoilInstance.prototype = Object.create(LBSailSim.FoilInstance.prototype);
+LBSailSim.RetractableFoilInstance.prototype.constructor = LBSailSim.RetractableFoilInstance;
+
+LBSailSim.RetractableFoilInstance.prototype.destroy = function() {
+    if (this._basePosition) {
+        this._tipVolume = null;
+        this._basePosition = null;
+        this.vessel = null;
+        LBSailSim.FoilInstance.prototype.destroy.call(this);
+    }
+};
+
+/**
+ * Loads the foil instance's properties from properties in a data object.
+ * @param {object} data The data to load from.
+ * @param {LBSailSim.Env} sailEnv  The sailing environment, passed to {@link module:LBFoils.Foil} for
+ * loading the {@link module:LBFoils.ClCdCurve} object.
+ * @returns {LBSailSim.RetractableFoilInstance}    this.
+ */
+LBSailSim.RetractableFoilInstance.prototype.load = function(data, sailEnv) {
+    LBSailSim.FoilInstance.prototype.load.call(this, data, sailEnv);
+    
+    this._basePosition.copy(this.obj3D.position);
+    this._baseRotationY = this.obj3D.rotation.y;
+    this._baseArea = this.foil.area;
+    this._baseAspectRatio = this.foil.aspectRatio;
+    this._baseSliceZ = this.foil.sliceZ;
+    
+    this.isPivoting = data.isPivoting || false;
+    this.span = data.span || Math.sqrt(this._baseArea * (this._baseAspectRatio || 1));
+    
+    var maxRetraction = LBUtil.isVar(data.maxRetraction) ? data.maxRetraction
+            : (this.isPivoting ? 90 : this.span);
+    this.maxRetraction = (this.isPivoting) ? LBMath.clamp(maxRetraction, 0, 90) : LBMath.clamp(maxRetraction, 0, this.span);
+    this.retractSpeed = LBUtil.isVar(data.retractSpeed) ? data.retractSpeed
+            : (this.isPivoting ? 60 : 0.5);
+    
+    this.setRetractionTarget(data.retraction || 0, true);
+    
+    return this;
+};
+
+// @inheritdoc
+LBSailSim.RetractableFoilInstance.prototype.vesselLoaded = function(vessel) {
+    LBSailSim.FoilInstance.prototype.vesselLoaded.call(this, vessel);
+    this.vessel = vessel;
+    return this;
+};
+
+/**
+ * Retrieves the volumes whose vertices below the waterline the vessel uses as grounding points.
+ * For a retractable foil this is the tip of the foil, which is made up of any grounding points
+ * the vessel passed to {@link LBSailSim.RetractableFoilInstance#claimGroundingPoint}, or if there
+ * are none the ends of the chord line at the full span. The vertices are in the foil's local
+ * coordinates, so they follow the foil as it's raised.
+ * @override
+ * @returns {module:LBVolume.Volume[]}  The array of volumes.
+ */
+LBSailSim.RetractableFoilInstance.prototype.getGroundingVolumes = function() {
+    var vertices = this._tipVolume.vertices;
+    if (!vertices.length) {
+        var chordLine = this.foil.chordLine;
+        vertices.push(new LBGeometry.Vector3(chordLine.start.x, chordLine.start.y, -this.span));
+        vertices.push(new LBGeometry.Vector3(chordLine.end.x, chordLine.end.y, -this.span));
+    }
+    return [ this._tipVolume ];
+};
+
+/**
+ * Takes over a grounding point of the vessel if it is on the tip of the foil, so the point
+ * moves with the foil as the foil is raised.
+ * @override
+ * @param {module:LBGeometry.Vector3} point The grounding point in the vessel's local coordinates.
+ * @returns {Boolean}   true if the point is on the tip and has been added to the foil's
+ * grounding volume.
+ */
+LBSailSim.RetractableFoilInstance.prototype.claimGroundingPoint = function(point) {
+    this.obj3D.updateMatrix();
+    var localPoint = _workingVector3.copy(point).applyMatrix4(_workingMatrix4.getInverse(this.obj3D.matrix));
+    
+    var tolerance = 0.05 * this.span;
+    if (Math.abs(localPoint.z + this.span) > tolerance) {
+        return false;
+    }
+    
+    var chordLine = this.foil.chordLine;
+    var minX = Math.min(chordLine.start.x, chordLine.end.x) - tolerance;
+    var maxX = Math.max(chordLine.start.x, chordLine.end.x) + tolerance;
+    if ((localPoint.x < minX) || (localPoint.x > maxX)) {
+        return false;
+    }
+    
+    this._tipVolume.vertices.push(localPoint.clone());
+    return true;
+};
+
+/**
+ * Sets the retraction the foil is to move to.
+ * @param {Number} retraction   The retraction, in meters for sliding foils and degrees
+ * for pivoting foils. This is clamped to the maximum retraction.
+ * @param {Boolean} [isImmediate=false] If true the foil is moved there right away.
+ * @returns {LBSailSim.RetractableFoilInstance}    this.
+ */
+LBSailSim.RetractableFoilInstance.prototype.setRetractionTarget = function(retraction, isImmediate) {
+    this.retractionTarget = LBMath.clamp(retraction, 0, this.maxRetraction);
+    if (isImmediate) {
+        this.retraction = this.retractionTarget;
+        this._applyRetraction();
+    }
+    return this;
+};
+
+/**
+ * @returns {Number}    The fraction of the foil's span that is below the hull.
+ */
+LBSailSim.RetractableFoilInstance.prototype.getImmersedFraction = function() {
+    if (this.isPivoting) {
+        return Math.cos(this.retraction * LBMath.DEG_TO_RAD);
+    }
+    return (this.span - this.retraction) / this.span;
+};
+
+/**
+ * Determines the smallest retraction that keeps the tip of the foil off the bottom.
+ * @protected
+ * @returns {Number}    The retraction.
+ */
+LBSailSim.RetractableFoilInstance.prototype._calcBottomRetraction = function() {
+    if (!this.vessel) {
+        return 0;
+    }
+    var bathymetry = this.vessel.sailEnv.bathymetry;
+    if (!bathymetry.hasDepths()) {
+        return 0;
+    }
+    
+    var worldXfrm = this.vessel.coordSystem.worldXfrm;
+    var rootPos = _workingVector3.copy(this._basePosition).applyMatrix4(worldXfrm);
+    
+    // The height of the root above the bottom, measured along the vessel's z-axis.
+    var upZ = Math.max(worldXfrm.elements[10], 0.1);
+    var height = (rootPos.z - bathymetry.getBottomZ(rootPos.x, rootPos.y)) / upZ;
+    
+    // Every point of the tip has to clear the bottom.
+    var retraction = 0;
+    var tipPoints = this.getGroundingVolumes()[0].vertices;
+    for (var i = 0; i < tipPoints.length; ++i) {
+        var point = tipPoints[i];
+        if (this.isPivoting) {
+            var radius = Math.sqrt(point.x * point.x + point.z * point.z);
+            if (height >= radius) {
+                continue;
+            }
+            
+            // The angle of the point aft of straight down when the foil is all the way down.
+            var pointRad = Math.atan2(point.x, -point.z) - this._baseRotationY;
+            var rad = Math.acos(Math.max(height, 0) / radius) - pointRad;
+            retraction = Math.max(retraction, rad * LBMath.RAD_TO_DEG);
+        }
+        else {
+            retraction = Math.max(retraction, -point.z - height);
+        }
+    }
+    return retraction;
+};
+
+/**
+ * Called by {@link LBSailSim.RetractableFoilInstance#updateFoilForce} to move the foil towards
+ * its retraction target and out of the way of the bottom.
+ * @protected
+ * @param {Number} dt   The simulation time step.
+ * @returns {undefined}
+ */
+LBSailSim.RetractableFoilInstance.prototype._updateRetraction = function(dt) {
+    var retraction = this.retraction;
+    var maxDelta = this.retractSpeed * dt;
+    retraction += LBMath.clamp(this.retractionTarget - retraction, -maxDelta, maxDelta);
+    
+    retraction = Math.max(retraction, this._calcBottomRetraction());
+    retraction = LBMath.clamp(retraction, 0, this.maxRetraction);
+    
+    if (retraction !== this.retraction) {
+        this.retraction = retraction;
+        this._applyRetraction();
+    }
+};
+
+/**
+ * Moves the foil and updates the foil's area, aspect ratio and slice to match the
+ * current retraction.
+ * @protected
+ * @returns {undefined}
+ */
+LBSailSim.RetractableFoilInstance.prototype._applyRetraction = function() {
+    var fraction = this.getImmersedFraction();
+    this.foil.area = this._baseArea * fraction;
+    if (this._baseAspectRatio) {
+        this.foil.aspectRatio = this._baseAspectRatio * fraction;
+    }
+    
+    if (this.isPivoting) {
+        // Positive retractions swing the tip aft, towards +x.
+        this.obj3D.rotation.y = this._baseRotationY - this.retraction * LBMath.DEG_TO_RAD;
+    }
+    else {
+        var offset = _workingVector3.set(0, 0, this.retraction).applyQuaternion(this.obj3D.quaternion);
+        this.obj3D.position.copy(this._basePosition).add(offset);
+    
+        // The immersed part of the foil runs from the bottom of the hull down to the tip.
+        this.foil.sliceZ = this._baseSliceZ * fraction - this.retraction;
+    }
+};
+
+// @inheritdoc
+LBSailSim.RetractableFoilInstance.prototype.updateFoilForce = function(dt, flow) {
+    this._updateRetraction(dt);
+    
+    if (this.foil.area <= 0) {
+        return this;
+    }
+    
+    return LBSailSim.FoilInstance.prototype.updateFoilForce.call(this, dt, flow);
+};
+
+
+/**
+ * A controller for {@link LBSailSim.RetractableFoilInstance}s, the minimum value puts the foils
+ * all the way down, the maximum value raises them to their maximum retraction.
+ * @constructor
+ * @extends module:LBControls.SmoothController
+ * @param {LBSailSim.Vessel} [vessel] The vessel to which this belongs.
+ * @returns {LBSailSim.FoilRetractController}
+ */
+LBSailSim.FoilRetractController = function(vessel) {
+    LBControls.SmoothController.call(this);
+    
+    /**
+     * The vessel to which this belongs.
+     * @member {LBSailSim.Vessel}
+     */
+    this.vessel = vessel;
+    
+    /**
+     * The name of the hydrofoils which are controlled by this.
+     * @member {String}
+     */
+    this.foilName = 'keel';
+    
+    /**
+     * The array of hydrofoils controlled by this.
+     * @member {LBSailSim.RetractableFoilInstance[]}
+     */
+    this.foils = [];
+    
+    this._isImmediate = false;
+};
+
+LBSailSim.FoilRetractController.prototype = Object.create(LBControls.SmoothController.prototype);
+LBSailSim.FoilRetractController.prototype.constructor = LBSailSim.FoilRetractController;
+
+/**
+ * Loads the controller from the properties in a data object.
+ * @param {object} data The data object.
+ * @param {LBSailSim.Vessel} vessel The vessel to which this belongs.
+ * @returns {LBSailSim.FoilRetractController}  this.
+ */
+LBSailSim.FoilRetractController.prototype.load = function(data, vessel) {
+    this.controllee = function(value) {
+        this._applyValue(value);
+    };
+    
+    this.vessel = vessel;
+    LBControls.SmoothController.prototype.load.call(this, data, vessel);
+    this.foilName = data.foilName || this.foilName;
+    this._loadFoils();
+    
+    this._isImmediate = true;
+    this._applyValue(this.currentValue);
+    this._isImmediate = false;
+    return this;
+};
+
+/**
+ * Gathers up the retractable hydrofoils controlled by this controller.
+ * @protected
+ * @returns {undefined}
+ */
+LBSailSim.FoilRetractController.prototype._loadFoils = function() {
+    this.foils.length = 0;
+    if (!this.vessel) {
+        return;
+    }
+    
+    this.vessel.hydrofoils.forEach(function(foil) {
+        if ((foil.name === this.foilName) && (foil instanceof LBSailSim.RetractableFoilInstance)) {
+            this.foils.push(foil);
+        }
+    }, this);
+};
+
+/**
+ * Applies the controller's value to all the foils.
+ * @protected
+ * @param {Number} value    The controller value.
+ * @returns {undefined}
+ */
+LBSailSim.FoilRetractController.prototype._applyValue = function(value) {
+    for (var i = 0; i < this.foils.length; ++i) {
+        var foil = this.foils[i];
+        var retraction = LBMath.mapInRange(value, this.minValue, this.maxValue, 0, foil.maxRetraction);
+        foil.setRetractionTarget(retraction, this._isImmediate);
+    }
+};
+
+/**
+ * Call when done with the object to have it release any internal references
+ * to other objects to help with garbage collection.
+ * @returns {undefined}
+ */
+LBSailSim.FoilRetractController.prototype.destroy = function() {
+    if (this.foils) {
+        this.foils.length = 0;
+        this.foils = null;
+        this.controllee = null;
+        this.foilName = null;
+        this.vessel = null;
+    
+        LBControls.SmoothController.prototype.destroy.call(this);
+    }
+};
+
+return LBSailSim;
+});
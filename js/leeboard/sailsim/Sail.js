@@ -35,22 +35,16 @@ LBSailSim.SailFoil.prototype = Object.create(LBFoils.Foil.prototype);
 LBSailSim.SailFoil.prototype.constructor = LBSailSim.SailFoil;
 
 /**
- * @todo Implement the reefing and flatness factors...
- * @param {Number} rho  The fluid density.
- * @param {object} qInfLocal    The free stream velocity in the local x-y plane.
- * @param {object} [details]  If defined, an object to receive details about the calculation.
- * @param {object} [store]  If defined, the object to receive the forces and moment.
- * @returns {object}    The object containing the forces and moment.
+ * Adjusts the coefficients from the ClCd curve for the trim of the sail via
+ * {@link LBSailSim.SailInstance#_adjustCoefs}.
+ * @todo Implement the reefing factor...
+ * @override
+ * @inheritdoc
  */
-LBSailSim.SailFoil.prototype.calcLocalLiftDragMoment = function(rho, qInfLocal, store, details) {
-    var result = LBFoils.Foil.prototype.calcLocalLiftDragMoment.call(rho, qInfLocal, store, details);
-    
-    // TODO: Apply the reefing factor, flatness factor.
-    
-    // The Cl/Cd curve will be from the books...
-    // Need a luffing state.
-    
-    return result;
+LBSailSim.SailFoil.prototype._adjustCoefs = function(coefs, angleDeg) {
+    if (this.sailInstance) {
+        this.sailInstance._adjustCoefs(coefs);
+    }
 };
 
 /**
@@ -214,6 +208,12 @@ LBSailSim.SailInstance = function() {
      */
     this.twistFactor = 0.5;
     
+    /**
+     * The draft factor, 0 has the maximum camber furthest forward, 1 furthest aft.
+     * @member {Number}
+     */
+    this.draftFactor = 0.5;
+    
     /**
      * The reefing factor, 0 is most reefed, 1 is not reefed.
      * @member {Number}
@@ -232,12 +232,43 @@ LBSailSim.SailInstance = function() {
     this.sheetAnchorSail = new LBGeometry.Vector3();
     
     /**
-     * The anchor point of the sheet on the boat, in sail local coordinates.
-     * TODO Need a little clarification here, how is this really used?!?
+     * The anchor point of the sheet on the boat that is currently holding the sail, this is
+     * the active element of {@link LBSailSim.SailInstance#sheetLeads} moved by the traveler.
      * @member {module:LBGeometry.Vector3}
      */
     this.sheetAnchorBoat = new LBGeometry.Vector3();
     
+    /**
+     * The sheet leads on the boat, in the sail's local coordinates with the sail not rotated.
+     * A sail with a single lead, such as a mainsail sheeted to the centerline, is always held
+     * by that lead. A sail with leads on either side, such as a jib, is held by the lead on
+     * the leeward side, the sheet to the windward lead is the lazy sheet and does not hold the sail.
+     * @member {module:LBGeometry.Vector3[]}
+     */
+    this.sheetLeads = [];
+    
+    /**
+     * The index in {@link LBSailSim.SailInstance#sheetLeads} of the lead currently holding the sail.
+     * @readonly
+     * @member {Number}
+     */
+    this.sheetLeadIndex = 0;
+    
+    /**
+     * How far in degrees the apparent wind has to swing past the centerline before the
+     * sheet switches to the lead on the other side, this keeps the sheet from switching back
+     * and forth when the wind is right on the bow or the stern.
+     * @member {Number}
+     */
+    this.sheetSwitchDeg = 5;
+    
+    /**
+     * How far the traveler has moved {@link LBSailSim.SailInstance#sheetAnchorBoat} from
+     * the active sheet lead, along the sail's local y axis.
+     * @member {Number}
+     */
+    this.travelerOffset = 0;
+    
     /**
      * The length of the sheet.
      * @member {Number}
@@ -280,6 +311,18 @@ LBSailSim.SailInstance = function() {
      */
     this.maxCamberFraction = 1/7;
     
+    /**
+     * The most forward position of the maximum camber, as a fraction of the chord from the leading edge.
+     * @member {Number}
+     */
+    this.minCamberPosFraction = 0.4;
+    
+    /**
+     * The most aft position of the maximum camber, as a fraction of the chord from the leading edge.
+     * @member {Number}
+     */
+    this.maxCamberPosFraction = 0.5;
+    
     /**
      * The spars associated with this sail.
      * @member {module:LBPhysics.RigidBody[]}
@@ -312,8 +355,69 @@ LBSailSim.SailInstance = function() {
      * @member {LBSailSim.SailShaper}
      */
     this.sailShaper = undefined;
+    
+    /**
+     * The spanwise strips the force on the sail is computed from, there is one strip between
+     * each pair of slices of {@link LBSailSim.SailInstance#sailSurface}. Each strip samples the
+     * flow at its own height and has the sail's twist at that height applied to its chord,
+     * so the wind gradient and twist both affect the force. If there are no strips the
+     * force is computed from {@link LBSailSim.FoilInstance#foil} at its slice.
+     * @readonly
+     * @member {Object[]}
+     */
+    this.sailStrips = [];
+    
+    /**
+     * The other sails on the vessel whose bound vortices affect the flow seen by this sail,
+     * see {@link LBSailSim.SailInstance#addInducedVelocity}.
+     * @readonly
+     * @member {LBSailSim.SailInstance[]}
+     */
+    this.interactingSails = [];
+    
+    /**
+     * The strength of the sail's bound vortex per unit span, from the lift the sail generated
+     * the last time its force was updated. Positive is counter-clockwise looking down the luff.
+     * @readonly
+     * @member {Number}
+     */
+    this.boundCirculation = 0;
+    
+    /**
+     * The world position of the bound vortex, on the quarter chord of the foil's slice.
+     * @readonly
+     * @member {module:LBGeometry.Vector3}
+     */
+    this.boundVortexOrigin = new LBGeometry.Vector3();
+    
+    /**
+     * The world direction of the bound vortex, which is along the luff.
+     * @readonly
+     * @member {module:LBGeometry.Vector3}
+     */
+    this.boundVortexAxis = new LBGeometry.Vector3(0, 0, 1);
+    
+    /**
+     * Scale applied to the velocity the bound vortex induces on the other sails, 0 turns
+     * off the interaction.
+     * @member {Number}
+     */
+    this.interactionFactor = 1;
+    
+    /**
+     * The core radius of the bound vortex, this limits the induced velocity close to the vortex.
+     * If not loaded it's a quarter of the foil's chord length.
+     * @member {Number}
+     */
+    this.vortexCoreRadius = 0.5;
 };
 
+LBSailSim.SailInstance._workingQInf = new LBGeometry.Vector3();
+LBSailSim.SailInstance._workingResultant = new LBPhysics.Resultant3D();
+LBSailSim.SailInstance._workingTotalResultant = new LBPhysics.Resultant3D();
+LBSailSim.SailInstance._workingRadius = new LBGeometry.Vector3();
+LBSailSim.SailInstance._workingInducedVel = new LBGeometry.Vector3();
+
 
 LBSailSim.SailInstance.prototype = Object.create(LBSailSim.FoilInstance.prototype);
 LBSailSim.SailInstance.prototype.constructor = LBSailSim.SailInstance;
@@ -331,12 +435,22 @@ LBSailSim.SailInstance.prototype.destroy = function() {
 
         this.sheetAnchorBoat = null;
         this.sheetAnchorSail = null;
+        this.sheetLeads = null;
+        
+        this.interactingSails = null;
+        this.boundVortexOrigin = null;
+        this.boundVortexAxis = null;
         
         if (this.sailShaper) {
             this.sailShaper = this.sailShaper.destroy();
         }
         this.sailSurface = this.sailSurface.destroy();
         
+        this.sailStrips.forEach(function(strip) {
+            strip.foil.destroy();
+        });
+        this.sailStrips = null;
+        
         LBSailSim.FoilInstance.prototype.destroy.call(this);
     }
 };
@@ -363,12 +477,46 @@ LBSailSim.SailInstance.prototype.getCamberFraction = function() {
  * @returns {Number}    The maximum camber position as a fraction of the chord.
  */
 LBSailSim.SailInstance.prototype.getCamberPosFraction = function() {
-    return 0.45;
+    return this.draftFactor * (this.maxCamberPosFraction - this.minCamberPosFraction) + this.minCamberPosFraction;
+};
+
+/**
+ * Called by {@link LBSailSim.SailFoil#_adjustCoefs} to adjust the coefficients from
+ * the ClCd curve for the sail's trim. The curve is taken to be for the sail with its camber and
+ * draft position in the middle of their ranges. A fuller sail has more lift and more drag, moving
+ * the draft aft adds a little lift, more drag, and moves the center of effort aft.
+ * @protected
+ * @param {module:LBFoils.ClCd} coefs   The coefficients to adjust.
+ * @returns {undefined}
+ */
+LBSailSim.SailInstance.prototype._adjustCoefs = function(coefs) {
+    var midCamberFraction = 0.5 * (this.minCamberFraction + this.maxCamberFraction);
+    var camberDelta = (midCamberFraction > 0) ? this.getCamberFraction() / midCamberFraction - 1 : 0;
+    var draftDelta = this.getCamberPosFraction() - 0.5 * (this.minCamberPosFraction + this.maxCamberPosFraction);
+    
+    coefs.cl *= 1 + 0.6 * camberDelta + draftDelta;
+    coefs.cd *= 1 + 0.4 * camberDelta + 2 * draftDelta;
+    if (coefs.cmIsChordFraction && coefs.cm) {
+        var cm = Math.abs(coefs.cm) + 0.5 * draftDelta;
+        coefs.cm = (coefs.cm < 0) ? -cm : cm;
+    }
 };
 
 // @inheritdoc...
 LBSailSim.SailInstance.prototype.updateFoilForce = function(dt, flow) {
-    LBSailSim.FoilInstance.prototype.updateFoilForce.call(this, dt, flow);
+    if (this.sailStrips.length) {
+        this._updateStripForces(dt, flow);
+    }
+    else {
+        this.foilDetails.lift = 0;
+        LBSailSim.FoilInstance.prototype.updateFoilForce.call(this, dt, flow);
+        
+        var speed = (this.foilDetails.qInfLocal) ? this.foilDetails.qInfLocal.length() : 0;
+        var liftPerSpeed = (speed > 0) ? this.foilDetails.lift / speed : 0;
+        this._updateBoundVortex(flow.density, liftPerSpeed, this.foil.area / this.foil.chordLine.length());
+    }
+    
+    this._updateSheetLead();
 
     // Here we're integrating the force on the sail around the local z-axis and origin to
     // figure out the position of the sail.
@@ -391,26 +539,318 @@ LBSailSim.SailInstance.prototype.updateFoilForce = function(dt, flow) {
     return this;
 };
 
+/**
+ * Called by {@link LBSailSim.SailInstance#updateFoilForce} to compute the force on the sail
+ * from the sail strips.
+ * @protected
+ * @param {Number} dt   The simulation time step.
+ * @param {LBSailSim.Wind} flow What the sail is flowing through.
+ * @returns {undefined}
+ */
+LBSailSim.SailInstance.prototype._updateStripForces = function(dt, flow) {
+    var dbgField = this._getFoilDetailsDebugField();
+    var totalResultant = LBSailSim.SailInstance._workingTotalResultant.zero();
+    
+    var chordLine = this.foil.chordLine;
+    var chordDX = chordLine.end.x - chordLine.start.x;
+    var chordDY = chordLine.end.y - chordLine.start.y;
+    
+    // Same as TriangleSailShaper.updateSailSurface(), the sail twists open to leeward,
+    // reducing the angle of attack going up the sail. The sign of the angle of attack is
+    // from the untwisted chord, otherwise the twist could flip it back and forth.
+    var totalTwistRad = this.getTwistDeg() * LBMath.DEG_TO_RAD;
+    if (this._untwistedAngleDeg < 0) {
+        totalTwistRad = -totalTwistRad;
+    }
+    
+    // The z limits apply to the sail as a whole, as they do to the foil, the foot of the sail
+    // is normally well below the foil's slice.
+    var pos = LBSailSim.FoilInstance._workingPos;
+    pos.set(0, 0, this.foil.sliceZ);
+    pos.applyMatrix4(this.coordSystem.worldXfrm);
+    if (((this.minZ !== undefined) && (pos.z < this.minZ))
+     || ((this.maxZ !== undefined) && (pos.z > this.maxZ))) {
+        this.boundCirculation = 0;
+        return;
+    }
+    
+    var liftPerSpeed = 0;
+    var span = 0;
+    var qInf = LBSailSim.SailInstance._workingQInf;
+    var resultant = LBSailSim.SailInstance._workingResultant;
+    var firstTwistDeg;
+    for (var i = 0; i < this.sailStrips.length; ++i) {
+        var strip = this.sailStrips[i];
+        pos.set(0, 0, strip.sliceZ);
+        pos.applyMatrix4(this.coordSystem.worldXfrm);
+        
+        var stripFoil = strip.foil;
+        stripFoil.area = this.foil.area * strip.areaFraction;
+        stripFoil.sliceZ = strip.sliceZ;
+        
+        var twistRad = totalTwistRad * strip.twistFraction;
+        var cosTwist = Math.cos(twistRad) * strip.chordScale;
+        var sinTwist = Math.sin(twistRad) * strip.chordScale;
+        stripFoil.chordLine.start.copy(chordLine.start);
+        stripFoil.chordLine.end.set(chordLine.start.x + cosTwist * chordDX - sinTwist * chordDY,
+                chordLine.start.y + sinTwist * chordDX + cosTwist * chordDY);
+        
+        // The lowest strip fills in the foil details.
+        var details = strip.details;
+        if (firstTwistDeg === undefined) {
+            details = this.foilDetails;
+            firstTwistDeg = twistRad * LBMath.RAD_TO_DEG;
+        }
+        
+        this._getFlowVelocity(flow, pos, qInf);
+        stripFoil.calcWorldForce(flow.density, qInf, this.coordSystem, details, resultant);
+        this.addWorldResultant(resultant);
+        
+        var speed = details.qInfLocal.length();
+        if (speed > 0) {
+            liftPerSpeed += details.lift / speed;
+        }
+        span += strip.span;
+        
+        if (dbgField) {
+            totalResultant.addResultant(resultant);
+        }
+    }
+    
+    if (firstTwistDeg !== undefined) {
+        this._untwistedAngleDeg = this.foilDetails.angleDeg + firstTwistDeg;
+        this.foilDetails.angleDeg = this._untwistedAngleDeg;
+    }
+    
+    this._updateBoundVortex(flow.density, liftPerSpeed, span);
+    
+    if (dbgField) {
+        this._dumpFoilDetails(dbgField, qInf, totalResultant);
+    }
+};
+
+/**
+ * Sets up {@link LBSailSim.SailInstance#sailStrips} from the slices of the sail surface.
+ * @protected
+ * @returns {undefined}
+ */
+LBSailSim.SailInstance.prototype._loadSailStrips = function() {
+    this.sailStrips.forEach(function(strip) {
+        strip.foil.destroy();
+    });
+    this.sailStrips.length = 0;
+    this._untwistedAngleDeg = 0;
+    
+    var slices = this.sailSurface.slices;
+    if (slices.length < 2) {
+        return;
+    }
+    
+    var footPos = slices[0].slicePos;
+    var luffLength = slices[slices.length - 1].slicePos - footPos;
+    if (luffLength <= 0) {
+        return;
+    }
+    
+    var totalArea = 0;
+    var totalChordArea = 0;
+    for (var i = 1; i < slices.length; ++i) {
+        var lowerSlice = slices[i - 1];
+        var upperSlice = slices[i];
+        var span = upperSlice.slicePos - lowerSlice.slicePos;
+        var chord = 0.5 * (lowerSlice.surfaceLength + upperSlice.surfaceLength);
+        var area = span * chord;
+        if (area <= 0) {
+            continue;
+        }
+        
+        var foil = new LBSailSim.SailFoil(this);
+        foil.clCdCurve = this.foil.clCdCurve;
+        foil.aspectRatio = this.foil.aspectRatio;
+        foil.startVelocityWeight = this.foil.startVelocityWeight;
+        
+        var sliceZ = 0.5 * (lowerSlice.slicePos + upperSlice.slicePos);
+        this.sailStrips.push({
+            foil: foil,
+            sliceZ: sliceZ,
+            twistFraction: (sliceZ - footPos) / luffLength,
+            span: span,
+            area: area,
+            chord: chord,
+            details: {}
+        });
+        
+        totalArea += area;
+        totalChordArea += chord * area;
+    }
+    
+    var meanChord = totalChordArea / totalArea;
+    this.sailStrips.forEach(function(strip) {
+        strip.areaFraction = strip.area / totalArea;
+        strip.chordScale = strip.chord / meanChord;
+    });
+};
+
+/**
+ * Called after the force on the sail has been computed to update the sail's bound vortex,
+ * which is what the sail's lift does to the flow around the other sails. The vortex induces
+ * an upwash ahead of the sail, so a mainsail lifts the flow its jib sees, and a downwash behind
+ * it, the slot effect of a jib heading the flow onto its mainsail's luff.
+ * @protected
+ * @param {Number} density  The density of the air.
+ * @param {Number} liftPerSpeed The sum of the lift divided by the flow speed of each part of the sail.
+ * @param {Number} span The span of the sail.
+ * @returns {undefined}
+ */
+LBSailSim.SailInstance.prototype._updateBoundVortex = function(density, liftPerSpeed, span) {
+    // From Kutta-Joukowski the lift per unit span is density * speed * circulation, the lift
+    // is to the left of the flow so the circulation is clockwise.
+    this.boundCirculation = (span > 0) ? -liftPerSpeed / (density * span) : 0;
+    
+    var chordLine = this.foil.chordLine;
+    this.boundVortexOrigin.set(0.75 * chordLine.start.x + 0.25 * chordLine.end.x,
+        0.75 * chordLine.start.y + 0.25 * chordLine.end.y, this.foil.sliceZ);
+    this.boundVortexOrigin.applyMatrix4(this.coordSystem.worldXfrm);
+    this.boundVortexAxis.set(0, 0, 1).transformDirection(this.coordSystem.worldXfrm);
+};
+
+/**
+ * Adds the velocity induced by the sail's bound vortex at a point. The vortex is treated as
+ * a straight line along the luff, which is reasonable for the sails next to each other on a
+ * boat with luffs of about the same length.
+ * @param {module:LBGeometry.Vector3} pos   The point in world coordinates.
+ * @param {module:LBGeometry.Vector3} vel   The velocity to add the induced velocity to.
+ * @returns {module:LBGeometry.Vector3} vel.
+ */
+LBSailSim.SailInstance.prototype.addInducedVelocity = function(pos, vel) {
+    if (!this.boundCirculation || !this.interactionFactor) {
+        return vel;
+    }
+    
+    var axis = this.boundVortexAxis;
+    var radius = LBSailSim.SailInstance._workingRadius.copy(pos).sub(this.boundVortexOrigin);
+    radius.addScaledVector(axis, -radius.dot(axis));
+    
+    var distanceSq = radius.lengthSq() + this.vortexCoreRadius * this.vortexCoreRadius;
+    var scale = this.interactionFactor * this.boundCirculation / (2 * Math.PI * distanceSq);
+    var inducedVel = LBSailSim.SailInstance._workingInducedVel.crossVectors(axis, radius);
+    return vel.addScaledVector(inducedVel, scale);
+};
+
+// @inheritdoc...
+LBSailSim.SailInstance.prototype._getFlowVelocity = function(flow, pos, store) {
+    store = LBSailSim.getFlowVelocity(flow, pos, store);
+    for (var i = 0; i < this.interactingSails.length; ++i) {
+        this.interactingSails[i].addInducedVelocity(pos, store);
+    }
+    return store;
+};
+
+/**
+ * Called after the force on the sail has been computed to switch the sheet to the lead on
+ * the leeward side if the sail has leads on either side.
+ * @protected
+ * @returns {undefined}
+ */
+LBSailSim.SailInstance.prototype._updateSheetLead = function() {
+    var qInfLocal = this.foilDetails.qInfLocal;
+    if ((this.sheetLeads.length < 2) || !qInfLocal) {
+        return;
+    }
+    
+    // The flow is in the rotated sail's coordinates, we want it in the unrotated sail's.
+    var rad = this.obj3D.rotation.z + this.rotationOffsetDegs[2] * LBMath.DEG_TO_RAD;
+    var sideSpeed = Math.sin(rad) * qInfLocal.x + Math.cos(rad) * qInfLocal.y;
+    var speed = qInfLocal.length();
+    if (Math.abs(sideSpeed) <= speed * Math.sin(this.sheetSwitchDeg * LBMath.DEG_TO_RAD)) {
+        return;
+    }
+    
+    if ((this._getSheetLeadSide(this.sheetLeadIndex) * sideSpeed) > 0) {
+        return;
+    }
+    
+    for (var i = 0; i < this.sheetLeads.length; ++i) {
+        if ((this._getSheetLeadSide(i) * sideSpeed) > 0) {
+            this.setSheetLeadIndex(i);
+            break;
+        }
+    }
+};
+
+/**
+ * Used by {@link LBSailSim.SailInstance#_updateSheetLead} to determine which side of the sail a sheet lead is on.
+ * @protected
+ * @param {Number} index    The index in {@link LBSailSim.SailInstance#sheetLeads} of the lead.
+ * @returns {Number}    A value that is positive if the lead is on the +y side, negative if it's on the -y side.
+ */
+LBSailSim.SailInstance.prototype._getSheetLeadSide = function(index) {
+    return this.sheetLeads[index].y;
+};
+
+/**
+ * Changes the sheet lead holding the sail.
+ * @param {Number} index    The index in {@link LBSailSim.SailInstance#sheetLeads} of the lead.
+ * @returns {LBSailSim.SailInstance}    this.
+ */
+LBSailSim.SailInstance.prototype.setSheetLeadIndex = function(index) {
+    if ((index >= 0) && (index < this.sheetLeads.length)) {
+        this.sheetLeadIndex = index;
+        this._updateSheetAnchorBoat();
+    }
+    return this;
+};
+
+/**
+ * Updates {@link LBSailSim.SailInstance#sheetAnchorBoat} from the active sheet lead and the
+ * traveler, and then the rotation limits.
+ * @protected
+ * @returns {undefined}
+ */
+LBSailSim.SailInstance.prototype._updateSheetAnchorBoat = function() {
+    this.sheetAnchorBoat.copy(this.sheetLeads[this.sheetLeadIndex]);
+    this.sheetAnchorBoat.y += this.travelerOffset;
+    this._updateRotationLimits();
+};
+
 /**
  * This handles calculating the rotation limits {@link LBSailSim.SailInstance#minRotationDeg}
  * and {@link LBSailSim.SailInstance#maxRotationDeg} based on the current sheet length.
+ * The sheet runs from {@link LBSailSim.SailInstance#sheetAnchorSail} to 
+ * {@link LBSailSim.SailInstance#sheetAnchorBoat}, the sail can rotate either way from
+ * pointing at the lead until the sheet is taut.
  * @protected
  * @returns {undefined}
  */
 LBSailSim.SailInstance.prototype._updateRotationLimits = function() {
-    // TODO: Handle multiple sheets (i.e. jib sheeets and spinnakers...)
-    
-    var a = this.sheetAnchorSail.length();
-    var b = this.sheetAnchorBoat.length();
-    var c = this.sheetLength;
+    var sailAnchor = this.sheetAnchorSail;
+    var boatAnchor = this.sheetAnchorBoat;
+    
+    // The sail rotates about its z axis, so the sheet length is first reduced by the part of
+    // it that is along the z axis.
+    var a = Math.sqrt(sailAnchor.x * sailAnchor.x + sailAnchor.y * sailAnchor.y);
+    var b = Math.sqrt(boatAnchor.x * boatAnchor.x + boatAnchor.y * boatAnchor.y);
+    var dz = boatAnchor.z - sailAnchor.z;
+    var c = Math.sqrt(Math.max(this.sheetLength * this.sheetLength - dz * dz, 0));
+    
+    var leadDeg = 0;
+    if (!LBMath.isLikeZero(a) && !LBMath.isLikeZero(b)) {
+        leadDeg = (Math.atan2(boatAnchor.y, boatAnchor.x) - Math.atan2(sailAnchor.y, sailAnchor.x)) * LBMath.RAD_TO_DEG;
+        leadDeg = LBMath.wrapDegrees(leadDeg);
+    }
     
-    if (c < (a + b)) {
-        this.maxRotationDeg = LBMath.radFromThreeSides(a, b, c) * LBMath.RAD_TO_DEG;
+    var rangeDeg;
+    if (c >= (a + b)) {
+        rangeDeg = 180;
+    }
+    else if (c <= Math.abs(a - b)) {
+        rangeDeg = 0;
     }
     else {
-        this.maxRotationDeg = 180;
+        rangeDeg = LBMath.radFromThreeSides(a, b, c) * LBMath.RAD_TO_DEG;
     }
-    this.minRotationDeg = -this.maxRotationDeg;
+    this.minRotationDeg = Math.max(leadDeg - rangeDeg, -180);
+    this.maxRotationDeg = Math.min(leadDeg + rangeDeg, 180);
 
     var deg = this.obj3D.rotation.z * LBMath.RAD_TO_DEG + this.rotationOffsetDegs[2];
     var deg2 = LBMath.clamp(deg, this.minRotationDeg, this.maxRotationDeg);
@@ -426,25 +866,45 @@ LBSailSim.SailInstance.prototype.load = function(data, sailEnv) {
     LBSailSim.FoilInstance.prototype.load.call(this, data, sailEnv);
     
     this.sparName = data.sparName;
+    
+    if (data.sailShaper) {
+        this._loadSailShaper(data.sailShaper);
+    }
 
-    if (!data.sheetSailAnchor) {
+    if (data.sheetSailAnchor) {
+        LBGeometry.loadVector3(data.sheetSailAnchor, this.sheetAnchorSail);
+    }
+    else if (!this.sparName && this.sailShaper) {
+        // Without a boom the sheet is on the clew.
+        this.sailShaper.getClew(this, this.sheetAnchorSail);
+    }
+    else {
         // If the sheet anchor on the sail was not specified, make it the mid-point
         // of the chord, which we'll presume is the boom.
         var chord = this.foil.chordLine;
         this.sheetAnchorSail.copy(chord.start);
         this.sheetAnchorSail.add(chord.end).multiplyScalar(0.5);
     }
-    else {
-        LBGeometry.loadVector3(data.sheetSailAnchor, this.sheetAnchorSail);
+    
+    this.sheetLeads.length = 0;
+    if (data.sheetLeads) {
+        data.sheetLeads.forEach(function(leadData) {
+            this.sheetLeads.push(LBGeometry.loadVector3(leadData));
+        }, this);
     }
-    if (!data.sheetBoatAnchor) {
-        // If the sheet anchor on the boat was not specified, make it the same as
-        // the sheet anchor on the sail at the current orientation.
-        this.sheetAnchorBoat.copy(this.sheetAnchorSail);
+    else if (data.sheetBoatAnchor) {
+        this.sheetLeads.push(LBGeometry.loadVector3(data.sheetBoatAnchor));
     }
     else {
-        LBGeometry.loadVector3(data.sheetBoatAnchor, this.sheetAnchorBoat);
+        // If the sheet anchor on the boat was not specified, make it the same as
+        // the sheet anchor on the sail at the current orientation.
+        this.sheetLeads.push(this.sheetAnchorSail.clone());
     }
+    this.sheetLeadIndex = 0;
+    this.sheetSwitchDeg = LBUtil.isVar(data.sheetSwitchDeg) ? data.sheetSwitchDeg : this.sheetSwitchDeg;
+    
+    this.interactionFactor = LBUtil.isVar(data.interactionFactor) ? data.interactionFactor : this.interactionFactor;
+    this.vortexCoreRadius = data.vortexCoreRadius || (0.25 * this.foil.chordLine.length());
     
     this.minSheetLength = data.minSheetLength || 0;
     this.maxSheetLength = data.maxSheetLength || 1;
@@ -461,6 +921,18 @@ LBSailSim.SailInstance.prototype.load = function(data, sailEnv) {
         this.maxTwistDeg = tmp;
     }
     
+    if ((data.minCamberFraction !== undefined) && (data.minCamberFraction >= 0)) {
+        this.minCamberFraction = data.minCamberFraction;
+    }
+    if ((data.maxCamberFraction !== undefined) && (data.maxCamberFraction >= 0)) {
+        this.maxCamberFraction = data.maxCamberFraction;
+    }
+    if (this.minCamberFraction > this.maxCamberFraction) {
+        var tmp = this.minCamberFraction;
+        this.minCamberFraction = this.maxCamberFraction;
+        this.maxCamberFraction = tmp;
+    }
+    
     if ((data.minChordFraction !== undefined) && (data.minChordFraction >= 0)) {
         this.minChordFraction = data.minChordFraction;
     }
@@ -473,11 +945,21 @@ LBSailSim.SailInstance.prototype.load = function(data, sailEnv) {
         this.maxChordFraction = tmp;
     }
     
-    this._updateRotationLimits();
-    
-    if (data.sailShaper) {
-        this._loadSailShaper(data.sailShaper);
+    if ((data.minCamberPosFraction !== undefined) && (data.minCamberPosFraction >= 0)) {
+        this.minCamberPosFraction = data.minCamberPosFraction;
     }
+    if ((data.maxCamberPosFraction !== undefined) && (data.maxCamberPosFraction >= 0)) {
+        this.maxCamberPosFraction = data.maxCamberPosFraction;
+    }
+    if (this.minCamberPosFraction > this.maxCamberPosFraction) {
+        var tmp = this.minCamberPosFraction;
+        this.minCamberPosFraction = this.maxCamberPosFraction;
+        this.maxCamberPosFraction = tmp;
+    }
+    
+    this._updateSheetAnchorBoat();
+    
+    this._loadSailStrips();
     return this;
 };
 
@@ -499,6 +981,13 @@ LBSailSim.SailInstance.prototype.vesselLoaded = function(vessel) {
     if (this.sparName) {
         LBPhysics.RigidBody.getRigidBodiesWithName(vessel.spars, this.sparName, this.spars);
     }
+    
+    this.interactingSails.length = 0;
+    vessel.airfoils.forEach(function(airfoil) {
+        if ((airfoil !== this) && (airfoil instanceof LBSailSim.SailInstance)) {
+            this.interactingSails.push(airfoil);
+        }
+    }, this);
     return this;
 };
 
@@ -524,6 +1013,51 @@ LBSailSim.SailInstance.prototype.setSheetLengthRatio = function(ratio) {
     return this.setSheetLength(length);
 };
 
+/**
+ * Sets the tension of the vang, which holds the boom down and so controls the twist.
+ * @param {Number} ratio    The tension, 0 is slack and the sail twists the most, 1 is tight
+ * and the sail twists the least.
+ * @returns {LBSailSim.SailInstance} this.
+ */
+LBSailSim.SailInstance.prototype.setVangTension = function(ratio) {
+    this.twistFactor = 1 - LBMath.clamp(ratio, 0, 1);
+    return this;
+};
+
+/**
+ * Sets the tension of the outhaul, which stretches the foot and so controls the camber.
+ * @param {Number} ratio    The tension, 0 is slack and the sail is its fullest, 1 is tight
+ * and the sail is its flattest.
+ * @returns {LBSailSim.SailInstance} this.
+ */
+LBSailSim.SailInstance.prototype.setOuthaulTension = function(ratio) {
+    this.flatnessFactor = 1 - LBMath.clamp(ratio, 0, 1);
+    return this;
+};
+
+/**
+ * Sets the tension of the cunningham, which tightens the luff and so pulls the draft forward.
+ * @param {Number} ratio    The tension, 0 is slack and the draft is furthest aft, 1 is tight
+ * and the draft is furthest forward.
+ * @returns {LBSailSim.SailInstance} this.
+ */
+LBSailSim.SailInstance.prototype.setCunninghamTension = function(ratio) {
+    this.draftFactor = 1 - LBMath.clamp(ratio, 0, 1);
+    return this;
+};
+
+/**
+ * Moves the traveler, which moves where the sheet pulls from across the boat, so the angle
+ * of the sail can be changed without changing the sheet length.
+ * @param {Number} offset   The offset of the traveler along the sail's local y axis.
+ * @returns {LBSailSim.SailInstance} this.
+ */
+LBSailSim.SailInstance.prototype.setTravelerOffset = function(offset) {
+    this.travelerOffset = offset;
+    this._updateSheetAnchorBoat();
+    return this;
+};
+
 
 /**
  * Basic sail controller, sets the sheet length.
@@ -619,6 +1153,201 @@ LBSailSim.SailController.prototype.destroy = function() {
 };
 
 
+/**
+ * Base class for the sail controllers other than the sheets, such as the vang or the traveler,
+ * each controls one thing on all the sails with a given name.
+ * @constructor
+ * @extends module:LBControls.SmoothController
+ * @param {LBSailSim.Vessel} vessel The vessel which this helps control.
+ * @returns {LBSailSim.SailTrimController}
+ */
+LBSailSim.SailTrimController = function(vessel) {
+    LBControls.SmoothController.call(this);
+    
+    /**
+     * The vessel to which this belongs.
+     * @member {LBSailSim.Vessel}
+     */
+    this.vessel = vessel;
+    
+    /**
+     * The name of the sails which are controlled by this.
+     * @member {String}
+     */
+    this.sailName = 'mainsail';
+    
+    /**
+     * The array of sails controlled by this.
+     * @member {LBSailSim.SailInstance[]}
+     */
+    this.sails = [];
+};
+
+LBSailSim.SailTrimController.prototype = Object.create(LBControls.SmoothController.prototype);
+LBSailSim.SailTrimController.prototype.constructor = LBSailSim.SailTrimController;
+
+/**
+ * Loads the controller from the properties in a data object.
+ * @param {object} data The data object.
+ * @param {LBSailSim.Vessel} vessel The vessel to which this belongs.
+ * @returns {LBSailSim.SailTrimController}  this.
+ */
+LBSailSim.SailTrimController.prototype.load = function(data, vessel) {
+    this.controllee = function(value) {
+        this._applyValue(value);
+    };
+    
+    this.vessel = vessel;
+    LBControls.SmoothController.prototype.load.call(this, data, vessel);
+    this.sailName = data.sailName || this.sailName;
+    this._loadSails();
+    this._applyValue(this.currentValue);
+    return this;
+};
+
+/**
+ * Gathers up the sails controlled by this controller.
+ * @protected
+ * @returns {undefined}
+ */
+LBSailSim.SailTrimController.prototype._loadSails = function() {
+    if (!this.vessel) {
+        return;
+    }
+    
+    LBPhysics.RigidBody.getRigidBodiesWithName(this.vessel.airfoils, this.sailName, this.sails);
+};
+
+/**
+ * Applies the controller's value to all the sails.
+ * @protected
+ * @param {Number} value    The controller value.
+ * @returns {undefined}
+ */
+LBSailSim.SailTrimController.prototype._applyValue = function(value) {
+    for (var i = 0; i < this.sails.length; ++i) {
+        this._applyValueToSail(this.sails[i], value);
+    }
+};
+
+/**
+ * Called by {@link LBSailSim.SailTrimController#_applyValue} for each sail.
+ * @protected
+ * @param {LBSailSim.SailInstance} sail The sail.
+ * @param {Number} value    The controller value.
+ * @returns {undefined}
+ */
+LBSailSim.SailTrimController.prototype._applyValueToSail = function(sail, value) {
+    throw "_applyValueToSail not implemented by this!";
+};
+
+/**
+ * @protected
+ * @param {Number} value    A controller value.
+ * @returns {Number}    value as a fraction of the way from the minimum value to the maximum value.
+ */
+LBSailSim.SailTrimController.prototype._getValueRatio = function(value) {
+    return (this.maxValue !== this.minValue) ? (value - this.minValue) / (this.maxValue - this.minValue) : 0;
+};
+
+/**
+ * Call when done with the object to have it release any internal references
+ * to other objects to help with garbage collection.
+ * @returns {undefined}
+ */
+LBSailSim.SailTrimController.prototype.destroy = function() {
+    if (this.sails) {
+        this.sails.length = 0;
+        this.sails = null;
+        this.controllee = null;
+        this.sailName = null;
+        this.vessel = null;
+        
+        LBControls.SmoothController.prototype.destroy.call(this);
+    }
+};
+
+
+/**
+ * Controller for the boom vang, the minimum value is slack, the maximum tight, see
+ * {@link LBSailSim.SailInstance#setVangTension}.
+ * @constructor
+ * @extends LBSailSim.SailTrimController
+ * @param {LBSailSim.Vessel} vessel The vessel which this helps control.
+ * @returns {LBSailSim.VangController}
+ */
+LBSailSim.VangController = function(vessel) {
+    LBSailSim.SailTrimController.call(this, vessel);
+};
+
+LBSailSim.VangController.prototype = Object.create(LBSailSim.SailTrimController.prototype);
+LBSailSim.VangController.prototype.constructor = LBSailSim.VangController;
+
+LBSailSim.VangController.prototype._applyValueToSail = function(sail, value) {
+    sail.setVangTension(this._getValueRatio(value));
+};
+
+
+/**
+ * Controller for the outhaul, the minimum value is slack, the maximum tight, see
+ * {@link LBSailSim.SailInstance#setOuthaulTension}.
+ * @constructor
+ * @extends LBSailSim.SailTrimController
+ * @param {LBSailSim.Vessel} vessel The vessel which this helps control.
+ * @returns {LBSailSim.OuthaulController}
+ */
+LBSailSim.OuthaulController = function(vessel) {
+    LBSailSim.SailTrimController.call(this, vessel);
+};
+
+LBSailSim.OuthaulController.prototype = Object.create(LBSailSim.SailTrimController.prototype);
+LBSailSim.OuthaulController.prototype.constructor = LBSailSim.OuthaulController;
+
+LBSailSim.OuthaulController.prototype._applyValueToSail = function(sail, value) {
+    sail.setOuthaulTension(this._getValueRatio(value));
+};
+
+
+/**
+ * Controller for the cunningham, the minimum value is slack, the maximum tight, see
+ * {@link LBSailSim.SailInstance#setCunninghamTension}.
+ * @constructor
+ * @extends LBSailSim.SailTrimController
+ * @param {LBSailSim.Vessel} vessel The vessel which this helps control.
+ * @returns {LBSailSim.CunninghamController}
+ */
+LBSailSim.CunninghamController = function(vessel) {
+    LBSailSim.SailTrimController.call(this, vessel);
+};
+
+LBSailSim.CunninghamController.prototype = Object.create(LBSailSim.SailTrimController.prototype);
+LBSailSim.CunninghamController.prototype.constructor = LBSailSim.CunninghamController;
+
+LBSailSim.CunninghamController.prototype._applyValueToSail = function(sail, value) {
+    sail.setCunninghamTension(this._getValueRatio(value));
+};
+
+
+/**
+ * Controller for the traveler, the value is the offset of the traveler car from the
+ * centerline, see {@link LBSailSim.SailInstance#setTravelerOffset}.
+ * @constructor
+ * @extends LBSailSim.SailTrimController
+ * @param {LBSailSim.Vessel} vessel The vessel which this helps control.
+ * @returns {LBSailSim.TravelerController}
+ */
+LBSailSim.TravelerController = function(vessel) {
+    LBSailSim.SailTrimController.call(this, vessel);
+};
+
+LBSailSim.TravelerController.prototype = Object.create(LBSailSim.SailTrimController.prototype);
+LBSailSim.TravelerController.prototype.constructor = LBSailSim.TravelerController;
+
+LBSailSim.TravelerController.prototype._applyValueToSail = function(sail, value) {
+    sail.setTravelerOffset(value);
+};
+
+
 /**
  * Helper object for calculating points along the cambered sail surface.
  * @constructor
@@ -726,12 +1455,25 @@ LBSailSim.SailShaper.prototype = {
         throw "updateSailSurface not implemented by this!";
     },
     
+    /**
+     * Retrieves the position of the clew of the unrotated, flat sail in the sail's local coordinates.
+     * The default is the end of the chord line of the sail's foil.
+     * @param {LBSailSim.SailInstance} sailInstance The sail instance this is for.
+     * @param {module:LBGeometry.Vector3} [store]   If defined the object to store the clew position into.
+     * @returns {module:LBGeometry.Vector3}    The clew position.
+     */
+    getClew: function(sailInstance, store) {
+        store = store || new LBGeometry.Vector3();
+        var chordEnd = sailInstance.foil.chordLine.end;
+        return store.set(chordEnd.x, chordEnd.y, 0);
+    },
+    
     /**
      * Call when done with the object to have it release any internal references
      * to other objects to help with garbage collection.
      * @returns {undefined}
      */
-    dispose: function() {
+    destroy: function() {
         if (this.camberCurve) {
             this.camberCurve = null;            
         }
@@ -766,6 +1508,15 @@ LBSailSim.TriangleSailShaper = function() {
      * @member {Number}
      */
     this.headLength = undefined;
+    
+    /**
+     * The angle in degrees between the foot and the luff extended down past the tack, the other
+     * slices are parallel to the foot. This is 90 for a sail whose foot is square to the luff,
+     * such as a mainsail on a vertical mast, a jib on a forestay raked aft has a larger angle
+     * so its foot is level.
+     * @member {Number}
+     */
+    this.footAngleDeg = 90;
 };
 
 LBSailSim.TriangleSailShaper._workingVector2 = new LBGeometry.Vector2();
@@ -774,12 +1525,13 @@ LBSailSim.TriangleSailShaper.prototype.constructor = LBSailSim.TriangleSailShape
 
 LBSailSim.TriangleSailShaper.prototype.load = function(sailInstance, data) {
     this.luffLength = data.luffLength;
+    this.footAngleDeg = data.footAngleDeg || this.footAngleDeg;
     
     var surface = sailInstance.sailSurface;
     surface.slices.length = 0;
     
     if (data.footLength !== undefined) {
-        surface.slices.push(new LBSailSim.SailSlice(0, this.footLength, 2));
+        surface.slices.push(new LBSailSim.SailSlice(0, data.footLength, 2));
     }
     if (data.slices) {
         for (var i = 0; i < data.slices.length; ++i) {
@@ -797,6 +1549,12 @@ LBSailSim.TriangleSailShaper.prototype.load = function(sailInstance, data) {
     this.headLength = surface.slices[surface.slices.length - 1].surfaceLength;
 };
 
+LBSailSim.TriangleSailShaper.prototype.getClew = function(sailInstance, store) {
+    store = store || new LBGeometry.Vector3();
+    var footAngleRad = this.footAngleDeg * LBMath.DEG_TO_RAD;
+    return store.set(this.footLength * Math.sin(footAngleRad), 0, -this.footLength * Math.cos(footAngleRad));
+};
+
 LBSailSim.TriangleSailShaper.prototype.updateSailSurface = function(sailInstance, surface) {
     var totalTwistDeg = sailInstance.getTwistDeg();
     var totalTwistRad = totalTwistDeg * LBMath.DEG_TO_RAD;
@@ -814,6 +1572,12 @@ LBSailSim.TriangleSailShaper.prototype.updateSailSurface = function(sailInstance
     this.camberCurve.setCamber(camberFraction, camberPosFraction);
     var camberPos = LBSailSim.TriangleSailShaper._workingVector2;
     
+    // The slices run from the luff at the foot angle, so the points along the chord rise
+    // or fall along the luff.
+    var footAngleRad = this.footAngleDeg * LBMath.DEG_TO_RAD;
+    var chordXScale = Math.sin(footAngleRad);
+    var chordZScale = -Math.cos(footAngleRad);
+    
     for (var i = 0; i < surface.slices.length; ++i) {
         var slice = surface.slices[i];
         // First point is the leading edge which is currently always at x = y = 0.
@@ -828,9 +1592,10 @@ LBSailSim.TriangleSailShaper.prototype.updateSailSurface = function(sailInstance
             this.camberCurve.calcXY(p * scale, camberPos, slice.surfaceLength);
             camberPos.y *= slice.camberScale;
             
-            var x = cosTwist * camberPos.x + sinTwist * camberPos.y;
-            var y = -sinTwist * camberPos.x + cosTwist * camberPos.y;
-            slice.points[p].set(x, y, slice.slicePos);
+            var chordX = camberPos.x * chordXScale;
+            var x = cosTwist * chordX + sinTwist * camberPos.y;
+            var y = -sinTwist * chordX + cosTwist * camberPos.y;
+            slice.points[p].set(x, y, slice.slicePos + camberPos.x * chordZScale);
         }
     }
 };
@@ -14,8 +14,8 @@
  * limitations under the License.
  */
 
-define(['lbutil', 'lbmath', 'lbgeometry', 'lbphysics', 'lbfoils', 'lbsailsimbase', 'lbassets', 'lbforces', 'lbvessel', 'lbwind', 'lbwater', 'lbboundaries'], 
-function(LBUtil, LBMath, LBGeometry, LBPhysics, LBFoils, LBSailSim, LBAssets, LBForces) {
+define(['lbutil', 'lbmath', 'lbgeometry', 'lbphysics', 'lbfoils', 'lbsailsimbase', 'lbassets', 'lbforces', 'lbrandom', 'lbvessel', 'lbwind', 'lbwater', 'lbboundaries', 'lbbathymetry'], 
+function(LBUtil, LBMath, LBGeometry, LBPhysics, LBFoils, LBSailSim, LBAssets, LBForces, LBRandom) {
     
     'use strict';
 
@@ -33,6 +33,7 @@ LBSailSim.Env = function(assetLoader) {
     this.boundaries = new LBSailSim.Boundaries();
     this.wind = new LBSailSim.Wind(this);
     this.water = new LBSailSim.Water(this);
+    this.bathymetry = new LBSailSim.Bathymetry(this);
     
     this.clCdCurves = [];
 
@@ -91,17 +92,34 @@ LBSailSim.Env = function(assetLoader) {
      */
     this.currentTime = 0;
     
+    /**
+     * The seed last passed to {@link LBSailSim.Env#setRandomSeed}, undefined if the
+     * random number generators have not been explicitly seeded.
+     * @member {Number|String}
+     */
+    this.randomSeed = undefined;
+    
+    /**
+     * The random number generator for display effects such as telltale flutter and wake
+     * particles. This is separate from the wind's generator so the display's frame rate
+     * does not change the sequence of puffs.
+     * @member {module:LBRandom.PRNG}
+     */
+    this.effectsPRNG = new LBRandom.PRNG();
+    
     
     this.loadCoordinator = new LBAssets.MultiLoadCoordinator();
     
     this.buoyancyGenerator = new LBForces.Buoyancy({
         gravity: this.gravity,
         applyGravity: true,
-        fluidZ: 0
+        fluidZ: 0,
+        fluidSurface: this.water
     });
     
     this.dampingGenerator = new LBForces.Damping({
-        defaultDamping: 0.1
+        defaultDamping: 0.1,
+        flow: this.water
     });
     
     this.objectDefs = {};
@@ -143,6 +161,20 @@ LBSailSim.Env.prototype = {
     },
     
     
+    /**
+     * Seeds the random number generators of the environment, after this the wind puffs
+     * are generated the same way each time the same seed is set and the simulation is run
+     * with the same inputs.
+     * @param {Number|String} [seed]    The seed, if not defined random seeds are used.
+     * @returns {LBSailSim.Env} this.
+     */
+    setRandomSeed: function(seed) {
+        this.randomSeed = seed;
+        this.wind.setRandomSeed(seed);
+        this.effectsPRNG.setSeed(LBUtil.isVar(seed) ? (seed + ':effects') : undefined);
+        return this;
+    },
+    
     /**
      * Resets the environment to be empty. {@link LBSailSim.SailEnv#loadEnv} will have to
      * be called again.
@@ -184,6 +216,10 @@ LBSailSim.Env.prototype = {
 
         this.trajectoryPointsToRecord = data.trajectoryPointsToRecord || this.trajectoryPointsToRecord;
         
+        if (LBUtil.isVar(data.randomSeed)) {
+            this.setRandomSeed(data.randomSeed);
+        }
+        
         this.loadCoordinator.setup(onLoaded, onError);
         this.loadCoordinator.beginLoadCalls();
             
@@ -206,6 +242,10 @@ LBSailSim.Env.prototype = {
             data.objectDefs.forEach(this._loadObjectDef, this);
         }
 
+        this.wind.load(data.wind);
+        this.water.load(data.water);
+        this.bathymetry.load(data.bathymetry);
+
         if (data.boundaries) {
             this._loadBoundaries(data.boundaries);
         }
@@ -213,6 +253,13 @@ LBSailSim.Env.prototype = {
         if (data.floating) {
             this._loadFloating(data.floating);
         }
+        
+        /**
+         * The data object from the environment's courseGenerator property, this defines
+         * the floating objects used by {@link module:LBRacing.CourseGenerator}.
+         * @member {Object}
+         */
+        this.courseGeneratorData = data.courseGenerator;
     // Need to load the environment JSON file.
     // When the file is loaded, need to install the scenery.
     // The environment consists of:
@@ -220,8 +267,8 @@ LBSailSim.Env.prototype = {
     //      Coordinates, 3D model, Volumes, constraints, additional properties (dock, ???)
     // b) Boats available for checkout.
     // c) clcdcurves.json
-    // d) Shallows?
-    // e) Current map?
+    // d) Bathymetry.
+    // e) Water currents.
     // f) 
     
         this.loadCoordinator.endLoadCalls();
@@ -316,15 +363,19 @@ LBSailSim.Env.prototype = {
         
         if (data.chain) {
             var length = data.chain.length || 10;
-            var depth = data.chain.depth || length * 0.75;
+            var anchorPos = new LBGeometry.Vector3();
+            rigidBody.obj3D.localToWorld(anchorPos);
+            
+            // The anchor sits on the bottom, the chain's depth is only used if there's no bathymetry.
+            var depth = (this.bathymetry.hasDepths())
+                    ? this.bathymetry.getDepth(anchorPos.x, anchorPos.y)
+                    : (data.chain.depth || length * 0.75);
             if (depth > length) {
                 depth = length;
             }
             var springConstant = data.chain.springConstant || 1;
             
             var minSpringLength = length;
-            var anchorPos = new LBGeometry.Vector3();
-            rigidBody.obj3D.localToWorld(anchorPos);
             anchorPos.z = -depth;
             
             var spring = new LBForces.Spring(
@@ -335,6 +386,7 @@ LBSailSim.Env.prototype = {
                         springConstant: springConstant
                     });
             this.physicsLink.addForceGenerator(spring);
+            rigidBody._lbChainSpring = spring;
             
             if (!rigidBody.linearDamping) {
                 this.dampingGenerator.addRigidBody(rigidBody);
@@ -342,6 +394,49 @@ LBSailSim.Env.prototype = {
         }
     },
     
+    /**
+     * Removes a floating object that was loaded via {@link LBSailSim.Env#loadFloatingObject}.
+     * @param {module:LBPhysics.RigidBody} rigidBody   The floating object to remove.
+     * @returns {Boolean}   true if the object was removed, false if it was not a floating object.
+     */
+    removeFloatingObject: function(rigidBody) {
+        var index = this.floatingObjects.indexOf(rigidBody);
+        if (index < 0) {
+            return false;
+        }
+        this.floatingObjects.splice(index, 1);
+        
+        var classifiedObjects = this.floatingObjectsByClassification[rigidBody.classification];
+        if (classifiedObjects) {
+            index = classifiedObjects.indexOf(rigidBody);
+            if (index >= 0) {
+                classifiedObjects.splice(index, 1);
+            }
+        }
+        
+        this.floatingObjectRemoved(rigidBody);
+        return true;
+    },
+    
+    /**
+     * Called by {@link LBSailSim.Env#removeFloatingObject} when a floating object has been
+     * removed, this removes the object from the physics link.
+     * @param {module:LBPhysics.RigidBody} rigidBody   The rigid body floating object.
+     */
+    floatingObjectRemoved: function(rigidBody) {
+        if (this.physicsLink) {
+            // Fixed objects are not tracked by the physics link so they can't be removed.
+            this.physicsLink.removeRigidBody(rigidBody);
+            this.buoyancyGenerator.removeRigidBody(rigidBody);
+            this.dampingGenerator.removeRigidBody(rigidBody);
+            
+            if (rigidBody._lbChainSpring) {
+                this.physicsLink.removeForceGenerator(rigidBody._lbChainSpring);
+                rigidBody._lbChainSpring = undefined;
+            }
+        }
+    },
+    
     
     /**
      * Retrieves the floating object with a given name.
@@ -540,6 +635,9 @@ LBSailSim.Env.prototype = {
         
         boat.name = boatName;
         boat.boatInstanceData = boatEntry.instanceData;
+        if (boat.boatInstanceData && boat.boatInstanceData.handicap) {
+            Object.assign(boat.handicap, boat.boatInstanceData.handicap);
+        }
         
         boat.obj3D.position.x = centerX || 0;
         boat.obj3D.position.y = centerY || 0;
@@ -578,6 +676,8 @@ LBSailSim.Env.prototype = {
      * @param {Object} data The data object that was passed to {@link LBSailSim.Env#checkoutBoat}.
      */
     _boatCheckedOut: function(boat, data) {
+        this.wind.addVesselShadow(boat);
+        
         this.callbacks.forEach(
             function(callback) {
                 if (callback.onBoatCheckedOut) {
@@ -621,6 +721,8 @@ LBSailSim.Env.prototype = {
      * @param {object} boat The boat that was returned.
      */
     _boatReturned: function(boat) {
+        this.wind.removeVesselShadow(boat);
+        
         this.callbacks.forEach(
             function(callback) {
                 if (callback.onBoatReturned) {
@@ -0,0 +1,556 @@
+/*
+ * Copyright 2017 Albert Santos.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+define(['lbsailsimbase', 'lbutil', 'lbmath', 'lbgeometry', 'lbsail'],
+function(LBSailSim, LBUtil, LBMath, LBGeometry) {
+
+    'use strict';
+
+
+/**
+ * The hoist states of a {@link LBSailSim.SpinnakerInstance}.
+ * @readonly
+ * @enum {String}
+ */
+LBSailSim.HoistState = {
+    /** The sail is in its bag, it generates no force and is not displayed. */
+    DOUSED: 'doused',
+    /** The sail is on its way up. */
+    HOISTING: 'hoisting',
+    /** The sail is all the way up. */
+    HOISTED: 'hoisted',
+    /** The sail is on its way down. */
+    DOUSING: 'dousing'
+};
+
+
+/**
+ * A downwind sail, either a symmetric spinnaker whose tack is held out to windward by a pole,
+ * or an asymmetric spinnaker (gennaker) whose tack is held by a tack line at the bow or the end
+ * of a bowsprit. The sail is hung from its head, its local z axis is kept pointing from the tack
+ * to the head as the tack moves, and like a jib it is sheeted to the leeward of a pair of sheet leads.
+ * <p>
+ * Unlike the other sails, the sheet leads of a spinnaker are in the vessel's coordinates,
+ * since the tack, which is the origin of the sail's coordinates, moves.
+ * @constructor
+ * @extends LBSailSim.SailInstance
+ * @returns {LBSailSim.SpinnakerInstance}
+ */
+LBSailSim.SpinnakerInstance = function() {
+    LBSailSim.SailInstance.call(this);
+    
+    /**
+     * The current hoist state.
+     * @readonly
+     * @member {LBSailSim.HoistState}
+     */
+    this.hoistState = LBSailSim.HoistState.DOUSED;
+    
+    /**
+     * How far up the sail is, 0 is doused, 1 is hoisted. The force on the sail is
+     * scaled by this.
+     * @readonly
+     * @member {Number}
+     */
+    this.hoistFraction = 0;
+    
+    /**
+     * The time in seconds it takes to hoist or douse the sail.
+     * @member {Number}
+     */
+    this.hoistTime = 4;
+    
+    /**
+     * The area of the fully hoisted sail.
+     * @readonly
+     * @member {Number}
+     */
+    this.hoistedArea = 0;
+    
+    /**
+     * Where the head of the sail is hoisted to, in the vessel's coordinates.
+     * @member {module:LBGeometry.Vector3}
+     */
+    this.headPoint = new LBGeometry.Vector3();
+    
+    /**
+     * The sheet leads in the vessel's coordinates, {@link LBSailSim.SailInstance#sheetLeads}
+     * is updated from these whenever the tack moves.
+     * @member {module:LBGeometry.Vector3[]}
+     */
+    this.vesselSheetLeads = [];
+    
+    /**
+     * True if the tack is held by a pole, false if it's held by a tack line.
+     * @readonly
+     * @member {Boolean}
+     */
+    this.isPoled = false;
+    
+    /**
+     * Where the pole attaches to the mast, in the vessel's coordinates.
+     * @member {module:LBGeometry.Vector3}
+     */
+    this.poleBase = new LBGeometry.Vector3();
+    
+    /**
+     * The length of the pole.
+     * @member {Number}
+     */
+    this.poleLength = 0;
+    
+    /**
+     * The angle of the pole from the bow in degrees, set by the guy. 0 has the pole pointing
+     * forward, 90 has it square to the centerline. The pole is always on the windward side.
+     * @member {Number}
+     */
+    this.poleAngleDeg = 45;
+    
+    /**
+     * The height of the end of the pole above {@link LBSailSim.SpinnakerInstance#poleBase}.
+     * @member {Number}
+     */
+    this.poleHeight = 0;
+    
+    /**
+     * Where the tack line is made fast, in the vessel's coordinates, used if the sail is not poled.
+     * @member {module:LBGeometry.Vector3}
+     */
+    this.tackPoint = new LBGeometry.Vector3();
+    
+    /**
+     * How far the tack line is eased, the tack rises this far above {@link LBSailSim.SpinnakerInstance#tackPoint}.
+     * @member {Number}
+     */
+    this.tackLineLength = 0;
+};
+
+LBSailSim.SpinnakerInstance.prototype = Object.create(LBSailSim.SailInstance.prototype);
+LBSailSim.SpinnakerInstance.prototype.constructor = LBSailSim.SpinnakerInstance;
+
+LBSailSim.SpinnakerInstance.prototype.destroy = function() {
+    if (this.headPoint) {
+        this.headPoint = null;
+        this.vesselSheetLeads = null;
+        this.poleBase = null;
+        this.tackPoint = null;
+    
+        LBSailSim.SailInstance.prototype.destroy.call(this);
+    }
+};
+
+/**
+ * Loads the spinnaker from properties in a data object, in addition to the properties of
+ * {@link LBSailSim.SailInstance#load}:
+ * <pre><code>
+ *  head:   { x: 1.6, y: 0, z: 7 },     // Where the head is hoisted to, in vessel coordinates.
+ *  sheetLeads: [ { x: 4.8, y: 0.8, z: 0.6 }, { x: 4.8, y: -0.8, z: 0.6 } ],   // In vessel coordinates.
+ *  pole: {                 // For a symmetric spinnaker, the tack is on the end of the pole.
+ *      base:   { x: 1.6, y: 0, z: 1.3 },
+ *      length: 1.8,
+ *      angleDeg:   45,
+ *      height: 0
+ *  },
+ *  tack:   { x: -1.2, y: 0, z: 0.7 },  // For an asymmetric spinnaker, where the tack line is made fast.
+ *  tackLineLength: 0,
+ *  hoistTime:  4,
+ *  isHoisted:  false
+ * </code></pre>
+ * If neither pole nor tack is given the tack is at the sail's obj3D position.
+ * @param {Object} data The data object.
+ * @param {LBSailSim.Env} sailEnv   The sailing environment.
+ * @returns {LBSailSim.SpinnakerInstance}   this.
+ */
+LBSailSim.SpinnakerInstance.prototype.load = function(data, sailEnv) {
+    LBSailSim.SailInstance.prototype.load.call(this, data, sailEnv);
+    
+    this.hoistedArea = this.foil.area;
+    LBGeometry.loadVector3(data.head, this.headPoint);
+    
+    this.vesselSheetLeads.length = 0;
+    if (data.sheetLeads) {
+        data.sheetLeads.forEach(function(leadData) {
+            this.vesselSheetLeads.push(LBGeometry.loadVector3(leadData));
+        }, this);
+    }
+    
+    var poleData = data.pole;
+    this.isPoled = LBUtil.isVar(poleData);
+    if (this.isPoled) {
+        LBGeometry.loadVector3(poleData.base, this.poleBase);
+        this.poleLength = poleData.length || 0;
+        this.poleAngleDeg = LBUtil.isVar(poleData.angleDeg) ? poleData.angleDeg : this.poleAngleDeg;
+        this.poleHeight = poleData.height || 0;
+    }
+    else if (data.tack) {
+        LBGeometry.loadVector3(data.tack, this.tackPoint);
+    }
+    else {
+        this.tackPoint.copy(this.obj3D.position);
+    }
+    this.tackLineLength = data.tackLineLength || 0;
+    
+    this.hoistTime = LBUtil.isVar(data.hoistTime) ? data.hoistTime : this.hoistTime;
+    this.setHoisted(data.isHoisted, true);
+    
+    this._updateTack();
+    return this;
+};
+
+/**
+ * Hoists or douses the sail.
+ * @param {Boolean} isHoisted   If true the sail is hoisted, otherwise it is doused.
+ * @param {Boolean} [isImmediate=false] If true the sail goes all the way up or down right
+ * away, otherwise it takes {@link LBSailSim.SpinnakerInstance#hoistTime}.
+ * @returns {LBSailSim.SpinnakerInstance}   this.
+ */
+LBSailSim.SpinnakerInstance.prototype.setHoisted = function(isHoisted, isImmediate) {
+    isImmediate = isImmediate || (this.hoistTime <= 0);
+    if (isHoisted) {
+        if (isImmediate) {
+            this.hoistFraction = 1;
+            this.hoistState = LBSailSim.HoistState.HOISTED;
+        }
+        else if (this.hoistState !== LBSailSim.HoistState.HOISTED) {
+            this.hoistState = LBSailSim.HoistState.HOISTING;
+        }
+    }
+    else {
+        if (isImmediate) {
+            this.hoistFraction = 0;
+            this.hoistState = LBSailSim.HoistState.DOUSED;
+        }
+        else if (this.hoistState !== LBSailSim.HoistState.DOUSED) {
+            this.hoistState = LBSailSim.HoistState.DOUSING;
+        }
+    }
+    
+    // A doused sail is stowed, so it doesn't add its mass up the rig.
+    this.isEnabled = (this.hoistFraction > 0);
+    return this;
+};
+
+/**
+ * @returns {Boolean}   true if the sail is hoisted or on its way up.
+ */
+LBSailSim.SpinnakerInstance.prototype.isHoisted = function() {
+    return (this.hoistState === LBSailSim.HoistState.HOISTED) || (this.hoistState === LBSailSim.HoistState.HOISTING);
+};
+
+/**
+ * Changes the angle of the pole, which is what trimming the guy does.
+ * @param {Number} deg  The angle of the pole from the bow in degrees.
+ * @returns {LBSailSim.SpinnakerInstance}   this.
+ */
+LBSailSim.SpinnakerInstance.prototype.setPoleAngleDeg = function(deg) {
+    this.poleAngleDeg = LBMath.clamp(deg, 0, 180);
+    this._updateTack();
+    return this;
+};
+
+/**
+ * Changes the height of the end of the pole.
+ * @param {Number} height   The height of the end of the pole above the pole's base.
+ * @returns {LBSailSim.SpinnakerInstance}   this.
+ */
+LBSailSim.SpinnakerInstance.prototype.setPoleHeight = function(height) {
+    this.poleHeight = height;
+    this._updateTack();
+    return this;
+};
+
+/**
+ * Changes how far the tack line is eased.
+ * @param {Number} length   The distance the tack rises above the tack point.
+ * @returns {LBSailSim.SpinnakerInstance}   this.
+ */
+LBSailSim.SpinnakerInstance.prototype.setTackLineLength = function(length) {
+    this.tackLineLength = Math.max(length, 0);
+    this._updateTack();
+    return this;
+};
+
+// @inheritdoc
+LBSailSim.SpinnakerInstance.prototype.setSheetLeadIndex = function(index) {
+    LBSailSim.SailInstance.prototype.setSheetLeadIndex.call(this, index);
+    
+    // Gybing the sheet also gybes the pole, which moves the tack across the boat in one step,
+    // so the transforms used for the sail's velocity have to start over.
+    this._updateTack();
+    this.coordSystem.reset();
+    return this;
+};
+
+// @inheritdoc
+LBSailSim.SpinnakerInstance.prototype._getSheetLeadSide = function(index) {
+    // The tack may be well off the centerline, so the side is relative to the centerline.
+    return this.vesselSheetLeads[index].y;
+};
+
+/**
+ * Moves the tack to the end of the pole or the top of the tack line, turns the sail so its
+ * luff points at the head, and updates the sheet leads in the sail's coordinates to match.
+ * @protected
+ * @returns {undefined}
+ */
+LBSailSim.SpinnakerInstance.prototype._updateTack = function() {
+    if (!this.vesselSheetLeads || !this.vesselSheetLeads.length) {
+        return;
+    }
+    
+    var tack = this.obj3D.position;
+    if (this.isPoled) {
+        // The pole goes to windward, which is the side away from the sheet.
+        var side = (this.vesselSheetLeads[this.sheetLeadIndex].y > 0) ? -1 : 1;
+        var poleRad = this.poleAngleDeg * LBMath.DEG_TO_RAD;
+        tack.set(this.poleBase.x - Math.cos(poleRad) * this.poleLength,
+            this.poleBase.y + side * Math.sin(poleRad) * this.poleLength,
+            this.poleBase.z + this.poleHeight);
+    }
+    else {
+        tack.copy(this.tackPoint);
+        tack.z += this.tackLineLength;
+    }
+    
+    // With the XYZ Euler order the rotations about the x and y axes tilt the sail's z axis
+    // without affecting the sail's rotation about its z axis.
+    var dx = this.headPoint.x - tack.x;
+    var dy = this.headPoint.y - tack.y;
+    var dz = this.headPoint.z - tack.z;
+    var luffLength = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    var xRad = 0;
+    var yRad = 0;
+    if (!LBMath.isLikeZero(luffLength)) {
+        yRad = Math.asin(dx / luffLength);
+        xRad = Math.atan2(-dy, dz);
+    }
+    this.obj3D.rotation.x = xRad;
+    this.obj3D.rotation.y = yRad;
+    
+    // The sheet leads are relative to the unrotated sail.
+    var cosX = Math.cos(xRad);
+    var sinX = Math.sin(xRad);
+    var cosY = Math.cos(yRad);
+    var sinY = Math.sin(yRad);
+    for (var i = 0; i < this.vesselSheetLeads.length; ++i) {
+        var vesselLead = this.vesselSheetLeads[i];
+        var x = vesselLead.x - tack.x;
+        var y = vesselLead.y - tack.y;
+        var z = vesselLead.z - tack.z;
+    
+        var y1 = y * cosX + z * sinX;
+        var z1 = -y * sinX + z * cosX;
+    
+        this.sheetLeads[i] = this.sheetLeads[i] || new LBGeometry.Vector3();
+        this.sheetLeads[i].set(x * cosY - z1 * sinY, y1, x * sinY + z1 * cosY);
+    }
+    this.sheetLeads.length = this.vesselSheetLeads.length;
+    
+    this._updateSheetAnchorBoat();
+};
+
+/**
+ * Moves the sail up or down if it's being hoisted or doused.
+ * @protected
+ * @param {Number} dt   The simulation time step.
+ * @returns {undefined}
+ */
+LBSailSim.SpinnakerInstance.prototype._updateHoist = function(dt) {
+    var rate = (this.hoistTime > 0) ? dt / this.hoistTime : 1;
+    switch (this.hoistState) {
+        case LBSailSim.HoistState.HOISTING :
+            this.hoistFraction = Math.min(this.hoistFraction + rate, 1);
+            if (this.hoistFraction >= 1) {
+                this.hoistState = LBSailSim.HoistState.HOISTED;
+            }
+            break;
+    
+        case LBSailSim.HoistState.DOUSING :
+            this.hoistFraction = Math.max(this.hoistFraction - rate, 0);
+            if (this.hoistFraction <= 0) {
+                this.hoistState = LBSailSim.HoistState.DOUSED;
+            }
+            break;
+    }
+};
+
+// @inheritdoc...
+LBSailSim.SpinnakerInstance.prototype.updateFoilForce = function(dt, flow) {
+    this._updateHoist(dt);
+    this.isEnabled = (this.hoistFraction > 0);
+    if (!this.isEnabled) {
+        this.boundCirculation = 0;
+        return this;
+    }
+    
+    // A partly hoisted sail is treated as a smaller sail.
+    this.foil.area = this.hoistedArea * this.hoistFraction;
+    return LBSailSim.SailInstance.prototype.updateFoilForce.call(this, dt, flow);
+};
+
+
+/**
+ * Sail shaper for spinnakers, this is a {@link LBSailSim.TriangleSailShaper} whose luff
+ * also curves out to leeward, the slices normally give the spinnaker's girths.
+ * @constructor
+ * @extends LBSailSim.TriangleSailShaper
+ * @returns {LBSailSim.SpinnakerSailShaper}
+ */
+LBSailSim.SpinnakerSailShaper = function() {
+    LBSailSim.TriangleSailShaper.call(this);
+    
+    /**
+     * How far the middle of the luff curves out to leeward, as a fraction of the luff length.
+     * @member {Number}
+     */
+    this.luffCurveFraction = 0.05;
+};
+
+LBSailSim.SpinnakerSailShaper.prototype = Object.create(LBSailSim.TriangleSailShaper.prototype);
+LBSailSim.SpinnakerSailShaper.prototype.constructor = LBSailSim.SpinnakerSailShaper;
+
+LBSailSim.SpinnakerSailShaper.prototype.load = function(sailInstance, data) {
+    LBSailSim.TriangleSailShaper.prototype.load.call(this, sailInstance, data);
+    this.luffCurveFraction = LBUtil.isVar(data.luffCurveFraction) ? data.luffCurveFraction : this.luffCurveFraction;
+};
+
+LBSailSim.SpinnakerSailShaper.prototype.updateSailSurface = function(sailInstance, surface) {
+    LBSailSim.TriangleSailShaper.prototype.updateSailSurface.call(this, sailInstance, surface);
+    
+    // The luff curves to the same side as the camber.
+    var luffCurve = this.luffCurveFraction * this.luffLength;
+    if (sailInstance.foilDetails.angleDeg < 0) {
+        luffCurve = -luffCurve;
+    }
+    
+    for (var i = 0; i < surface.slices.length; ++i) {
+        var slice = surface.slices[i];
+        var s = slice.slicePos / this.luffLength;
+        var offset = 4 * s * (1 - s) * luffCurve;
+        for (var p = 0; p < slice.points.length; ++p) {
+            slice.points[p].y += offset;
+        }
+    }
+};
+
+
+/**
+ * Base class for the controllers of {@link LBSailSim.SpinnakerInstance}s, the sheets are
+ * controlled by {@link LBSailSim.SailController}s.
+ * @constructor
+ * @extends LBSailSim.SailTrimController
+ * @param {LBSailSim.Vessel} vessel The vessel which this helps control.
+ * @returns {LBSailSim.SpinnakerController}
+ */
+LBSailSim.SpinnakerController = function(vessel) {
+    LBSailSim.SailTrimController.call(this, vessel);
+    this.sailName = 'spinnaker';
+};
+
+LBSailSim.SpinnakerController.prototype = Object.create(LBSailSim.SailTrimController.prototype);
+LBSailSim.SpinnakerController.prototype.constructor = LBSailSim.SpinnakerController;
+
+
+/**
+ * Controller that hoists and douses spinnakers, the sails are hoisted when the value is
+ * more than halfway between the minimum and maximum values. The sails start out all the way
+ * up or down, after that they take their hoist time.
+ * @constructor
+ * @extends LBSailSim.SpinnakerController
+ * @param {LBSailSim.Vessel} vessel The vessel which this helps control.
+ * @returns {LBSailSim.SpinnakerHoistController}
+ */
+LBSailSim.SpinnakerHoistController = function(vessel) {
+    LBSailSim.SpinnakerController.call(this, vessel);
+    this._isImmediate = false;
+};
+
+LBSailSim.SpinnakerHoistController.prototype = Object.create(LBSailSim.SpinnakerController.prototype);
+LBSailSim.SpinnakerHoistController.prototype.constructor = LBSailSim.SpinnakerHoistController;
+
+LBSailSim.SpinnakerHoistController.prototype.load = function(data, vessel) {
+    this._isImmediate = true;
+    LBSailSim.SpinnakerController.prototype.load.call(this, data, vessel);
+    this._isImmediate = false;
+    return this;
+};
+
+LBSailSim.SpinnakerHoistController.prototype._applyValueToSail = function(sail, value) {
+    sail.setHoisted(value > 0.5 * (this.minValue + this.maxValue), this._isImmediate);
+};
+
+
+/**
+ * Controller for the guy of a symmetric spinnaker, the value is the angle of the pole
+ * from the bow in degrees.
+ * @constructor
+ * @extends LBSailSim.SpinnakerController
+ * @param {LBSailSim.Vessel} vessel The vessel which this helps control.
+ * @returns {LBSailSim.SpinnakerGuyController}
+ */
+LBSailSim.SpinnakerGuyController = function(vessel) {
+    LBSailSim.SpinnakerController.call(this, vessel);
+};
+
+LBSailSim.SpinnakerGuyController.prototype = Object.create(LBSailSim.SpinnakerController.prototype);
+LBSailSim.SpinnakerGuyController.prototype.constructor = LBSailSim.SpinnakerGuyController;
+
+LBSailSim.SpinnakerGuyController.prototype._applyValueToSail = function(sail, value) {
+    sail.setPoleAngleDeg(value);
+};
+
+
+/**
+ * Controller for the topping lift and downhaul of a symmetric spinnaker's pole, the value
+ * is the height of the end of the pole above its base.
+ * @constructor
+ * @extends LBSailSim.SpinnakerController
+ * @param {LBSailSim.Vessel} vessel The vessel which this helps control.
+ * @returns {LBSailSim.SpinnakerPoleController}
+ */
+LBSailSim.SpinnakerPoleController = function(vessel) {
+    LBSailSim.SpinnakerController.call(this, vessel);
+};
+
+LBSailSim.SpinnakerPoleController.prototype = Object.create(LBSailSim.SpinnakerController.prototype);
+LBSailSim.SpinnakerPoleController.prototype.constructor = LBSailSim.SpinnakerPoleController;
+
+LBSailSim.SpinnakerPoleController.prototype._applyValueToSail = function(sail, value) {
+    sail.setPoleHeight(value);
+};
+
+
+/**
+ * Controller for the tack line of an asymmetric spinnaker, the value is how far the tack
+ * line is eased.
+ * @constructor
+ * @extends LBSailSim.SpinnakerController
+ * @param {LBSailSim.Vessel} vessel The vessel which this helps control.
+ * @returns {LBSailSim.SpinnakerTackLineController}
+ */
+LBSailSim.SpinnakerTackLineController = function(vessel) {
+    LBSailSim.SpinnakerController.call(this, vessel);
+};
+
+LBSailSim.SpinnakerTackLineController.prototype = Object.create(LBSailSim.SpinnakerController.prototype);
+LBSailSim.SpinnakerTackLineController.prototype.constructor = LBSailSim.SpinnakerTackLineController;
+
+LBSailSim.SpinnakerTackLineController.prototype._applyValueToSail = function(sail, value) {
+    sail.setTackLineLength(value);
+};
+
+return LBSailSim;
+});
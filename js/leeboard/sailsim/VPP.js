@@ -0,0 +1,824 @@
+/*
+ * Copyright 2017 Albert Santos.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+define(['lbsailsim', 'lbphysics', 'lbgeometry', 'lbmath', 'lbutil'],
+function(LBSailSim, LBPhysics, LBGeometry, LBMath, LBUtil) {
+    'use strict';
+
+
+/**
+ * A velocity prediction program, this solves for the steady state speed of a boat over
+ * a grid of true wind speeds and true wind angles, producing a polar diagram.
+ * <p>
+ * The forces are computed by the boat's own {@link LBSailSim.Vessel#updateForces}, so the
+ * hull, foil and sail models are the same ones used by the simulation. At each point the
+ * boat is moved along a straight line at a constant speed, and the speed, leeway, heel
+ * and sinkage are solved for so the forces along and across the course, the vertical force
+ * and the heeling moment are all in balance. Pitch is held at zero, and the yaw moment is
+ * presumed to be balanced by the rudder, which is left centered.
+ * <p>
+ * At each point the sheets are optimized for boat speed, with the heel limited to
+ * {@link LBSailSim.VPP#maxHeelDeg}, if the boat heels more than that the sheets
+ * must be eased.
+ * <p>
+ * The wind of the sailing environment is changed by the VPP, the puffs, shifts, geographic
+ * patterns, and wind shadows are turned off, as are the water currents, the waves, and the
+ * bathymetry, the environment should not be used for anything else while the VPP is running.
+ * @constructor
+ * @param {LBSailSim.Env} sailEnv   The sailing environment, this must have the boat data
+ * and the lift/drag curves loaded.
+ * @param {Object} [options]    Optional options.
+ * @param {Number[]} [options.trueWindKnots]    The true wind speeds to solve for, in knots.
+ * @param {Number[]} [options.trueWindAnglesDeg]    The true wind angles to solve for, in degrees.
+ * @param {Number} [options.sheetSteps=10]  The number of steps the range of the sheets
+ * is divided into when searching for the best sheet position.
+ * @param {Number} [options.maxHeelDeg=30]  The maximum heel angle allowed.
+ * @param {Number} [options.continuationSteps=3]  The number of steps used to work towards
+ * a true wind angle that could not be solved directly from its neighbor's solutions.
+ * @param {Function} [options.onPointSolved]    Optional function called with each
+ * polar point as it is solved, handy for reporting progress.
+ * @returns {LBSailSim.VPP}
+ */
+LBSailSim.VPP = function(sailEnv, options) {
+    options = options || {};
+
+    /**
+     * The sailing environment.
+     * @member {LBSailSim.Env}
+     */
+    this.sailEnv = sailEnv;
+
+    /**
+     * The true wind speeds to solve for, in knots. These are the wind speeds at the
+     * reference height of the wind profile, see {@link LBSailSim.Wind#referenceHeight}.
+     * @member {Number[]}
+     */
+    this.trueWindKnots = options.trueWindKnots || [ 4, 6, 8, 10, 12, 16, 20 ];
+
+    /**
+     * The true wind angles to solve for, in degrees.
+     * @member {Number[]}
+     */
+    this.trueWindAnglesDeg = options.trueWindAnglesDeg
+            || [ 30, 40, 50, 60, 70, 80, 90, 100, 110, 120, 135, 150, 165, 180 ];
+
+    /**
+     * The number of steps the range of the sheets is divided into when searching for the
+     * best sheet position.
+     * @member {Number}
+     */
+    this.sheetSteps = options.sheetSteps || 10;
+
+    /**
+     * The maximum heel angle in degrees, sheet positions for which the boat heels more
+     * than this are not used.
+     * @member {Number}
+     */
+    this.maxHeelDeg = LBUtil.isVar(options.maxHeelDeg) ? options.maxHeelDeg : 30;
+
+    /**
+     * The time step used to move the boat.
+     * @member {Number}
+     */
+    this.dt = options.dt || 1/60;
+
+    /**
+     * The number of time steps the boat is moved along the current solution to let the
+     * sails settle against their sheets.
+     * @member {Number}
+     */
+    this.settleSteps = options.settleSteps || 120;
+
+    /**
+     * The maximum number of iterations for solving a single point.
+     * @member {Number}
+     */
+    this.maxIterations = options.maxIterations || 40;
+
+    /**
+     * The solution tolerance, the forces are normalized by the boat's weight.
+     * @member {Number}
+     */
+    this.tolerance = options.tolerance || 1e-4;
+
+    /**
+     * The number of steps a true wind angle that could not be solved starting from the
+     * solutions of its neighboring angle is divided into, the solutions at each intermediate
+     * angle are used as the starting point for the next.
+     * @member {Number}
+     */
+    this.continuationSteps = options.continuationSteps || 3;
+
+    /**
+     * Optional function called with each polar point as it is solved.
+     * @member {Function}
+     */
+    this.onPointSolved = options.onPointSolved;
+
+    this._trueWindDirRad = 0;
+    this._savedSailQuaternions = [];
+};
+
+// The indices of the variables of the solution state arrays.
+var SPEED = 0;
+var LEEWAY = 1;
+var HEEL = 2;
+var SINKAGE = 3;
+var VAR_COUNT = 4;
+
+// The steps used to calculate the Jacobian, and the largest change made in one iteration.
+var _jacobianSteps = [ 0.01, 0.2 * LBMath.DEG_TO_RAD, 0.2 * LBMath.DEG_TO_RAD, 0.001 ];
+var _maxSteps = [ 0.5, 3 * LBMath.DEG_TO_RAD, 5 * LBMath.DEG_TO_RAD, 0.05 ];
+var _minSpeed = 0.05;
+var _maxLeewayRad = 30 * LBMath.DEG_TO_RAD;
+var _maxHeelRad = 80 * LBMath.DEG_TO_RAD;
+
+// The number of positions needed for the finite difference velocity calculations.
+var _velocitySteps = 4;
+
+var _workingVector3 = new LBGeometry.Vector3();
+var _workingCourseDir = new LBGeometry.Vector3();
+var _workingCrossDir = new LBGeometry.Vector3();
+var _workingBowDir = new LBGeometry.Vector3();
+
+LBSailSim.VPP.prototype = {
+    constructor: LBSailSim.VPP,
+
+    /**
+     * Generates the polar diagram for a boat type.
+     * @param {String} typeName The boat type, this must be in the sailing environment's
+     * boat data.
+     * @returns {Object}    The polar, which has the following properties:
+     * <pre><code>
+     *  boatType:           "Tubby",
+     *  maxHeelDeg:         30,
+     *  trueWindKnots:      [ 4, 6, ... ],
+     *  trueWindAnglesDeg:  [ 30, 40, ... ],
+     *  points:             [ [ point, ...], ... ], // Indexed by true wind speed then by true wind angle.
+     *  bestVMG:            [ { twsKnots, upwind, downwind }, ... ]
+     * </code></pre>
+     * The points are the objects returned by {@link LBSailSim.VPP#solvePoint}, upwind and
+     * downwind are the points with the best velocity made good towards and away from the
+     * wind, null if no point was solved. The polar is undefined if the boat could not be
+     * checked out.
+     */
+    generatePolar: function(typeName) {
+        var boat = this._checkoutBoat(typeName);
+        if (!boat) {
+            return undefined;
+        }
+
+        var polar = {
+            boatType: typeName,
+            maxHeelDeg: this.maxHeelDeg,
+            trueWindKnots: this.trueWindKnots.slice(),
+            trueWindAnglesDeg: this.trueWindAnglesDeg.slice(),
+            points: [],
+            bestVMG: []
+        };
+
+        this.trueWindKnots.forEach(function(twsKnots) {
+            // The angles are solved starting from the angle closest to a beam reach, where
+            // the boat is happiest, using each solution as the starting point for the next.
+            var points = [];
+            this._getAngleIndicesFromBeamReach().forEach(function(group) {
+                var guesses = [];
+                var lastSolvedTwaDeg;
+                group.forEach(function(angleIndex) {
+                    var twaDeg = this.trueWindAnglesDeg[angleIndex];
+                    var point = this.solvePoint(boat, twsKnots, twaDeg, guesses);
+                    if (!point.isSolved && LBUtil.isVar(lastSolvedTwaDeg)) {
+                        point = this._solveWithContinuation(boat, twsKnots, lastSolvedTwaDeg, twaDeg, guesses) || point;
+                    }
+                    if (point.isSolved) {
+                        lastSolvedTwaDeg = twaDeg;
+                    }
+                    points[angleIndex] = point;
+                    if (this.onPointSolved) {
+                        this.onPointSolved(point);
+                    }
+                }, this);
+            }, this);
+
+            polar.points.push(points);
+            polar.bestVMG.push(LBSailSim.VPP.findBestVMG(twsKnots, points));
+        }, this);
+
+        this.sailEnv.returnBoat(boat);
+
+        return polar;
+    },
+
+    /**
+     * Solves for the best speed of a boat at a given true wind speed and angle.
+     * @param {LBSailSim.Vessel} boat   The boat.
+     * @param {Number} twsKnots The true wind speed in knots.
+     * @param {Number} twaDeg   The true wind angle in degrees.
+     * @param {Array} [guesses] If defined an array used to pass the solutions at each
+     * sheet position from one call to the next, this speeds things up when solving the
+     * true wind angles of a given true wind speed in order.
+     * @returns {Object}    The polar point, which has the following properties:
+     * <pre><code>
+     *  twsKnots:       8,
+     *  twaDeg:         45,
+     *  knots:          3.5,    // 0 if no solution was found.
+     *  vmgKnots:       2.47,   // The velocity made good towards the wind, negative downwind.
+     *  sheet:          0.2,    // The sheet position.
+     *  heelDeg:        12.3,
+     *  leewayDeg:      4.5,
+     *  drivingForce:   123,
+     *  heelingForce:   234,
+     *  isSolved:       true
+     * </code></pre>
+     */
+    solvePoint: function(boat, twsKnots, twaDeg, guesses) {
+        guesses = guesses || [];
+        this._setTrueWind(twsKnots);
+
+        var point = {
+            twsKnots: twsKnots,
+            twaDeg: twaDeg,
+            knots: 0,
+            vmgKnots: 0,
+            sheet: 0,
+            heelDeg: 0,
+            leewayDeg: 0,
+            drivingForce: 0,
+            heelingForce: 0,
+            isSolved: false
+        };
+
+        // Each sheet position is started from the solution at the same sheet position of
+        // the previous true wind angle, then from the solution at the previous sheet position,
+        // and only then from scratch.
+        var results = [];
+        for (var i = 0; i <= this.sheetSteps; ++i) {
+            results[i] = this._solveAtSheetFromGuesses(boat, twaDeg, i / this.sheetSteps,
+                    guesses[i], results[i - 1] && results[i - 1].state);
+        }
+
+        // Sweep back down the sheets, so a sheet position that failed gets another go
+        // starting from the solution at the next sheet position.
+        for (var i = this.sheetSteps - 1; i >= 0; --i) {
+            if (!results[i] && results[i + 1]) {
+                results[i] = this._solveAtSheet(boat, twaDeg, i / this.sheetSteps, results[i + 1].state);
+            }
+        }
+
+        var bestIndex = -1;
+        for (var i = 0; i <= this.sheetSteps; ++i) {
+            if (results[i]) {
+                guesses[i] = results[i].state;
+                if (this._isBetterResult(results[i], results[bestIndex])) {
+                    bestIndex = i;
+                }
+            }
+        }
+
+        if (bestIndex < 0) {
+            return point;
+        }
+
+        // Refine the sheet position by fitting a parabola through the best result and its neighbors.
+        var best = results[bestIndex];
+        var before = results[bestIndex - 1];
+        var after = results[bestIndex + 1];
+        if (before && after) {
+            var den = before.speed - 2 * best.speed + after.speed;
+            if (den < 0) {
+                var offset = 0.5 * (before.speed - after.speed) / den;
+                var refined = this._solveAtSheet(boat, twaDeg, (bestIndex + offset) / this.sheetSteps, best.state);
+                if (this._isBetterResult(refined, best)) {
+                    best = refined;
+                }
+            }
+        }
+
+        point.knots = LBUtil.mps2kt(best.speed);
+        point.vmgKnots = point.knots * Math.cos(twaDeg * LBMath.DEG_TO_RAD);
+        point.sheet = best.sheet;
+        point.heelDeg = best.state[HEEL] * LBMath.RAD_TO_DEG;
+        point.leewayDeg = best.state[LEEWAY] * LBMath.RAD_TO_DEG;
+        point.drivingForce = best.drivingForce;
+        point.heelingForce = best.heelingForce;
+        point.isSolved = true;
+        return point;
+    },
+
+    _solveAtSheetFromGuesses: function(boat, twaDeg, sheet, guessA, guessB) {
+        var result;
+        if (guessA) {
+            result = this._solveAtSheet(boat, twaDeg, sheet, guessA);
+        }
+        if (!result && guessB) {
+            result = this._solveAtSheet(boat, twaDeg, sheet, guessB);
+        }
+        if (!result) {
+            result = this._solveAtSheet(boat, twaDeg, sheet);
+        }
+        return result;
+    },
+
+    _solveWithContinuation: function(boat, twsKnots, fromTwaDeg, toTwaDeg, guesses) {
+        // Work towards the true wind angle in smaller steps, carrying the solutions along
+        // in guesses. Gives up as soon as an intermediate angle can't be solved.
+        var steps = this.continuationSteps;
+        for (var i = 1; i < steps; ++i) {
+            var twaDeg = fromTwaDeg + (toTwaDeg - fromTwaDeg) * i / steps;
+            if (!this.solvePoint(boat, twsKnots, twaDeg, guesses).isSolved) {
+                return undefined;
+            }
+        }
+        var point = this.solvePoint(boat, twsKnots, toTwaDeg, guesses);
+        return point.isSolved ? point : undefined;
+    },
+
+    _getAngleIndicesFromBeamReach: function() {
+        var angles = this.trueWindAnglesDeg;
+        var beamIndex = 0;
+        for (var i = 1; i < angles.length; ++i) {
+            if (Math.abs(angles[i] - 90) < Math.abs(angles[beamIndex] - 90)) {
+                beamIndex = i;
+            }
+        }
+
+        // Upwind of the beam reach, then downwind.
+        var upwind = [];
+        var downwind = [];
+        for (var i = 0; i < angles.length; ++i) {
+            if (angles[i] <= angles[beamIndex]) {
+                upwind.push(i);
+            }
+            else {
+                downwind.push(i);
+            }
+        }
+        upwind.sort(function(a, b) { return angles[b] - angles[a]; });
+        downwind.sort(function(a, b) { return angles[a] - angles[b]; });
+        return [ upwind, downwind ];
+    },
+
+    _isBetterResult: function(result, bestResult) {
+        if (!result || (Math.abs(result.state[HEEL]) * LBMath.RAD_TO_DEG > this.maxHeelDeg)) {
+            return false;
+        }
+        return !bestResult || (result.speed > bestResult.speed);
+    },
+
+    _checkoutBoat: function(typeName) {
+        var boatsOfType = this.sailEnv.boatsByType[typeName];
+        if (!boatsOfType) {
+            return undefined;
+        }
+
+        var boatNames = Object.keys(boatsOfType);
+        for (var i = 0; i < boatNames.length; ++i) {
+            var boat = this.sailEnv.checkoutBoat(typeName, boatNames[i]);
+            if (boat) {
+                return boat;
+            }
+        }
+        return undefined;
+    },
+
+    _setTrueWind: function(twsKnots) {
+        var wind = this.sailEnv.wind;
+        wind.setGustFactor(0);
+        wind.shifts.load();
+        wind.loadPatterns();
+        wind.isShadowsEnabled = false;
+        
+        // The boat speeds are through flat, deep water.
+        this.sailEnv.water.loadCurrents();
+        this.sailEnv.water.waves.load();
+        this.sailEnv.bathymetry.load();
+        wind.setAverageMPS(LBUtil.kt2mps(twsKnots));
+
+        var trueWind = wind.getFlowVelocity(0, 0, 10, _workingVector3);
+        this._trueWindDirRad = Math.atan2(trueWind.y, trueWind.x);
+    },
+
+    /**
+     * Solves for the equilibrium state at a given sheet position.
+     * @private
+     * @param {LBSailSim.Vessel} boat   The boat.
+     * @param {Number} twaDeg   The true wind angle.
+     * @param {Number} sheet    The sheet position, 0 is all the way in, 1 all the way out.
+     * @param {Number[]} [guess]    The initial guess for the solution state.
+     * @returns {Object}    The result, undefined if the solution did not converge.
+     */
+    _solveAtSheet: function(boat, twaDeg, sheet, guess) {
+        var sheetValue = function(controller) {
+            return controller.minValue + sheet * (controller.maxValue - controller.minValue);
+        };
+        var controller = boat.getMainsheetController();
+        if (controller) {
+            boat.moveMainsheet(sheetValue(controller));
+        }
+        controller = boat.getJibsheetController();
+        if (controller) {
+            boat.moveJibsheet(sheetValue(controller));
+        }
+
+        // The wind blows from _trueWindDirRad + PI, the course is twaDeg off of that.
+        var courseRad = this._trueWindDirRad + Math.PI - twaDeg * LBMath.DEG_TO_RAD;
+        _workingCourseDir.set(Math.cos(courseRad), Math.sin(courseRad), 0);
+        _workingCrossDir.set(-_workingCourseDir.y, _workingCourseDir.x, 0);
+        this._courseRad = courseRad;
+
+        var state = (guess) ? guess.slice() : [ 1, 0, 0, -0.05 ];
+        var residuals = [];
+
+        // The sails are held in place while solving, so they're settled first, and then
+        // the whole thing repeated if they moved much when settled at the solution.
+        for (var pass = 0; pass < 3; ++pass) {
+            var sailMoveRad = this._settleSails(boat, state);
+            if ((pass > 0) && (sailMoveRad < 0.5 * LBMath.DEG_TO_RAD)) {
+                break;
+            }
+
+            if (!this._solveState(boat, state, residuals)) {
+                return undefined;
+            }
+        }
+
+        return {
+            sheet: sheet,
+            state: state,
+            speed: state[SPEED],
+            drivingForce: boat.getDrivingForceMag(),
+            heelingForce: boat.getHeelingForceMag()
+        };
+    },
+
+    /**
+     * Newton-Raphson solver for the state.
+     * @private
+     * @param {LBSailSim.Vessel} boat   The boat.
+     * @param {Number[]} state  On input the initial guess, on output the solution.
+     * @param {Number[]} residuals  Array to hold the residuals.
+     * @returns {Boolean}   true if the solution converged.
+     */
+    _solveState: function(boat, state, residuals) {
+        var jacobian = [];
+        var testState = [];
+        var testResiduals = [];
+        var delta = [];
+
+        var error = this._calcResiduals(boat, state, residuals);
+        for (var iteration = 0; iteration < this.maxIterations; ++iteration) {
+            if (error < this.tolerance) {
+                return (state[SPEED] > _minSpeed);
+            }
+
+            for (var j = 0; j < VAR_COUNT; ++j) {
+                _copyArray(state, testState);
+                testState[j] += _jacobianSteps[j];
+                this._calcResiduals(boat, testState, testResiduals);
+                for (var i = 0; i < VAR_COUNT; ++i) {
+                    jacobian[i] = jacobian[i] || [];
+                    jacobian[i][j] = (testResiduals[i] - residuals[i]) / _jacobianSteps[j];
+                }
+            }
+
+            for (var i = 0; i < VAR_COUNT; ++i) {
+                delta[i] = -residuals[i];
+            }
+            if (!_solveLinearSystem(jacobian, delta)) {
+                return false;
+            }
+
+            var scale = 1;
+            for (var i = 0; i < VAR_COUNT; ++i) {
+                if (Math.abs(delta[i]) * scale > _maxSteps[i]) {
+                    scale = _maxSteps[i] / Math.abs(delta[i]);
+                }
+            }
+
+            // Backtrack until the error is reduced.
+            var testError;
+            for (var tries = 0; tries < 8; ++tries) {
+                for (var i = 0; i < VAR_COUNT; ++i) {
+                    testState[i] = state[i] + delta[i] * scale;
+                }
+                _clampState(testState);
+                testError = this._calcResiduals(boat, testState, testResiduals);
+                if (testError < error) {
+                    break;
+                }
+                scale *= 0.5;
+            }
+            if (testError >= error) {
+                return false;
+            }
+
+            _copyArray(testState, state);
+            _copyArray(testResiduals, residuals);
+            error = testError;
+        }
+
+        return false;
+    },
+
+    /**
+     * Moves the boat along the course described by a state for {@link LBSailSim.VPP#settleSteps}
+     * steps, updating the forces each step so the sails swing to their natural position.
+     * @private
+     * @param {LBSailSim.Vessel} boat   The boat.
+     * @param {Number[]} state  The state.
+     * @returns {Number}    The largest angle in radians any of the sails moved.
+     */
+    _settleSails: function(boat, state) {
+        var prevQuaternions = this._savedSailQuaternions;
+        var hasPrev = prevQuaternions.length === boat.airfoils.length;
+
+        this._moveBoat(boat, state, this.settleSteps, true);
+
+        var maxRad = 0;
+        boat.airfoils.forEach(function(airfoil, index) {
+            if (hasPrev) {
+                var dot = Math.min(Math.abs(airfoil.obj3D.quaternion.dot(prevQuaternions[index])), 1);
+                maxRad = Math.max(maxRad, 2 * Math.acos(dot));
+                prevQuaternions[index].copy(airfoil.obj3D.quaternion);
+            }
+            else {
+                maxRad = Math.PI;
+                prevQuaternions[index] = airfoil.obj3D.quaternion.clone();
+            }
+        });
+        prevQuaternions.length = boat.airfoils.length;
+
+        return maxRad;
+    },
+
+    /**
+     * Computes the force and moment imbalances for a state.
+     * @private
+     * @param {LBSailSim.Vessel} boat   The boat.
+     * @param {Number[]} state  The state.
+     * @param {Number[]} residuals  The array to receive the residuals, which are the forces
+     * along the course, across the course, and up, and the heeling moment, all normalized by
+     * the boat's weight.
+     * @returns {Number}    The magnitude of the residuals.
+     */
+    _calcResiduals: function(boat, state, residuals) {
+        boat.airfoils.forEach(function(airfoil, index) {
+            airfoil.obj3D.quaternion.copy(this._savedSailQuaternions[index]);
+        }, this);
+
+        this._moveBoat(boat, state, _velocitySteps, false);
+
+        // We don't want the vessel's force clamping, it throws off the solver.
+        var resultant = LBPhysics.RigidBody.prototype.getResultant.call(boat, false);
+        var weight = boat.getTotalMass() * this.sailEnv.gravity;
+
+        var bowDir = _workingBowDir.set(-1, 0, 0).transformDirection(boat.obj3D.matrixWorld);
+
+        residuals[SPEED] = resultant.force.dot(_workingCourseDir) / weight;
+        residuals[LEEWAY] = resultant.force.dot(_workingCrossDir) / weight;
+        residuals[HEEL] = resultant.moment.dot(bowDir) / weight;
+        residuals[SINKAGE] = resultant.force.z / weight;
+
+        return Math.sqrt(residuals[0] * residuals[0] + residuals[1] * residuals[1]
+                + residuals[2] * residuals[2] + residuals[3] * residuals[3]);
+    },
+
+    /**
+     * Moves the boat in a straight line at the speed and attitude of a state, ending at the origin.
+     * @private
+     * @param {LBSailSim.Vessel} boat   The boat.
+     * @param {Number[]} state  The state.
+     * @param {Number} stepCount    The number of time steps to move the boat.
+     * @param {Boolean} isForcesEachStep    If true the forces are updated at each step,
+     * otherwise only at the last two steps, so the sails' circulations used for their
+     * interactions match the state.
+     */
+    _moveBoat: function(boat, state, stepCount, isForcesEachStep) {
+        var speed = state[SPEED];
+        var vx = speed * Math.cos(this._courseRad);
+        var vy = speed * Math.sin(this._courseRad);
+
+        // The bow is in the local -x direction.
+        var rotZ = this._courseRad + state[LEEWAY] - Math.PI;
+        var dt = this.dt;
+
+        var obj3D = boat.obj3D;
+        for (var i = 0; i < stepCount; ++i) {
+            var t = (i + 1 - stepCount) * dt;
+            obj3D.position.set(vx * t, vy * t, state[SINKAGE]);
+            obj3D.rotation.set(state[HEEL], 0, rotZ, 'ZYX');
+            obj3D.updateMatrixWorld(true);
+
+            boat.clearForces();
+            boat.updateCoords((i > 0) ? dt : 0);
+            if ((i > 0) && (isForcesEachStep || (i + 2 >= stepCount))) {
+                boat.updateForces(dt);
+            }
+        }
+    }
+};
+
+function _copyArray(src, dst) {
+    for (var i = 0; i < src.length; ++i) {
+        dst[i] = src[i];
+    }
+    return dst;
+}
+
+function _clampState(state) {
+    state[SPEED] = Math.max(state[SPEED], _minSpeed);
+    state[LEEWAY] = LBMath.clamp(state[LEEWAY], -_maxLeewayRad, _maxLeewayRad);
+    state[HEEL] = LBMath.clamp(state[HEEL], -_maxHeelRad, _maxHeelRad);
+}
+
+// Gaussian elimination with partial pivoting, the solution replaces b. a is modified.
+function _solveLinearSystem(a, b) {
+    var n = b.length;
+    for (var col = 0; col < n; ++col) {
+        var pivot = col;
+        for (var row = col + 1; row < n; ++row) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) {
+                pivot = row;
+            }
+        }
+        if (LBMath.isLikeZero(a[pivot][col])) {
+            return false;
+        }
+
+        var tmp = a[col];
+        a[col] = a[pivot];
+        a[pivot] = tmp;
+        tmp = b[col];
+        b[col] = b[pivot];
+        b[pivot] = tmp;
+
+        for (var row = col + 1; row < n; ++row) {
+            var factor = a[row][col] / a[col][col];
+            for (var k = col; k < n; ++k) {
+                a[row][k] -= factor * a[col][k];
+            }
+            b[row] -= factor * b[col];
+        }
+    }
+
+    for (var row = n - 1; row >= 0; --row) {
+        var sum = b[row];
+        for (var k = row + 1; k < n; ++k) {
+            sum -= a[row][k] * b[k];
+        }
+        b[row] = sum / a[row][row];
+    }
+    return true;
+}
+
+
+/**
+ * Finds the points with the best velocity made good towards and away from the wind.
+ * @param {Number} twsKnots The true wind speed of the points.
+ * @param {Object[]} points The polar points, as returned by {@link LBSailSim.VPP#solvePoint}.
+ * @returns {Object}    An object with the properties twsKnots, upwind and downwind, upwind
+ * and downwind are the best points, null if there is none.
+ */
+LBSailSim.VPP.findBestVMG = function(twsKnots, points) {
+    var upwind = null;
+    var downwind = null;
+    points.forEach(function(point) {
+        if (!point.isSolved) {
+            return;
+        }
+        if (point.twaDeg < 90) {
+            if (!upwind || (point.vmgKnots > upwind.vmgKnots)) {
+                upwind = point;
+            }
+        }
+        else if (point.twaDeg > 90) {
+            if (!downwind || (point.vmgKnots < downwind.vmgKnots)) {
+                downwind = point;
+            }
+        }
+    });
+
+    return {
+        twsKnots: twsKnots,
+        upwind: upwind,
+        downwind: downwind
+    };
+};
+
+/**
+ * Checks a polar generated by {@link LBSailSim.VPP#generatePolar} for results that don't
+ * make sense for a sailboat, which usually means the solver didn't converge properly.
+ * The checks are:
+ * <li>Each true wind speed has a best upwind and a best downwind VMG point.
+ * <li>The best upwind VMG angle is within options.beatAngleRangeDeg.
+ * <li>The best downwind VMG angle is within options.runAngleRangeDeg.
+ * <li>At each true wind angle the boat speed does not drop as the true wind speed increases.
+ * @param {Object} polar    The polar.
+ * @param {Object} [options]    Optional options.
+ * @param {Number[]} [options.beatAngleRangeDeg=[30, 70]] The allowed range of the best
+ * upwind VMG angle.
+ * @param {Number[]} [options.runAngleRangeDeg=[120, 180]]   The allowed range of the best
+ * downwind VMG angle.
+ * @param {Number} [options.speedDropTolerance=0.02] The fraction the boat speed may drop
+ * by from one true wind speed to the next higher one.
+ * @returns {String[]}  An array containing a description of each problem found, empty if
+ * the polar looks plausible.
+ */
+LBSailSim.VPP.checkPolar = function(polar, options) {
+    options = options || {};
+    var beatAngleRangeDeg = options.beatAngleRangeDeg || [ 30, 70 ];
+    var runAngleRangeDeg = options.runAngleRangeDeg || [ 120, 180 ];
+    var speedDropTolerance = LBUtil.isVar(options.speedDropTolerance) ? options.speedDropTolerance : 0.02;
+
+    var problems = [];
+    polar.bestVMG.forEach(function(bestVMG) {
+        var prefix = "TWS " + bestVMG.twsKnots + ": ";
+        if (!bestVMG.upwind) {
+            problems.push(prefix + "No upwind point was solved.");
+        }
+        else if ((bestVMG.upwind.twaDeg < beatAngleRangeDeg[0]) || (bestVMG.upwind.twaDeg > beatAngleRangeDeg[1])) {
+            problems.push(prefix + "The best upwind VMG angle of " + bestVMG.upwind.twaDeg
+                    + " is outside " + beatAngleRangeDeg[0] + " to " + beatAngleRangeDeg[1] + ".");
+        }
+
+        if (!bestVMG.downwind) {
+            problems.push(prefix + "No downwind point was solved.");
+        }
+        else if ((bestVMG.downwind.twaDeg < runAngleRangeDeg[0]) || (bestVMG.downwind.twaDeg > runAngleRangeDeg[1])) {
+            problems.push(prefix + "The best downwind VMG angle of " + bestVMG.downwind.twaDeg
+                    + " is outside " + runAngleRangeDeg[0] + " to " + runAngleRangeDeg[1] + ".");
+        }
+    });
+
+    for (var i = 1; i < polar.points.length; ++i) {
+        polar.points[i].forEach(function(point, angleIndex) {
+            var lowerPoint = polar.points[i - 1][angleIndex];
+            if (lowerPoint.isSolved && point.isSolved
+                    && (point.knots < lowerPoint.knots * (1 - speedDropTolerance))) {
+                problems.push("TWA " + point.twaDeg + ": The boat speed drops from " + lowerPoint.knots.toFixed(2)
+                        + " knots at TWS " + lowerPoint.twsKnots + " to " + point.knots.toFixed(2)
+                        + " knots at TWS " + point.twsKnots + ".");
+            }
+        });
+    }
+
+    return problems;
+};
+
+/**
+ * Generates CSV text for a polar generated by {@link LBSailSim.VPP#generatePolar}. The first
+ * table has a row for each true wind angle and a column of boat speeds in knots for each
+ * true wind speed, a blank speed means no solution was found. This is followed by a table
+ * of the best upwind and downwind VMG angles and speeds.
+ * @param {Object} polar    The polar.
+ * @returns {String}    The CSV text.
+ */
+LBSailSim.VPP.polarToCSV = function(polar) {
+    var lines = [];
+    lines.push(['twa/tws'].concat(polar.trueWindKnots).join(','));
+
+    polar.trueWindAnglesDeg.forEach(function(twaDeg, angleIndex) {
+        var row = [twaDeg];
+        polar.points.forEach(function(points) {
+            var point = points[angleIndex];
+            row.push(point.isSolved ? point.knots.toFixed(2) : '');
+        });
+        lines.push(row.join(','));
+    });
+
+    lines.push('');
+
+    var addVMGRow = function(name, pointName, propertyName, digits) {
+        var row = [name];
+        polar.bestVMG.forEach(function(bestVMG) {
+            var point = bestVMG[pointName];
+            row.push(point ? Math.abs(point[propertyName]).toFixed(digits) : '');
+        });
+        lines.push(row.join(','));
+    };
+    addVMGRow('beat angle', 'upwind', 'twaDeg', 0);
+    addVMGRow('beat knots', 'upwind', 'knots', 2);
+    addVMGRow('beat VMG', 'upwind', 'vmgKnots', 2);
+    addVMGRow('run angle', 'downwind', 'twaDeg', 0);
+    addVMGRow('run knots', 'downwind', 'knots', 2);
+    addVMGRow('run VMG', 'downwind', 'vmgKnots', 2);
+
+    return lines.join('\n') + '\n';
+};
+
+return LBSailSim;
+});
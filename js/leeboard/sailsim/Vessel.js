@@ -14,7 +14,7 @@
  * limitations under the License.
  */
 
-define(['lbsailsimbase', 'lbsail', 'lbhull', 'lbpropulsor', 'lbcontrols', 'lbphysics', 'lbutil', 'lbmath', 'lbgeometry', 'lbdebug', 'lbfoilinstance'], 
+define(['lbsailsimbase', 'lbsail', 'lbhull', 'lbpropulsor', 'lbcontrols', 'lbphysics', 'lbutil', 'lbmath', 'lbgeometry', 'lbdebug', 'lbfoilinstance', 'lbballast', 'lbretractablefoil'], 
 function(LBSailSim, LBSail, LBHull, LBPropulsor, LBControls, LBPhysics, LBUtil, LBMath, LBGeometry, LBDebug) {
 
     'use strict';
@@ -214,7 +214,8 @@ LBSailSim.ThrottleController.prototype.setThrottlePosition = function(value) {
  * <li>airfoils, which are {@link LBSailSim.FoilInstance} based objects that are driven by the atmosphere.
  * <li>hydrofoils,which are {@link LBSailSim.FoilInstance} based objects that are driven by the water.
  * <li>Propulsors, which are {@link LBSailSim.Propulsor} based objects.
- * <li>Ballasts, which are {@link module:LBPhysics.RigidBody} based objects.
+ * <li>Ballasts, which are {@link module:LBPhysics.RigidBody} based objects, the crew are
+ * normally {@link LBSailSim.MovableBallast}s.
  * <p>
  * For boats, the local coordinate system is presumed to line up the longitudinal
  * axis with the x-axis, the forward end of the waterline at x = 0, and the aft
@@ -282,9 +283,6 @@ LBSailSim.Vessel = function(sailEnv, obj3D) {
      */
     this.lines = [];
     
-    // Later:
-    //this.crew = [];
-    
     /**
      * Stores the true wind velocity.
      * @member {module:LBGeometry.Vector3}
@@ -316,11 +314,79 @@ LBSailSim.Vessel = function(sailEnv, obj3D) {
      */
     this.appWindHeight = 2;
     
+    /**
+     * The points in vessel local coordinates that can touch the bottom. These are the
+     * vertices of the vessel's volumes that are below the waterline, plus any points in the
+     * grounding property of the vessel data that weren't taken over by a hydrofoil.
+     * @member {module:LBGeometry.Vector3[]}
+     */
+    this.groundingPoints = [];
+    
+    // The grounding points of the hydrofoils, these are in the hydrofoils' local coordinates
+    // so they follow the hydrofoils as they turn or are raised. The elements are objects
+    // with foil and point properties.
+    this._foilGroundingPoints = [];
+    
+    /**
+     * The depth of the deepest grounding point below the waterline.
+     * @member {Number}
+     */
+    this.draft = 0;
+    
+    /**
+     * The stiffness of the bottom, the distance the vessel sinks into the bottom when
+     * resting its full weight on its grounding points.
+     * @member {Number}
+     */
+    this.groundingPenetration = 0.05;
+    
+    /**
+     * The damping ratio of the vertical grounding forces.
+     * @member {Number}
+     */
+    this.groundingDampingRatio = 0.5;
+    
+    /**
+     * The coefficient of friction between the grounding points and the bottom.
+     * @member {Number}
+     */
+    this.groundingFriction = 0.3;
+    
+    /**
+     * The largest force the bottom can push on any one grounding point with, as a multiple
+     * of the vessel's weight. This keeps a point driven deep into the bottom from launching
+     * the vessel.
+     * @member {Number}
+     */
+    this.groundingMaxForceRatio = 1;
+    
+    /**
+     * The depth of the water at the vessel's position, updated by {@link LBSailSim.Vessel#updateForces}.
+     * @member {Number}
+     */
+    this.waterDepth = sailEnv.bathymetry.defaultDepth;
+    
+    /**
+     * Set to true by {@link LBSailSim.Vessel#updateForces} if any of the grounding points
+     * are touching the bottom.
+     * @member {Boolean}
+     */
+    this.isAground = false;
+    
     /**
      * The locatio of the center of the cockpit, used for positioning the in-boat view.
      * @member {module:LBGeometry.Vector3}
      */
     this.cockpitCenter = null;
+    
+    /**
+     * The handicap ratings of the vessel, each property is the name of a handicap
+     * system, such as 'phrf' or 'portsmouth', and the value the rating under that
+     * system. Set from the boat type's data, the boat instance data may override
+     * individual ratings.
+     * @member {Object}
+     */
+    this.handicap = {};
 
     /**
      * The representation of the hull, this is responsible for generating the
@@ -340,6 +406,12 @@ var _workingVector3A = new LBGeometry.Vector3();
 var _workingVector3B = new LBGeometry.Vector3();
 var _workingEuler = new LBGeometry.Euler();
 var _workingResultant = new LBPhysics.Resultant3D();
+var _workingGroundingVelResults = {
+    worldPos: new LBGeometry.Vector3(),
+    worldVel: new LBGeometry.Vector3()
+};
+var _workingGroundingNormal = new LBGeometry.Vector3();
+var _workingGroundingTangentVel = new LBGeometry.Vector3();
 
 LBSailSim.Vessel.prototype = Object.create(LBPhysics.RigidBody.prototype);
 LBSailSim.Vessel.prototype.constructor = LBSailSim.Vessel;
@@ -362,6 +434,13 @@ LBSailSim.Vessel.prototype.destroy = function() {
         this.mainsheetController = null;
         this.rudderController = null;
         this.throttleController = null;        
+        this.vangController = null;
+        this.outhaulController = null;
+        this.cunninghamController = null;
+        this.travelerController = null;
+        this.hikingController = null;
+        this.foreAftBallastController = null;
+        this.centerboardController = null;
         
         // We let all the parts (hydrofoils, airfoils, etc.) be destroyed by the
         // rigid body's destroy()...
@@ -817,6 +896,84 @@ LBSailSim.Vessel.prototype._loadControllers = function(data, loadCallback) {
     return this;
 };
 
+/**
+ * Loads the grounding points and settings, called from {@link LBSailSim.Vessel#load} after
+ * the hydrofoils have been loaded.
+ * @protected
+ * @param {Object} [data]   The grounding data, the properties are all optional:
+ * <pre><code>
+ *  points:             [ x0, y0, z0, x1, y1, z1, ... ],    // Additional grounding points, such as a keel tip,
+ *                                                          // points on the tip of a retractable hydrofoil move with the hydrofoil.
+ *  penetration:        0.05,   // See groundingPenetration.
+ *  dampingRatio:       0.5,    // See groundingDampingRatio.
+ *  friction:           0.3,    // See groundingFriction.
+ *  maxForceRatio:      1       // See groundingMaxForceRatio.
+ * </code></pre>
+ * @returns {LBSailSim.Vessel}  this.
+ */
+LBSailSim.Vessel.prototype._loadGrounding = function(data) {
+    data = data || {};
+    
+    this.groundingPenetration = data.penetration || this.groundingPenetration;
+    this.groundingDampingRatio = LBUtil.isVar(data.dampingRatio) ? data.dampingRatio : this.groundingDampingRatio;
+    this.groundingFriction = LBUtil.isVar(data.friction) ? data.friction : this.groundingFriction;
+    this.groundingMaxForceRatio = data.maxForceRatio || this.groundingMaxForceRatio;
+    
+    var points = this.groundingPoints;
+    points.length = 0;
+    
+    var foilPoints = this._foilGroundingPoints;
+    foilPoints.length = 0;
+    
+    // Give the hydrofoils first go at the points from the data, so things like a keel tip
+    // on a retractable keel move with the keel.
+    if (data.points) {
+        var dataPoints = LBGeometry.loadVector3ArrayFromCoordArray(data.points);
+        dataPoints.forEach(function(point) {
+            for (var i = 0; i < this.hydrofoils.length; ++i) {
+                if (this.hydrofoils[i].claimGroundingPoint(point)) {
+                    return;
+                }
+            }
+            points.push(point);
+        }, this);
+    }
+    
+    if (this.volumes) {
+        this.volumes.forEach(function(volume) {
+            volume.vertices.forEach(function(vertex) {
+                if (vertex.z < 0) {
+                    points.push(vertex.clone());
+                }
+            });
+        });
+    }
+    
+    this.draft = 0;
+    points.forEach(function(point) {
+        this.draft = Math.max(this.draft, -point.z);
+    }, this);
+    
+    this.hydrofoils.forEach(function(foil) {
+        var volumes = foil.getGroundingVolumes();
+        if (!volumes) {
+            return;
+        }
+        foil.obj3D.updateMatrix();
+        volumes.forEach(function(volume) {
+            volume.vertices.forEach(function(vertex) {
+                var z = _workingVector3A.copy(vertex).applyMatrix4(foil.obj3D.matrix).z;
+                if (z < 0) {
+                    foilPoints.push({ foil: foil, point: vertex.clone() });
+                    this.draft = Math.max(this.draft, -z);
+                }
+            }, this);
+        }, this);
+    }, this);
+    
+    return this;
+};
+
 /**
  * Loads the vessel's properties from properties in a data object.
  * @param {object} data The data object.
@@ -837,6 +994,13 @@ LBSailSim.Vessel.prototype.load = function(data, loadCallback) {
     this.mainsheetController = undefined;
     this.jibsheetController = undefined;
     this.throttleController = undefined;
+    this.vangController = undefined;
+    this.outhaulController = undefined;
+    this.cunninghamController = undefined;
+    this.travelerController = undefined;
+    this.hikingController = undefined;
+    this.foreAftBallastController = undefined;
+    this.centerboardController = undefined;
     
     LBPhysics.RigidBody.prototype.load.call(this, data);
     this.typeName = data.typeName;
@@ -848,6 +1012,8 @@ LBSailSim.Vessel.prototype.load = function(data, loadCallback) {
     
     this.cockpitCenter = (data.cockpitCenter) ? LBGeometry.loadVector3(data.cockpitCenter) : null;
     
+    this.handicap = Object.assign({}, data.handicap);
+    
     this._loadSpars(data.spars, loadCallback);
     this._loadBallasts(data.ballasts, loadCallback);
     this._loadLines(data.lines, loadCallback);
@@ -867,6 +1033,8 @@ LBSailSim.Vessel.prototype.load = function(data, loadCallback) {
         foil.vesselLoaded(this);
     }, this);
     
+    this._loadGrounding(data.grounding);
+    
     this.hull = LBSailSim.Hull.createFromData(data.hull, this);
     if (this.hull && loadCallback && loadCallback.hullLoaded) {
         loadCallback.hullLoaded(this, this.hull, data.hull);
@@ -895,6 +1063,104 @@ LBSailSim.Vessel.prototype._updateFoilForces = function(dt, flow, foils) {
     return this;
 };
 
+/**
+ * Called by {@link LBSailSim.Vessel#updateForces} to move any ballasts that can move,
+ * such as {@link LBSailSim.MovableBallast}s.
+ * @protected
+ * @param {Number} dt   The simulation time step.
+ * @returns {LBSailSim.Vessel}  this.
+ */
+LBSailSim.Vessel.prototype._updateBallasts = function(dt) {
+    for (var i = 0; i < this.ballasts.length; ++i) {
+        if (this.ballasts[i].updatePosition) {
+            this.ballasts[i].updatePosition(dt, this);
+        }
+    }
+    return this;
+};
+
+/**
+ * Called by {@link LBSailSim.Vessel#updateForces} to add the forces from any grounding
+ * points touching the bottom. The bottom pushes on each point along the bottom's normal
+ * in proportion to how far the point has sunk into it, up to
+ * {@link LBSailSim.Vessel#groundingMaxForceRatio} times the vessel's weight, so on a sloping
+ * bottom the vessel is also pushed back horizontally. Friction opposes the motion of each
+ * point along the bottom, at low speeds it tapers off in proportion to the speed so the
+ * vessel comes to rest instead of jittering back and forth.
+ * @protected
+ * @param {Number} dt   The simulation time step.
+ * @returns {LBSailSim.Vessel}  this.
+ */
+LBSailSim.Vessel.prototype._updateGroundingForces = function(dt) {
+    var bathymetry = this.sailEnv.bathymetry;
+    this.isAground = false;
+    
+    var fixedCount = this.groundingPoints.length;
+    var foilPoints = this._foilGroundingPoints;
+    var pointCount = fixedCount + foilPoints.length;
+    if (!bathymetry.hasDepths() || !pointCount) {
+        return this;
+    }
+    
+    for (var i = 0; i < this.hydrofoils.length; ++i) {
+        this.hydrofoils[i].obj3D.updateMatrix();
+    }
+    
+    var mass = this.getTotalMass();
+    var weight = mass * this.sailEnv.gravity;
+    var stiffness = weight / (this.groundingPenetration * pointCount);
+    var damping = this.groundingDampingRatio * 2 * Math.sqrt(stiffness * pointCount * mass) / pointCount;
+    var maxForce = this.groundingMaxForceRatio * weight;
+    
+    // Below this speed friction acts like a damper, this is the speed the full friction
+    // force would stop the vessel from in one time step.
+    var stopSpeed = Math.max(this.groundingFriction * this.sailEnv.gravity * dt, 1e-3);
+    
+    var velResults = _workingGroundingVelResults;
+    var normal = _workingGroundingNormal;
+    var tangentVel = _workingGroundingTangentVel;
+    for (var i = 0; i < pointCount; ++i) {
+        var localPoint;
+        if (i < fixedCount) {
+            localPoint = this.groundingPoints[i];
+        }
+        else {
+            var foilPoint = foilPoints[i - fixedCount];
+            localPoint = _workingVector3A.copy(foilPoint.point).applyMatrix4(foilPoint.foil.obj3D.matrix);
+        }
+        this.coordSystem.calcVectorLocalToWorld(localPoint, velResults);
+        var worldPoint = velResults.worldPos;
+        var bottomZ = bathymetry.getBottomZ(worldPoint.x, worldPoint.y);
+        if (worldPoint.z >= bottomZ) {
+            continue;
+        }
+        
+        // The penetration is measured perpendicular to the bottom.
+        bathymetry.getBottomNormal(worldPoint.x, worldPoint.y, normal);
+        var penetration = (bottomZ - worldPoint.z) * normal.z;
+        var normalSpeed = velResults.worldVel.dot(normal);
+        
+        var normalForce = stiffness * penetration - damping * normalSpeed;
+        if (normalForce <= 0) {
+            continue;
+        }
+        normalForce = Math.min(normalForce, maxForce);
+        
+        this.isAground = true;
+        
+        tangentVel.copy(normal).multiplyScalar(-normalSpeed).add(velResults.worldVel);
+        var frictionScale = this.groundingFriction * normalForce / Math.max(tangentVel.length(), stopSpeed);
+        
+        _workingVector3B.copy(normal).multiplyScalar(normalForce);
+        _workingVector3B.addScaledVector(tangentVel, -frictionScale);
+        _workingResultant.zero();
+        _workingResultant.addForce(_workingVector3B, worldPoint);
+        this.addWorldResultant(_workingResultant);
+    }
+    
+    return this;
+};
+
 /**
  * Call each simulation time step to update the forces to be applied to the vessel
  * based on the vessel's characteristics.
@@ -912,6 +1178,10 @@ LBSailSim.Vessel.prototype.updateForces = function(dt) {
     this.apparentCurrent.sub(this.worldLinearVelocity);
     this.apparentCurrent.z = 0;
     
+    this.waterDepth = this.sailEnv.bathymetry.getDepth(this.obj3D.position.x, this.obj3D.position.y);
+    
+    this._updateBallasts(dt);
+    
     this._updateFoilForces(dt, this.sailEnv.wind, this.airfoils);
     this._updateFoilForces(dt, this.sailEnv.water, this.hydrofoils);
     
@@ -935,6 +1205,8 @@ LBSailSim.Vessel.prototype.updateForces = function(dt) {
         }
     });
     
+    this._updateGroundingForces(dt);
+    
     _workingResultant.zero();
     if (this.sailEnv.boundaries.getBoundaryForce(this.obj3D.position.x, this.obj3D.position.y, _workingResultant.force)) {
         _workingResultant.applPoint.set(this.getTotalCenterOfMass());
@@ -1079,6 +1351,83 @@ LBSailSim.Vessel.prototype.getJibsheetPos = function() {
     return (this.jibsheetController) ? this.jibsheetController.getValue() : 0;
 };
 
+/**
+ * Retrieves the vang controller, if any.
+ * @returns {LBSailSim.VangController}    The vang controller, undefined if there is none.
+ */
+LBSailSim.Vessel.prototype.getVangController = function() {
+    if (this.vangController === undefined) {
+        this.vangController = LBUtil.findArrayElementWithName(this.controllers, 'Vang', null);
+    }
+    return (this.vangController && (this.vangController.sails.length > 0)) ? this.vangController : undefined;
+};
+
+/**
+ * Retrieves the outhaul controller, if any.
+ * @returns {LBSailSim.OuthaulController}    The outhaul controller, undefined if there is none.
+ */
+LBSailSim.Vessel.prototype.getOuthaulController = function() {
+    if (this.outhaulController === undefined) {
+        this.outhaulController = LBUtil.findArrayElementWithName(this.controllers, 'Outhaul', null);
+    }
+    return (this.outhaulController && (this.outhaulController.sails.length > 0)) ? this.outhaulController : undefined;
+};
+
+/**
+ * Retrieves the cunningham controller, if any.
+ * @returns {LBSailSim.CunninghamController}    The cunningham controller, undefined if there is none.
+ */
+LBSailSim.Vessel.prototype.getCunninghamController = function() {
+    if (this.cunninghamController === undefined) {
+        this.cunninghamController = LBUtil.findArrayElementWithName(this.controllers, 'Cunningham', null);
+    }
+    return (this.cunninghamController && (this.cunninghamController.sails.length > 0)) ? this.cunninghamController : undefined;
+};
+
+/**
+ * Retrieves the traveler controller, if any.
+ * @returns {LBSailSim.TravelerController}    The traveler controller, undefined if there is none.
+ */
+LBSailSim.Vessel.prototype.getTravelerController = function() {
+    if (this.travelerController === undefined) {
+        this.travelerController = LBUtil.findArrayElementWithName(this.controllers, 'Traveler', null);
+    }
+    return (this.travelerController && (this.travelerController.sails.length > 0)) ? this.travelerController : undefined;
+};
+
+/**
+ * Retrieves the hiking controller, if any.
+ * @returns {LBSailSim.HikingController}    The hiking controller, undefined if there is none.
+ */
+LBSailSim.Vessel.prototype.getHikingController = function() {
+    if (this.hikingController === undefined) {
+        this.hikingController = LBUtil.findArrayElementWithName(this.controllers, 'Hiking', null);
+    }
+    return (this.hikingController && (this.hikingController.ballasts.length > 0)) ? this.hikingController : undefined;
+};
+
+/**
+ * Retrieves the controller for the fore/aft position of the crew, if any.
+ * @returns {LBSailSim.ForeAftBallastController}    The controller, undefined if there is none.
+ */
+LBSailSim.Vessel.prototype.getForeAftBallastController = function() {
+    if (this.foreAftBallastController === undefined) {
+        this.foreAftBallastController = LBUtil.findArrayElementWithName(this.controllers, 'CrewForeAft', null);
+    }
+    return (this.foreAftBallastController && (this.foreAftBallastController.ballasts.length > 0)) ? this.foreAftBallastController : undefined;
+};
+
+/**
+ * Retrieves the centerboard controller, if any.
+ * @returns {LBSailSim.FoilRetractController}    The centerboard controller, undefined if there is none.
+ */
+LBSailSim.Vessel.prototype.getCenterboardController = function() {
+    if (this.centerboardController === undefined) {
+        this.centerboardController = LBUtil.findArrayElementWithName(this.controllers, 'Centerboard', null);
+    }
+    return (this.centerboardController && (this.centerboardController.foils.length > 0)) ? this.centerboardController : undefined;
+};
+
 /**
  * Retrieves the throttle controller, if any.
  * @returns {object}    The throttle controller, undefined if there is none.
@@ -1113,6 +1462,23 @@ LBSailSim.Vessel.prototype.getThrottlePos = function() {
     return (this.throttleController) ? this.throttleController.getValue() : 0;
 };
 
+/**
+ * Moves a controller by its name, this is how the controllers that don't have their own
+ * helpers, such as the spinnaker controllers, are moved.
+ * @param {String} name The name of the controller.
+ * @param {Number} value    The new controller value.
+ * @param {Boolean} [isOffset=false]    If true value is an offset to be added to the controller's
+ * current value.
+ * @returns {LBSailSim.Vessel}  this.
+ */
+LBSailSim.Vessel.prototype.moveNamedController = function(name, value, isOffset) {
+    var controller = LBUtil.findArrayElementWithName(this.controllers, name, null);
+    if (controller) {
+        controller.setValue(value, isOffset);
+    }
+    return this;
+};
+
 
 /**
  * Retrieves the current position of the veseel.
@@ -1143,6 +1509,14 @@ LBSailSim.Vessel.prototype.getHeadingDeg = function(isRound) {
     return LBSailSim.compassDegreesXY(degrees);
 };
 
+/**
+ * Retrieves the depth of the water at the vessel's position, as read by a depth sounder.
+ * @returns {Number}    The depth of the water.
+ */
+LBSailSim.Vessel.prototype.getWaterDepth = function() {
+    return this.waterDepth;
+};
+
 /**
  * Retrieves the speed of the vessel in knots.
  * @returns {Number}    The speed of the vessel in knots.
@@ -1183,6 +1557,39 @@ LBSailSim.Vessel.prototype.getTrueWindVelocityMPS = function() {
     return this.trueWind;
 };
 
+/**
+ * Retrieves the true wind speed at the vessel's location in knots.
+ * @returns {Number}    The true wind speed in knots.
+ */
+LBSailSim.Vessel.prototype.getTrueWindKnots = function() {
+    var x = this.trueWind.x;
+    var y = this.trueWind.y;
+    return LBUtil.mps2kt(Math.sqrt(x * x + y * y));
+};
+
+/**
+ * Returns the true wind angle, which is the angle between the bow of the vessel and
+ * the direction the true wind is coming from. Positive angles mean the wind is coming
+ * over the port side.
+ * @param {Boolean} isRound If true the angle is rounded before wrapping.
+ * @returns {Number}    The true wind angle in degrees, -180 &lt; angle &le; 180.
+ */
+LBSailSim.Vessel.prototype.getTrueWindAngleDeg = function(isRound) {
+    if ((this.trueWind.x === 0) && (this.trueWind.y === 0)) {
+        return 0;
+    }
+
+    // The bow points along the local -x axis, the wind comes from the opposite of its
+    // velocity, the two 180 degree offsets cancel.
+    var heading = this.obj3D.rotation.z * LBMath.RAD_TO_DEG;
+    var windDir = Math.atan2(this.trueWind.y, this.trueWind.x) * LBMath.RAD_TO_DEG;
+    var degrees = LBMath.subDegrees(windDir, heading);
+    if (isRound) {
+        degrees = Math.round(degrees);
+    }
+    return LBMath.wrapDegrees(degrees);
+};
+
 /**
  * Retrieves the apparent wind speed of the vessel in knots.
  * @returns {Number}    The apparent wind speed in knots.
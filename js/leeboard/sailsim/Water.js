@@ -15,13 +15,13 @@
  */
 
 
-define(['lbsailsimbase', 'lbutil', 'lbmath', 'lbgeometry'],
+define(['lbsailsimbase', 'lbutil', 'lbmath', 'lbgeometry', 'lbwaves'],
 function(LBSailSim, LBUtil, LBMath, LBGeometry) {
 
 'use strict';
 
 /**
- * The water manager, its primary responsibility is water currents.
+ * The water manager, its primary responsibilities are water currents and the surface waves.
  * @constructor
  * @param {LBSailSim.SailEnv} sailEnv The sailing environment this belongs to.
  * @returns {LBSailSim.Water}
@@ -38,6 +38,25 @@ LBSailSim.Water = function(sailEnv) {
      * Kinematic viscosity of the water, salt water is ~1e-6 m^2/s
      */
     this.kViscosity = 1e-6;
+    
+    /**
+     * The current fields, the water current at a point is the sum of the currents
+     * of all the fields. See {@link LBSailSim.Water#loadCurrents}.
+     * @member {Array}
+     */
+    this.currents = [];
+    
+    /**
+     * The surface waves.
+     * @member {LBSailSim.Waves}
+     */
+    this.waves = new LBSailSim.Waves(sailEnv);
+    
+    /**
+     * The simulation time since the water was loaded.
+     * @member {Number}
+     */
+    this.elapsedTime = 0;
 };
 
 var _workingVel = new LBGeometry.Vector2();
@@ -46,7 +65,68 @@ LBSailSim.Water.prototype = {
     constructor: LBSailSim.Water,
     
     /**
-     * Retrieves the water current velocity at a given point
+     * Loads the water properties from a data object, normally the water property of the
+     * environment data.
+     * <pre><code>
+     *  currents:   [],     // See LBSailSim.Water#loadCurrents()
+     *  waves:      {}      // See LBSailSim.Waves#load()
+     * </code></pre>
+     * @param {Object} [data]   The data object.
+     * @returns {LBSailSim.Water}   this.
+     */
+    load: function(data) {
+        data = data || {};
+        this.loadCurrents(data.currents);
+        this.waves.load(data.waves);
+        return this;
+    },
+    
+    /**
+     * Replaces the current fields. Each element of the data array has a type property
+     * and the properties of the current type, speeds are in m/s:
+     * <pre><code>
+     *  {   // The same current everywhere, see LBSailSim.UniformCurrent.
+     *      type:       'uniform',
+     *      mps:        0.5,
+     *      towardDeg:  90          // The compass direction the current flows towards.
+     *  },
+     *  {   // Currents at the points of a grid, interpolated between the points, see LBSailSim.GridCurrent.
+     *      type:       'grid',
+     *      x: -500, y: -500,       // The grid point at the south west corner.
+     *      spacing:    100,
+     *      columns:    11,
+     *      rows:       11,
+     *      points:     [ { mps: 0.5, towardDeg: 90 }, ... ]   // Row by row, starting at the south edge.
+     *  },
+     *  {   // A current field that floods and ebbs, see LBSailSim.TidalCurrent.
+     *      type:       'tidal',
+     *      periodSec:  44712,      // The length of the tidal cycle.
+     *      phaseDeg:   0,          // Where in the tidal cycle the simulation starts, 0 is slack before the flood.
+     *      flood:      { type: 'uniform', mps: 1, towardDeg: 45 },
+     *      ebb:        { type: 'uniform', mps: 0.8, towardDeg: 230 }  // Optional, defaults to the flood reversed.
+     *  }
+     * </code></pre>
+     * @param {Object[]} [data] The array of current data objects, if undefined all the
+     * currents are removed.
+     * @returns {LBSailSim.Water}   this.
+     */
+    loadCurrents: function(data) {
+        this.currents.length = 0;
+        this.elapsedTime = 0;
+        if (data) {
+            data.forEach(function(currentData) {
+                var current = LBSailSim.Water.createCurrentFromData(currentData);
+                if (current) {
+                    this.currents.push(current);
+                }
+            }, this);
+        }
+        return this;
+    },
+    
+    /**
+     * Retrieves the water current velocity at a given point, the current does not vary
+     * with depth.
      * @param {Number} x    The x coordinate.
      * @param {Number} y    The y coordinate.
      * @param {Number} z    The z coordinate.
@@ -56,13 +136,17 @@ LBSailSim.Water.prototype = {
     getFlowVelocity: function(x, y, z, vel) {
         var vx = 0;
         var vy = 0;
-        //vy = 0.1;
-        //vx = 0.4;
-        //vx = -0.5;
+        
+        for (var i = 0; i < this.currents.length; ++i) {
+            this.currents[i].addFlowVelocity(x, y, _workingVel.set(0, 0));
+            vx += _workingVel.x;
+            vy += _workingVel.y;
+        }
+        
         if (this.sailEnv && this.sailEnv.boundaries) {
-            if (this.sailEnv.boundaries.getBoundaryCurrent(_workingVel)) {
-                vx = _workingVel.x;
-                vy = _workingVel.y;
+            if (this.sailEnv.boundaries.getBoundaryCurrent(x, y, _workingVel)) {
+                vx += _workingVel.x;
+                vy += _workingVel.y;
             }
         }
 
@@ -75,6 +159,40 @@ LBSailSim.Water.prototype = {
         return vel;
     },
     
+    /**
+     * Retrieves the z coordinate of the water surface at a point.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @returns {Number}    The z coordinate of the surface.
+     */
+    getSurfaceZ: function(x, y) {
+        return this.waves.getSurfaceZ(x, y);
+    },
+    
+    /**
+     * Retrieves the vertical velocity of the water surface at a point.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @returns {Number}    The vertical velocity of the surface.
+     */
+    getSurfaceVelocityZ: function(x, y) {
+        return this.waves.getSurfaceVelocityZ(x, y);
+    },
+    
+    /**
+     * Fits a plane to the water surface over a rectangular area, see {@link LBSailSim.Waves#getSurfacePlane}.
+     * @param {Number} x    The x coordinate of the center of the area.
+     * @param {Number} y    The y coordinate of the center of the area.
+     * @param {Number} halfLength   Half the length of the area.
+     * @param {Number} halfWidth    Half the width of the area.
+     * @param {Number} headingRad   The angle of the length axis of the area from the x axis, in radians.
+     * @param {module:LBGeometry.Plane} [plane] If defined the plane to store the surface into.
+     * @returns {module:LBGeometry.Plane}   The plane representing the water surface.
+     */
+    getSurfacePlane: function(x, y, halfLength, halfWidth, headingRad, plane) {
+        return this.waves.getSurfacePlane(x, y, halfLength, halfWidth, headingRad, plane);
+    },
+    
     /**
      * Calculates a Reynolds number.
      * @param {Number} vel  The speed.
@@ -91,9 +209,330 @@ LBSailSim.Water.prototype = {
      * @returns {LBSailSim.Water}    this.
      */
     update: function(dt) {
+        this.elapsedTime += dt;
+        for (var i = 0; i < this.currents.length; ++i) {
+            this.currents[i].update(dt);
+        }
+        this.waves.update(dt);
         return this;
     }
 };
 
+
+/**
+ * Creates a current field from a data object, see {@link LBSailSim.Water#loadCurrents}.
+ * @param {Object} data The data object.
+ * @returns {LBSailSim.UniformCurrent|LBSailSim.GridCurrent|LBSailSim.TidalCurrent}  The
+ * current field, undefined if data.type is not recognized.
+ */
+LBSailSim.Water.createCurrentFromData = function(data) {
+    switch (data.type) {
+        case 'uniform' :
+            return new LBSailSim.UniformCurrent().load(data);
+            
+        case 'grid' :
+            return new LBSailSim.GridCurrent().load(data);
+            
+        case 'tidal' :
+            return new LBSailSim.TidalCurrent().load(data);
+    }
+    console.error("LBSailSim.Water.createCurrentFromData(): Unrecognized current type '" + data.type + "'.");
+};
+
+function _loadCurrentVelocity(data, vel) {
+    var mps = data.mps || 0;
+    var headingRad = (90 - (data.towardDeg || 0)) * LBMath.DEG_TO_RAD;
+    vel.set(mps * Math.cos(headingRad), mps * Math.sin(headingRad));
+    return vel;
+}
+
+
+/**
+ * Current field with the same current everywhere.
+ * @constructor
+ * @returns {LBSailSim.UniformCurrent}
+ */
+LBSailSim.UniformCurrent = function() {
+    /**
+     * The current velocity.
+     * @member {module:LBGeometry.Vector2}
+     */
+    this.velocity = new LBGeometry.Vector2();
+};
+
+LBSailSim.UniformCurrent.prototype = {
+    constructor: LBSailSim.UniformCurrent,
+    
+    /**
+     * Loads the current from a data object, see {@link LBSailSim.Water#loadCurrents}.
+     * @param {Object} data The data object.
+     * @returns {LBSailSim.UniformCurrent}  this.
+     */
+    load: function(data) {
+        _loadCurrentVelocity(data, this.velocity);
+        return this;
+    },
+    
+    /**
+     * Updates the current for a new simulation time step.
+     * @param {Number} dt   The simulation time step.
+     */
+    update: function(dt) {
+    },
+    
+    /**
+     * Adds the current velocity at a point to a velocity.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @param {module:LBGeometry.Vector2} vel   The velocity to add to.
+     * @returns {module:LBGeometry.Vector2} vel.
+     */
+    addFlowVelocity: function(x, y, vel) {
+        vel.x += this.velocity.x;
+        vel.y += this.velocity.y;
+        return vel;
+    }
+};
+
+
+/**
+ * Current field defined by the currents at the points of a rectangular grid, the current
+ * is bilinearly interpolated between the grid points. Outside the grid the current
+ * of the nearest edge is used.
+ * @constructor
+ * @returns {LBSailSim.GridCurrent}
+ */
+LBSailSim.GridCurrent = function() {
+    /**
+     * The grid point at the minimum x and y corner.
+     * @member {module:LBGeometry.Vector2}
+     */
+    this.origin = new LBGeometry.Vector2();
+    
+    /**
+     * The distance between the grid points.
+     * @member {Number}
+     */
+    this.spacing = 100;
+    
+    /**
+     * The number of grid points along the x axis.
+     * @member {Number}
+     */
+    this.columns = 0;
+    
+    /**
+     * The number of grid points along the y axis.
+     * @member {Number}
+     */
+    this.rows = 0;
+    
+    /**
+     * The x components of the current at the grid points, row by row.
+     * @member {Number[]}
+     */
+    this.vx = [];
+    
+    /**
+     * The y components of the current at the grid points, row by row.
+     * @member {Number[]}
+     */
+    this.vy = [];
+};
+
+function _bilerp(v00, v10, v01, v11, s, t) {
+    var v0 = v00 + (v10 - v00) * s;
+    var v1 = v01 + (v11 - v01) * s;
+    return v0 + (v1 - v0) * t;
+}
+
+LBSailSim.GridCurrent.prototype = {
+    constructor: LBSailSim.GridCurrent,
+    
+    /**
+     * Loads the grid from a data object, see {@link LBSailSim.Water#loadCurrents}.
+     * @param {Object} data The data object.
+     * @returns {LBSailSim.GridCurrent} this.
+     */
+    load: function(data) {
+        this.origin.set(data.x || 0, data.y || 0);
+        this.spacing = data.spacing || this.spacing;
+        
+        var points = data.points || [];
+        this.columns = data.columns || points.length;
+        this.rows = data.rows || Math.ceil(points.length / this.columns);
+        
+        this.vx.length = 0;
+        this.vy.length = 0;
+        var count = this.columns * this.rows;
+        for (var i = 0; i < count; ++i) {
+            _loadCurrentVelocity(points[i] || {}, _workingVel);
+            this.vx.push(_workingVel.x);
+            this.vy.push(_workingVel.y);
+        }
+        return this;
+    },
+    
+    /**
+     * Updates the current for a new simulation time step.
+     * @param {Number} dt   The simulation time step.
+     */
+    update: function(dt) {
+    },
+    
+    /**
+     * Adds the current velocity at a point to a velocity.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @param {module:LBGeometry.Vector2} vel   The velocity to add to.
+     * @returns {module:LBGeometry.Vector2} vel.
+     */
+    addFlowVelocity: function(x, y, vel) {
+        if (!this.columns || !this.rows) {
+            return vel;
+        }
+        
+        var column = LBMath.clamp((x - this.origin.x) / this.spacing, 0, this.columns - 1);
+        var row = LBMath.clamp((y - this.origin.y) / this.spacing, 0, this.rows - 1);
+        var column0 = Math.min(Math.floor(column), this.columns - 2);
+        var row0 = Math.min(Math.floor(row), this.rows - 2);
+        column0 = Math.max(column0, 0);
+        row0 = Math.max(row0, 0);
+        var column1 = Math.min(column0 + 1, this.columns - 1);
+        var row1 = Math.min(row0 + 1, this.rows - 1);
+        var s = column - column0;
+        var t = row - row0;
+        
+        var i00 = row0 * this.columns + column0;
+        var i10 = row0 * this.columns + column1;
+        var i01 = row1 * this.columns + column0;
+        var i11 = row1 * this.columns + column1;
+        vel.x += _bilerp(this.vx[i00], this.vx[i10], this.vx[i01], this.vx[i11], s, t);
+        vel.y += _bilerp(this.vy[i00], this.vy[i10], this.vy[i01], this.vy[i11], s, t);
+        return vel;
+    }
+};
+
+
+/**
+ * Current field that follows a tidal cycle, the current floods, goes slack, ebbs, and goes
+ * slack again over each period. The strength of the current follows a sine curve, during
+ * the flood the flood current field is scaled by the strength, during the ebb the ebb current
+ * field is, if there is no ebb current field the flood current field is reversed.
+ * @constructor
+ * @returns {LBSailSim.TidalCurrent}
+ */
+LBSailSim.TidalCurrent = function() {
+    /**
+     * The length of the tidal cycle in seconds, the default is a semi-diurnal tide.
+     * @member {Number}
+     */
+    this.periodSec = 44712;
+    
+    /**
+     * Where in the tidal cycle the current was at the start, in degrees. 0 is slack before
+     * the flood, 90 is maximum flood, 180 is slack before the ebb, and 270 is maximum ebb.
+     * @member {Number}
+     */
+    this.phaseDeg = 0;
+    
+    /**
+     * The current field used during the flood.
+     * @member {Object}
+     */
+    this.flood = undefined;
+    
+    /**
+     * The optional current field used during the ebb.
+     * @member {Object}
+     */
+    this.ebb = undefined;
+    
+    /**
+     * The time since the current was loaded.
+     * @member {Number}
+     */
+    this.elapsedTime = 0;
+    
+    /**
+     * The current strength of the tide, 1 is maximum flood, -1 is maximum ebb.
+     * @readonly
+     * @member {Number}
+     */
+    this.strength = 0;
+};
+
+LBSailSim.TidalCurrent.prototype = {
+    constructor: LBSailSim.TidalCurrent,
+    
+    /**
+     * Loads the tidal current from a data object, see {@link LBSailSim.Water#loadCurrents}.
+     * @param {Object} data The data object.
+     * @returns {LBSailSim.TidalCurrent}    this.
+     */
+    load: function(data) {
+        this.periodSec = data.periodSec || this.periodSec;
+        this.phaseDeg = data.phaseDeg || 0;
+        this.flood = (data.flood) ? LBSailSim.Water.createCurrentFromData(data.flood) : undefined;
+        this.ebb = (data.ebb) ? LBSailSim.Water.createCurrentFromData(data.ebb) : undefined;
+        this.elapsedTime = 0;
+        this._updateStrength();
+        return this;
+    },
+    
+    /**
+     * @returns {Boolean}   true if the tide is flooding.
+     */
+    isFlood: function() {
+        return this.strength > 0;
+    },
+    
+    /**
+     * Updates the current for a new simulation time step.
+     * @param {Number} dt   The simulation time step.
+     */
+    update: function(dt) {
+        this.elapsedTime += dt;
+        if (this.flood) {
+            this.flood.update(dt);
+        }
+        if (this.ebb) {
+            this.ebb.update(dt);
+        }
+        this._updateStrength();
+    },
+    
+    _updateStrength: function() {
+        var phaseRad = 2 * Math.PI * this.elapsedTime / this.periodSec + this.phaseDeg * LBMath.DEG_TO_RAD;
+        this.strength = Math.sin(phaseRad);
+    },
+    
+    /**
+     * Adds the current velocity at a point to a velocity.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @param {module:LBGeometry.Vector2} vel   The velocity to add to.
+     * @returns {module:LBGeometry.Vector2} vel.
+     */
+    addFlowVelocity: function(x, y, vel) {
+        var field = this.flood;
+        var scale = this.strength;
+        if ((scale < 0) && this.ebb) {
+            field = this.ebb;
+            scale = -scale;
+        }
+        if (!field || !scale) {
+            return vel;
+        }
+        
+        var fieldVel = field.addFlowVelocity(x, y, _workingFieldVel.set(0, 0));
+        vel.x += fieldVel.x * scale;
+        vel.y += fieldVel.y * scale;
+        return vel;
+    }
+};
+
+var _workingFieldVel = new LBGeometry.Vector2();
+
 return LBSailSim;
 });
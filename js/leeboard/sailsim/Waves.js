@@ -0,0 +1,340 @@
+/*
+ * Copyright 2017 Albert Santos.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+define(['lbsailsimbase', 'lbutil', 'lbmath', 'lbgeometry'],
+function(LBSailSim, LBUtil, LBMath, LBGeometry) {
+
+'use strict';
+
+/**
+ * The surface waves, the water surface is the sum of a number of sinusoidal wave trains,
+ * {@link LBSailSim.WaveComponent}. The wave trains follow the deep water dispersion relation,
+ * so longer waves travel faster.
+ * @constructor
+ * @param {LBSailSim.SailEnv} [sailEnv] The sailing environment this belongs to, used for gravity.
+ * @returns {LBSailSim.Waves}
+ */
+LBSailSim.Waves = function(sailEnv) {
+    this.sailEnv = sailEnv;
+
+    /**
+     * The wave trains.
+     * @member {LBSailSim.WaveComponent[]}
+     */
+    this.components = [];
+
+    /**
+     * The simulation time since the waves were loaded.
+     * @member {Number}
+     */
+    this.elapsedTime = 0;
+};
+
+var _workingNormal = new LBGeometry.Vector3();
+var _workingPoint = new LBGeometry.Vector3();
+
+LBSailSim.Waves.prototype = {
+    constructor: LBSailSim.Waves,
+
+    /**
+     * Loads the waves from a data object, normally the waves property of the water data.
+     * Heights are crest to trough:
+     * <pre><code>
+     *  components: [           // Individual wave trains, see LBSailSim.WaveComponent.
+     *      {
+     *          height:     0.5,
+     *          wavelength: 20,     // Or periodSec: 3.6
+     *          towardDeg:  45,     // The compass direction the waves travel towards.
+     *          phaseDeg:   0
+     *      }
+     *  ],
+     *  spectrum: {             // Optional, a sea state that's split into wave trains, see LBSailSim.Waves#loadSpectrum.
+     *      significantHeight:  1,
+     *      peakPeriodSec:      5,
+     *      towardDeg:          45,
+     *      spreadDeg:          30,
+     *      componentCount:     8
+     *  }
+     * </code></pre>
+     * @param {Object} [data]   The data object, if undefined the water is flat.
+     * @returns {LBSailSim.Waves}   this.
+     */
+    load: function(data) {
+        this.components.length = 0;
+        this.elapsedTime = 0;
+
+        if (data) {
+            var gravity = this._getGravity();
+            if (data.components) {
+                data.components.forEach(function(componentData) {
+                    this.components.push(new LBSailSim.WaveComponent().load(componentData, gravity));
+                }, this);
+            }
+
+            if (data.spectrum) {
+                this.loadSpectrum(data.spectrum);
+            }
+        }
+
+        return this;
+    },
+
+    /**
+     * Adds wave trains representing a Pierson-Moskowitz sea state. The spectrum between 0.7 and 2.5
+     * times the peak frequency is split into bands of equal width, each band becomes a wave train
+     * with the same energy as the band. The directions and phases of the wave trains are spread out
+     * deterministically, so a given spectrum always produces the same sea.
+     * @param {Object} data The spectrum data, see {@link LBSailSim.Waves#load}.
+     * @returns {LBSailSim.Waves}   this.
+     */
+    loadSpectrum: function(data) {
+        var significantHeight = data.significantHeight || 0;
+        var peakPeriodSec = data.peakPeriodSec || 5;
+        var towardDeg = data.towardDeg || 0;
+        var spreadDeg = data.spreadDeg || 0;
+        var componentCount = data.componentCount || 8;
+        if (!significantHeight) {
+            return this;
+        }
+
+        var gravity = this._getGravity();
+        var peakOmega = 2 * Math.PI / peakPeriodSec;
+        var minOmega = 0.7 * peakOmega;
+        var deltaOmega = (2.5 * peakOmega - minOmega) / componentCount;
+        var peakOmega4 = Math.pow(peakOmega, 4);
+
+        for (var i = 0; i < componentCount; ++i) {
+            var omega = minOmega + (i + 0.5) * deltaOmega;
+            var spectrum = 5 / 16 * significantHeight * significantHeight * peakOmega4 / Math.pow(omega, 5)
+                    * Math.exp(-1.25 * peakOmega4 / Math.pow(omega, 4));
+            var amplitude = Math.sqrt(2 * spectrum * deltaOmega);
+
+            // Golden ratio sequences give a well spread out but repeatable set of values.
+            var spread = ((i * 0.618034) % 1) * 2 - 1;
+            var phase = (i * 0.754878) % 1;
+
+            this.components.push(new LBSailSim.WaveComponent().load({
+                height: 2 * amplitude,
+                periodSec: 2 * Math.PI / omega,
+                towardDeg: towardDeg + spread * spreadDeg,
+                phaseDeg: phase * 360
+            }, gravity));
+        }
+
+        return this;
+    },
+
+    _getGravity: function() {
+        return (this.sailEnv) ? this.sailEnv.gravity : 9.81;
+    },
+
+    /**
+     * @returns {Boolean}   true if there are any waves.
+     */
+    hasWaves: function() {
+        return this.components.length > 0;
+    },
+
+    /**
+     * Retrieves the z coordinate of the water surface at a point.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @returns {Number}    The z coordinate of the surface.
+     */
+    getSurfaceZ: function(x, y) {
+        var z = 0;
+        for (var i = 0; i < this.components.length; ++i) {
+            z += this.components[i].getHeight(x, y, this.elapsedTime);
+        }
+        return z;
+    },
+
+    /**
+     * Retrieves the vertical velocity of the water surface at a point.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @returns {Number}    The vertical velocity of the surface.
+     */
+    getSurfaceVelocityZ: function(x, y) {
+        var vz = 0;
+        for (var i = 0; i < this.components.length; ++i) {
+            vz += this.components[i].getVelocityZ(x, y, this.elapsedTime);
+        }
+        return vz;
+    },
+
+    /**
+     * Fits a plane to the water surface over a rectangular area, such as the waterline of a hull.
+     * The surface is sampled at the center and the midpoints of the edges of the rectangle.
+     * @param {Number} x    The x coordinate of the center of the area.
+     * @param {Number} y    The y coordinate of the center of the area.
+     * @param {Number} halfLength   Half the length of the area.
+     * @param {Number} halfWidth    Half the width of the area.
+     * @param {Number} headingRad   The angle of the length axis of the area from the x axis, in radians.
+     * @param {module:LBGeometry.Plane} [plane] If defined the plane to store the surface into.
+     * @returns {module:LBGeometry.Plane}   The plane representing the water surface.
+     */
+    getSurfacePlane: function(x, y, halfLength, halfWidth, headingRad, plane) {
+        plane = plane || new LBGeometry.Plane();
+        if (!this.components.length) {
+            return plane.copy(LBGeometry.XY_PLANE);
+        }
+
+        var cos = Math.cos(headingRad);
+        var sin = Math.sin(headingRad);
+        var lx = cos * halfLength;
+        var ly = sin * halfLength;
+        var wx = -sin * halfWidth;
+        var wy = cos * halfWidth;
+
+        var zCenter = this.getSurfaceZ(x, y);
+        var zFore = this.getSurfaceZ(x + lx, y + ly);
+        var zAft = this.getSurfaceZ(x - lx, y - ly);
+        var zLeft = this.getSurfaceZ(x + wx, y + wy);
+        var zRight = this.getSurfaceZ(x - wx, y - wy);
+
+        var z = (2 * zCenter + zFore + zAft + zLeft + zRight) / 6;
+        var lengthSlope = (halfLength > 0) ? (zFore - zAft) / (2 * halfLength) : 0;
+        var widthSlope = (halfWidth > 0) ? (zLeft - zRight) / (2 * halfWidth) : 0;
+
+        var gradX = lengthSlope * cos - widthSlope * sin;
+        var gradY = lengthSlope * sin + widthSlope * cos;
+        _workingNormal.set(-gradX, -gradY, 1).normalize();
+        return plane.setFromNormalAndCoplanarPoint(_workingNormal, _workingPoint.set(x, y, z));
+    },
+
+    /**
+     * Called to update the state of the waves.
+     * @param {Number} dt   The simulation time step.
+     * @returns {LBSailSim.Waves}   this.
+     */
+    update: function(dt) {
+        this.elapsedTime += dt;
+        return this;
+    }
+};
+
+
+/**
+ * A single sinusoidal wave train.
+ * @constructor
+ * @returns {LBSailSim.WaveComponent}
+ */
+LBSailSim.WaveComponent = function() {
+    /**
+     * The amplitude, half the crest to trough height.
+     * @member {Number}
+     */
+    this.amplitude = 0;
+
+    /**
+     * The distance between crests.
+     * @member {Number}
+     */
+    this.wavelength = 10;
+
+    /**
+     * The wave number, 2 * PI / wavelength.
+     * @member {Number}
+     */
+    this.waveNumber = 2 * Math.PI / this.wavelength;
+
+    /**
+     * The angular frequency in radians/second.
+     * @member {Number}
+     */
+    this.angularFrequency = Math.sqrt(9.81 * this.waveNumber);
+
+    /**
+     * The unit vector in the direction the waves travel.
+     * @member {module:LBGeometry.Vector2}
+     */
+    this.direction = new LBGeometry.Vector2(1, 0);
+
+    /**
+     * The phase offset in radians.
+     * @member {Number}
+     */
+    this.phaseRad = 0;
+};
+
+LBSailSim.WaveComponent.prototype = {
+    constructor: LBSailSim.WaveComponent,
+
+    /**
+     * Loads the wave train from a data object, see {@link LBSailSim.Waves#load}.
+     * @param {Object} data The data object.
+     * @param {Number} [gravity=9.81]   The acceleration of gravity.
+     * @returns {LBSailSim.WaveComponent}   this.
+     */
+    load: function(data, gravity) {
+        gravity = gravity || 9.81;
+
+        this.amplitude = (data.height || 0) / 2;
+        if (data.wavelength) {
+            this.wavelength = data.wavelength;
+        }
+        else if (data.periodSec) {
+            this.wavelength = gravity * data.periodSec * data.periodSec / (2 * Math.PI);
+        }
+        this.waveNumber = 2 * Math.PI / this.wavelength;
+        this.angularFrequency = Math.sqrt(gravity * this.waveNumber);
+
+        var towardRad = (90 - (data.towardDeg || 0)) * LBMath.DEG_TO_RAD;
+        this.direction.set(Math.cos(towardRad), Math.sin(towardRad));
+
+        this.phaseRad = (data.phaseDeg || 0) * LBMath.DEG_TO_RAD;
+        return this;
+    },
+
+    /**
+     * Calculates the phase of the wave train at a point.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @param {Number} time The time.
+     * @returns {Number}    The phase in radians.
+     */
+    getPhase: function(x, y, time) {
+        return this.waveNumber * (this.direction.x * x + this.direction.y * y)
+                - this.angularFrequency * time + this.phaseRad;
+    },
+
+    /**
+     * Calculates the height of the wave train at a point.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @param {Number} time The time.
+     * @returns {Number}    The height above the mean water level.
+     */
+    getHeight: function(x, y, time) {
+        return this.amplitude * Math.cos(this.getPhase(x, y, time));
+    },
+
+    /**
+     * Calculates the vertical velocity of the surface of the wave train at a point.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @param {Number} time The time.
+     * @returns {Number}    The vertical velocity.
+     */
+    getVelocityZ: function(x, y, time) {
+        return this.amplitude * this.angularFrequency * Math.sin(this.getPhase(x, y, time));
+    }
+};
+
+return LBSailSim;
+});
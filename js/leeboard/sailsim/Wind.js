@@ -69,6 +69,85 @@ LBSailSim.Wind = function(sailEnv) {
      */
     this.gustFactor = 0.5;
     
+    /**
+     * The wind profile, which determines how the wind speed varies with height, one of
+     * {@link LBSailSim.Wind.PROFILE_NONE}, {@link LBSailSim.Wind.PROFILE_LOG}, or
+     * {@link LBSailSim.Wind.PROFILE_POWER}.
+     * @member {String}
+     */
+    this.profile = LBSailSim.Wind.PROFILE_NONE;
+    
+    /**
+     * The height at which the wind speed is the average wind speed, the wind speed is scaled
+     * by the wind profile relative to this height.
+     * @member {Number}
+     */
+    this.referenceHeight = 10;
+    
+    /**
+     * The surface roughness length used by the logarithmic wind profile, 0.0002 is typical
+     * for open water.
+     * @member {Number}
+     */
+    this.roughnessLength = 0.0002;
+    
+    /**
+     * The exponent used by the power law wind profile, 0.11 is typical for open water.
+     * @member {Number}
+     */
+    this.profileExponent = 0.11;
+    
+    /**
+     * The large scale shifts of the wind over time, these apply to the wind everywhere.
+     * @member {LBSailSim.WindShifts}
+     */
+    this.shifts = new LBSailSim.WindShifts();
+    
+    /**
+     * The geographic wind patterns, these vary the wind across the course.
+     * @member {Array}
+     */
+    this.patterns = [];
+    
+    /**
+     * The wind shadows cast by the sails of the vessels, use {@link LBSailSim.Wind#addVesselShadow}
+     * and {@link LBSailSim.Wind#removeVesselShadow} to manage them.
+     * @member {LBSailSim.WindShadow[]}
+     */
+    this.shadows = [];
+    
+    /**
+     * If false the wind shadows of the vessels are ignored.
+     * @member {Boolean}
+     */
+    this.isShadowsEnabled = true;
+    
+    /**
+     * The fractional reduction in wind speed right behind a fully loaded sail.
+     * @member {Number}
+     */
+    this.shadowSpeedDeficit = 0.3;
+    
+    /**
+     * The angle in degrees the wind is deflected by right behind a fully loaded sail,
+     * the wind is deflected away from the direction of the sail's lift, heading a boat
+     * sailing in the lee.
+     * @member {Number}
+     */
+    this.shadowDeflectionDeg = 8;
+    
+    /**
+     * The length of the wind shadows, as a multiple of the square root of the sail area.
+     * @member {Number}
+     */
+    this.shadowLengthScale = 10;
+    
+    /**
+     * The angle in degrees by which each side of a wind shadow spreads out.
+     * @member {Number}
+     */
+    this.shadowSpreadDeg = 10;
+    
     this.elapsedTime = 0;
     this.nextPuffTime = Number.MAX_VALUE;
     
@@ -108,16 +187,48 @@ LBSailSim.Wind = function(sailEnv) {
     // TEST!!!
     //this.maxActivePuffs = 1;
     
-    this._nextPuffTimeRNG = new LBRandom.NormalGenerator();
-    this._positionRNG = new LBRandom.UniformGenerator();
-    this._speedRNG = new LBRandom.NormalGenerator();
-    this._dirDegRNG = new LBRandom.NormalGenerator();
-    this._depthRNG = new LBRandom.NormalGenerator();
-    this._leadingWidthRNG = new LBRandom.NormalGenerator();
-    this._expansionDegRNG = new LBRandom.NormalGenerator();
-    this._timeToLiveRNG = new LBRandom.NormalGenerator();
+    /**
+     * The random number generator all the puff generation is based on, use
+     * {@link LBSailSim.Wind#setRandomSeed} to seed it.
+     * @readonly
+     * @member {module:LBRandom.PRNG}
+     */
+    this.prng = new LBRandom.PRNG();
+    
+    var rngFunction = this.prng.random;
+    this._nextPuffTimeRNG = new LBRandom.NormalGenerator(0, 1, rngFunction);
+    this._positionRNG = new LBRandom.UniformGenerator(0, 1, rngFunction);
+    this._speedRNG = new LBRandom.NormalGenerator(0, 1, rngFunction);
+    this._dirDegRNG = new LBRandom.NormalGenerator(0, 1, rngFunction);
+    this._depthRNG = new LBRandom.NormalGenerator(0, 1, rngFunction);
+    this._leadingWidthRNG = new LBRandom.NormalGenerator(0, 1, rngFunction);
+    this._expansionDegRNG = new LBRandom.NormalGenerator(0, 1, rngFunction);
+    this._timeToLiveRNG = new LBRandom.NormalGenerator(0, 1, rngFunction);
 };
 
+/**
+ * Wind profile where the wind speed does not change with height.
+ * @constant
+ * @type {String}
+ */
+LBSailSim.Wind.PROFILE_NONE = 'none';
+
+/**
+ * Wind profile where the wind speed varies with the log of the height, based on
+ * {@link LBSailSim.Wind#roughnessLength}.
+ * @constant
+ * @type {String}
+ */
+LBSailSim.Wind.PROFILE_LOG = 'log';
+
+/**
+ * Wind profile where the wind speed varies with the height raised to 
+ * {@link LBSailSim.Wind#profileExponent}.
+ * @constant
+ * @type {String}
+ */
+LBSailSim.Wind.PROFILE_POWER = 'power';
+
 LBSailSim.Wind.BEAUFORT_UPPER_BOUNDARY_KTS = [
     1.5,    // 0
     3.5,
@@ -152,9 +263,155 @@ LBSailSim.Wind.getForceForKnots = function(knots) {
 
 var _workingPos = new LBGeometry.Vector2();
 var _workingVel = new LBGeometry.Vector3();
+var _workingPatternEffect = { speedFactor: 1, shiftDeg: 0 };
+var _workingShadowEffect = { speedFactor: 1, deflectionRad: 0 };
 
 LBSailSim.Wind.prototype = {
     
+    /**
+     * Loads the wind properties from a data object, normally the wind property of the
+     * environment data. Properties not in the data object are reset to their defaults.
+     * <pre><code>
+     *  profile:            'log',      // 'none', 'log', or 'power'
+     *  referenceHeight:    10,
+     *  roughnessLength:    0.0002,     // Used by the 'log' profile.
+     *  profileExponent:    0.11,       // Used by the 'power' profile.
+     *  shifts:             {},         // See LBSailSim.WindShifts#load()
+     *  patterns:           [],         // See LBSailSim.Wind#loadPatterns()
+     *  shadows: {                      // The wind shadows of the vessels' sails.
+     *      enabled:        true,
+     *      speedDeficit:   0.3,        // See LBSailSim.Wind#shadowSpeedDeficit
+     *      deflectionDeg:  8,          // See LBSailSim.Wind#shadowDeflectionDeg
+     *      lengthScale:    10,         // See LBSailSim.Wind#shadowLengthScale
+     *      spreadDeg:      10          // See LBSailSim.Wind#shadowSpreadDeg
+     *  }
+     * </code></pre>
+     * @param {Object} data The data object.
+     * @returns {LBSailSim.Wind}    this.
+     */
+    load: function(data) {
+        data = data || {};
+        this.profile = data.profile || LBSailSim.Wind.PROFILE_NONE;
+        this.referenceHeight = data.referenceHeight || 10;
+        this.roughnessLength = data.roughnessLength || 0.0002;
+        this.profileExponent = LBUtil.isVar(data.profileExponent) ? data.profileExponent : 0.11;
+        
+        this.shifts.load(data.shifts);
+        this.loadPatterns(data.patterns);
+        this.loadShadowSettings(data.shadows);
+        return this;
+    },
+    
+    /**
+     * Loads the wind shadow settings, see {@link LBSailSim.Wind#load}. Settings not
+     * in the data object are reset to their defaults.
+     * @param {Object} [data]   The data object.
+     * @returns {LBSailSim.Wind}    this.
+     */
+    loadShadowSettings: function(data) {
+        data = data || {};
+        this.isShadowsEnabled = (data.enabled !== false);
+        this.shadowSpeedDeficit = LBUtil.isVar(data.speedDeficit) ? data.speedDeficit : 0.3;
+        this.shadowDeflectionDeg = LBUtil.isVar(data.deflectionDeg) ? data.deflectionDeg : 8;
+        this.shadowLengthScale = data.lengthScale || 10;
+        this.shadowSpreadDeg = LBUtil.isVar(data.spreadDeg) ? data.spreadDeg : 10;
+        return this;
+    },
+    
+    /**
+     * Adds the wind shadow of a vessel's sails, this is normally called by
+     * {@link LBSailSim.Env} when a boat is checked out.
+     * @param {LBSailSim.Vessel} vessel The vessel.
+     * @returns {LBSailSim.WindShadow}  The wind shadow of the vessel.
+     */
+    addVesselShadow: function(vessel) {
+        for (var i = 0; i < this.shadows.length; ++i) {
+            if (this.shadows[i].vessel === vessel) {
+                return this.shadows[i];
+            }
+        }
+        var shadow = new LBSailSim.WindShadow(this, vessel);
+        this.shadows.push(shadow);
+        return shadow;
+    },
+    
+    /**
+     * Removes the wind shadow of a vessel's sails, this is normally called by
+     * {@link LBSailSim.Env} when a boat is returned.
+     * @param {LBSailSim.Vessel} vessel The vessel.
+     * @returns {Boolean}   true if the vessel had a wind shadow.
+     */
+    removeVesselShadow: function(vessel) {
+        for (var i = 0; i < this.shadows.length; ++i) {
+            if (this.shadows[i].vessel === vessel) {
+                this.shadows.splice(i, 1);
+                return true;
+            }
+        }
+        return false;
+    },
+    
+    /**
+     * Replaces the geographic wind patterns. Each element of the data array has a type
+     * property and the properties of the pattern type:
+     * <pre><code>
+     *  {   // Linear change across the course, see LBSailSim.WindGradient.
+     *      type:           'gradient',
+     *      x: 0, y: 0,                 // The point where the gradient has no effect.
+     *      towardDeg:      90,         // The compass direction the wind speed increases towards.
+     *      speedPerKm:     0.2,        // The fractional change in speed per km.
+     *      shiftDegPerKm:  5,          // The clockwise shift in degrees per km.
+     *      range:          1000        // The distance beyond which the gradient stops changing.
+     *  },
+     *  {   // A circular area, see LBSailSim.WindArea.
+     *      type:           'area',
+     *      x: 200, y: 100,
+     *      radius:         150,
+     *      speedFactor:    1.2,        // The wind speed is multiplied by this within the area.
+     *      shiftDeg:       -10,        // The wind shifts by this within the area.
+     *      falloff:        0.5         // The fraction of the radius over which the effect tapers off.
+     *  }
+     * </code></pre>
+     * @param {Object[]} [data] The array of pattern data objects, if undefined all
+     * the patterns are removed.
+     * @returns {LBSailSim.Wind}    this.
+     */
+    loadPatterns: function(data) {
+        this.patterns.length = 0;
+        if (data) {
+            data.forEach(function(patternData) {
+                var pattern = LBSailSim.Wind.createPatternFromData(patternData);
+                if (pattern) {
+                    this.patterns.push(pattern);
+                }
+            }, this);
+        }
+        return this;
+    },
+    
+    /**
+     * Retrieves the factor the wind speed at the reference height is multiplied by to
+     * obtain the wind speed at a given height, based on the wind profile.
+     * @param {Number} z    The height above the water.
+     * @returns {Number}    The factor, this is 0 at or below the water.
+     */
+    getHeightFactor: function(z) {
+        switch (this.profile) {
+            case LBSailSim.Wind.PROFILE_LOG :
+                if (z <= this.roughnessLength) {
+                    return 0;
+                }
+                return Math.log(z / this.roughnessLength) / Math.log(this.referenceHeight / this.roughnessLength);
+                
+            case LBSailSim.Wind.PROFILE_POWER :
+                if (z <= 0) {
+                    return 0;
+                }
+                return Math.pow(z / this.referenceHeight, this.profileExponent);
+        }
+        return 1;
+    },
+    
     /**
      * Sets the average speed of the wind using a Beaufort force value.
      * The average speed is set to the mid-value of the speeds for the force value.
@@ -229,6 +486,40 @@ LBSailSim.Wind.prototype = {
         return this;
     },
     
+    /**
+     * Seeds the random number generator used to generate the puffs and removes all the
+     * active puffs, so the same sequence of puffs is generated each time the same seed is set,
+     * as long as the wind settings and the sequence of calls are also the same.
+     * @param {Number|String} [seed]    The seed, if not defined a random seed is used.
+     * @returns {LBSailSim.Wind}    this.
+     */
+    setRandomSeed: function(seed) {
+        this.prng.setSeed(seed);
+        this.shifts.setRandomSeed(LBUtil.isVar(seed) ? (seed + ':shifts') : undefined);
+        
+        this._nextPuffTimeRNG.reset();
+        this._speedRNG.reset();
+        this._dirDegRNG.reset();
+        this._depthRNG.reset();
+        this._leadingWidthRNG.reset();
+        this._expansionDegRNG.reset();
+        this._timeToLiveRNG.reset();
+        
+        while (this.firstPuff) {
+            var puff = this.firstPuff;
+            this.firstPuff = puff.nextPuff;
+            puff.nextPuff = this._firstFreePuff;
+            this._firstFreePuff = puff;
+        }
+        this.activePuffsCount = 0;
+        
+        this.minActivePosition.set(Number.MAX_VALUE, Number.MAX_VALUE);
+        this.maxActivePosition.set(-Number.MAX_VALUE, -Number.MAX_VALUE);
+        
+        this._calcNextPuffTime();
+        return this;
+    },
+    
     _updatePuffGeneration: function() {            
         var headingRad = this.fromDegToHeadingRad(this.averageFromDeg);
         this.averageToDir.set(Math.cos(headingRad), Math.sin(headingRad));
@@ -303,6 +594,7 @@ LBSailSim.Wind.prototype = {
         _workingPos.set(cx - x, cy - y);
         
         var speed = this._speedRNG.nextValue();
+        this._dirDegRNG.mean = this.getCurrentFromDeg();
         var fromDeg = this._dirDegRNG.nextValue();
         var headingRad = this.fromDegToHeadingRad(fromDeg);
         _workingVel.set(speed * Math.cos(headingRad), speed * Math.sin(headingRad), 0);
@@ -343,12 +635,7 @@ LBSailSim.Wind.prototype = {
      * @returns {object}    The object containing the velocity.
      */
     getFlowVelocity: function(x, y, z, vel) {
-        vel = vel || new LBGeometry.Vector3();
-        
-        var speed = this.baseMPS;
-        vel.x = speed * this.averageToDir.x;
-        vel.y = speed * this.averageToDir.y;
-        vel.z = 0;
+        vel = this.getBaseFlowVelocity(x, y, vel);
         
         if (this.sailEnv && this.sailEnv.boundaries) {
             if (this.sailEnv.boundaries.getBoundaryWindVel(x, y, _workingVel)) {
@@ -376,10 +663,89 @@ LBSailSim.Wind.prototype = {
             
             puff = puff.nextPuff;
         }
+        
+        if (this.isShadowsEnabled && this.shadows.length) {
+            this._applyShadows(x, y, vel);
+        }
+        
+        if (this.profile !== LBSailSim.Wind.PROFILE_NONE) {
+            var heightFactor = this.getHeightFactor(z);
+            vel.x *= heightFactor;
+            vel.y *= heightFactor;
+        }
 
         return vel;
     },
     
+    _applyShadows: function(x, y, vel) {
+        var effect = _workingShadowEffect;
+        effect.speedFactor = 1;
+        effect.deflectionRad = 0;
+        for (var i = 0; i < this.shadows.length; ++i) {
+            this.shadows[i].applyEffect(x, y, effect);
+        }
+        
+        if (effect.deflectionRad) {
+            var cos = Math.cos(effect.deflectionRad);
+            var sin = Math.sin(effect.deflectionRad);
+            var velX = vel.x;
+            vel.x = velX * cos - vel.y * sin;
+            vel.y = velX * sin + vel.y * cos;
+        }
+        vel.x *= effect.speedFactor;
+        vel.y *= effect.speedFactor;
+    },
+    
+    /**
+     * Retrieves the direction the wind is currently blowing from, this is the average
+     * direction with the shifts from {@link LBSailSim.Wind#shifts} applied, but not the 
+     * geographic patterns or the puffs.
+     * @returns {Number}    The direction the wind is blowing from in compass degrees.
+     */
+    getCurrentFromDeg: function() {
+        return LBMath.wrapDegrees(this.averageFromDeg + this.shifts.shiftDeg);
+    },
+    
+    /**
+     * Retrieves the large scale wind velocity at a given point, this includes the shifts
+     * and the geographic patterns but not the puffs, the boundaries, or the wind profile.
+     * Unlike {@link LBSailSim.Wind#getFlowVelocity} this does not affect where puffs 
+     * are generated.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @param {object} [vel]    If defined the object to receive the velocity.
+     * @returns {object}    The object containing the velocity.
+     */
+    getBaseFlowVelocity: function(x, y, vel) {
+        vel = vel || new LBGeometry.Vector3();
+        
+        var speed = this.baseMPS * this.shifts.speedFactor;
+        var shiftDeg = this.shifts.shiftDeg;
+        if (this.patterns.length) {
+            var effect = _workingPatternEffect;
+            effect.speedFactor = 1;
+            effect.shiftDeg = 0;
+            for (var i = 0; i < this.patterns.length; ++i) {
+                this.patterns[i].applyEffect(x, y, effect);
+            }
+            speed *= effect.speedFactor;
+            shiftDeg += effect.shiftDeg;
+        }
+        
+        if (shiftDeg) {
+            var headingRad = this.fromDegToHeadingRad(this.averageFromDeg + shiftDeg);
+            vel.x = speed * Math.cos(headingRad);
+            vel.y = speed * Math.sin(headingRad);
+        }
+        else {
+            vel.x = speed * this.averageToDir.x;
+            vel.y = speed * this.averageToDir.y;
+        }
+        vel.z = 0;
+        
+        return vel;
+    },
+    
     /**
      * Calculates a Reynolds number.
      * @param {Number} vel  The speed.
@@ -397,6 +763,13 @@ LBSailSim.Wind.prototype = {
      */
     update: function(dt) {
         this.elapsedTime += dt;
+        this.shifts.update(dt);
+        
+        if (this.isShadowsEnabled) {
+            for (var i = 0; i < this.shadows.length; ++i) {
+                this.shadows[i].update(dt);
+            }
+        }
         
         var prevPuff = null;
         var puff = this.firstPuff;
@@ -938,6 +1311,545 @@ LBSailSim.WindPuff.prototype = {
     
     constructor: LBSailSim.WindPuff
 };
+
+
+/**
+ * The large scale shifts of the wind over time, these are the sum of:
+ * <ul>
+ * <li>Oscillating shifts, each with its own period and amplitude in direction and speed.
+ * <li>A persistent shift, which trends in one direction at a constant rate up to a limit.
+ * <li>A random shift, which wanders around the average direction, the random shift is
+ * generated from {@link LBSailSim.WindShifts#prng} so it is repeatable.
+ * </ul>
+ * @constructor
+ * @returns {LBSailSim.WindShifts}
+ */
+LBSailSim.WindShifts = function() {
+    /**
+     * The oscillating shifts, each element is an object with the properties periodSec,
+     * amplitudeDeg, speedAmplitude, and phaseDeg. speedAmplitude is a fraction of the wind speed.
+     * @member {Object[]}
+     */
+    this.oscillations = [];
+    
+    /**
+     * The rate of the persistent shift in degrees per minute, positive values veer the
+     * wind (clockwise), negative values back the wind.
+     * @member {Number}
+     */
+    this.persistentDegPerMin = 0;
     
+    /**
+     * The maximum size of the persistent shift in degrees.
+     * @member {Number}
+     */
+    this.maxPersistentDeg = 45;
+    
+    /**
+     * The standard deviation of the random shift in degrees, 0 for no random shift.
+     * @member {Number}
+     */
+    this.randomStdevDeg = 0;
+    
+    /**
+     * The typical time it takes the random shift to change, in seconds.
+     * @member {Number}
+     */
+    this.randomPeriodSec = 120;
+    
+    /**
+     * The time since the shifts were loaded or reset.
+     * @member {Number}
+     */
+    this.elapsedTime = 0;
+    
+    /**
+     * The current shift in the wind direction in degrees, positive is clockwise.
+     * @readonly
+     * @member {Number}
+     */
+    this.shiftDeg = 0;
+    
+    /**
+     * The current factor the wind speed is multiplied by.
+     * @readonly
+     * @member {Number}
+     */
+    this.speedFactor = 1;
+    
+    /**
+     * The random number generator used for the random shift, {@link LBSailSim.Wind#setRandomSeed}
+     * seeds this.
+     * @readonly
+     * @member {module:LBRandom.PRNG}
+     */
+    this.prng = new LBRandom.PRNG();
+    this._randomRNG = new LBRandom.NormalGenerator(0, 1, this.prng.random);
+    this._randomDeg = 0;
+};
+
+LBSailSim.WindShifts.prototype = {
+    constructor: LBSailSim.WindShifts,
+    
+    /**
+     * Loads the shifts from a data object, properties not in the data object are reset
+     * to their defaults, which are no shifts.
+     * <pre><code>
+     *  oscillations: [
+     *      { periodSec: 300, amplitudeDeg: 10, speedAmplitude: 0.1, phaseDeg: 0 }
+     *  ],
+     *  persistentDegPerMin:    0.5,
+     *  maxPersistentDeg:       20,
+     *  randomStdevDeg:         5,
+     *  randomPeriodSec:        120
+     * </code></pre>
+     * @param {Object} [data]   The data object.
+     * @returns {LBSailSim.WindShifts}  this.
+     */
+    load: function(data) {
+        data = data || {};
+        
+        this.oscillations.length = 0;
+        if (data.oscillations) {
+            data.oscillations.forEach(function(oscillationData) {
+                this.oscillations.push({
+                    periodSec: oscillationData.periodSec || 300,
+                    amplitudeDeg: oscillationData.amplitudeDeg || 0,
+                    speedAmplitude: oscillationData.speedAmplitude || 0,
+                    phaseDeg: oscillationData.phaseDeg || 0
+                });
+            }, this);
+        }
+        
+        this.persistentDegPerMin = data.persistentDegPerMin || 0;
+        this.maxPersistentDeg = LBUtil.isVar(data.maxPersistentDeg) ? data.maxPersistentDeg : 45;
+        this.randomStdevDeg = data.randomStdevDeg || 0;
+        this.randomPeriodSec = data.randomPeriodSec || 120;
+        
+        return this.reset();
+    },
+    
+    /**
+     * Seeds the random number generator used for the random shift.
+     * @param {Number|String} [seed]    The seed, if not defined a random seed is used.
+     * @returns {LBSailSim.WindShifts}  this.
+     */
+    setRandomSeed: function(seed) {
+        this.prng.setSeed(seed);
+        this._randomRNG.reset();
+        return this.reset();
+    },
+    
+    /**
+     * Restarts the shifts from time 0.
+     * @returns {LBSailSim.WindShifts}  this.
+     */
+    reset: function() {
+        this.elapsedTime = 0;
+        this._randomDeg = 0;
+        this._updateShift();
+        return this;
+    },
+    
+    /**
+     * Called from {@link LBSailSim.Wind#update} to advance the shifts.
+     * @param {Number} dt   The simulation time step.
+     * @returns {LBSailSim.WindShifts}  this.
+     */
+    update: function(dt) {
+        this.elapsedTime += dt;
+        
+        if (this.randomStdevDeg > 0) {
+            // This is an Ornstein-Uhlenbeck process, which wanders around 0 with a standard
+            // deviation of randomStdevDeg, the random shift is pulled back towards 0 with
+            // a time constant of randomPeriodSec.
+            var rate = dt / this.randomPeriodSec;
+            this._randomDeg += -this._randomDeg * rate 
+                    + this.randomStdevDeg * Math.sqrt(2 * rate) * this._randomRNG.nextValue();
+        }
+        
+        this._updateShift();
+        return this;
+    },
+    
+    _updateShift: function() {
+        var shiftDeg = this._randomDeg;
+        var speedFactor = 1;
+        
+        for (var i = 0; i < this.oscillations.length; ++i) {
+            var oscillation = this.oscillations[i];
+            var angle = LBMath.TWO_PI * this.elapsedTime / oscillation.periodSec + oscillation.phaseDeg * LBMath.DEG_TO_RAD;
+            var sin = Math.sin(angle);
+            shiftDeg += oscillation.amplitudeDeg * sin;
+            speedFactor += oscillation.speedAmplitude * sin;
+        }
+        
+        if (this.persistentDegPerMin) {
+            var persistentDeg = this.persistentDegPerMin * this.elapsedTime / 60;
+            shiftDeg += LBMath.clamp(persistentDeg, -this.maxPersistentDeg, this.maxPersistentDeg);
+        }
+        
+        this.shiftDeg = shiftDeg;
+        this.speedFactor = Math.max(speedFactor, 0);
+    }
+};
+
+
+/**
+ * Geographic wind pattern where the wind speed and direction change linearly along
+ * a direction across the course, such as more pressure on one side of the course.
+ * @constructor
+ * @returns {LBSailSim.WindGradient}
+ */
+LBSailSim.WindGradient = function() {
+    /**
+     * The point where the gradient has no effect.
+     * @member {module:LBGeometry.Vector2}
+     */
+    this.origin = new LBGeometry.Vector2();
+    
+    /**
+     * The compass direction in degrees towards which the wind speed increases.
+     * @member {Number}
+     */
+    this.towardDeg = 90;
+    
+    /**
+     * The change in wind speed per km as a fraction of the wind speed.
+     * @member {Number}
+     */
+    this.speedPerKm = 0;
+    
+    /**
+     * The clockwise shift in the wind direction per km, in degrees.
+     * @member {Number}
+     */
+    this.shiftDegPerKm = 0;
+    
+    /**
+     * The distance from the origin beyond which the gradient stops changing.
+     * @member {Number}
+     */
+    this.range = 1000;
+    
+    this._dir = new LBGeometry.Vector2(1, 0);
+};
+
+LBSailSim.WindGradient.prototype = {
+    constructor: LBSailSim.WindGradient,
+    
+    /**
+     * Loads the gradient from a data object, see {@link LBSailSim.Wind#loadPatterns}.
+     * @param {Object} data The data object.
+     * @returns {LBSailSim.WindGradient}    this.
+     */
+    load: function(data) {
+        this.origin.set(data.x || 0, data.y || 0);
+        this.towardDeg = LBUtil.isVar(data.towardDeg) ? data.towardDeg : this.towardDeg;
+        this.speedPerKm = data.speedPerKm || 0;
+        this.shiftDegPerKm = data.shiftDegPerKm || 0;
+        this.range = data.range || this.range;
+        
+        var rad = (90 - this.towardDeg) * LBMath.DEG_TO_RAD;
+        this._dir.set(Math.cos(rad), Math.sin(rad));
+        return this;
+    },
+    
+    /**
+     * Applies the effect of the gradient at a point.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @param {Object} effect   The effect, an object with the properties speedFactor, which
+     * is multiplied, and shiftDeg, which is added to.
+     * @returns {Object}    effect.
+     */
+    applyEffect: function(x, y, effect) {
+        var distance = (x - this.origin.x) * this._dir.x + (y - this.origin.y) * this._dir.y;
+        var km = LBMath.clamp(distance, -this.range, this.range) / 1000;
+        effect.speedFactor *= Math.max(1 + this.speedPerKm * km, 0);
+        effect.shiftDeg += this.shiftDegPerKm * km;
+        return effect;
+    }
+};
+
+
+/**
+ * Geographic wind pattern that changes the wind speed and direction within a circular area,
+ * such as the wind bending around a headland or lighter air in the lee of an island.
+ * @constructor
+ * @returns {LBSailSim.WindArea}
+ */
+LBSailSim.WindArea = function() {
+    /**
+     * The center of the area.
+     * @member {module:LBGeometry.Vector2}
+     */
+    this.center = new LBGeometry.Vector2();
+    
+    /**
+     * The radius of the area.
+     * @member {Number}
+     */
+    this.radius = 100;
+    
+    /**
+     * The factor the wind speed is multiplied by within the area.
+     * @member {Number}
+     */
+    this.speedFactor = 1;
+    
+    /**
+     * The clockwise shift in the wind direction within the area, in degrees.
+     * @member {Number}
+     */
+    this.shiftDeg = 0;
+    
+    /**
+     * The fraction of the radius at the edge of the area over which the effect tapers off.
+     * @member {Number}
+     */
+    this.falloff = 0.5;
+};
+
+LBSailSim.WindArea.prototype = {
+    constructor: LBSailSim.WindArea,
+    
+    /**
+     * Loads the area from a data object, see {@link LBSailSim.Wind#loadPatterns}.
+     * @param {Object} data The data object.
+     * @returns {LBSailSim.WindArea}    this.
+     */
+    load: function(data) {
+        this.center.set(data.x || 0, data.y || 0);
+        this.radius = data.radius || this.radius;
+        this.speedFactor = LBUtil.isVar(data.speedFactor) ? data.speedFactor : 1;
+        this.shiftDeg = data.shiftDeg || 0;
+        this.falloff = LBUtil.isVar(data.falloff) ? LBMath.clamp(data.falloff, 0, 1) : this.falloff;
+        return this;
+    },
+    
+    /**
+     * Applies the effect of the area at a point.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @param {Object} effect   The effect, an object with the properties speedFactor, which
+     * is multiplied, and shiftDeg, which is added to.
+     * @returns {Object}    effect.
+     */
+    applyEffect: function(x, y, effect) {
+        var dx = x - this.center.x;
+        var dy = y - this.center.y;
+        var distanceSq = dx * dx + dy * dy;
+        if (distanceSq >= this.radius * this.radius) {
+            return effect;
+        }
+        
+        var weight = 1 - LBMath.smoothstep(this.radius * (1 - this.falloff), this.radius, Math.sqrt(distanceSq));
+        effect.speedFactor *= 1 + (this.speedFactor - 1) * weight;
+        effect.shiftDeg += this.shiftDeg * weight;
+        return effect;
+    }
+};
+
+
+/**
+ * Creates a geographic wind pattern from a data object, see {@link LBSailSim.Wind#loadPatterns}.
+ * @param {Object} data The data object.
+ * @returns {LBSailSim.WindGradient|LBSailSim.WindArea}  The pattern, undefined if data.type
+ * is not recognized.
+ */
+LBSailSim.Wind.createPatternFromData = function(data) {
+    switch (data.type) {
+        case 'gradient' :
+            return new LBSailSim.WindGradient().load(data);
+            
+        case 'area' :
+            return new LBSailSim.WindArea().load(data);
+    }
+    console.error("LBSailSim.Wind.createPatternFromData(): Unrecognized pattern type '" + data.type + "'.");
+};
+
+
+/**
+ * The wind shadow, or dirty air, behind and to leeward of a vessel's sails. The shadow
+ * is a cone that starts just downwind of the sails and extends along the apparent wind,
+ * bent slightly away from the direction of the sails' lift. Within the cone the wind speed is
+ * reduced and the wind is deflected, both fading out along the length and towards the edges
+ * of the cone. The size of the shadow is based on the total sail area, the strength on how
+ * much force the sails are generating for the apparent wind.
+ * <p>
+ * The shadow does not vary with height, and does not reach the vessel's own sails.
+ * @constructor
+ * @param {LBSailSim.Wind} wind The wind, the shadow settings are read from it.
+ * @param {LBSailSim.Vessel} vessel The vessel casting the shadow.
+ * @returns {LBSailSim.WindShadow}
+ */
+LBSailSim.WindShadow = function(wind, vessel) {
+    this.wind = wind;
+    
+    /**
+     * The vessel casting the shadow.
+     * @member {LBSailSim.Vessel}
+     */
+    this.vessel = vessel;
+    
+    /**
+     * The point the shadow spreads out from.
+     * @member {module:LBGeometry.Vector2}
+     */
+    this.origin = new LBGeometry.Vector2();
+    
+    /**
+     * The unit vector along the center line of the shadow.
+     * @member {module:LBGeometry.Vector2}
+     */
+    this.axis = new LBGeometry.Vector2(1, 0);
+    
+    /**
+     * The distance from the origin along the axis where the shadow starts.
+     * @member {Number}
+     */
+    this.startDistance = 0;
+    
+    /**
+     * The distance from the origin along the axis where the shadow ends.
+     * @member {Number}
+     */
+    this.endDistance = 0;
+    
+    /**
+     * The half width of the shadow at the origin.
+     * @member {Number}
+     */
+    this.originHalfWidth = 0;
+    
+    /**
+     * The fractional reduction in wind speed at the start of the shadow, 0 if the shadow
+     * is not active.
+     * @member {Number}
+     */
+    this.speedDeficit = 0;
+    
+    /**
+     * The counter-clockwise deflection of the wind at the start of the shadow, in radians.
+     * @member {Number}
+     */
+    this.deflectionRad = 0;
+    
+    this._tanSpread = 0;
+};
+
+var _shadowForce = new LBGeometry.Vector2();
+
+LBSailSim.WindShadow.prototype = {
+    constructor: LBSailSim.WindShadow,
+    
+    /**
+     * Updates the shadow from the current state of the vessel.
+     * @param {Number} dt   The simulation time step.
+     * @returns {LBSailSim.WindShadow}  this.
+     */
+    update: function(dt) {
+        this.speedDeficit = 0;
+        this.deflectionRad = 0;
+        
+        var vessel = this.vessel;
+        if (!vessel.airfoils || !vessel.airfoils.length) {
+            return this;
+        }
+        
+        var appWind = vessel.apparentWind;
+        var appSpeedSq = appWind.x * appWind.x + appWind.y * appWind.y;
+        if (LBMath.isLikeZero(appSpeedSq)) {
+            return this;
+        }
+        
+        var area = 0;
+        _shadowForce.set(0, 0);
+        vessel.airfoils.forEach(function(airfoil) {
+            area += airfoil.foil.area;
+            var force = airfoil.getResultant().force;
+            _shadowForce.x += force.x;
+            _shadowForce.y += force.y;
+        });
+        if (area <= 0) {
+            return this;
+        }
+        
+        // The force coefficient tells us how loaded up the sails are, a coefficient of
+        // 1.5 is about as much as a sail can do.
+        var wind = this.wind;
+        var forceCoef = _shadowForce.length() / (0.5 * wind.density * appSpeedSq * area);
+        var loading = LBMath.clamp(forceCoef / 1.5, 0, 1);
+        
+        var appSpeed = Math.sqrt(appSpeedSq);
+        var windDirX = appWind.x / appSpeed;
+        var windDirY = appWind.y / appSpeed;
+        
+        // The lift is the part of the force perpendicular to the wind, the wind gets
+        // deflected the other way.
+        var liftCross = windDirX * _shadowForce.y - windDirY * _shadowForce.x;
+        var deflectionRad = -Math.sign(liftCross) * wind.shadowDeflectionDeg * LBMath.DEG_TO_RAD * loading;
+        
+        // The shadow is bent by half the deflection.
+        var cos = Math.cos(0.5 * deflectionRad);
+        var sin = Math.sin(0.5 * deflectionRad);
+        this.axis.set(windDirX * cos - windDirY * sin, windDirX * sin + windDirY * cos);
+        
+        var sailSize = Math.sqrt(area);
+        this.origin.set(vessel.obj3D.position.x, vessel.obj3D.position.y);
+        this.startDistance = sailSize;
+        this.endDistance = sailSize * wind.shadowLengthScale;
+        this.originHalfWidth = 0.5 * sailSize;
+        this._tanSpread = Math.tan(wind.shadowSpreadDeg * LBMath.DEG_TO_RAD);
+        
+        this.speedDeficit = wind.shadowSpeedDeficit * loading;
+        this.deflectionRad = deflectionRad;
+        
+        return this;
+    },
+    
+    /**
+     * Applies the effect of the shadow at a point.
+     * @param {Number} x    The x coordinate.
+     * @param {Number} y    The y coordinate.
+     * @param {Object} effect   The effect, an object with the properties speedFactor, which
+     * is multiplied by the shadow's speed factor, and deflectionRad, which has the shadow's
+     * counter-clockwise deflection in radians added to it.
+     * @returns {Object}    effect.
+     */
+    applyEffect: function(x, y, effect) {
+        if (!this.speedDeficit) {
+            return effect;
+        }
+        
+        var dx = x - this.origin.x;
+        var dy = y - this.origin.y;
+        var along = dx * this.axis.x + dy * this.axis.y;
+        
+        // The shadow ramps up over half the start distance so the vessel's own sails
+        // stay clear of it.
+        var rampStart = this.startDistance;
+        var rampEnd = 1.5 * this.startDistance;
+        if ((along <= rampStart) || (along >= this.endDistance)) {
+            return effect;
+        }
+        
+        var across = Math.abs(dy * this.axis.x - dx * this.axis.y);
+        var halfWidth = this.originHalfWidth + along * this._tanSpread;
+        if (across >= halfWidth) {
+            return effect;
+        }
+        
+        var weight = LBMath.smoothstep(rampStart, rampEnd, along);
+        weight *= 1 - (along - rampStart) / (this.endDistance - rampStart);
+        weight *= 1 - LBMath.smoothstep(0, halfWidth, across);
+        
+        effect.speedFactor *= 1 - this.speedDeficit * weight;
+        effect.deflectionRad += this.deflectionRad * weight;
+        return effect;
+    }
+};
+
     return LBSailSim;
-});
\ No newline at end of file
+});
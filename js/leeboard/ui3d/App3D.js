@@ -77,6 +77,34 @@ LBUI3d.App3D = function() {
      */
     this.runMillisecs = 0;
     
+    /**
+     * The fixed time step, in seconds, passed to {@link module:LBUI3d.App3D#fixedUpdate}.
+     * The simulation is advanced in steps of this size regardless of the frame rate.
+     * @member {Number}
+     */
+    this.fixedTimeStep = 1/60;
+    
+    /**
+     * The maximum number of fixed time steps performed in a single cycle. If more time than
+     * this has elapsed since the last cycle, such as after the browser tab has been stalled,
+     * the excess time is dropped.
+     * @member {Number}
+     */
+    this.maxSubSteps = 5;
+    
+    /**
+     * The fraction of a fixed time step the render time is past the last fixed time step,
+     * used to interpolate between the last two simulation states when rendering.
+     * @member {Number}
+     */
+    this.interpolationAlpha = 1;
+    
+    /**
+     * The total number of fixed time steps that have been performed.
+     * @member {Number}
+     */
+    this.fixedStepCount = 0;
+    
     /**
      * The mouse mode currently active in all the views.
      * @member {module:LBUI3d.View3D.MOUSE_ROTATE_MODE|LBUI3d.View3D.MOUSE_PAN_MODE}
@@ -87,6 +115,7 @@ LBUI3d.App3D = function() {
     this._nextSecondTimeStamp = (performance || Date).now() + 1000;
     this._prevSecondFrameCount = 0;
     this._lastFrameTimeStamp = 0;
+    this._accumulatedTime = 0;
 
     /**
      * A time recorder to be used for debugging execution times within the update or
@@ -283,6 +312,15 @@ LBUI3d.App3D.prototype.toggleFullScreen = function(container) {
     return LBUtil.toggleFullScreen(container);
 };
 
+/**
+ * Called zero or more times each cycle, before {@link module:LBUI3d.App3D#update}, to advance
+ * the simulation by {@link module:LBUI3d.App3D#fixedTimeStep}.
+ * @protected
+ * @param {Number} dt The fixed time step in seconds.
+ */
+LBUI3d.App3D.prototype.fixedUpdate = function(dt) {
+};
+
 /**
  * Called each cycle, before {@link module:LBUI3d.App3D.render}.
  * @protected
@@ -334,14 +372,19 @@ LBUI3d.App3D.prototype._cycle = function(timeStamp) {
         this.fpsUpdated();
     }
     
+    var dt;
     if (this._lastFrameTimeStamp) {
         this.lastFrameMillisecs = timeStamp - this._lastFrameTimeStamp;
+        dt = this.lastFrameMillisecs / 1000;
     }
     else {
-        this.lastFrameMillisecs = 1000/60;
+        // First frame or single step, we want exactly one fixed step.
+        dt = this.fixedTimeStep;
+        this.lastFrameMillisecs = dt * 1000;
+        this._accumulatedTime = 0;
     }
     
-    var dt = this.lastFrameMillisecs / 1000;
+    this._stepFixed(dt);
     this.update(dt);
     this.render(dt);
     ++this.frameCount;
@@ -388,6 +431,21 @@ LBUI3d.App3D.prototype._cycle = function(timeStamp) {
     }
 };
 
+LBUI3d.App3D.prototype._stepFixed = function(dt) {
+    var maxTime = this.fixedTimeStep * this.maxSubSteps;
+    this._accumulatedTime = Math.min(this._accumulatedTime + dt, maxTime);
+    
+    this.debugTimeRecorder.start('App3D.fixedUpdate');
+    while (this._accumulatedTime >= this.fixedTimeStep) {
+        this.fixedUpdate(this.fixedTimeStep);
+        this._accumulatedTime -= this.fixedTimeStep;
+        ++this.fixedStepCount;
+    }
+    this.debugTimeRecorder.end('App3D.fixedUpdate');
+    
+    this.interpolationAlpha = this._accumulatedTime / this.fixedTimeStep;
+};
+
 function LBUI3dApp3DAnimate(timeStamp) {
     LBUI3d.App3D.activeApp._cycle(timeStamp);
 }
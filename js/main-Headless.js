@@ -0,0 +1,179 @@
+/*
+ * Copyright 2017 Albert Santos.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Runs the sailing simulation under Node without any rendering. Usage, from the site root:
+ *
+ *      node js/main-Headless.js data/headless/basin-reach.json [telemetry.csv]
+ *
+ * The run file is a JSON file with an env property naming the environment in data/env/,
+ * an optional telemetryFile property, and the properties supported by
+ * LBSailSim.HeadlessRunner.loadFromData(). The telemetry file name on the command line
+ * takes precedence over the telemetryFile property, if neither is given the telemetry is
+ * written to stdout.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var siteRoot = path.resolve(__dirname, '..');
+
+// Some of the libraries expect a browser global object.
+global.window = global.window || global;
+global.self = global.self || global;
+
+
+//
+// A minimal synchronous AMD loader that uses the paths and shims from require-js-config.js,
+// just enough to load our modules and the libraries they use.
+//
+var requireConfig = vm.runInNewContext(
+        fs.readFileSync(path.join(siteRoot, 'js', 'require-js-config.js'), 'utf8') + ';require;');
+var loadedModules = {};
+
+function loadModule(name) {
+    if (name in loadedModules) {
+        return loadedModules[name];
+    }
+
+    var fileName = path.join(siteRoot, requireConfig.baseUrl, (requireConfig.paths[name] || name) + '.js');
+    var source = fs.readFileSync(fileName, 'utf8');
+    var shim = requireConfig.shim[name];
+
+    var result;
+    var isDefined = false;
+    var define = function(deps, factory) {
+        if (typeof deps === 'function') {
+            factory = deps;
+            deps = [];
+        }
+        var exports = {};
+        var args = deps.map(function(dep) {
+            return (dep === 'exports') ? exports : loadModule(dep);
+        });
+        result = factory.apply(global, args);
+        if (result === undefined) {
+            result = exports;
+        }
+        isDefined = true;
+    };
+    define.amd = true;
+
+    var moduleFunction = vm.runInThisContext('(function(define, module, exports) {\n' + source + '\n})',
+        { filename: fileName });
+    moduleFunction.call(global, define, undefined, undefined);
+
+    if (!isDefined && shim && shim.exports) {
+        result = global[shim.exports];
+    }
+
+    loadedModules[name] = result;
+    return result;
+}
+
+
+var LBAssets = loadModule('lbassets');
+var LBSailSim = loadModule('lbsailsimheadless');
+
+
+//
+// Asset loader that loads from the file system instead of via XMLHttpRequest.
+//
+function FileAssetLoader() {
+    LBAssets.Loader.call(this);
+}
+
+FileAssetLoader.prototype = Object.create(LBAssets.Loader.prototype);
+FileAssetLoader.prototype.constructor = FileAssetLoader;
+
+FileAssetLoader.prototype.loadJSON = function(assetName, fileName, onLoad, onProgress, onError) {
+    if (this.jsonAssets[assetName]) {
+        if (onLoad) {
+            onLoad(this.jsonAssets[assetName]);
+        }
+        return this;
+    }
+
+    var data;
+    try {
+        data = JSON.parse(fs.readFileSync(path.join(siteRoot, fileName), 'utf8'));
+    }
+    catch (err) {
+        console.error("FileAssetLoader.loadJSON() failed to load '" + fileName + "': " + err.message);
+        if (onError) {
+            onError(err);
+        }
+        return this;
+    }
+
+    this.jsonAssets[assetName] = data;
+    if (onLoad) {
+        onLoad(data);
+    }
+    return this;
+};
+
+
+function main(args) {
+    if (!args.length) {
+        console.error("Usage: node js/main-Headless.js <run file> [telemetry file]");
+        return 1;
+    }
+
+    var runData = JSON.parse(fs.readFileSync(path.resolve(args[0]), 'utf8'));
+    var telemetryFileName = args[1] || runData.telemetryFile;
+    var fd = (telemetryFileName) ? fs.openSync(path.resolve(telemetryFileName), 'w') : 1;
+
+    var sailEnv = new LBSailSim.SailEnvHeadless(LBSailSim.SailEnvHeadless.CANNON_PHYSICS, new FileAssetLoader());
+    var exitCode = 0;
+    
+    // The file asset loader is synchronous, so the environment has been loaded and the
+    // simulation run by the time loadEnv() returns.
+    sailEnv.loadEnv(runData.env || 'basin',
+        function() {
+            var runner = new LBSailSim.HeadlessRunner(sailEnv, {
+                telemetryWriter: function(line) {
+                    fs.writeSync(fd, line + '\n');
+                }
+            });
+            runner.loadFromData(runData);
+            runner.run();
+            runner.destroy();
+        },
+        function() {
+            console.error("The environment '" + runData.env + "' failed to load.");
+            exitCode = 1;
+        });
+
+    if (fd !== 1) {
+        fs.closeSync(fd);
+    }
+    return exitCode;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+// Other Node tools reuse the module loader and the asset loader.
+module.exports = {
+    siteRoot: siteRoot,
+    loadModule: loadModule,
+    FileAssetLoader: FileAssetLoader
+};
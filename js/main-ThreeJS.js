@@ -17,7 +17,7 @@
 
 /* global Detector */
 
-require( ['lbui3d', 'lbutil', 'lbdebug', 'lbmath', 'lbassets', 'lbsailsimthree', 'lbracing'],
+require( ['lbui3d', 'lbutil', 'lbdebug', 'lbmath', 'lbassets', 'lbsailsimthree', 'lbracing', 'lbracingrules', 'lbcoursegenerator', 'lbpolar'],
     function(LBUI3d, LBUtil, LBDebug, LBMath, LBAssets, LBSailSim, LBRacing) {
         
         
@@ -43,6 +43,13 @@ function LBMyApp() {
     this.startBoatPitchDeg = 0;
     this.startBoatYawDeg = 180;
     
+    this.handicapSystem = LBRacing.HandicapSystems.NONE;
+    this.penaltyMode = LBRacing.PenaltyModes.TIME;
+    
+    this.seriesStorageKey = 'bythelee.series';
+    this.series = LBRacing.Series.loadFromLocalStorage(this.seriesStorageKey) 
+            || new LBRacing.Series({ name: 'Practice Series', discardAfter: [ 4, 8 ] });
+    
     // TEST!!!
     //this.startWindForce = 3;
     this.otherBoats = [];
@@ -76,15 +83,24 @@ function LBMyApp() {
     this.isHUDBoatOn = false;
     this.isHUDWindOn = false;
     this.isHUDForceOn = false;
+    this.isHUDPolarOn = false;
     
     this.hudHeadingElement = document.getElementById('hud_heading');
     this.hudSpeedElement = document.getElementById('hud_speed');
+    this.hudTargetSpeedElement = document.getElementById('hud_target_speed');
+    this.hudPolarPercentElement = document.getElementById('hud_polar_percent');
     this.hudVMGElement = document.getElementById('hud_vmg');
     this.hudLeewayDegElement = document.getElementById('hud_leeway_deg');
     this.hudLeewayDirElement = document.getElementById('hud_leeway_dir');
+    this.hudDepthElement = document.getElementById('hud_depth');
     
     this.hudWindDirElement = document.getElementById('hud_wind_dir');
     this.hudWindSpeedElement = document.getElementById('hud_wind_speed');
+    this.hudTrueWindSpeedElement = document.getElementById('hud_true_wind_speed');
+    this.hudTrueWindAngleElement = document.getElementById('hud_true_wind_angle');
+    this.hudTrueWindTackElement = document.getElementById('hud_true_wind_tack');
+    this.hudTargetUpwindElement = document.getElementById('hud_target_upwind');
+    this.hudTargetDownwindElement = document.getElementById('hud_target_downwind');
 
     this.hudDrivingForceElement = document.getElementById('hud_f_driving');
     this.hudHeelingForceElement = document.getElementById('hud_f_heeling');
@@ -92,11 +108,34 @@ function LBMyApp() {
     this.hudResiduaryForceElement = document.getElementById('hud_f_residuary');
     this.hudInducedKeelForceElement = document.getElementById('hud_f_induced_keel');
     this.hudInducedSailForceElement = document.getElementById('hud_f_induced_sail');
+    
+    this.hudPolarPlotElement = document.getElementById('hud_polar_plot');
+    
+    /**
+     * The polar of the boat, loaded from the file named by the polar property of the
+     * boat's data, undefined if the boat doesn't have a polar.
+     * @member {LBSailSim.Polar}
+     */
+    this.myBoatPolar = undefined;
+    
+    /**
+     * The polar targets for the current state of the boat, updated by {@link LBMyApp#updatePolarTargets}.
+     * @member {Object}
+     */
+    this.polarTargets = {
+        twsKnots: 0,
+        twaDeg: 0,
+        knots: 0,
+        targetKnots: undefined,
+        polarPercent: undefined,
+        bestVMG: {}
+    };
 
     this.raceDisplayElement = document.getElementById('race_display');
     this.timeDisplayElement = document.getElementById('time_display');
     this.markStatusElement = document.getElementById('marks_status');
     this.penaltyStatusElement = document.getElementById('penalty_status');
+    this.signalStatusElement = document.getElementById('signal_status');
 
     this.rudderSliderElement = document.getElementById('rudder_slider');
     this.rudderControl = document.getElementById('rudder');
@@ -113,6 +152,34 @@ function LBMyApp() {
     this.jibsheetControl = document.getElementById('jibsheet');
     setupSlider(this.jibsheetControl);
     
+    this.vangSliderElement = document.getElementById('vang_slider');
+    this.vangControl = document.getElementById('vang');
+    setupSlider(this.vangControl);
+    
+    this.outhaulSliderElement = document.getElementById('outhaul_slider');
+    this.outhaulControl = document.getElementById('outhaul');
+    setupSlider(this.outhaulControl);
+    
+    this.cunninghamSliderElement = document.getElementById('cunningham_slider');
+    this.cunninghamControl = document.getElementById('cunningham');
+    setupSlider(this.cunninghamControl);
+    
+    this.travelerSliderElement = document.getElementById('traveler_slider');
+    this.travelerControl = document.getElementById('traveler');
+    setupSlider(this.travelerControl);
+    
+    this.hikingSliderElement = document.getElementById('hiking_slider');
+    this.hikingControl = document.getElementById('hiking');
+    setupSlider(this.hikingControl);
+    
+    this.crewForeAftSliderElement = document.getElementById('crew_fore_aft_slider');
+    this.crewForeAftControl = document.getElementById('crew_fore_aft');
+    setupSlider(this.crewForeAftControl);
+    
+    this.centerboardSliderElement = document.getElementById('centerboard_slider');
+    this.centerboardControl = document.getElementById('centerboard');
+    setupSlider(this.centerboardControl);
+    
     this.assetLoader = new LBAssets.Loader();
     
     this.physicsEngineType = LBSailSim.SailEnvTHREE.CANNON_PHYSICS;
@@ -286,6 +353,9 @@ LBMyApp.prototype.finishLoading = function() {
     var pitchDeg = this.startBoatPitchDeg;
     this.myBoat = this.sailEnv.checkoutBoat(boatType, boatName, centerX, centerY, yawDeg, rollDeg, pitchDeg);
     this.sailEnv.setFocusVessel(this.myBoat);
+    this.loadBoatPolar(boatType);
+    
+    this.courseGenerator = new LBRacing.CourseGenerator(this.sailEnv, this.sailEnv.courseGeneratorData);
     
     if (this.rudderSliderElement) {
         this.rudderSliderElement.hidden = !this.myBoat.getRudderController();
@@ -299,6 +369,34 @@ LBMyApp.prototype.finishLoading = function() {
     if (this.mainsheetSliderElement) {
         this.mainsheetSliderElement.hidden = !this.myBoat.getMainsheetController();
     }
+    if (this.vangSliderElement) {
+        this.vangSliderElement.hidden = !this.myBoat.getVangController();
+        LBMyApp.updateControlFromController(this.myBoat.getVangController(), this.vangControl);
+    }
+    if (this.outhaulSliderElement) {
+        this.outhaulSliderElement.hidden = !this.myBoat.getOuthaulController();
+        LBMyApp.updateControlFromController(this.myBoat.getOuthaulController(), this.outhaulControl);
+    }
+    if (this.cunninghamSliderElement) {
+        this.cunninghamSliderElement.hidden = !this.myBoat.getCunninghamController();
+        LBMyApp.updateControlFromController(this.myBoat.getCunninghamController(), this.cunninghamControl);
+    }
+    if (this.travelerSliderElement) {
+        this.travelerSliderElement.hidden = !this.myBoat.getTravelerController();
+        LBMyApp.updateControlFromController(this.myBoat.getTravelerController(), this.travelerControl);
+    }
+    if (this.hikingSliderElement) {
+        this.hikingSliderElement.hidden = !this.myBoat.getHikingController();
+        LBMyApp.updateControlFromController(this.myBoat.getHikingController(), this.hikingControl);
+    }
+    if (this.crewForeAftSliderElement) {
+        this.crewForeAftSliderElement.hidden = !this.myBoat.getForeAftBallastController();
+        LBMyApp.updateControlFromController(this.myBoat.getForeAftBallastController(), this.crewForeAftControl);
+    }
+    if (this.centerboardSliderElement) {
+        this.centerboardSliderElement.hidden = !this.myBoat.getCenterboardController();
+        LBMyApp.updateControlFromController(this.myBoat.getCenterboardController(), this.centerboardControl);
+    }
     
     this.otherBoats.forEach(function(boatEntry) {
         if (boatEntry.name) {
@@ -322,8 +420,33 @@ LBMyApp.prototype.finishLoading = function() {
     //this.closeSplash();
 };
 
+/**
+ * Loads the polar for a boat type, the polar is stored in {@link LBMyApp#myBoatPolar}.
+ * Nothing is loaded if the boat type's data does not have a polar property.
+ * @param {String} typeName The boat type name.
+ * @returns {undefined}
+ */
+LBMyApp.prototype.loadBoatPolar = function(typeName) {
+    this.myBoatPolar = undefined;
+    
+    var boatData = this.sailEnv.getBoatData(typeName);
+    if (!boatData || !boatData.polar) {
+        return;
+    }
+    
+    var me = this;
+    this.sailEnv.assetLoader.loadJSON(typeName + '.polar', boatData.polar, function(data) {
+        if (data && data.points) {
+            me.myBoatPolar = new LBSailSim.Polar(data);
+        }
+    },
+    undefined,  // onProgress()
+    function() {    // onError(), the HUD just doesn't show the polar targets.
+    });
+};
+
 LBMyApp.prototype.updateViewForMyBoat = function(view) {
-    var target = (this.myBoat) ? this.myBoat.obj3D : null;
+    var target = (this.myBoat) ? this.sailEnv.getDisplayObject3D(this.myBoat) : null;
     view.cameraControllers.forEach(function(controller) {
         controller.setTarget(target);
     });
@@ -494,6 +617,118 @@ LBMyApp.prototype.onKeyDownEvent = function(event) {
             }
             break;
             
+        case 'u' :
+        case 'U' :
+            if (this.myBoat) {
+                LBMyApp.moveControllerWithKey(this.myBoat.getVangController(), event, false, this.vangControl);
+                return;
+            }
+            break;
+            
+        case 'j' :
+        case 'J' :
+            if (this.myBoat) {
+                LBMyApp.moveControllerWithKey(this.myBoat.getVangController(), event, true, this.vangControl);
+                return;
+            }
+            break;
+            
+        case 'i' :
+        case 'I' :
+            if (this.myBoat) {
+                LBMyApp.moveControllerWithKey(this.myBoat.getOuthaulController(), event, false, this.outhaulControl);
+                return;
+            }
+            break;
+            
+        case 'k' :
+        case 'K' :
+            if (this.myBoat) {
+                LBMyApp.moveControllerWithKey(this.myBoat.getOuthaulController(), event, true, this.outhaulControl);
+                return;
+            }
+            break;
+            
+        case 'o' :
+        case 'O' :
+            if (this.myBoat) {
+                LBMyApp.moveControllerWithKey(this.myBoat.getCunninghamController(), event, false, this.cunninghamControl);
+                return;
+            }
+            break;
+            
+        case 'l' :
+        case 'L' :
+            if (this.myBoat) {
+                LBMyApp.moveControllerWithKey(this.myBoat.getCunninghamController(), event, true, this.cunninghamControl);
+                return;
+            }
+            break;
+            
+        case 'm' :
+        case 'M' :
+            if (this.myBoat) {
+                LBMyApp.moveControllerWithKey(this.myBoat.getTravelerController(), event, false, this.travelerControl);
+                return;
+            }
+            break;
+            
+        case 'n' :
+        case 'N' :
+            if (this.myBoat) {
+                LBMyApp.moveControllerWithKey(this.myBoat.getTravelerController(), event, true, this.travelerControl);
+                return;
+            }
+            break;
+            
+        case 'h' :
+        case 'H' :
+            if (this.myBoat) {
+                LBMyApp.moveControllerWithKey(this.myBoat.getHikingController(), event, false, this.hikingControl);
+                return;
+            }
+            break;
+            
+        case 'g' :
+        case 'G' :
+            if (this.myBoat) {
+                LBMyApp.moveControllerWithKey(this.myBoat.getHikingController(), event, true, this.hikingControl);
+                return;
+            }
+            break;
+            
+        case 'b' :
+        case 'B' :
+            if (this.myBoat) {
+                LBMyApp.moveControllerWithKey(this.myBoat.getForeAftBallastController(), event, false, this.crewForeAftControl);
+                return;
+            }
+            break;
+            
+        case 'f' :
+        case 'F' :
+            if (this.myBoat) {
+                LBMyApp.moveControllerWithKey(this.myBoat.getForeAftBallastController(), event, true, this.crewForeAftControl);
+                return;
+            }
+            break;
+            
+        case 'r' :
+        case 'R' :
+            if (this.myBoat) {
+                LBMyApp.moveControllerWithKey(this.myBoat.getCenterboardController(), event, false, this.centerboardControl);
+                return;
+            }
+            break;
+            
+        case 'v' :
+        case 'V' :
+            if (this.myBoat) {
+                LBMyApp.moveControllerWithKey(this.myBoat.getCenterboardController(), event, true, this.centerboardControl);
+                return;
+            }
+            break;
+            
         case 'Escape' :
             this.activeView.activeCameraController.endTracking(true);
             break;
@@ -547,30 +782,84 @@ LBMyApp.prototype.onKeyPressEvent = function(event) {
 
 
 /**
- * The main update function.
+ * The fixed time step simulation update function.
  * @override
  * @param {Number} dt
  * @returns {undefined}
  */
-LBMyApp.prototype.update = function(dt) {
-    LBUI3d.App3D.prototype.update.call(this, dt);
-    
+LBMyApp.prototype.fixedUpdate = function(dt) {
     this.sailEnv.update(dt);
     
     if (this.race) {
         this.debugTimeRecorder.start('race.update');
         this.race.update(dt);
-        this.updateRace();
         this.debugTimeRecorder.end('race.update');
     }
+};
+
+/**
+ * The main update function.
+ * @override
+ * @param {Number} dt
+ * @returns {undefined}
+ */
+LBMyApp.prototype.update = function(dt) {
+    // The display objects need to be updated before the views so the cameras follow the
+    // interpolated boat.
+    this.sailEnv.preRender(dt, this.interpolationAlpha);
+
+    LBUI3d.App3D.prototype.update.call(this, dt);
+    
+    this.updateRace();
     
     this.debugTimeRecorder.start('updateHUD');
+    this.updatePolarTargets();
     this.updateHUDBoat();
     this.updateHUDWind();
     this.updateHUDForces();
+    this.updateHUDPolar();
     this.debugTimeRecorder.end('updateHUD');
 };
 
+/**
+ * Updates {@link LBMyApp#polarTargets} from the current state of the boat.
+ * @returns {undefined}
+ */
+LBMyApp.prototype.updatePolarTargets = function() {
+    var targets = this.polarTargets;
+    if (!this.myBoat) {
+        targets.twsKnots = 0;
+        targets.twaDeg = 0;
+        targets.knots = 0;
+        targets.targetKnots = undefined;
+        targets.polarPercent = undefined;
+        targets.bestVMG.upwind = null;
+        targets.bestVMG.downwind = null;
+        return;
+    }
+    
+    // The polar's true wind speeds are at the reference height of the wind profile.
+    targets.twsKnots = this.myBoat.getTrueWindKnots();
+    var heightFactor = this.sailEnv.wind.getHeightFactor(this.myBoat.appWindHeight);
+    if (heightFactor > 0) {
+        targets.twsKnots /= heightFactor;
+    }
+    targets.twaDeg = this.myBoat.getTrueWindAngleDeg();
+    targets.knots = this.myBoat.getKnots();
+    
+    if (this.myBoatPolar) {
+        targets.targetKnots = this.myBoatPolar.getTargetKnots(targets.twsKnots, targets.twaDeg);
+        targets.polarPercent = this.myBoatPolar.getPolarPercent(targets.twsKnots, targets.twaDeg, targets.knots);
+        this.myBoatPolar.getBestVMG(targets.twsKnots, targets.bestVMG);
+    }
+    else {
+        targets.targetKnots = undefined;
+        targets.polarPercent = undefined;
+        targets.bestVMG.upwind = null;
+        targets.bestVMG.downwind = null;
+    }
+};
+
 /**
  * Handles updating the boat HUD DOM elements.
  * @returns {undefined}
@@ -587,6 +876,16 @@ LBMyApp.prototype.updateHUDBoat = function() {
             this.hudSpeedElement.innerText = speed.toFixed(2);
         }
         
+        if (this.hudTargetSpeedElement) {
+            this.hudTargetSpeedElement.innerText = (this.polarTargets.targetKnots !== undefined) 
+                    ? this.polarTargets.targetKnots.toFixed(2) : "--";
+        }
+        
+        if (this.hudPolarPercentElement) {
+            this.hudPolarPercentElement.innerText = (this.polarTargets.polarPercent !== undefined) 
+                    ? this.polarTargets.polarPercent.toFixed(0) : "--";
+        }
+        
         if (this.hudVMGElement) {
             var vmg = 0;
             if (this.myBoat) {
@@ -619,6 +918,14 @@ LBMyApp.prototype.updateHUDBoat = function() {
             this.hudLeewayDegElement.innerText = leewayAngle.toFixed();
             this.hudLeewayDirElement.innerHTML = "&deg;" + leewayDir;
         }
+        
+        if (this.hudDepthElement) {
+            var depthText = "--";
+            if (this.myBoat && this.sailEnv.bathymetry.hasDepths()) {
+                depthText = this.myBoat.getWaterDepth().toFixed(1);
+            }
+            this.hudDepthElement.innerText = depthText;
+        }
     }
 };
 
@@ -644,6 +951,32 @@ LBMyApp.prototype.updateHUDWind = function() {
         if (this.hudWindDirElement) {
             this.hudWindDirElement.innerText = windDir;
         }
+        
+        var targets = this.polarTargets;
+        if (this.hudTrueWindSpeedElement) {
+            this.hudTrueWindSpeedElement.innerText = targets.twsKnots.toFixed(2);
+        }
+        if (this.hudTrueWindAngleElement) {
+            this.hudTrueWindAngleElement.innerText = Math.abs(targets.twaDeg).toFixed(0);
+        }
+        if (this.hudTrueWindTackElement) {
+            var tack = "";
+            if (Math.round(targets.twaDeg) > 0) {
+                tack = "P";
+            }
+            else if (Math.round(targets.twaDeg) < 0) {
+                tack = "S";
+            }
+            this.hudTrueWindTackElement.innerHTML = "&deg;" + tack;
+        }
+        if (this.hudTargetUpwindElement) {
+            var upwind = targets.bestVMG.upwind;
+            this.hudTargetUpwindElement.innerText = (upwind) ? upwind.twaDeg.toFixed(0) : "--";
+        }
+        if (this.hudTargetDownwindElement) {
+            var downwind = targets.bestVMG.downwind;
+            this.hudTargetDownwindElement.innerText = (downwind) ? downwind.twaDeg.toFixed(0) : "--";
+        }
     }
     
     if (this.appWindDirElement) {
@@ -674,6 +1007,109 @@ LBMyApp.prototype.updateHUDWind = function() {
     }
 };
 
+/**
+ * Handles updating the polar HUD, which plots the target speeds of the polar for the current
+ * true wind speed, with the best VMG points and the boat's current point marked. Since the
+ * polar is symmetric only the starboard half is plotted, with the wind coming from the top.
+ * @returns {undefined}
+ */
+LBMyApp.prototype.updateHUDPolar = function() {
+    if (!this.isHUDPolarOn || !this.hudPolarPlotElement) {
+        return;
+    }
+    
+    var canvas = this.hudPolarPlotElement;
+    var context = canvas.getContext('2d');
+    var width = canvas.width;
+    var height = canvas.height;
+    context.clearRect(0, 0, width, height);
+    
+    var polar = this.myBoatPolar;
+    var targets = this.polarTargets;
+    if (!polar) {
+        context.fillStyle = 'darkblue';
+        context.font = '12px sans-serif';
+        context.fillText("No polar", 4, height / 2);
+        return;
+    }
+    
+    var margin = 4;
+    var originX = margin;
+    var originY = height / 2;
+    var radius = Math.min(width - 2 * margin, height / 2 - margin);
+    
+    var twaStepDeg = 5;
+    var maxKnots = Math.max(targets.knots, 1);
+    for (var twaDeg = 0; twaDeg <= 180; twaDeg += twaStepDeg) {
+        maxKnots = Math.max(maxKnots, polar.getTargetKnots(targets.twsKnots, twaDeg) || 0);
+    }
+    var knotsStep = (maxKnots > 4) ? 2 : 1;
+    maxKnots = Math.ceil(maxKnots / knotsStep) * knotsStep;
+    var scale = radius / maxKnots;
+    
+    function toX(twaDeg, knots) {
+        return originX + knots * scale * Math.sin(twaDeg * LBMath.DEG_TO_RAD);
+    }
+    function toY(twaDeg, knots) {
+        return originY - knots * scale * Math.cos(twaDeg * LBMath.DEG_TO_RAD);
+    }
+    
+    // The speed rings and the 45 degree lines.
+    context.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+    context.lineWidth = 1;
+    context.beginPath();
+    for (var knots = knotsStep; knots <= maxKnots; knots += knotsStep) {
+        context.moveTo(originX, originY - knots * scale);
+        context.arc(originX, originY, knots * scale, -Math.PI / 2, Math.PI / 2);
+    }
+    for (var twaDeg = 0; twaDeg <= 180; twaDeg += 45) {
+        context.moveTo(originX, originY);
+        context.lineTo(toX(twaDeg, maxKnots), toY(twaDeg, maxKnots));
+    }
+    context.stroke();
+    
+    // The polar curve, which starts at the lowest solved true wind angle.
+    context.strokeStyle = 'darkblue';
+    context.lineWidth = 2;
+    context.beginPath();
+    var isCurveStarted = false;
+    for (var twaDeg = 0; twaDeg <= 180; twaDeg += twaStepDeg) {
+        var targetKnots = polar.getTargetKnots(targets.twsKnots, twaDeg);
+        if (targetKnots === undefined) {
+            continue;
+        }
+        if (isCurveStarted) {
+            context.lineTo(toX(twaDeg, targetKnots), toY(twaDeg, targetKnots));
+        }
+        else {
+            context.moveTo(toX(twaDeg, targetKnots), toY(twaDeg, targetKnots));
+            isCurveStarted = true;
+        }
+    }
+    context.stroke();
+    
+    // The best VMG points.
+    context.fillStyle = 'green';
+    [ targets.bestVMG.upwind, targets.bestVMG.downwind ].forEach(function(point) {
+        if (point) {
+            context.beginPath();
+            context.arc(toX(point.twaDeg, point.knots), toY(point.twaDeg, point.knots), 3, 0, 2 * Math.PI);
+            context.fill();
+        }
+    });
+    
+    // The boat.
+    if (this.myBoat) {
+        var boatTWADeg = Math.abs(targets.twaDeg);
+        var boatKnots = Math.min(targets.knots, maxKnots);
+        context.fillStyle = 'red';
+        context.beginPath();
+        context.arc(toX(boatTWADeg, boatKnots), toY(boatTWADeg, boatKnots), 4, 0, 2 * Math.PI);
+        context.fill();
+    }
+};
+
+
 /**
  * Handles updating the Forces HUD.
  * @returns {undefined}
@@ -805,6 +1241,24 @@ LBMyApp.prototype.windVeer = function() {
     this.setWindDirDeg(this.windDeg + 10);
 };
 
+/**
+ * Shows or hides the arrows displaying the wind shifts and patterns around the boat.
+ * @returns {undefined}
+ */
+LBMyApp.prototype.toggleWindField = function() {
+    var windField3D = this.sailEnv.windField3D;
+    windField3D.setVisible(!windField3D.isVisible());
+};
+
+/**
+ * Shows or hides the arrows displaying the water currents around the boat.
+ * @returns {undefined}
+ */
+LBMyApp.prototype.toggleCurrentField = function() {
+    var currentField3D = this.sailEnv.currentField3D;
+    currentField3D.setVisible(!currentField3D.isVisible());
+};
+
 
 /**
  * @param {Number} dir One of the LBUI3d.CameraController.VIEW_ constants.
@@ -1042,6 +1496,20 @@ LBMyApp.prototype.toggleHUDForce = function() {
 };
 
 
+/**
+ * 
+ * @returns {undefined}
+ */
+LBMyApp.prototype.toggleHUDPolar = function() {
+    var element = document.getElementById("hud_popup_polar");
+    var isOn = toggleByWidth(element, "left");
+    this.isHUDPolarOn = isOn;
+    
+    var label = document.getElementById("hud_label_polar");
+    label.style.visibility = (isOn) ? "visible" : "";
+};
+
+
 /**
  * 
  * @returns {undefined}
@@ -1165,25 +1633,44 @@ LBMyApp.prototype.startRace = function(courseName, mode) {
     if (!this.race) {
         var element = document.getElementById('race_display');
         element.style.visibility = "visible";
+        this.showCourseMenuItems(false);
         
-        var course = this.raceCourses[0];
+        var course = this.courseGenerator.course || this.raceCourses[0];
         
         this.sailEnv.displayCourse(course, LBSailSim.CourseDisplayFlags.MARK_INDICATORS);
         this.sailEnv.displayMark(course.start, LBSailSim.CourseDisplayFlags.CROSSING_LINES);
         
-        this.race = new LBRacing.Race(this.sailEnv, course);
+        var rulesEvaluator = new LBRacing.RulesEvaluator();
+        this.race = new LBRacing.Race(this.sailEnv, course, {
+            handicapSystem: this.handicapSystem,
+            penaltyMode: this.penaltyMode,
+            rulesEvaluator: rulesEvaluator
+        });
         var competitor = this.race.addCompetitor(this.myBoat);
         
-        this.isMarkTouched = [];
-        this.isMarkTouched.fill(false, 0, this.race.allMarks.length);
-        this.penaltyTime = 0;
+        this.otherBoats.forEach(function(boatEntry) {
+            if (boatEntry.boat) {
+                this.race.addCompetitor(boatEntry.boat);
+            }
+        }, this);
         
         var me = this;
+        rulesEvaluator.addInfringementCallback(function(infringingCompetitor) {
+            if (infringingCompetitor === competitor) {
+                me.updatePenaltyStatus(competitor);
+            }
+        });
+        
+        this.race.addStateChangeCallback(function(race, signal) {
+            if (signal) {
+                me.onRaceSignal(race, signal);
+            }
+        });
+        
         competitor.addStateChangeCallback(function(competitor) {
             switch (competitor.state) {
                 case LBRacing.CompetitorStates.PRE_START :
-                    me.isMarkTouched.fill(false, 0, me.race.allMarks.length);
-                    me.penaltyTime = 0;
+                    me.penaltyStatusElement.style.visibility = 'hidden';
                     me.raceDisplayElement.style.color = "#CC0000AA";
                     break;
                     
@@ -1199,6 +1686,8 @@ LBMyApp.prototype.startRace = function(courseName, mode) {
                     
                 case LBRacing.CompetitorStates.RETIRED :
                 case LBRacing.CompetitorStates.DISQUALIFIED :
+                case LBRacing.CompetitorStates.DID_NOT_FINISH :
+                case LBRacing.CompetitorStates.DID_NOT_START :
                     me.raceDisplayElement.style.color = "#880000AA";
                     break;
             }
@@ -1206,19 +1695,9 @@ LBMyApp.prototype.startRace = function(courseName, mode) {
         
         competitor.addMarkPassedCallback(function(competitor) {
             var markIndex = competitor.currentMarkIndex;
+            me.updatePenaltyStatus(competitor);
+            
             if (competitor.currentMarkTracker) {
-                if (competitor.currentMarkTracker.isMarkTouched) {
-                    if (!me.isMarkTouched[markIndex]) {
-                        me.isMarkTouched[markIndex] = true;
-                        if (me.race.markTouchPenaltyTime) {
-                            me.penaltyStatusElement.style.visibility = 'visible';
-                            me.penaltyTime += me.race.markTouchPenaltyTime;
-                            
-                            me.penaltyStatusElement.innerHTML = LBUtil.secondsToString_mmss(me.penaltyTime) + " PENALTY";
-                        }
-                    }
-                }
-
                 if ((competitor.currentMarkTracker.markPassedCount === 1)
                  && (markIndex < me.race.allMarks.length)) {
                     ++markIndex;
@@ -1244,6 +1723,9 @@ LBMyApp.prototype.startRace = function(courseName, mode) {
             }
             
             var statusMsg = markIndex + "/" + me.race.allMarks.length;
+            if (me.race.course.laps > 1) {
+                statusMsg += " Lap " + competitor.getCurrentLap() + "/" + me.race.course.laps;
+            }
             me.markStatusElement.innerHTML = statusMsg;
         });
     }
@@ -1251,6 +1733,98 @@ LBMyApp.prototype.startRace = function(courseName, mode) {
     this.race.startPreRace();
 };
 
+/**
+ * Lays out a new course relative to the current wind, the course is used by the next race.
+ * @param {module:LBRacing.CourseTypes} [courseType]    The type of course, if not specified
+ * the current course is re-set to the current wind.
+ * @param {Object} [options]    Optional additional options passed to {@link module:LBRacing.CourseGenerator#generateCourse},
+ * such as laps, hasOffsetMark and hasLeewardGate.
+ * @returns {undefined}
+ */
+LBMyApp.prototype.setCourse = function(courseType, options) {
+    if (this.race) {
+        // The course menu items are hidden while racing.
+        return;
+    }
+    
+    if (this.courseGenerator.course) {
+        this.sailEnv.displayCourse(this.courseGenerator.course, 0);
+    }
+    
+    options = options || {};
+    options.courseType = courseType;
+    var course = this.courseGenerator.generateCourse(options);
+    this.sailEnv.displayCourse(course, LBSailSim.CourseDisplayFlags.MARK_INDICATORS);
+};
+
+/**
+ * Shows or hides the menu items for setting the course, the course can't be changed while racing.
+ * @param {Boolean} show    If true the menu items are shown.
+ * @returns {undefined}
+ */
+LBMyApp.prototype.showCourseMenuItems = function(show) {
+    var display = (show) ? "" : "none";
+    ['set_course_windward_leeward', 'set_course_windward_leeward_gate', 'set_course_triangle',
+        'set_course_trapezoid', 'reset_course'].forEach(function(id) {
+        document.getElementById(id).style.display = display;
+    });
+};
+
+/**
+ * Updates the penalty status display for a competitor.
+ * @param {module:LBRacing.Competitor} competitor   The competitor.
+ * @returns {undefined}
+ */
+LBMyApp.prototype.updatePenaltyStatus = function(competitor) {
+    if (competitor.isOCS) {
+        this.penaltyStatusElement.style.visibility = 'visible';
+        this.penaltyStatusElement.innerHTML = "OCS - RETURN";
+    }
+    else if (competitor.owedPenaltyTurns) {
+        this.penaltyStatusElement.style.visibility = 'visible';
+        this.penaltyStatusElement.innerHTML = (competitor.owedPenaltyTurns * 360) + " OWED";
+    }
+    else if (competitor.penaltyTime) {
+        this.penaltyStatusElement.style.visibility = 'visible';
+        this.penaltyStatusElement.innerHTML = LBUtil.secondsToString_mmss(competitor.penaltyTime) + " PENALTY";
+    }
+    else {
+        this.penaltyStatusElement.style.visibility = 'hidden';
+    }
+};
+
+/**
+ * The text displayed for the race signals.
+ */
+var raceSignalText = {};
+raceSignalText[LBRacing.StartSignals.WARNING] = "WARNING";
+raceSignalText[LBRacing.StartSignals.PREPARATORY] = "PREP";
+raceSignalText[LBRacing.StartSignals.ONE_MINUTE] = "1 MIN";
+raceSignalText[LBRacing.StartSignals.START] = "START";
+raceSignalText[LBRacing.StartSignals.INDIVIDUAL_RECALL] = "X RECALL";
+raceSignalText[LBRacing.StartSignals.GENERAL_RECALL] = "GENERAL RECALL";
+
+/**
+ * Called by the race whenever a start sequence signal is made.
+ * @param {module:LBRacing.Race} race   The race.
+ * @param {module:LBRacing.StartSignals} signal The signal.
+ * @returns {undefined}
+ */
+LBMyApp.prototype.onRaceSignal = function(race, signal) {
+    if (!this.signalStatusElement) {
+        return;
+    }
+    
+    var text = raceSignalText[signal];
+    if (text) {
+        this.signalStatusElement.innerHTML = text;
+        this.signalStatusElement.style.visibility = 'visible';
+    }
+    else {
+        this.signalStatusElement.style.visibility = 'hidden';
+    }
+};
+
 LBMyApp.prototype.updateRace = function() {
     if (this.race) {
         var elapsedTime = this.race.elapsedTime;
@@ -1269,9 +1843,10 @@ LBMyApp.prototype.showRaceResults = function() {
     var element = document.getElementById('race_results');
     element.style.visibility = "visible";
     
-    var racingTime = this.race.getCompetitor(this.myBoat).timeOfFinish - this.race.startTime;
-    var penaltyTime = this.penaltyTime;
-    var totalTime = racingTime + penaltyTime;
+    var competitor = this.race.getCompetitor(this.myBoat);
+    var racingTime = competitor.getElapsedTime();
+    var penaltyTime = competitor.penaltyTime;
+    var totalTime = competitor.getCorrectedTime();
     
     element = document.getElementById('race_racing_time');
     element.innerHTML = LBUtil.secondsToString_hhmmss(racingTime, 1);
@@ -1282,6 +1857,102 @@ LBMyApp.prototype.showRaceResults = function() {
     element = document.getElementById('race_total_time');
     element.innerHTML = LBUtil.secondsToString_hhmmss(totalTime, 1);
     
+    var unservedTurns = competitor.getUnservedPenaltyTurns();
+    element = document.getElementById('race_unserved_turns_row');
+    element.style.display = (unservedTurns) ? "" : "none";
+    element = document.getElementById('race_unserved_turns');
+    element.innerHTML = unservedTurns * 360;
+};
+
+/**
+ * Switches the penalty for touching a mark between a time penalty and penalty turns,
+ * the new penalty mode takes effect with the next race.
+ * @returns {undefined}
+ */
+LBMyApp.prototype.togglePenaltyMode = function() {
+    var text;
+    if (this.penaltyMode === LBRacing.PenaltyModes.TURNS) {
+        this.penaltyMode = LBRacing.PenaltyModes.TIME;
+        text = "Mark Touch Penalty: Time";
+    }
+    else {
+        this.penaltyMode = LBRacing.PenaltyModes.TURNS;
+        text = "Mark Touch Penalty: Turns";
+    }
+    
+    var element = document.getElementById('penalty_mode');
+    element.innerHTML = text;
+};
+
+/**
+ * Has the browser download some text as a file.
+ * @param {String} text The text to save.
+ * @param {String} type The MIME type of the text.
+ * @param {String} fileName The default file name.
+ * @returns {undefined}
+ */
+function saveTextToFile(text, type, fileName) {
+    var link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type: type }));
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Saves the results of the current race to a file, once the race has been ended the
+ * results of the last race in the series are saved.
+ * @param {String} [format='json']  The file format, either 'json' or 'csv'.
+ * @returns {undefined}
+ */
+LBMyApp.prototype.exportRaceResults = function(format) {
+    var resultsData;
+    if (this.race) {
+        resultsData = this.race.getResultsData();
+    }
+    else if (this.series.races.length) {
+        resultsData = this.series.races[this.series.races.length - 1];
+    }
+    else {
+        return;
+    }
+    
+    var text;
+    var type;
+    if (format === 'csv') {
+        text = LBRacing.resultsToCSV(resultsData.results);
+        type = 'text/csv';
+    }
+    else {
+        format = 'json';
+        text = JSON.stringify(resultsData, null, 4);
+        type = 'application/json';
+    }
+    
+    saveTextToFile(text, type, 'race_results.' + format);
+};
+
+/**
+ * Saves the current race series, including the standings, to a JSON file.
+ * @returns {undefined}
+ */
+LBMyApp.prototype.exportSeries = function() {
+    saveTextToFile(this.series.exportToJSON(), 'application/json', 'series.json');
+};
+
+/**
+ * Clears out all the races from the current race series.
+ * @returns {undefined}
+ */
+LBMyApp.prototype.resetSeries = function() {
+    this.series = new LBRacing.Series({ 
+        name: this.series.name, 
+        discardAfter: this.series.discardAfter, 
+        penaltyPoints: this.series.penaltyPoints
+    });
+    this.series.saveToLocalStorage(this.seriesStorageKey);
 };
 
 LBMyApp.prototype.endRace = function() {
@@ -1289,15 +1960,25 @@ LBMyApp.prototype.endRace = function() {
     element.style.visibility = "hidden";
     
     this.penaltyStatusElement.style.visibility = "hidden";
+    this.signalStatusElement.style.visibility = "hidden";
     
     element = document.getElementById('race_results');
     element.style.visibility = "hidden";
     
     if (this.race) {
+        if ((this.race.state !== LBRacing.RaceState.NOT_STARTED) 
+         && (this.race.state !== LBRacing.RaceState.PRE_START)
+         && (this.race.state !== LBRacing.RaceState.ABANDONED)) {
+            this.series.addRace(this.race);
+            this.series.saveToLocalStorage(this.seriesStorageKey);
+        }
+        
         this.sailEnv.displayCourse(this.race.course, 0);
         this.race.destroy();
         this.race = null;
     }
+    
+    this.showCourseMenuItems(true);
 };
 
 /**
@@ -1397,6 +2078,104 @@ LBMyApp.prototype.onMainsheetChange = function(value, min, max) {
 };
 
 
+/**
+ * 
+ * @param {Number} value
+ * @param {Number} min
+ * @param {Number} max
+ * @returns {undefined}
+ */
+LBMyApp.prototype.onVangChange = function(value, min, max) {
+    if (this.myBoat) {
+        LBMyApp.updateControllerFromControl(this.vangControl, value, min, max, this.myBoat.getVangController());
+    }
+};
+
+
+/**
+ * 
+ * @param {Number} value
+ * @param {Number} min
+ * @param {Number} max
+ * @returns {undefined}
+ */
+LBMyApp.prototype.onOuthaulChange = function(value, min, max) {
+    if (this.myBoat) {
+        LBMyApp.updateControllerFromControl(this.outhaulControl, value, min, max, this.myBoat.getOuthaulController());
+    }
+};
+
+
+/**
+ * 
+ * @param {Number} value
+ * @param {Number} min
+ * @param {Number} max
+ * @returns {undefined}
+ */
+LBMyApp.prototype.onCunninghamChange = function(value, min, max) {
+    if (this.myBoat) {
+        LBMyApp.updateControllerFromControl(this.cunninghamControl, value, min, max, this.myBoat.getCunninghamController());
+    }
+};
+
+
+/**
+ * 
+ * @param {Number} value
+ * @param {Number} min
+ * @param {Number} max
+ * @returns {undefined}
+ */
+LBMyApp.prototype.onTravelerChange = function(value, min, max) {
+    if (this.myBoat) {
+        LBMyApp.updateControllerFromControl(this.travelerControl, value, min, max, this.myBoat.getTravelerController());
+    }
+};
+
+
+/**
+ * 
+ * @param {Number} value
+ * @param {Number} min
+ * @param {Number} max
+ * @returns {undefined}
+ */
+LBMyApp.prototype.onHikingChange = function(value, min, max) {
+    if (this.myBoat) {
+        LBMyApp.updateControllerFromControl(this.hikingControl, value, min, max, this.myBoat.getHikingController());
+    }
+};
+
+
+/**
+ * 
+ * @param {Number} value
+ * @param {Number} min
+ * @param {Number} max
+ * @returns {undefined}
+ */
+LBMyApp.prototype.onCrewForeAftChange = function(value, min, max) {
+    if (this.myBoat) {
+        LBMyApp.updateControllerFromControl(this.crewForeAftControl, value, min, max, this.myBoat.getForeAftBallastController());
+    }
+};
+
+
+/**
+ * 
+ * @param {Number} value
+ * @param {Number} min
+ * @param {Number} max
+ * @returns {undefined}
+ */
+LBMyApp.prototype.onCenterboardChange = function(value, min, max) {
+    if (this.myBoat) {
+        LBMyApp.updateControllerFromControl(this.centerboardControl, value, min, max, this.myBoat.getCenterboardController());
+    }
+};
+
+
 //
 // Check for WebGL...
 //
@@ -0,0 +1,130 @@
+/*
+ * Copyright 2017 Albert Santos.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Generates polar diagrams with the velocity prediction program under Node. Usage, from the site root:
+ *
+ *      node js/main-VPP.js [--force] data/vpp/tubby.json [polar.csv|polar.json]
+ *
+ * The run file is a JSON file with the following properties:
+ *
+ *      env:                The name of the environment in data/env/, its boat list is used, defaults to 'basin'.
+ *      boatType:           The type name of the boat in the boat list.
+ *      trueWindKnots:      Optional array of the true wind speeds, in knots.
+ *      trueWindAnglesDeg:  Optional array of the true wind angles, in degrees.
+ *      sheetSteps:         Optional number of steps to divide the sheet range into.
+ *      maxHeelDeg:         Optional maximum heel angle, in degrees.
+ *      outputFile:         Optional output file.
+ *
+ * The output file name on the command line takes precedence over the outputFile property,
+ * if neither is given the polar is written to stdout as CSV. Output files ending in .json
+ * get the full polar as JSON, otherwise the polar is written as CSV.
+ *
+ * The polar is checked with LBSailSim.VPP.checkPolar() before it is written, if there are
+ * any problems they are listed and nothing is written unless --force is given.
+ *
+ * The polar used by the simulation for Tubby's polar targets is regenerated with:
+ *
+ *      node js/main-VPP.js data/vpp/tubby.json data/polars/tubby.json
+ *
+ * This should be done whenever a change to the boat data or the physics changes how the boat
+ * sails, and the polar committed along with that change.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var headless = require('./main-Headless.js');
+
+var LBSailSim = headless.loadModule('lbvpp');
+
+
+function main(args) {
+    var isForce = false;
+    if (args[0] === '--force') {
+        isForce = true;
+        args = args.slice(1);
+    }
+    if (!args.length) {
+        console.error("Usage: node js/main-VPP.js [--force] <run file> [output file]");
+        return 1;
+    }
+
+    var runData = JSON.parse(fs.readFileSync(path.resolve(args[0]), 'utf8'));
+    var outputFileName = args[1] || runData.outputFile;
+
+    var sailEnv = new LBSailSim.Env(new headless.FileAssetLoader());
+    var exitCode = 0;
+
+    // The file asset loader is synchronous, so the polar has been generated by the time
+    // loadEnv() returns.
+    sailEnv.loadEnv(runData.env || 'basin',
+        function() {
+            var vpp = new LBSailSim.VPP(sailEnv, {
+                trueWindKnots: runData.trueWindKnots,
+                trueWindAnglesDeg: runData.trueWindAnglesDeg,
+                sheetSteps: runData.sheetSteps,
+                maxHeelDeg: runData.maxHeelDeg,
+                onPointSolved: function(point) {
+                    console.error("TWS " + point.twsKnots + " TWA " + point.twaDeg + ": "
+                            + (point.isSolved ? (point.knots.toFixed(2) + " knots") : "no solution"));
+                }
+            });
+
+            var polar = vpp.generatePolar(runData.boatType);
+            if (!polar) {
+                console.error("The boat type '" + runData.boatType + "' is not available.");
+                exitCode = 1;
+                return;
+            }
+
+            var problems = LBSailSim.VPP.checkPolar(polar);
+            if (problems.length) {
+                problems.forEach(function(problem) {
+                    console.error(problem);
+                });
+                if (!isForce) {
+                    console.error("The polar does not look right and was not written, use --force to write it anyway.");
+                    exitCode = 1;
+                    return;
+                }
+            }
+
+            var text;
+            if (outputFileName && (path.extname(outputFileName).toLowerCase() === '.json')) {
+                text = JSON.stringify(polar, null, 4) + '\n';
+            }
+            else {
+                text = LBSailSim.VPP.polarToCSV(polar);
+            }
+
+            if (outputFileName) {
+                fs.writeFileSync(path.resolve(outputFileName), text);
+            }
+            else {
+                process.stdout.write(text);
+            }
+        },
+        function() {
+            console.error("The environment '" + runData.env + "' failed to load.");
+            exitCode = 1;
+        });
+
+    return exitCode;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -52,24 +52,36 @@ var require = {
         'lbphaserproject3d': 'leeboard/phaser/Project3D',
         'lbphaser': 'leeboard/phaser/LBPhaser',
         
+        'lbballast': 'leeboard/sailsim/Ballast',
+        'lbbathymetry': 'leeboard/sailsim/Bathymetry',
         'lbboundaries': 'leeboard/sailsim/Boundaries',
+        'lbcoursegenerator': 'leeboard/sailsim/CourseGenerator',
         'lbdelft': 'leeboard/sailsim/Delft',
         'lbfoilinstance': 'leeboard/sailsim/FoilInstance',
         'lbhull': 'leeboard/sailsim/Hull',
+        'lbpolar': 'leeboard/sailsim/Polar',
         'lbpropulsor': 'leeboard/sailsim/Propulsor',
         'lbracing': 'leeboard/sailsim/Racing',
+        'lbracingrules': 'leeboard/sailsim/RacingRules',
+        'lbretractablefoil': 'leeboard/sailsim/RetractableFoil',
         'lbsail': 'leeboard/sailsim/Sail',
         'lbsailenv': 'leeboard/sailsim/SailEnv',
         'lbsailsim': 'leeboard/sailsim/SailSim',
         'lbsailsimbase': 'leeboard/sailsim/SailSimBase',
+        'lbspinnaker': 'leeboard/sailsim/Spinnaker',
         'lbvessel': 'leeboard/sailsim/Vessel',
+        'lbvpp': 'leeboard/sailsim/VPP',
         'lbwater': 'leeboard/sailsim/Water',
+        'lbwaves': 'leeboard/sailsim/Waves',
         'lbwind': 'leeboard/sailsim/Wind',
         
         'lbsailsimphaser': 'leeboard/sailsim-phaser/SailSim-Phaser',
         'lbsailsimphaserview': 'leeboard/sailsim-phaser/SailSimPhaserView',
         
+        'lbsailsimheadless': 'leeboard/sailsim-headless/SailSim-Headless',
+        
         'lbsailsimthree': 'leeboard/sailsim-three/SailSim-THREE',
+        'lbflowfield3d': 'leeboard/sailsim-three/FlowField3D',
         'lbsky3d': 'leeboard/sailsim-three/Sky3D',
         'lbwakes3d': 'leeboard/sailsim-three/Wakes3D',
         'lbwater3d': 'leeboard/sailsim-three/Water3D',